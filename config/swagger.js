@@ -112,6 +112,10 @@ const options = {
               type: 'number',
               description: 'Current stock quantity'
             },
+            damagedStock: {
+              type: 'number',
+              description: 'Returned units held as damaged and not available for sale'
+            },
             minStock: {
               type: 'number',
               description: 'Minimum stock level'
@@ -204,12 +208,37 @@ const options = {
             },
             loyaltyPoints: {
               type: 'number',
-              description: 'Loyalty points'
+              description: 'Loyalty points balance (read-only, maintained by the loyalty ledger)'
+            },
+            loyaltyTier: {
+              type: 'string',
+              description: 'Loyalty tier reached on lifetime spend'
+            },
+            creditLimit: {
+              type: 'number',
+              description: 'Maximum amount the customer may owe on account (0 disables credit sales)'
+            },
+            outstandingBalance: {
+              type: 'number',
+              description: 'Amount currently owed on account (read-only, maintained by the ledger)'
             },
             isActive: {
               type: 'boolean',
               description: 'Whether customer is active'
             },
+            marketingOptIn: {
+              type: 'boolean',
+              description: 'Customer agreed to receive marketing; only these customers are exported from segments'
+            },
+            marketingOptInUpdatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When marketingOptIn last changed (read-only)'
+            },
+            mergedInto: {
+              type: 'string',
+              description: 'Customer this duplicate was merged into (read-only)'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -266,6 +295,10 @@ const options = {
                     type: 'string',
                     description: 'Variation combination ID (optional)'
                   },
+                  unitCost: {
+                    type: 'number',
+                    description: 'Unit cost when sold, set by the server'
+                  },
                   variations: {
                     type: 'object',
                     description: 'Variation details',
@@ -589,27 +622,86 @@ const options = {
               type: 'object',
               properties: {
                 lowStockAlert: {
-                  type: 'boolean'
+                  type: 'boolean',
+                  description: 'Alert staff when a sale takes an item to its minimum stock'
                 },
-                dailyReportEmail: {
-                  type: 'boolean'
+                dailyReports: {
+                  type: 'boolean',
+                  description: 'Send the end-of-day report to staff'
                 },
-                backupReminder: {
-                  type: 'boolean'
+                receipts: {
+                  type: 'object',
+                  description: 'Digital receipts to customers after each sale',
+                  properties: {
+                    email: { type: 'boolean' },
+                    sms: { type: 'boolean' }
+                  }
+                },
+                alertEmails: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Staff emails for alerts and reports'
+                },
+                alertPhones: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Staff phone numbers for alerts and reports'
+                },
+                emailTransport: {
+                  type: 'string',
+                  enum: ['smtp', 'file', 'console'],
+                  default: 'console'
+                },
+                smsTransport: {
+                  type: 'string',
+                  enum: ['http', 'file', 'console'],
+                  default: 'console'
+                },
+                maxAttempts: {
+                  type: 'number',
+                  default: 5,
+                  description: 'Delivery attempts before a message is marked failed'
                 }
               }
             },
-            loyaltyProgram: {
+            loyaltySettings: {
               type: 'object',
               properties: {
                 enabled: {
                   type: 'boolean'
                 },
-                pointsPerDollar: {
-                  type: 'number'
+                pointsPerUnit: {
+                  type: 'number',
+                  description: 'Points earned for every unitAmount spent'
                 },
-                rewardThreshold: {
+                unitAmount: {
                   type: 'number'
+                },
+                redemptionRate: {
+                  type: 'number',
+                  description: 'Value of one point when redeemed'
+                },
+                pointsExpiryDays: {
+                  type: 'number',
+                  description: 'Days earned points stay valid (0 for no expiry)'
+                },
+                tiers: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: {
+                        type: 'string'
+                      },
+                      minSpend: {
+                        type: 'number',
+                        description: 'Lifetime spend needed to reach the tier'
+                      },
+                      multiplier: {
+                        type: 'number'
+                      }
+                    }
+                  }
                 }
               }
             },
@@ -1,5 +1,6 @@
 import Category from '../models/Category.js';
 import Product from '../models/Product.js';
+import Promotion from '../models/Promotion.js';
 
 export const createCategory = async (req, res) => {
   try {
@@ -172,12 +173,16 @@ export const updateCategory = async (req, res) => {
       { new: true, runValidators: true }
     );
 
-    // If category name changed, update all products with this category
+    // If category name changed, update all products and promotions with this category
     if (name && oldCategory.name !== name) {
       await Product.updateMany(
         { category: oldCategory.name },
         { category: name }
       );
+      await Promotion.updateMany(
+        { 'appliesTo.categories': oldCategory.name },
+        { $set: { 'appliesTo.categories.$': name } }
+      );
     }
 
     await category.updateProductCount();
@@ -0,0 +1,305 @@
+import Coupon, { COUPON_TYPES } from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { normalizeCouponCode, getCouponProblem } from '../utils/coupons.js';
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'freeItem',
+  'minSpend',
+  'categories',
+  'usageLimit',
+  'perCustomerLimit',
+  'startDate',
+  'expiresAt',
+  'isActive'
+];
+
+const pickCouponFields = (body) => {
+  const fields = {};
+  for (const field of COUPON_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+// Check a code at the till before the sale is priced
+export const lookupCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(req.params.code) })
+      .populate('freeItem.product', 'name sku');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const problem = await getCouponProblem(coupon, req.query.customer);
+
+    res.json({
+      success: true,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount,
+        freeItem: coupon.freeItem,
+        minSpend: coupon.minSpend,
+        categories: coupon.categories,
+        expiresAt: coupon.expiresAt
+      },
+      usable: !problem,
+      reason: problem || undefined
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, isActive, search } = req.query;
+
+    const query = {};
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.code = { $regex: search.trim(), $options: 'i' };
+    }
+
+    const coupons = await Coupon.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('freeItem.product', 'name sku');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const createCoupon = async (req, res) => {
+  try {
+    if (!COUPON_TYPES.includes(req.body.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon type must be one of: ${COUPON_TYPES.join(', ')}`
+      });
+    }
+
+    const code = normalizeCouponCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      code,
+      createdBy: req.currentUser._id
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// The code can't change once the coupon has been used, so redemptions stay traceable
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const fields = pickCouponFields(req.body);
+    if (fields.code !== undefined) {
+      fields.code = normalizeCouponCode(fields.code);
+      if (fields.code !== coupon.code) {
+        if (coupon.timesUsed > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot change the code of a coupon that has been used'
+          });
+        }
+        const existingCoupon = await Coupon.findOne({ code: fields.code, _id: { $ne: coupon._id } });
+        if (existingCoupon) {
+          return res.status(400).json({
+            success: false,
+            message: 'Coupon code already exists'
+          });
+        }
+      }
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (coupon.timesUsed > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete coupon. It has been used on ${coupon.timesUsed} sales; deactivate it instead.`
+      });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const query = { coupon: coupon._id };
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('customer', 'name phone')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await CouponRedemption.countDocuments(query);
+
+    res.json({
+      success: true,
+      coupon: {
+        _id: coupon._id,
+        code: coupon.code,
+        timesUsed: coupon.timesUsed,
+        usageLimit: coupon.usageLimit
+      },
+      redemptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,57 @@
+import mongoose from 'mongoose';
 import Customer from '../models/Customer.js';
+import Sale from '../models/Sale.js';
+import Shift from '../models/Shift.js';
+import Return from '../models/Return.js';
+import Exchange from '../models/Exchange.js';
+import Voucher from '../models/Voucher.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import HeldSale from '../models/HeldSale.js';
+import Notification from '../models/Notification.js';
+import WooCommerceOrder from '../models/WooCommerceOrder.js';
+import CustomerTransaction from '../models/CustomerTransaction.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Settings from '../models/Settings.js';
+import { postCustomerTransaction } from '../utils/customerLedger.js';
+import { getLoyaltyTier, postLoyaltyTransaction, expireLoyaltyPoints } from '../utils/loyalty.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+import { findDuplicateGroups } from '../utils/customerMatching.js';
+import { enhanceSaleItems } from './saleController.js';
+
+const ACCOUNT_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'mobile_wallet', 'cheque'];
 
 export const createCustomer = async (req, res) => {
   try {
+    // Balances are only ever moved by the customer and loyalty ledgers
+    delete req.body.outstandingBalance;
+    const openingPoints = Number(req.body.loyaltyPoints) || 0;
+    delete req.body.loyaltyPoints;
+    delete req.body.loyaltyTier;
+    delete req.body.mergedInto;
+    // Only admins decide how much credit a customer gets
+    if (req.currentUser.role !== 'admin') {
+      delete req.body.creditLimit;
+    }
+    if (req.body.marketingOptIn !== undefined) {
+      req.body.marketingOptInUpdatedAt = new Date();
+    }
+
+    const settings = await Settings.findOne({});
     const customer = new Customer(req.body);
+    customer.loyaltyTier = getLoyaltyTier(customer.totalPurchases, settings)?.name;
     await customer.save();
+
+    if (openingPoints > 0) {
+      await postLoyaltyTransaction({
+        customer: customer._id,
+        type: 'adjust',
+        points: openingPoints,
+        notes: 'Opening balance',
+        user: req.currentUser,
+        settings
+      });
+      customer.loyaltyPoints = openingPoints;
+    }
     
     res.status(201).json({
       success: true,
@@ -82,6 +130,25 @@ export const getCustomer = async (req, res) => {
 
 export const updateCustomer = async (req, res) => {
   try {
+    // Balances are only ever moved by the customer and loyalty ledgers
+    delete req.body.outstandingBalance;
+    delete req.body.loyaltyPoints;
+    delete req.body.loyaltyTier;
+    delete req.body.mergedInto;
+    delete req.body.marketingOptInUpdatedAt;
+    // Only admins decide how much credit a customer gets
+    if (req.currentUser.role !== 'admin') {
+      delete req.body.creditLimit;
+    }
+
+    // Record when consent changed, for marketing compliance
+    if (req.body.marketingOptIn !== undefined) {
+      const existing = await Customer.findById(req.params.id).select('marketingOptIn');
+      if (existing && existing.marketingOptIn !== Boolean(req.body.marketingOptIn)) {
+        req.body.marketingOptInUpdatedAt = new Date();
+      }
+    }
+
     const customer = await Customer.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -135,10 +202,28 @@ export const deleteCustomer = async (req, res) => {
   }
 };
 
+// Manual points adjustment, recorded on the loyalty ledger
 export const updateLoyaltyPoints = async (req, res) => {
   try {
-    const { points, operation } = req.body; // operation: 'add' or 'subtract'
-    
+    const { points, reason } = req.body;
+    const operation = req.body.operation || req.body.action; // 'add', 'subtract' or 'set'
+    const amount = Number(points);
+
+    if (!['add', 'subtract', 'set'].includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Operation must be one of: add, subtract, set'
+      });
+    }
+
+    if (!Number.isInteger(amount) || amount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Points must be a positive whole number'
+      });
+    }
+
+    await expireLoyaltyPoints({ customer: req.params.id });
     const customer = await Customer.findById(req.params.id);
     
     if (!customer) {
@@ -147,19 +232,153 @@ export const updateLoyaltyPoints = async (req, res) => {
         message: 'Customer not found'
       });
     }
-    
-    if (operation === 'add') {
-      customer.loyaltyPoints += points;
-    } else if (operation === 'subtract') {
-      customer.loyaltyPoints = Math.max(0, customer.loyaltyPoints - points);
+
+    let delta = amount;
+    if (operation === 'subtract') {
+      delta = -amount;
+    } else if (operation === 'set') {
+      delta = amount - customer.loyaltyPoints;
     }
-    
-    await customer.save();
+
+    const settings = await Settings.findOne({});
+    const transaction = await postLoyaltyTransaction({
+      customer: customer._id,
+      type: 'adjust',
+      points: delta,
+      notes: reason,
+      user: req.currentUser,
+      settings
+    });
     
     res.json({
       success: true,
       message: 'Loyalty points updated successfully',
-      customer
+      customer: await Customer.findById(customer._id),
+      transaction
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getLoyaltyHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    await expireLoyaltyPoints({ customer: req.params.id });
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const query = { customer: customer._id };
+
+    if (type) {
+      query.type = type;
+    }
+
+    const transactions = await LoyaltyTransaction.find(query)
+      .populate('sale', 'invoiceNumber total createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await LoyaltyTransaction.countDocuments(query);
+
+    // Points due to expire, soonest first, so staff can warn the customer
+    const expiringPoints = await LoyaltyTransaction.find({
+      customer: customer._id,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $ne: null }
+    })
+      .sort({ expiresAt: 1 })
+      .select('remainingPoints expiresAt');
+
+    const settings = await Settings.findOne({});
+    const tier = getLoyaltyTier(customer.totalPurchases, settings);
+
+    res.json({
+      success: true,
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        loyaltyPoints: customer.loyaltyPoints,
+        loyaltyTier: tier?.name,
+        multiplier: tier?.multiplier ?? 1,
+        totalPurchases: customer.totalPurchases,
+        pointsValue: roundCurrency(customer.loyaltyPoints * Number(settings?.loyaltySettings?.redemptionRate ?? 1))
+      },
+      expiringPoints: expiringPoints.map(entry => ({ points: entry.remainingPoints, expiresAt: entry.expiresAt })),
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Expire points past their expiry date for every customer. Also runs nightly.
+export const expirePoints = async (req, res) => {
+  try {
+    const expiredPoints = await expireLoyaltyPoints();
+
+    res.json({
+      success: true,
+      message: `${expiredPoints} loyalty points expired`,
+      expiredPoints
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Active customers that look like the same person, by phone, email or a similar name
+export const getDuplicateCustomers = async (req, res) => {
+  try {
+    const { customer, minNameSimilarity = 0.9 } = req.query;
+    const threshold = Number(minNameSimilarity);
+
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'minNameSimilarity must be between 0 and 1'
+      });
+    }
+
+    const customers = await Customer.find({ isActive: true })
+      .select('name phone email totalPurchases loyaltyPoints outstandingBalance lastPurchaseDate createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    let groups = findDuplicateGroups(customers, { minNameSimilarity: threshold });
+
+    if (customer) {
+      groups = groups.filter(group => group.customers.some(member => member._id.toString() === customer));
+    }
+
+    res.json({
+      success: true,
+      groups,
+      total: groups.length
     });
   } catch (error) {
     res.status(500).json({
@@ -167,4 +386,683 @@ export const updateLoyaltyPoints = async (req, res) => {
       message: error.message
     });
   }
+};
+
+/**
+ * Merge duplicate customers into the one in the URL. Their sales, returns,
+ * exchanges, vouchers, coupon redemptions and WooCommerce orders move to the
+ * surviving customer; loyalty points (keeping their expiry dates), amounts
+ * owed and lifetime spend are transferred through the ledgers. The duplicates
+ * are kept, inactive, with mergedInto set.
+ */
+export const mergeCustomers = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const duplicateIds = [...new Set((req.body.customerIds || []).map(String))];
+
+    if (duplicateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'customerIds must list the customers to merge'
+      });
+    }
+
+    if (duplicateIds.includes(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A customer cannot be merged into itself'
+      });
+    }
+
+    const survivor = await Customer.findById(req.params.id);
+
+    if (!survivor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (survivor.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: `${survivor.name} has already been merged into another customer`
+      });
+    }
+
+    const settings = await Settings.findOne({});
+    const merged = [];
+
+    await session.withTransaction(async () => {
+      merged.length = 0;
+
+      for (const duplicateId of duplicateIds) {
+        await expireLoyaltyPoints({ customer: duplicateId, session });
+        const duplicate = await Customer.findById(duplicateId).session(session);
+
+        if (!duplicate) {
+          throw new Error(`Customer ${duplicateId} not found`);
+        }
+        if (duplicate.mergedInto) {
+          throw new Error(`${duplicate.name} has already been merged into another customer`);
+        }
+
+        const repoint = { $set: { customer: survivor._id } };
+        const moved = {
+          sales: (await Sale.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          returns: (await Return.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          exchanges: (await Exchange.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          vouchers: (await Voucher.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          couponRedemptions: (await CouponRedemption.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          heldSales: (await HeldSale.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount,
+          notifications: (await Notification.updateMany({ customer: duplicate._id }, repoint, { session })).modifiedCount
+        };
+
+        // Orders synced before orders were linked to customers are matched on the billing email
+        const orderFilter = duplicate.email
+          ? { $or: [{ customer: duplicate._id }, { customer: null, 'billing.email': duplicate.email }] }
+          : { customer: duplicate._id };
+        moved.wooCommerceOrders = (await WooCommerceOrder.updateMany(orderFilter, repoint, { session })).modifiedCount;
+
+        // Move unspent points lot by lot so they keep their expiry dates
+        const notes = `Merged from ${duplicate.name} (${duplicate.phone})`;
+        let pointsToMove = duplicate.loyaltyPoints;
+        const lots = await LoyaltyTransaction.find({ customer: duplicate._id, remainingPoints: { $gt: 0 } })
+          .sort({ createdAt: 1 })
+          .session(session);
+
+        for (const lot of lots) {
+          if (pointsToMove <= 0) break;
+          const points = Math.min(lot.remainingPoints, pointsToMove);
+          await postLoyaltyTransaction({
+            customer: survivor._id,
+            type: 'adjust',
+            points,
+            expiresAt: lot.expiresAt || null,
+            notes,
+            user: req.currentUser,
+            session
+          });
+          pointsToMove -= points;
+        }
+
+        // Balance from before the ledger kept lots
+        if (pointsToMove > 0) {
+          await postLoyaltyTransaction({
+            customer: survivor._id,
+            type: 'adjust',
+            points: pointsToMove,
+            expiresAt: null,
+            notes,
+            user: req.currentUser,
+            session
+          });
+        }
+
+        await postLoyaltyTransaction({
+          customer: duplicate._id,
+          type: 'adjust',
+          points: -duplicate.loyaltyPoints,
+          notes: `Merged into ${survivor.name} (${survivor.phone})`,
+          user: req.currentUser,
+          session
+        });
+
+        const outstandingBalance = roundCurrency(duplicate.outstandingBalance);
+        if (outstandingBalance !== 0) {
+          await postCustomerTransaction({
+            customer: survivor._id,
+            type: 'adjustment',
+            amount: outstandingBalance,
+            notes,
+            user: req.currentUser,
+            session
+          });
+          await postCustomerTransaction({
+            customer: duplicate._id,
+            type: 'adjustment',
+            amount: -outstandingBalance,
+            notes: `Merged into ${survivor.name} (${survivor.phone})`,
+            user: req.currentUser,
+            session
+          });
+        }
+
+        const update = { $inc: { totalPurchases: duplicate.totalPurchases || 0 } };
+        if (duplicate.lastPurchaseDate) {
+          update.$max = { lastPurchaseDate: duplicate.lastPurchaseDate };
+        }
+        // Fill in contact details the surviving customer is missing
+        const missing = {};
+        if (!survivor.email && duplicate.email) {
+          missing.email = duplicate.email;
+        }
+        if (!survivor.address?.street && duplicate.address?.street) {
+          missing.address = duplicate.address;
+        }
+        if (Object.keys(missing).length > 0) {
+          update.$set = missing;
+          Object.assign(survivor, missing);
+        }
+        await Customer.updateOne({ _id: survivor._id }, update, { session });
+
+        await Customer.updateOne(
+          { _id: duplicate._id },
+          {
+            $set: { isActive: false, totalPurchases: 0, mergedInto: survivor._id, mergedAt: new Date() },
+            $unset: { loyaltyTier: 1 }
+          },
+          { session }
+        );
+
+        merged.push({ customer: duplicate._id, name: duplicate.name, phone: duplicate.phone, moved });
+      }
+
+      const updatedSurvivor = await Customer.findById(survivor._id).session(session);
+      await Customer.updateOne(
+        { _id: survivor._id },
+        { $set: { loyaltyTier: getLoyaltyTier(updatedSurvivor.totalPurchases, settings)?.name } },
+        { session }
+      );
+    });
+
+    res.json({
+      success: true,
+      message: `${merged.length} customer(s) merged into ${survivor.name}`,
+      customer: await Customer.findById(survivor._id),
+      merged
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Past invoices for a customer, newest first, with totals over the same filter
+export const getCustomerHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, startDate, endDate, status } = req.query;
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const query = { customer: customer._id };
+
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const sales = await Sale.find(query)
+      .select('invoiceNumber items subtotal discount tax total payments paymentStatus balanceDue status loyaltyPointsEarned loyaltyPointsUsed cashierName returnedItems createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Sale.countDocuments(query);
+
+    const [summary] = await Sale.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          invoiceCount: { $sum: 1 },
+          totalSpent: { $sum: '$total' },
+          outstandingBalance: { $sum: { $ifNull: ['$balanceDue', 0] } },
+          firstPurchaseDate: { $min: '$createdAt' },
+          lastPurchaseDate: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        email: customer.email,
+        loyaltyPoints: customer.loyaltyPoints,
+        loyaltyTier: customer.loyaltyTier,
+        totalPurchases: customer.totalPurchases,
+        lastPurchaseDate: customer.lastPurchaseDate
+      },
+      summary: {
+        invoiceCount: summary?.invoiceCount || 0,
+        totalSpent: roundCurrency(summary?.totalSpent),
+        outstandingBalance: roundCurrency(summary?.outstandingBalance),
+        firstPurchaseDate: summary?.firstPurchaseDate,
+        lastPurchaseDate: summary?.lastPurchaseDate
+      },
+      sales: sales.map(sale => ({
+        ...enhanceSaleItems(sale),
+        returnedItems: undefined,
+        returnedQuantity: sale.returnedItems.reduce((sum, returned) => sum + returned.item.quantity, 0)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Buying profile for a customer from their sales: spend and basket size,
+ * how often they visit, favourite categories and products, the variation
+ * values (sizes, colours) they buy most and how much they return.
+ */
+export const getCustomerInsights = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const match = { customer: customer._id };
+    if (startDate && endDate) {
+      match.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const [spend] = await Sale.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          visits: { $sum: 1 },
+          totalSpent: { $sum: '$total' },
+          averageBasket: { $avg: '$total' },
+          largestBasket: { $max: '$total' },
+          averageItems: { $avg: { $sum: '$items.quantity' } },
+          firstPurchaseDate: { $min: '$createdAt' },
+          lastPurchaseDate: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    const soldItems = [
+      { $match: match },
+      { $unwind: '$items' },
+      { $match: { 'items.quantity': { $gt: 0 } } }
+    ];
+
+    const favouriteCategories = await Sale.aggregate([
+      ...soldItems,
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: { $ifNull: ['$product.category', 'Uncategorised'] },
+          quantity: { $sum: '$items.quantity' },
+          amount: { $sum: '$items.totalPrice' },
+          visits: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          category: '$_id',
+          quantity: 1,
+          amount: 1,
+          visits: { $size: '$visits' }
+        }
+      },
+      { $sort: { amount: -1 } },
+      { $limit: 5 }
+    ]);
+
+    const favouriteProducts = await Sale.aggregate([
+      ...soldItems,
+      {
+        $group: {
+          _id: '$items.product',
+          productName: { $first: '$items.productName' },
+          quantity: { $sum: '$items.quantity' },
+          amount: { $sum: '$items.totalPrice' },
+          lastBought: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { quantity: -1 } },
+      { $limit: 5 },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          productName: 1,
+          quantity: 1,
+          amount: 1,
+          lastBought: 1
+        }
+      }
+    ]);
+
+    // Variation values by type, e.g. Size: M (6), L (2); Color: Black (5)
+    const variationCounts = await Sale.aggregate([
+      ...soldItems,
+      { $project: { quantity: '$items.quantity', variation: { $objectToArray: { $ifNull: ['$items.variations', {}] } } } },
+      { $unwind: '$variation' },
+      {
+        $group: {
+          _id: { type: '$variation.k', value: '$variation.v' },
+          quantity: { $sum: '$quantity' }
+        }
+      },
+      { $sort: { quantity: -1 } },
+      {
+        $group: {
+          _id: '$_id.type',
+          values: { $push: { value: '$_id.value', quantity: '$quantity' } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    const preferredVariations = variationCounts.map(entry => ({
+      type: entry._id,
+      preferred: entry.values[0]?.value,
+      values: entry.values.slice(0, 5)
+    }));
+
+    const [purchased] = await Sale.aggregate([
+      ...soldItems,
+      {
+        $group: {
+          _id: null,
+          quantity: { $sum: '$items.quantity' },
+          amount: { $sum: '$items.totalPrice' }
+        }
+      }
+    ]);
+
+    const [returned] = await Return.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: null,
+          returns: { $addToSet: '$_id' },
+          quantity: { $sum: '$items.quantity' },
+          amount: { $sum: '$items.refundAmount' }
+        }
+      }
+    ]);
+
+    const visits = spend?.visits || 0;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const activeDays = visits > 1
+      ? (spend.lastPurchaseDate - spend.firstPurchaseDate) / dayMs
+      : 0;
+    const daysSinceLastVisit = spend?.lastPurchaseDate
+      ? Math.floor((Date.now() - spend.lastPurchaseDate) / dayMs)
+      : null;
+
+    res.json({
+      success: true,
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        loyaltyPoints: customer.loyaltyPoints,
+        loyaltyTier: customer.loyaltyTier,
+        customerSince: customer.createdAt
+      },
+      spend: {
+        visits,
+        totalSpent: roundCurrency(spend?.totalSpent),
+        averageBasket: roundCurrency(spend?.averageBasket),
+        largestBasket: roundCurrency(spend?.largestBasket),
+        averageItemsPerVisit: Math.round((spend?.averageItems || 0) * 100) / 100
+      },
+      frequency: {
+        firstPurchaseDate: spend?.firstPurchaseDate,
+        lastPurchaseDate: spend?.lastPurchaseDate,
+        daysSinceLastVisit,
+        // Average gap between visits; needs at least two visits
+        averageDaysBetweenVisits: visits > 1 ? Math.round(activeDays / (visits - 1) * 10) / 10 : null,
+        visitsPerMonth: activeDays > 0 ? Math.round(visits / (activeDays / 30) * 100) / 100 : null
+      },
+      favouriteCategories,
+      favouriteProducts,
+      preferredVariations,
+      returns: {
+        returnCount: returned?.returns.length || 0,
+        itemsReturned: returned?.quantity || 0,
+        amountRefunded: roundCurrency(returned?.amount),
+        // Share of items bought that came back
+        returnRate: purchased?.quantity ? Math.round((returned?.quantity || 0) / purchased.quantity * 10000) / 100 : 0,
+        valueReturnRate: purchased?.amount ? Math.round((returned?.amount || 0) / purchased.amount * 10000) / 100 : 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getCustomerLedger = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const query = { customer: customer._id };
+
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const transactions = await CustomerTransaction.find(query)
+      .populate('sale', 'invoiceNumber total createdAt')
+      .sort({ createdAt: 1 });
+
+    const openInvoices = await Sale.find({ customer: customer._id, balanceDue: { $gt: 0 } })
+      .sort({ createdAt: 1 })
+      .select('invoiceNumber total amountPaid balanceDue paymentStatus createdAt');
+
+    res.json({
+      success: true,
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        creditLimit: customer.creditLimit,
+        outstandingBalance: customer.outstandingBalance,
+        availableCredit: roundCurrency(Math.max(0, customer.creditLimit - customer.outstandingBalance))
+      },
+      transactions,
+      openInvoices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Record a payment received against a customer's account. Allocations to
+// specific invoices are optional; otherwise the oldest open invoices are settled first.
+export const recordCustomerPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { amount, method, reference, notes, allocations } = req.body;
+
+    const paymentAmount = roundCurrency(amount);
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be a positive number'
+      });
+    }
+
+    if (!ACCOUNT_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid payment method. Must be one of: ${ACCOUNT_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (paymentAmount > roundCurrency(customer.outstandingBalance)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds outstanding balance of ${roundCurrency(customer.outstandingBalance)}`
+      });
+    }
+
+    let plannedAllocations;
+    if (Array.isArray(allocations) && allocations.length > 0) {
+      plannedAllocations = allocations.map(allocation => ({
+        sale: allocation.sale,
+        amount: roundCurrency(allocation.amount)
+      }));
+      const allocatedTotal = roundCurrency(plannedAllocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+      if (allocatedTotal !== paymentAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Allocations (${allocatedTotal}) must add up to the payment amount (${paymentAmount})`
+        });
+      }
+    } else {
+      // Oldest invoices first
+      const openInvoices = await Sale.find({ customer: customer._id, balanceDue: { $gt: 0 } })
+        .sort({ createdAt: 1 })
+        .select('balanceDue');
+      let remaining = paymentAmount;
+      plannedAllocations = [];
+      for (const invoice of openInvoices) {
+        if (remaining <= 0) break;
+        const allocationAmount = roundCurrency(Math.min(remaining, invoice.balanceDue));
+        plannedAllocations.push({ sale: invoice._id, amount: allocationAmount });
+        remaining = roundCurrency(remaining - allocationAmount);
+      }
+    }
+
+    let transaction;
+    await session.withTransaction(async () => {
+      const appliedAllocations = [];
+
+      for (const allocation of plannedAllocations) {
+        const sale = await Sale.findOne({ _id: allocation.sale, customer: customer._id }).session(session);
+        if (!sale) {
+          throw new Error(`Invoice ${allocation.sale} not found for this customer`);
+        }
+        if (!(allocation.amount > 0) || allocation.amount > roundCurrency(sale.balanceDue)) {
+          throw new Error(`Invalid allocation for ${sale.invoiceNumber}. Balance due: ${roundCurrency(sale.balanceDue)}`);
+        }
+
+        sale.balanceDue = roundCurrency(sale.balanceDue - allocation.amount);
+        sale.amountPaid = roundCurrency(sale.amountPaid + allocation.amount);
+        sale.paymentStatus = sale.balanceDue > 0 ? 'partially_paid' : 'paid';
+        await sale.save({ session });
+
+        appliedAllocations.push({
+          sale: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          amount: allocation.amount
+        });
+      }
+
+      transaction = await postCustomerTransaction({
+        customer: customer._id,
+        type: 'payment',
+        amount: -paymentAmount,
+        method,
+        reference,
+        allocations: appliedAllocations,
+        notes,
+        user: req.currentUser,
+        session
+      });
+
+      // Money taken at the till belongs to the receiving cashier's open shift
+      await Shift.updateOne(
+        { cashier: req.currentUser._id, status: 'open' },
+        {
+          $push: {
+            accountPayments: {
+              customer: customer._id,
+              transaction: transaction._id,
+              method,
+              amount: paymentAmount
+            }
+          }
+        },
+        { session }
+      );
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      transaction
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
 };
\ No newline at end of file
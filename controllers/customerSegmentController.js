@@ -0,0 +1,259 @@
+import CustomerSegment from '../models/CustomerSegment.js';
+import Customer from '../models/Customer.js';
+import { buildSegmentQuery, customersToCsv, customersToVCard } from '../utils/customerSegments.js';
+
+const SEGMENT_FIELDS = ['name', 'description', 'rules'];
+const EXPORT_FIELDS = 'name phone email address loyaltyTier loyaltyPoints totalPurchases createdAt';
+
+const pickSegmentFields = (body) => {
+  const fields = {};
+  for (const field of SEGMENT_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+// How many customers a segment reaches, and how many of them can be marketed to
+const countSegment = async (rules) => {
+  const query = await buildSegmentQuery(rules);
+  const [total, optedIn] = await Promise.all([
+    Customer.countDocuments(query),
+    Customer.countDocuments({ ...query, marketingOptIn: true })
+  ]);
+  return { query, total, optedIn };
+};
+
+export const getSegments = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+
+    const query = {};
+
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const segments = await CustomerSegment.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ name: 1 });
+
+    const total = await CustomerSegment.countDocuments(query);
+
+    res.json({
+      success: true,
+      segments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getSegment = async (req, res) => {
+  try {
+    const segment = await CustomerSegment.findById(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      segment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const createSegment = async (req, res) => {
+  try {
+    const segment = new CustomerSegment({
+      ...pickSegmentFields(req.body),
+      createdBy: req.currentUser._id
+    });
+
+    await segment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      segment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A segment with this name already exists' : error.message
+    });
+  }
+};
+
+export const updateSegment = async (req, res) => {
+  try {
+    const segment = await CustomerSegment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    segment.set(pickSegmentFields(req.body));
+    await segment.save();
+
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      segment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.code === 11000 ? 'A segment with this name already exists' : error.message
+    });
+  }
+};
+
+export const deleteSegment = async (req, res) => {
+  try {
+    const segment = await CustomerSegment.findByIdAndDelete(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Count customers for rules that haven't been saved yet, while building a segment
+export const previewRules = async (req, res) => {
+  try {
+    const { total, optedIn } = await countSegment(req.body.rules || {});
+
+    res.json({
+      success: true,
+      total,
+      optedIn
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Count and a first page of the customers in a saved segment
+export const previewSegment = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const segment = await CustomerSegment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const { query, total, optedIn } = await countSegment(segment.rules);
+    const customers = await Customer.find(query)
+      .select(`${EXPORT_FIELDS} marketingOptIn`)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ totalPurchases: -1 });
+
+    res.json({
+      success: true,
+      segment,
+      total,
+      optedIn,
+      customers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Customers in the segment who opted in to marketing, as CSV or vCard
+export const exportSegment = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'vcard'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be one of: csv, vcard'
+      });
+    }
+
+    const segment = await CustomerSegment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const query = await buildSegmentQuery(segment.rules);
+    const customers = await Customer.find({ ...query, marketingOptIn: true })
+      .select(EXPORT_FIELDS)
+      .sort({ name: 1 })
+      .lean();
+
+    const filename = segment.name.replace(/[^a-z0-9]+/gi, '_').toLowerCase() || 'segment';
+
+    if (format === 'vcard') {
+      res.setHeader('Content-Type', 'text/vcard');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.vcf"`);
+      return res.send(customersToVCard(customers));
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(customersToCsv(customers));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
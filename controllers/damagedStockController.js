@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Return from '../models/Return.js';
+import SupplierReturnCandidate from '../models/SupplierReturnCandidate.js';
+import WriteOff from '../models/WriteOff.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+
+// Damaged stock on hand per product/combination, valued at purchase price,
+// with the condition of items returned in the period and pending supplier returns
+export const getDamagedStockReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const products = await Product.find({
+      $or: [
+        { damagedStock: { $gt: 0 } },
+        { 'variationCombinations.damagedStock': { $gt: 0 } }
+      ]
+    }).select('name sku purchasePrice damagedStock variationCombinations');
+
+    const items = [];
+    for (const product of products) {
+      if (product.damagedStock > 0) {
+        items.push({
+          productId: product._id,
+          productName: product.name,
+          sku: product.sku,
+          damagedStock: product.damagedStock,
+          unitCost: product.purchasePrice || 0,
+          value: roundCurrency(product.damagedStock * (product.purchasePrice || 0))
+        });
+      }
+
+      for (const combination of product.variationCombinations) {
+        if (combination.damagedStock > 0) {
+          const unitCost = combination.purchasePrice ?? product.purchasePrice ?? 0;
+          items.push({
+            productId: product._id,
+            productName: product.name,
+            variationCombinationId: combination._id,
+            combinationName: combination.combinationName,
+            sku: combination.sku || product.sku,
+            damagedStock: combination.damagedStock,
+            unitCost,
+            value: roundCurrency(combination.damagedStock * unitCost)
+          });
+        }
+      }
+    }
+
+    items.sort((a, b) => b.value - a.value);
+
+    const matchQuery = {};
+    if (startDate && endDate) {
+      matchQuery.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const returnsByCondition = await Return.aggregate([
+      { $match: matchQuery },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.condition',
+          quantity: { $sum: '$items.quantity' },
+          refundAmount: { $sum: '$items.refundAmount' }
+        }
+      },
+      { $project: { _id: 0, condition: '$_id', quantity: 1, refundAmount: 1 } }
+    ]);
+
+    const pendingSupplierReturns = await SupplierReturnCandidate.aggregate([
+      { $match: { status: 'pending' } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          quantity: { $sum: '$quantity' },
+          value: { $sum: { $multiply: ['$quantity', '$unitCost'] } }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    res.json({
+      success: true,
+      items,
+      totals: {
+        damagedStock: items.reduce((sum, item) => sum + item.damagedStock, 0),
+        value: roundCurrency(items.reduce((sum, item) => sum + item.value, 0))
+      },
+      returnsByCondition,
+      pendingSupplierReturns: pendingSupplierReturns[0] || { count: 0, quantity: 0, value: 0 }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Write off units from a product's damaged stock
+export const writeOffDamagedStock = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { productId, variationCombinationId, quantity, reason } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    let combination = null;
+    if (variationCombinationId) {
+      combination = product.variationCombinations.id(variationCombinationId);
+      if (!combination) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variation combination not found'
+        });
+      }
+    }
+
+    const unitCost = combination ? (combination.purchasePrice ?? product.purchasePrice ?? 0) : (product.purchasePrice || 0);
+
+    let writeOff;
+    await session.withTransaction(async () => {
+      const writeOffId = new mongoose.Types.ObjectId();
+      const applied = await applyStockChange({
+        productId,
+        variationCombinationId,
+        delta: -quantity,
+        session,
+        field: 'damagedStock',
+        movement: { type: 'write_off', sourceModel: 'WriteOff', sourceId: writeOffId, notes: reason, user: req.currentUser }
+      });
+
+      if (!applied) {
+        const available = combination ? combination.damagedStock : product.damagedStock;
+        throw new Error(`Not enough damaged stock to write off. Available: ${available}, Requested: ${quantity}`);
+      }
+
+      [writeOff] = await WriteOff.create([{
+        _id: writeOffId,
+        product: product._id,
+        productName: combination ? `${product.name} - ${combination.combinationName}` : product.name,
+        sku: combination?.sku || product.sku,
+        variationCombinationId,
+        quantity,
+        unitCost,
+        value: roundCurrency(quantity * unitCost),
+        source: 'damaged_stock',
+        reason,
+        writtenOffBy: req.currentUser._id,
+        writtenOffByName: req.currentUser.fullName
+      }], { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Damaged stock written off successfully',
+      writeOff
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const getSupplierReturnCandidates = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = 'pending', supplier } = req.query;
+
+    const query = {};
+
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    if (supplier) {
+      query.supplier = supplier;
+    }
+
+    const candidates = await SupplierReturnCandidate.find(query)
+      .populate('supplier', 'name contactInfo')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await SupplierReturnCandidate.countDocuments(query);
+
+    res.json({
+      success: true,
+      candidates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Write off a defective item the supplier won't take back
+export const writeOffSupplierReturnCandidate = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { reason } = req.body;
+
+    let candidate;
+    let writeOff;
+    await session.withTransaction(async () => {
+      candidate = await SupplierReturnCandidate.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+          status: 'written_off',
+          resolvedAt: new Date(),
+          resolvedBy: req.currentUser._id,
+          resolvedByName: req.currentUser.fullName,
+          notes: reason
+        },
+        { new: true, session }
+      );
+
+      if (!candidate) {
+        throw new Error('Supplier return candidate not found or already resolved');
+      }
+
+      [writeOff] = await WriteOff.create([{
+        product: candidate.product,
+        productName: candidate.productName,
+        sku: candidate.sku,
+        variationCombinationId: candidate.variationCombinationId,
+        quantity: candidate.quantity,
+        unitCost: candidate.unitCost,
+        value: roundCurrency(candidate.quantity * candidate.unitCost),
+        source: 'supplier_return_candidate',
+        supplierReturnCandidate: candidate._id,
+        reason,
+        writtenOffBy: req.currentUser._id,
+        writtenOffByName: req.currentUser.fullName
+      }], { session });
+    });
+
+    res.json({
+      success: true,
+      message: 'Item written off successfully',
+      candidate,
+      writeOff
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
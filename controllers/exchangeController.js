@@ -0,0 +1,415 @@
+import mongoose from 'mongoose';
+import Exchange from '../models/Exchange.js';
+import Sale from '../models/Sale.js';
+import Customer from '../models/Customer.js';
+import Settings from '../models/Settings.js';
+import Shift from '../models/Shift.js';
+import Promotion from '../models/Promotion.js';
+import { REFUND_METHODS } from '../models/Return.js';
+import { getNextExchangeNumber, getNextInvoiceNumber } from '../utils/invoiceNumberGenerator.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { getUnitCost } from '../utils/costing.js';
+import { calculateSaleTotals, roundCurrency } from '../utils/saleCalculator.js';
+import { settlePayments } from '../utils/tender.js';
+import { issueVoucher, validateVoucherPayments, redeemVoucherPayments } from '../utils/vouchers.js';
+import { findRunningPromotions } from '../utils/promotionEngine.js';
+import {
+  calculatePointsEarned,
+  getLoyaltyTier,
+  refreshLoyaltyTier,
+  postLoyaltyTransaction,
+  expireLoyaltyPoints
+} from '../utils/loyalty.js';
+import { loadCartProducts } from './saleController.js';
+import { prepareReturnLines, recordReturn, enhanceReturnDocument } from './returnController.js';
+import { findOpenShift } from './shiftController.js';
+
+// Return items from a sale and sell replacements in one transaction.
+// The returned value is applied to the new sale as exchange credit; any
+// difference is collected with the usual tenders or refunded. On a credit
+// sale the returned value first clears what is still owed on the invoice.
+export const createExchange = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const {
+      saleId,
+      returnItems, // Array of { productId, variationCombinationId, quantity, reason, condition }
+      newItems, // Sale items for the replacement sale
+      payments = [],
+      refundMethod,
+      returnReason,
+      notes
+    } = req.body;
+
+    const originalSale = await Sale.findById(saleId);
+    if (!originalSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Original sale not found'
+      });
+    }
+
+    const settings = await Settings.findOne({});
+    const overrideOutOfStock = settings?.overrideOutOfStock || false;
+
+    const returnLines = await prepareReturnLines(originalSale, returnItems);
+    const returnedTotal = roundCurrency(returnLines.reduce((sum, line) => sum + line.refundAmount, 0));
+    const appliedToBalance = originalSale.customer
+      ? roundCurrency(Math.min(originalSale.balanceDue || 0, returnedTotal))
+      : 0;
+    const exchangeValue = roundCurrency(returnedTotal - appliedToBalance);
+
+    const { productsById, itemLabels } = await loadCartProducts(newItems);
+    for (const [index, item] of newItems.entries()) {
+      if (!(Number(item.quantity) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity for ${itemLabels[index]} must be a positive number`
+        });
+      }
+    }
+
+    // Replacement items are always charged at catalogue prices, less running promotions
+    const promotions = await findRunningPromotions();
+    const calculation = calculateSaleTotals({ items: newItems, productsById, promotions, settings });
+    const appliedPromotions = calculation.promotions
+      .map(({ promotion, name, type, discountAmount }) => ({ promotion, name, type, discountAmount }));
+    const newItemsTotal = calculation.total;
+    const difference = roundCurrency(newItemsTotal - exchangeValue);
+    const creditApplied = roundCurrency(Math.min(exchangeValue, newItemsTotal));
+
+    let settlement = 'even';
+    let tender = { payments: [], amountPaid: 0, changeDue: 0, loyaltyPoints: 0 };
+    if (difference > 0) {
+      settlement = 'collect';
+      tender = settlePayments(payments, difference, settings);
+      await validateVoucherPayments(tender.payments);
+    } else if (difference < 0) {
+      settlement = 'refund';
+      if (!REFUND_METHODS.includes(refundMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: `A refund of ${-difference} is due. Refund method must be one of: ${REFUND_METHODS.join(', ')}`
+        });
+      }
+    }
+
+    if (originalSale.customer && tender.loyaltyPoints > 0) {
+      await expireLoyaltyPoints({ customer: originalSale.customer });
+    }
+    const saleCustomer = originalSale.customer ? await Customer.findById(originalSale.customer) : null;
+    if (tender.loyaltyPoints > 0) {
+      if (!saleCustomer) {
+        return res.status(400).json({ success: false, message: 'A customer is required to redeem loyalty points' });
+      }
+      if (tender.loyaltyPoints > saleCustomer.loyaltyPoints) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient loyalty points. Available: ${saleCustomer.loyaltyPoints}, Requested: ${tender.loyaltyPoints}`
+        });
+      }
+    }
+
+    const openShift = await findOpenShift(req.currentUser._id);
+    if (!openShift && settings?.requireOpenShift) {
+      return res.status(400).json({ success: false, message: 'Open a shift before making sales' });
+    }
+
+    const loyaltyTier = getLoyaltyTier(saleCustomer?.totalPurchases, settings);
+    const loyaltyPointsEarned = calculatePointsEarned(newItemsTotal, saleCustomer, settings);
+    const refundAmount = settlement === 'refund' ? -difference : 0;
+
+    let exchange;
+    let returnDoc;
+    let sale;
+    let voucher = null;
+    await session.withTransaction(async () => {
+      const exchangeId = new mongoose.Types.ObjectId();
+      const exchangeNumber = await getNextExchangeNumber('EX', 3, session);
+
+      // Check the return again against the sale as stored in this transaction,
+      // so a retry or a return made meanwhile can't take the lines twice
+      const currentSale = await Sale.findById(saleId).session(session);
+      if (!currentSale) {
+        throw new Error('Original sale not found');
+      }
+      const currentLines = await prepareReturnLines(currentSale, returnItems, session);
+
+      returnDoc = await recordReturn({
+        originalSale: currentSale,
+        returnLines: currentLines,
+        refundMethod: 'exchange',
+        returnReason,
+        user: req.currentUser,
+        shift: openShift,
+        exchange: exchangeId,
+        notes: `Exchange ${exchangeNumber}`,
+        settings,
+        session
+      });
+
+      // The settlement above was worked out from the sale before the transaction
+      if (returnDoc.totalRefundAmount !== returnedTotal || returnDoc.appliedToBalance !== appliedToBalance) {
+        throw new Error('The original sale changed while the exchange was processed. Please try again');
+      }
+
+      for (const [index, item] of newItems.entries()) {
+        const applied = await applyStockChange({
+          productId: item.product,
+          variationCombinationId: item.variationCombinationId,
+          delta: -item.quantity,
+          session,
+          enforceAvailability: !overrideOutOfStock,
+          movement: { type: 'exchange', sourceModel: 'Exchange', sourceId: exchangeId, reference: exchangeNumber, user: req.currentUser }
+        });
+
+        if (!applied) {
+          throw new Error(`Insufficient stock for ${itemLabels[index]}`);
+        }
+      }
+
+      const invoiceNumber = await getNextInvoiceNumber('S', 3, session);
+      const exchangeCredit = creditApplied > 0
+        ? [{ method: 'exchange_credit', amount: creditApplied, reference: returnDoc.returnNumber }]
+        : [];
+
+      // Exchanges don't earn commission; the original sale already did
+      sale = new Sale({
+        invoiceNumber,
+        items: newItems.map((item, index) => ({
+          ...item,
+          unitPrice: calculation.lines[index].unitPrice,
+          promotionDiscount: calculation.lines[index].promotionDiscount,
+          totalPrice: calculation.lines[index].totalPrice,
+          unitCost: getUnitCost(productsById.get(String(item.product)), item.variationCombinationId)
+        })),
+        customer: originalSale.customer,
+        customerInfo: originalSale.customerInfo,
+        subtotal: calculation.subtotal,
+        tax: calculation.tax,
+        loyaltyPointsUsed: tender.loyaltyPoints,
+        loyaltyPointsEarned,
+        total: newItemsTotal,
+        payments: [...exchangeCredit, ...tender.payments],
+        amountPaid: roundCurrency(creditApplied + tender.amountPaid),
+        changeDue: tender.changeDue,
+        cashier: req.currentUser._id,
+        cashierName: req.currentUser.fullName,
+        shift: openShift?._id,
+        exchange: exchangeId,
+        notes,
+        appliedPromotions,
+        priceVerification: {
+          status: 'verified',
+          calculated: {
+            subtotal: calculation.subtotal,
+            promotionDiscount: calculation.promotionDiscount,
+            discountAmount: calculation.discountAmount,
+            tax: calculation.tax,
+            loyaltyRedemption: calculation.loyaltyRedemption,
+            total: calculation.total
+          }
+        }
+      });
+
+      await redeemVoucherPayments(sale.payments, {
+        sale: sale._id,
+        reference: invoiceNumber,
+        user: req.currentUser,
+        session
+      });
+
+      await sale.save({ session });
+
+      if (appliedPromotions.length > 0) {
+        await Promotion.updateMany(
+          { _id: { $in: appliedPromotions.map(applied => applied.promotion) } },
+          { $inc: { timesUsed: 1 } },
+          { session }
+        );
+      }
+
+      // recordReturn has already taken the returned value and its points off the customer's record
+      if (originalSale.customer) {
+        const customerDoc = await Customer.findById(originalSale.customer).session(session);
+        if (customerDoc) {
+          customerDoc.totalPurchases += newItemsTotal;
+          customerDoc.lastPurchaseDate = new Date();
+          refreshLoyaltyTier(customerDoc, settings);
+          await customerDoc.save({ session });
+        }
+
+        await postLoyaltyTransaction({
+          customer: originalSale.customer,
+          type: 'redeem',
+          points: -tender.loyaltyPoints,
+          sale: sale._id,
+          reference: invoiceNumber,
+          user: req.currentUser,
+          settings,
+          session
+        });
+        await postLoyaltyTransaction({
+          customer: originalSale.customer,
+          type: 'earn',
+          points: loyaltyPointsEarned,
+          sale: sale._id,
+          reference: invoiceNumber,
+          tier: loyaltyTier?.name,
+          user: req.currentUser,
+          settings,
+          session
+        });
+      }
+
+      if (refundAmount > 0 && refundMethod === 'store_credit') {
+        voucher = await issueVoucher({
+          type: 'store_credit',
+          amount: refundAmount,
+          customer: originalSale.customer,
+          source: 'exchange',
+          returnDoc,
+          reference: exchangeNumber,
+          user: req.currentUser,
+          settings,
+          session
+        });
+      } else if (openShift && refundAmount > 0) {
+        // Only the balance handed back to the customer leaves the drawer
+        await Shift.updateOne(
+          { _id: openShift._id, status: 'open' },
+          {
+            $push: {
+              refunds: {
+                sale: originalSale._id,
+                invoiceNumber: originalSale.invoiceNumber,
+                return: returnDoc._id,
+                returnNumber: returnDoc.returnNumber,
+                method: refundMethod,
+                amount: refundAmount
+              }
+            }
+          },
+          { session }
+        );
+      }
+
+      [exchange] = await Exchange.create([{
+        _id: exchangeId,
+        exchangeNumber,
+        originalSale: originalSale._id,
+        originalInvoiceNumber: originalSale.invoiceNumber,
+        return: returnDoc._id,
+        returnNumber: returnDoc.returnNumber,
+        sale: sale._id,
+        invoiceNumber,
+        customer: originalSale.customer,
+        returnedTotal,
+        appliedToBalance,
+        newItemsTotal,
+        difference,
+        settlement,
+        amountCollected: settlement === 'collect' ? difference : 0,
+        refundAmount,
+        refundMethod: settlement === 'refund' ? refundMethod : undefined,
+        voucher: voucher?._id,
+        processedBy: req.currentUser._id,
+        processedByName: req.currentUser.fullName,
+        shift: openShift?._id,
+        notes
+      }], { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange processed successfully',
+      exchange,
+      return: enhanceReturnDocument(returnDoc),
+      sale,
+      voucher,
+      changeDue: tender.changeDue
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const getExchanges = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, startDate, endDate, customer, settlement } = req.query;
+
+    const query = {};
+
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    if (customer) {
+      query.customer = customer;
+    }
+
+    if (settlement) {
+      query.settlement = settlement;
+    }
+
+    const exchanges = await Exchange.find(query)
+      .populate('customer', 'name phone email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Exchange.countDocuments(query);
+
+    res.json({
+      success: true,
+      exchanges,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getExchange = async (req, res) => {
+  try {
+    const exchange = await Exchange.findById(req.params.id)
+      .populate('customer', 'name phone email')
+      .populate('return')
+      .populate('sale')
+      .populate('originalSale', 'invoiceNumber total createdAt status');
+
+    if (!exchange) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      exchange
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,221 @@
+import HeldSale from '../models/HeldSale.js';
+import { enhanceSaleItems } from './saleController.js';
+
+// Active held carts are the ones that can still be resumed or edited
+const ACTIVE_STATUSES = ['held', 'resumed'];
+
+export const holdSale = async (req, res) => {
+  try {
+    const { label, items, customer, customerInfo, discount, discountType, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Held sale must contain at least one item'
+      });
+    }
+
+    const heldSale = new HeldSale({
+      label,
+      items,
+      customer,
+      customerInfo,
+      discount,
+      discountType,
+      notes,
+      cashier: req.currentUser._id,
+      cashierName: req.currentUser.fullName
+    });
+
+    await heldSale.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Sale held successfully',
+      heldSale: enhanceSaleItems(heldSale)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getHeldSales = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, cashier, scope, status } = req.query;
+
+    const query = {
+      status: status || { $in: ACTIVE_STATUSES }
+    };
+
+    // Default to the logged-in cashier's carts; scope=all lists every till
+    if (cashier) {
+      query.cashier = cashier;
+    } else if (scope !== 'all') {
+      query.cashier = req.currentUser._id;
+    }
+
+    const heldSales = await HeldSale.find(query)
+      .populate('customer', 'name phone email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await HeldSale.countDocuments(query);
+
+    res.json({
+      success: true,
+      heldSales: heldSales.map(heldSale => enhanceSaleItems(heldSale)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getHeldSale = async (req, res) => {
+  try {
+    const heldSale = await HeldSale.findById(req.params.id)
+      .populate('customer', 'name phone email');
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      heldSale: enhanceSaleItems(heldSale)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const updateHeldSale = async (req, res) => {
+  try {
+    const { label, items, customer, customerInfo, discount, discountType, notes } = req.body;
+
+    const heldSale = await HeldSale.findOne({
+      _id: req.params.id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Held sale must contain at least one item'
+        });
+      }
+      heldSale.items = items;
+    }
+    if (label !== undefined) heldSale.label = label;
+    if (customer !== undefined) heldSale.customer = customer;
+    if (customerInfo !== undefined) heldSale.customerInfo = customerInfo;
+    if (discount !== undefined) heldSale.discount = discount;
+    if (discountType !== undefined) heldSale.discountType = discountType;
+    if (notes !== undefined) heldSale.notes = notes;
+
+    // Saving an edited cart parks it again
+    heldSale.status = 'held';
+    heldSale.resumedBy = undefined;
+    heldSale.resumedAt = undefined;
+
+    await heldSale.save();
+
+    res.json({
+      success: true,
+      message: 'Held sale updated successfully',
+      heldSale: enhanceSaleItems(heldSale)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Claim a held cart for checkout. Only one till can resume it; the cart is
+// completed by passing its id as heldSale to POST /api/sales.
+export const resumeHeldSale = async (req, res) => {
+  try {
+    const heldSale = await HeldSale.findOneAndUpdate(
+      { _id: req.params.id, status: 'held' },
+      {
+        status: 'resumed',
+        resumedBy: req.currentUser._id,
+        resumedAt: new Date()
+      },
+      { new: true }
+    ).populate('customer', 'name phone email loyaltyPoints');
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found or already resumed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Held sale resumed successfully',
+      heldSale: enhanceSaleItems(heldSale)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const cancelHeldSale = async (req, res) => {
+  try {
+    const heldSale = await HeldSale.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ACTIVE_STATUSES } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Held sale cancelled successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,248 @@
+import Notification, { NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import Sale from '../models/Sale.js';
+import Customer from '../models/Customer.js';
+import Settings from '../models/Settings.js';
+import {
+  queueNotification,
+  queueSaleReceipt,
+  queueDailyReport,
+  processOutbox
+} from '../utils/notifications.js';
+
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, channel, template, sale } = req.query;
+
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (channel) {
+      query.channel = channel;
+    }
+
+    if (template) {
+      query.template = template;
+    }
+
+    if (sale) {
+      query.sale = sale;
+    }
+
+    const notifications = await Notification.find(query)
+      .select('-body')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Notification.countDocuments(query);
+
+    const statusCounts = await Notification.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      summary: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id)
+      .populate('sale', 'invoiceNumber total createdAt')
+      .populate('customer', 'name phone email');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Give a failed message a fresh set of attempts
+export const retryNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      const existing = await Notification.findById(req.params.id);
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? `Only failed notifications can be retried. This one is ${existing.status}` : 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification queued for retry',
+      notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Deliver due messages now instead of waiting for the scheduled run
+export const processNotifications = async (req, res) => {
+  try {
+    const result = await processOutbox();
+
+    res.json({
+      success: true,
+      message: `${result.sent} sent, ${result.retrying} to retry, ${result.failed} failed`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Send a test message through the configured transport for a channel
+export const sendTestNotification = async (req, res) => {
+  try {
+    const { channel, to } = req.body;
+
+    if (!NOTIFICATION_CHANNELS.includes(channel) || !to) {
+      return res.status(400).json({
+        success: false,
+        message: `channel (${NOTIFICATION_CHANNELS.join(', ')}) and to are required`
+      });
+    }
+
+    const settings = await Settings.findOne({});
+    const queued = await queueNotification({ channel, to, template: 'test', user: req.currentUser, settings });
+    await processOutbox();
+
+    res.json({
+      success: true,
+      notification: await Notification.findById(queued._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Send or resend a sale's receipt, optionally to an address the customer gives at the till
+export const sendSaleReceipt = async (req, res) => {
+  try {
+    const { sale: saleId, channel = 'email', to } = req.body;
+
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      });
+    }
+
+    const sale = await Sale.findById(saleId);
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    const settings = await Settings.findOne({});
+    const customer = sale.customer ? await Customer.findById(sale.customer) : null;
+    const [notification] = await queueSaleReceipt(sale, {
+      settings,
+      channels: [channel],
+      to,
+      customer,
+      user: req.currentUser
+    });
+
+    if (!notification) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${channel === 'email' ? 'email address' : 'phone number'} for this sale; send one in "to"`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Receipt queued',
+      notification
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Queue the daily report now, for today or a given day, whether or not daily reports are on
+export const sendDailyReport = async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const notifications = await queueDailyReport({ date, force: true });
+
+    if (notifications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No alert recipients set in notification settings'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Daily report queued for ${notifications.length} recipient(s)`,
+      notifications
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,15 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
 import ProductVariation from '../models/ProductVariation.js';
 import QRCode from 'qrcode';
 import { deleteFromCloudinary, getPublicIdFromUrl } from '../config/cloudinary.js';
 import { syncProductToWooCommerce, deleteProductFromWooCommerce } from '../utils/woocommerce-sync.js';
+import CostHistory from '../models/CostHistory.js';
+import { recordManualCostChanges } from '../utils/costing.js';
+import { recordManualStockChanges, recordStockMovement } from '../utils/stockOperations.js';
+import { createStockAdjustment } from '../utils/stockAdjustments.js';
+import { findProductByBarcode } from '../utils/barcodeLookup.js';
 
 // Helper function to parse JSON fields from multipart form data
 const parseJSONFields = (data, fields) => {
@@ -148,6 +154,8 @@ export const createProduct = async (req, res) => {
       await product.save();
     }
 
+    await recordManualStockChanges(null, product, req.currentUser);
+
     // Update category product count
     const category = await Category.findOne({ name: product.category });
     if (category) {
@@ -271,6 +279,9 @@ export const updateProduct = async (req, res) => {
 
     // Process variations if they exist in the request body
     let updateData = { ...req.body };
+
+    // Damaged stock only moves through returns and write-offs
+    delete updateData.damagedStock;
     
     // Only process variations if they are explicitly provided in the request
     if (updateData.hasOwnProperty('variations')) {
@@ -344,6 +355,9 @@ export const updateProduct = async (req, res) => {
             continue;
           }
           
+          const existingCombination = combination._id ? oldProduct.variationCombinations.id(combination._id) : null;
+          combination.damagedStock = existingCombination?.damagedStock || 0;
+
           // Generate combination name from variations
           if (combination.variations && combination.variations.length > 0) {
             combination.combinationName = combination.variations
@@ -361,6 +375,9 @@ export const updateProduct = async (req, res) => {
       updateData,
       { new: true, runValidators: true }
     );
+
+    await recordManualCostChanges(oldProduct, product, req.currentUser?._id);
+    await recordManualStockChanges(oldProduct, product, req.currentUser);
     
     // Update QR code if name, SKU, or price changed
     if (req.body.name || req.body.sku || req.body.sellingPrice) {
@@ -558,29 +575,9 @@ export const getProductByBarcode = async (req, res) => {
   try {
     const { barcode } = req.params;
     
-    // First try to find the product by main barcode
-    let product = await Product.findOne({
-      barcodeId: barcode,
-      isActive: true
-    });
+    const found = await findProductByBarcode(barcode);
     
-    let selectedCombination = null;
-    
-    // If not found, try to find by variation combination barcode
-    if (!product) {
-      product = await Product.findOne({
-        'variationCombinations.barcodeId': barcode,
-        'variationCombinations.isActive': true
-      });
-      
-      if (product) {
-        selectedCombination = product.variationCombinations.find(
-          combo => combo.barcodeId === barcode && combo.isActive
-        );
-      }
-    }
-    
-    if (!product) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -590,8 +587,8 @@ export const getProductByBarcode = async (req, res) => {
     res.json({
       success: true,
       product: {
-        ...product.toObject(),
-        selectedCombination
+        ...found.product.toObject(),
+        selectedCombination: found.combination
       }
     });
   } catch (error) {
@@ -620,29 +617,52 @@ export const getCategories = async (req, res) => {
   }
 };
 
+// Older clients deduct stock here with { products: [{ id, variationCombinationId, quantity }] }.
+// Each call is recorded as a stock adjustment (count correction unless a reason
+// is given), posted at once for admins and left for approval otherwise.
 export const updateStock = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const { products } = req.body;
-    
-    const updatePromises = products.map(({ id, quantity }) => {
-      return Product.findByIdAndUpdate(
-        id,
-        { $inc: { stock: -quantity } },
-        { new: true }
-      );
+    const { products, reason = 'count_correction', notes } = req.body;
+
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Products to update are required'
+      });
+    }
+
+    const approve = req.currentUser.role === 'admin';
+    let adjustment;
+    await session.withTransaction(async () => {
+      adjustment = await createStockAdjustment({
+        items: products.map(({ id, variationCombinationId, quantity }) => ({
+          product: id,
+          variationCombinationId,
+          quantity: -quantity
+        })),
+        reason,
+        notes,
+        user: req.currentUser,
+        approve,
+        session
+      });
     });
     
-    await Promise.all(updatePromises);
-    
-    res.json({
+    // 202 tells older clients nothing has been deducted yet
+    res.status(approve ? 200 : 202).json({
       success: true,
-      message: 'Stock updated successfully'
+      message: approve ? 'Stock updated successfully' : `Stock adjustment ${adjustment.adjustmentNumber} is waiting for approval`,
+      adjustment
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -872,6 +892,8 @@ export const updateVariationCombination = async (req, res) => {
     }
     
     const combination = product.variationCombinations[combinationIndex];
+    const previousCost = combination.purchasePrice;
+    const previousStock = combination.stock;
     
     // Update combination fields
     if (purchasePrice !== undefined) combination.purchasePrice = purchasePrice;
@@ -893,6 +915,27 @@ export const updateVariationCombination = async (req, res) => {
     }
     
     await product.save();
+
+    if (purchasePrice !== undefined && combination.purchasePrice !== previousCost) {
+      await CostHistory.create({
+        product: product._id,
+        variationCombinationId: String(combination._id),
+        source: 'manual',
+        previousCost,
+        newCost: combination.purchasePrice,
+        user: req.currentUser?._id
+      });
+    }
+
+    if (combination.stock !== previousStock) {
+      await recordStockMovement({
+        productId: product._id,
+        variationCombinationId: combination._id,
+        quantity: combination.stock - previousStock,
+        balanceAfter: combination.stock,
+        movement: { type: 'manual_edit', sourceModel: 'Product', sourceId: product._id, reference: combination.sku, user: req.currentUser }
+      });
+    }
     
     res.json({
       success: true,
@@ -923,4 +966,57 @@ export const getActiveVariations = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Unit cost changes for a product and its variation combinations, newest first
+export const getCostHistory = async (req, res) => {
+  try {
+    const { variationCombinationId, page = 1, limit = 50 } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name sku purchasePrice variationCombinations');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const query = { product: product._id };
+    if (variationCombinationId) {
+      query.variationCombinationId = variationCombinationId;
+    }
+
+    const [history, total] = await Promise.all([
+      CostHistory.find(query)
+        .populate('goodsReceipt', 'receiptNumber')
+        .populate('user', 'username fullName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CostHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        purchasePrice: product.purchasePrice,
+        variationCombinations: product.variationCombinations.map(({ _id, combinationName, sku, purchasePrice }) => ({ _id, combinationName, sku, purchasePrice }))
+      },
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,214 @@
+import Promotion, { PROMOTION_TYPES } from '../models/Promotion.js';
+import Settings from '../models/Settings.js';
+import { calculateSaleTotals } from '../utils/saleCalculator.js';
+import { findRunningPromotions, isPromotionRunning } from '../utils/promotionEngine.js';
+import { loadCartProducts } from './saleController.js';
+
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'value',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'bundleQuantity',
+  'bundlePrice',
+  'appliesTo',
+  'startDate',
+  'endDate',
+  'schedule',
+  'priority',
+  'stackable',
+  'isActive'
+];
+
+const pickPromotionFields = (body) => {
+  const fields = {};
+  for (const field of PROMOTION_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+export const getPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, isActive, search } = req.query;
+
+    const query = {};
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const promotions = await Promotion.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ priority: -1, createdAt: -1 });
+
+    const total = await Promotion.countDocuments(query);
+
+    res.json({
+      success: true,
+      promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('appliesTo.products', 'name sku category');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      promotion,
+      running: isPromotionRunning(promotion)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const createPromotion = async (req, res) => {
+  try {
+    if (!PROMOTION_TYPES.includes(req.body.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`
+      });
+    }
+
+    const promotion = new Promotion({
+      ...pickPromotionFields(req.body),
+      createdBy: req.currentUser._id
+    });
+
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Saved through the document so the type-specific checks in the model run
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Promotions already used on sales are kept for reporting; deactivate them instead
+export const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    if (promotion.timesUsed > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete promotion. It has been used on ${promotion.timesUsed} sales; deactivate it instead.`
+      });
+    }
+
+    await Promotion.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Price a cart with the promotions running now so the till can show what applies
+export const evaluatePromotions = async (req, res) => {
+  try {
+    const { items = [] } = req.body;
+
+    const settings = await Settings.findOne({});
+    const { productsById } = await loadCartProducts(items);
+    const promotions = await findRunningPromotions();
+    const calculation = calculateSaleTotals({ items, productsById, promotions, settings });
+
+    res.json({
+      success: true,
+      promotions: calculation.promotions,
+      promotionDiscount: calculation.promotionDiscount,
+      calculation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,58 +1,108 @@
+import mongoose from 'mongoose';
 import PurchaseOrder from '../models/PurchaseOrder.js';
+import GoodsReceipt from '../models/GoodsReceipt.js';
 import Product from '../models/Product.js';
 import Supplier from '../models/Supplier.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { allocateLandedCosts, applyReceiptCost } from '../utils/costing.js';
+import { postSupplierTransaction } from '../utils/supplierLedger.js';
+import { recordCatalogueLines, estimateDeliveryDate, daysBetween } from '../utils/supplierCatalogue.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+import { getNextPurchaseOrderNumber, getNextGoodsReceiptNumber } from '../utils/invoiceNumberGenerator.js';
 
-// Helper to update stock
-async function updateStock(products, increment = true) {
+// Lines can be changed until goods start arriving
+const EDITABLE_STATUSES = ['draft', 'ordered'];
+// Waiting for (more) goods
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+
+// Check every line points at an existing product (and combination) with a whole quantity
+async function validateLines(products) {
   for (const item of products) {
-    if (item.variation) {
-      // Update stock for the correct variationCombination subdocument
-      await Product.updateOne(
-        { _id: item.product, "variationCombinations._id": item.variation },
-        { $inc: { "variationCombinations.$.stock": increment ? item.quantity : -item.quantity } }
-      );
-    } else {
-      // Update Product stock
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: increment ? item.quantity : -item.quantity } },
-        { new: true }
-      );
+    if (!item.product || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+      throw new Error('Each product line needs a product and a whole quantity of at least 1.');
+    }
+    const product = await Product.findById(item.product).select('name variationCombinations');
+    if (!product) {
+      throw new Error(`Product ${item.product} not found.`);
+    }
+    if (item.variation && !product.variationCombinations.id(item.variation)) {
+      throw new Error(`Variation combination ${item.variation} not found for product ${product.name}.`);
+    }
+  }
+}
+
+// Once an order is placed: default its delivery date from lead times and add its prices to the supplier's catalogue.
+// Runs in the same transaction as the status change so an order is never left placed without them.
+async function recordOrderPlaced(po, session) {
+  if (!po.expectedDeliveryDate) {
+    const estimate = await estimateDeliveryDate({ supplier: po.supplier, lines: po.products, orderedAt: po.orderedAt });
+    if (estimate) {
+      po.expectedDeliveryDate = estimate;
+      await po.save({ session });
     }
   }
+  await recordCatalogueLines({
+    supplier: po.supplier,
+    lines: po.products,
+    purchaseOrder: po._id,
+    purchasedAt: po.orderedAt,
+    session
+  });
 }
 
 // CREATE
+// New orders start as drafts (or go straight to ordered); stock only changes when goods are received
 const createPurchaseOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const { supplier, date, products, notes } = req.body;
+    const { supplier, date, expectedDeliveryDate, products, notes, status = 'draft' } = req.body;
     if (!supplier || !date || !products || !Array.isArray(products) || products.length === 0) {
       return res.status(400).json({ message: 'Supplier, date, and products are required.' });
     }
-    // Update stock
-    await updateStock(products, true);
+    if (!EDITABLE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'New purchase orders must be draft or ordered.' });
+    }
+    await validateLines(products);
     // Create PO
-    const po = new PurchaseOrder({
-      supplier,
-      date,
-      products,
-      notes,
-      createdBy: req.user ? req.user._id : undefined
+    let po;
+    await session.withTransaction(async () => {
+      po = new PurchaseOrder({
+        orderNumber: await getNextPurchaseOrderNumber('PO', 3, session),
+        supplier,
+        date,
+        expectedDeliveryDate,
+        products: products.map(({ product, variation, quantity, unitCost }) => ({ product, variation, quantity, unitCost })),
+        notes,
+        status,
+        orderedAt: status === 'ordered' ? new Date() : undefined,
+        createdBy: req.currentUser ? req.currentUser._id : undefined
+      });
+      await po.save({ session });
+      if (po.status === 'ordered') {
+        await recordOrderPlaced(po, session);
+      }
     });
-    await po.save();
     res.status(201).json(po);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(400).json({ message: err.message });
+  } finally {
+    await session.endSession();
   }
 };
 
 // READ ALL
 const getAllPurchaseOrders = async (req, res) => {
   try {
-    const pos = await PurchaseOrder.find()
+    const { status, supplier } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
+    const pos = await PurchaseOrder.find(query)
       .populate('supplier')
       .populate('products.product')
-      .populate('createdBy');
+      .populate('createdBy')
+      .sort({ date: -1, createdAt: -1 });
     res.json(pos);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -74,34 +124,49 @@ const getPurchaseOrderById = async (req, res) => {
 };
 
 // UPDATE
+// Lines can only change before anything is received; status changes have their own actions
 const updatePurchaseOrder = async (req, res) => {
   try {
-    const { supplier, date, products, notes } = req.body;
+    const { supplier, date, expectedDeliveryDate, products, notes, status } = req.body;
     const po = await PurchaseOrder.findById(req.params.id);
     if (!po) return res.status(404).json({ message: 'Purchase order not found.' });
-    // Revert previous stock
-    await updateStock(po.products, false);
-    // Update new stock
-    await updateStock(products, true);
+    if (status !== undefined && status !== po.status) {
+      return res.status(400).json({ message: 'Use the order, receive and cancel actions to change the status.' });
+    }
+    const editable = EDITABLE_STATUSES.includes(po.status);
+    if (!editable && (products || supplier)) {
+      return res.status(400).json({ message: `Products and supplier can't be changed on a ${po.status.replace('_', ' ')} purchase order.` });
+    }
+    if (products) {
+      if (!Array.isArray(products) || products.length === 0) {
+        return res.status(400).json({ message: 'Products are required.' });
+      }
+      await validateLines(products);
+    }
     // Update PO fields
     po.supplier = supplier || po.supplier;
     po.date = date || po.date;
-    po.products = products || po.products;
+    po.expectedDeliveryDate = expectedDeliveryDate || po.expectedDeliveryDate;
+    po.products = products
+      ? products.map(({ product, variation, quantity, unitCost }) => ({ product, variation, quantity, unitCost }))
+      : po.products;
     po.notes = notes || po.notes;
     await po.save();
     res.json(po);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(400).json({ message: err.message });
   }
 };
 
 // DELETE
+// Only orders nothing has been received against; cancel the others
 const deletePurchaseOrder = async (req, res) => {
   try {
     const po = await PurchaseOrder.findById(req.params.id);
     if (!po) return res.status(404).json({ message: 'Purchase order not found.' });
-    // Revert stock
-    await updateStock(po.products, false);
+    if (!EDITABLE_STATUSES.includes(po.status)) {
+      return res.status(400).json({ message: `A ${po.status.replace('_', ' ')} purchase order can't be deleted.` });
+    }
     await po.deleteOne();
     res.json({ message: 'Purchase order deleted.' });
   } catch (err) {
@@ -109,10 +174,261 @@ const deletePurchaseOrder = async (req, res) => {
   }
 };
 
+// ORDER: the draft has been sent to the supplier
+const markPurchaseOrderOrdered = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let po;
+    await session.withTransaction(async () => {
+      po = await PurchaseOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'draft' },
+        {
+          $set: {
+            status: 'ordered',
+            orderedAt: new Date(),
+            ...(req.body.expectedDeliveryDate && { expectedDeliveryDate: req.body.expectedDeliveryDate })
+          }
+        },
+        { new: true, session }
+      );
+      if (po) {
+        await recordOrderPlaced(po, session);
+      }
+    });
+    if (!po) {
+      const existing = await PurchaseOrder.findById(req.params.id);
+      if (!existing) return res.status(404).json({ message: 'Purchase order not found.' });
+      return res.status(400).json({ message: `Only draft purchase orders can be ordered. This one is ${existing.status.replace('_', ' ')}.` });
+    }
+    res.json(po);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// CANCEL: nothing more is expected; stock already received stays
+const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const po = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['draft', ...RECEIVABLE_STATUSES] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!po) {
+      const existing = await PurchaseOrder.findById(req.params.id);
+      if (!existing) return res.status(404).json({ message: 'Purchase order not found.' });
+      return res.status(400).json({ message: `A ${existing.status.replace('_', ' ')} purchase order can't be cancelled.` });
+    }
+    res.json(po);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// RECEIVE: record a delivery against the order, add it to stock and update the weighted-average cost.
+// lines: [{ line, quantity, unitCost }], where line is the order line id.
+// charges: [{ type, description, amount }], spread over the lines by allocationMethod (value or quantity).
+const receivePurchaseOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { lines, supplierReference, notes, receivedAt, charges = [], allocationMethod = 'value' } = req.body;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ message: 'Lines to receive are required.' });
+    }
+    if (!Array.isArray(charges) || charges.some(charge => !(Number(charge.amount) >= 0))) {
+      return res.status(400).json({ message: 'Each charge needs an amount of zero or more.' });
+    }
+    if (!['value', 'quantity'].includes(allocationMethod)) {
+      return res.status(400).json({ message: 'allocationMethod must be value or quantity.' });
+    }
+    const chargesTotal = charges.reduce((sum, charge) => sum + Number(charge.amount), 0);
+
+    const quantitiesByLine = new Map();
+    for (const entry of lines) {
+      const quantity = Number(entry.quantity);
+      if (!entry.line || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ message: 'Each received line needs a line id and a whole quantity of at least 1.' });
+      }
+      const hasUnitCost = entry.unitCost !== undefined && entry.unitCost !== null;
+      if (hasUnitCost && !(Number(entry.unitCost) >= 0)) {
+        return res.status(400).json({ message: 'Unit cost must be zero or more.' });
+      }
+      const current = quantitiesByLine.get(String(entry.line)) || { quantity: 0 };
+      quantitiesByLine.set(String(entry.line), {
+        quantity: current.quantity + quantity,
+        unitCost: hasUnitCost ? Number(entry.unitCost) : current.unitCost
+      });
+    }
+
+    let po;
+    let receipt;
+    await session.withTransaction(async () => {
+      po = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!po) {
+        throw new Error('Purchase order not found.');
+      }
+      if (!RECEIVABLE_STATUSES.includes(po.status)) {
+        throw new Error(po.status === 'draft'
+          ? 'Mark the purchase order as ordered before receiving goods.'
+          : `Goods can't be received on a ${po.status.replace('_', ' ')} purchase order.`);
+      }
+
+      const receiptLines = [];
+      for (const [lineId, { quantity, unitCost }] of quantitiesByLine) {
+        const line = po.products.id(lineId);
+        if (!line) {
+          throw new Error(`Line ${lineId} is not on this purchase order.`);
+        }
+        const outstanding = line.quantity - line.receivedQuantity;
+        if (quantity > outstanding) {
+          throw new Error(`Only ${outstanding} more can be received on line ${lineId}.`);
+        }
+        receiptLines.push({
+          line: line._id,
+          product: line.product,
+          variation: line.variation,
+          quantity,
+          unitCost: unitCost ?? line.unitCost
+        });
+      }
+
+      const landedCosts = allocateLandedCosts(receiptLines, chargesTotal, allocationMethod);
+      if (chargesTotal > 0 && landedCosts.every(share => share === null)) {
+        throw new Error('Charges can only be added when the received lines have a unit cost.');
+      }
+
+      const receiptId = new mongoose.Types.ObjectId();
+      const receiptNumber = await getNextGoodsReceiptNumber('GRN', 3, session);
+      for (const [index, receiptLine] of receiptLines.entries()) {
+        const line = po.products.id(receiptLine.line);
+        const { quantity } = receiptLine;
+        receiptLine.landedCost = landedCosts[index] ?? 0;
+
+        // Lines without a cost leave the product's cost as it is
+        if (receiptLine.unitCost !== undefined && receiptLine.unitCost !== null) {
+          await applyReceiptCost({
+            productId: line.product,
+            variationCombinationId: line.variation,
+            quantity,
+            unitCost: receiptLine.unitCost,
+            landedCost: receiptLine.landedCost,
+            goodsReceipt: receiptId,
+            purchaseOrder: po._id,
+            user: req.currentUser?._id,
+            session
+          });
+        }
+
+        const applied = await applyStockChange({
+          productId: line.product,
+          variationCombinationId: line.variation,
+          delta: quantity,
+          session,
+          enforceAvailability: false,
+          movement: {
+            type: 'goods_receipt',
+            sourceModel: 'GoodsReceipt',
+            sourceId: receiptId,
+            reference: receiptNumber,
+            user: req.currentUser
+          }
+        });
+        if (!applied) {
+          throw new Error(`Product for line ${line._id} no longer exists.`);
+        }
+
+        line.receivedQuantity += quantity;
+      }
+
+      const fullyReceived = po.products.every(line => line.receivedQuantity >= line.quantity);
+      po.status = fullyReceived ? 'received' : 'partially_received';
+      if (fullyReceived) {
+        po.receivedAt = new Date();
+      }
+      await po.save({ session });
+
+      // The supplier is owed the goods at their unit cost, due after their payment terms
+      const value = roundCurrency(receiptLines.reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0));
+      const receiptDate = receivedAt ? new Date(receivedAt) : new Date();
+      const supplier = await Supplier.findById(po.supplier).select('paymentTermsDays').session(session);
+      const dueDate = new Date(receiptDate.getTime() + (supplier?.paymentTermsDays || 0) * 24 * 60 * 60 * 1000);
+
+      [receipt] = await GoodsReceipt.create([{
+        _id: receiptId,
+        receiptNumber,
+        purchaseOrder: po._id,
+        supplier: po.supplier,
+        receivedAt: receiptDate,
+        dueDate,
+        lines: receiptLines,
+        charges,
+        allocationMethod,
+        value,
+        balanceDue: value,
+        paymentStatus: value > 0 ? 'unpaid' : 'paid',
+        supplierReference,
+        notes,
+        receivedBy: req.currentUser?._id,
+        receivedByName: req.currentUser?.fullName
+      }], { session });
+
+      if (value > 0) {
+        await postSupplierTransaction({
+          supplier: po.supplier,
+          type: 'purchase',
+          amount: value,
+          goodsReceipt: receipt._id,
+          purchaseOrder: po._id,
+          reference: supplierReference || receipt.receiptNumber,
+          user: req.currentUser,
+          session
+        });
+      }
+
+      await recordCatalogueLines({
+        supplier: po.supplier,
+        lines: receiptLines.map(line => ({ product: line.product, variation: line.variation, unitCost: line.unitCost })),
+        purchaseOrder: po._id,
+        purchasedAt: po.orderedAt || po.date,
+        leadTimeDays: po.orderedAt ? daysBetween(po.orderedAt, receiptDate) : undefined,
+        session
+      });
+    });
+
+    res.status(201).json({ purchaseOrder: po, receipt });
+  } catch (err) {
+    res.status(err.message === 'Purchase order not found.' ? 404 : 400).json({ message: err.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// RECEIPTS: deliveries recorded against an order, oldest first
+const getPurchaseOrderReceipts = async (req, res) => {
+  try {
+    const po = await PurchaseOrder.findById(req.params.id).select('_id');
+    if (!po) return res.status(404).json({ message: 'Purchase order not found.' });
+    const receipts = await GoodsReceipt.find({ purchaseOrder: po._id })
+      .populate('lines.product', 'name sku')
+      .sort({ receivedAt: 1 });
+    res.json(receipts);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
 export {
   createPurchaseOrder,
   getAllPurchaseOrders,
   getPurchaseOrderById,
   updatePurchaseOrder,
-  deletePurchaseOrder
-}; 
\ No newline at end of file
+  deletePurchaseOrder,
+  markPurchaseOrderOrdered,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getPurchaseOrderReceipts
+};
@@ -0,0 +1,147 @@
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import { buildReorderSuggestions } from '../utils/reorder.js';
+import { getNextPurchaseOrderNumber } from '../utils/invoiceNumberGenerator.js';
+
+const REORDER_OPTIONS_ERROR = 'days and coverDays must be positive whole numbers';
+
+// Sales window and days of cover from a query or body; null when invalid
+const parseReorderOptions = (source) => {
+  const days = Number(source.days ?? 30);
+  const coverDays = Number(source.coverDays ?? 30);
+
+  if (!(Number.isInteger(days) && days > 0) || !(Number.isInteger(coverDays) && coverDays > 0)) {
+    return null;
+  }
+
+  return { days, coverDays, supplier: source.supplier, category: source.category };
+};
+
+// Items at or below minimum stock with suggested order quantities, grouped by supplier
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const options = parseReorderOptions(req.query);
+    if (!options) {
+      return res.status(400).json({
+        success: false,
+        message: REORDER_OPTIONS_ERROR
+      });
+    }
+
+    const suggestions = await buildReorderSuggestions(options);
+
+    res.json({
+      success: true,
+      ...suggestions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create one draft purchase order per supplier. Uses the items sent (e.g.
+ * suggestions the buyer has edited) or, without items, the current
+ * suggestions. Items with no supplier are skipped and returned.
+ */
+export const createReorderDrafts = async (req, res) => {
+  try {
+    let items = req.body.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      const options = parseReorderOptions(req.body);
+      if (!options) {
+        return res.status(400).json({
+          success: false,
+          message: REORDER_OPTIONS_ERROR
+        });
+      }
+      const { groups } = await buildReorderSuggestions(options);
+      items = groups.flatMap(group => group.items);
+    }
+
+    const bySupplier = new Map();
+    const skipped = [];
+
+    for (const item of items) {
+      const quantity = Number(item.suggestedQuantity ?? item.quantity);
+      if (!item.product || !(Number.isInteger(quantity) && quantity > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a product and a whole, positive quantity'
+        });
+      }
+      if (!item.supplier) {
+        skipped.push(item);
+        continue;
+      }
+
+      const supplierId = (item.supplier._id || item.supplier).toString();
+      if (!bySupplier.has(supplierId)) {
+        bySupplier.set(supplierId, []);
+      }
+      bySupplier.get(supplierId).push({
+        product: item.product,
+        variation: item.variationCombinationId || item.variation,
+        quantity,
+        unitCost: item.unitCost
+      });
+    }
+
+    const suppliers = await Supplier.find({ _id: { $in: [...bySupplier.keys()] } }).select('_id');
+    const missing = [...bySupplier.keys()].filter(id => !suppliers.some(supplier => supplier._id.toString() === id));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Supplier not found: ${missing.join(', ')}`
+      });
+    }
+
+    // Add to a supplier's open draft rather than raising a second one
+    const purchaseOrders = [];
+    let created = 0;
+    for (const [supplier, products] of bySupplier) {
+      const draft = await PurchaseOrder.findOne({ supplier, status: 'draft' }).sort({ createdAt: -1 });
+      if (draft) {
+        for (const line of products) {
+          const existing = draft.products.find(product =>
+            product.product.toString() === line.product.toString() &&
+            String(product.variation || '') === String(line.variation || ''));
+          if (existing) {
+            existing.quantity += line.quantity;
+          } else {
+            draft.products.push(line);
+          }
+        }
+        purchaseOrders.push(await draft.save());
+        continue;
+      }
+
+      purchaseOrders.push(await PurchaseOrder.create({
+        orderNumber: await getNextPurchaseOrderNumber(),
+        supplier,
+        date: new Date(),
+        products,
+        status: 'draft',
+        notes: 'Generated from reorder suggestions',
+        createdBy: req.currentUser?._id
+      }));
+      created += 1;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created} draft purchase order(s) created, ${purchaseOrders.length - created} updated`,
+      purchaseOrders,
+      skipped
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -2,7 +2,14 @@ import Sale from '../models/Sale.js';
 import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
 import Expense from '../models/Expense.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import WooCommerceOrder from '../models/WooCommerceOrder.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import GoodsReceipt from '../models/GoodsReceipt.js';
+import Supplier from '../models/Supplier.js';
 import { enhanceSaleItemsWithVariationDetails } from './saleController.js';
+import { getTenderBreakdown } from '../utils/tender.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
 
@@ -15,6 +22,33 @@ const formatVariationDisplayInAggregation = (productName, variations) => {
   return productName;
 };
 
+// Variation products are stocked per combination, so they are low when any active
+// combination is at or below its minStock; other products use their own stock
+const activeCombinations = {
+  $filter: {
+    input: { $ifNull: ['$variationCombinations', []] },
+    as: 'combination',
+    cond: { $ne: ['$$combination.isActive', false] }
+  }
+};
+const isLowStockExpression = {
+  $cond: [
+    { $and: ['$hasVariations', { $gt: [{ $size: activeCombinations }, 0] }] },
+    {
+      $gt: [{
+        $size: {
+          $filter: {
+            input: activeCombinations,
+            as: 'combination',
+            cond: { $lte: ['$$combination.stock', '$$combination.minStock'] }
+          }
+        }
+      }, 0]
+    },
+    { $lte: ['$stock', '$minStock'] }
+  ]
+};
+
 // Helper function to enhance sale items with formatted display names
 const enhanceSaleItems = (sale) => {
   return {
@@ -85,10 +119,13 @@ export const getSalesReport = async (req, res) => {
       }
     ]);
     
+    const tenderBreakdown = await getTenderBreakdown(matchQuery);
+    
     res.json({
       success: true,
       salesData,
-      summary: summary[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0 }
+      summary: summary[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0 },
+      tenderBreakdown
     });
   } catch (error) {
     res.status(500).json({
@@ -109,7 +146,7 @@ export const getInventoryReport = async (req, res) => {
     }
     
     if (lowStock === 'true') {
-      query.$expr = { $lte: ['$stock', '$minStock'] };
+      query.$expr = isLowStockExpression;
     }
     
     const products = await Product.find(query).sort({ stock: 1 });
@@ -123,7 +160,7 @@ export const getInventoryReport = async (req, res) => {
           totalValue: { $sum: { $multiply: ['$stock', '$purchasePrice'] } },
           lowStockItems: {
             $sum: {
-              $cond: [{ $lte: ['$stock', '$minStock'] }, 1, 0]
+              $cond: [isLowStockExpression, 1, 0]
             }
           },
           outOfStockItems: {
@@ -317,22 +354,10 @@ export const getDashboardStats = async (req, res) => {
       }
     ]);
     
-    // Today's payment methods breakdown
-    const todayPayments = await Sale.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: startOfDay, $lt: endOfDay }
-        }
-      },
-      { $unwind: '$payments' },
-      {
-        $group: {
-          _id: '$payments.method',
-          totalAmount: { $sum: '$payments.amount' },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    // Today's payment methods breakdown (cash is net of change given)
+    const todayPayments = (await getTenderBreakdown({
+      createdAt: { $gte: startOfDay, $lt: endOfDay }
+    })).map(({ method, ...rest }) => ({ _id: method, ...rest }));
     
     // Today's expenses
     const todayExpenses = await Expense.aggregate([
@@ -673,4 +698,644 @@ export const getStaffCommissionsReport = async (req, res) => {
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
-};
\ No newline at end of file
+};
+
+export const getReceivablesAgingReport = async (req, res) => {
+  try {
+    const { customer, asOf } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const match = { balanceDue: { $gt: 0 }, createdAt: { $lte: asOfDate } };
+    if (customer) {
+      match.customer = new mongoose.Types.ObjectId(customer);
+    }
+
+    // Age each open invoice in whole days from the invoice date
+    const ageDays = { $floor: { $divide: [{ $subtract: [asOfDate, '$createdAt'] }, dayMs] } };
+    const bucket = (min, max) => ({
+      $sum: {
+        $cond: [
+          {
+            $and: [
+              { $gte: ['$ageDays', min] },
+              max === null ? true : { $lte: ['$ageDays', max] }
+            ]
+          },
+          '$balanceDue',
+          0
+        ]
+      }
+    });
+
+    const rows = await Sale.aggregate([
+      { $match: match },
+      { $addFields: { ageDays } },
+      {
+        $group: {
+          _id: '$customer',
+          days0to30: bucket(0, 30),
+          days31to60: bucket(31, 60),
+          days61to90: bucket(61, 90),
+          days90plus: bucket(91, null),
+          totalOutstanding: { $sum: '$balanceDue' },
+          openInvoices: { $sum: 1 },
+          oldestInvoiceDate: { $min: '$createdAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'customers',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'customer'
+        }
+      },
+      { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          customerId: '$_id',
+          name: '$customer.name',
+          phone: '$customer.phone',
+          creditLimit: '$customer.creditLimit',
+          days0to30: 1,
+          days31to60: 1,
+          days61to90: 1,
+          days90plus: 1,
+          totalOutstanding: 1,
+          openInvoices: 1,
+          oldestInvoiceDate: 1
+        }
+      },
+      { $sort: { totalOutstanding: -1 } }
+    ]);
+
+    const totals = rows.reduce((sum, row) => ({
+      days0to30: sum.days0to30 + row.days0to30,
+      days31to60: sum.days31to60 + row.days31to60,
+      days61to90: sum.days61to90 + row.days61to90,
+      days90plus: sum.days90plus + row.days90plus,
+      totalOutstanding: sum.totalOutstanding + row.totalOutstanding
+    }), { days0to30: 0, days31to60: 0, days61to90: 0, days90plus: 0, totalOutstanding: 0 });
+
+    res.json({
+      success: true,
+      asOf: asOfDate,
+      customers: rows,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Web shop orders in these states never took the coupon
+const EXCLUDED_WOOCOMMERCE_STATUSES = ['cancelled', 'failed', 'refunded', 'trash'];
+
+// Coupon use at the till and in the web shop, side by side per code
+export const getCouponUsageReport = async (req, res) => {
+  try {
+    const { startDate, endDate, code } = req.query;
+
+    const posMatch = {};
+    const webMatch = { status: { $nin: EXCLUDED_WOOCOMMERCE_STATUSES } };
+    if (startDate && endDate) {
+      posMatch.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+      webMatch.date_created = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+    const codeFilter = code ? String(code).trim().toUpperCase() : null;
+    if (codeFilter) {
+      posMatch.code = codeFilter;
+    }
+
+    const posRows = await CouponRedemption.aggregate([
+      { $match: posMatch },
+      {
+        $group: {
+          _id: '$code',
+          uses: { $sum: 1 },
+          discount: { $sum: '$discountAmount' },
+          customers: { $addToSet: '$customer' },
+          lastUsed: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    // WooCommerce codes are case-insensitive, so group them upper-cased like POS codes
+    const webRows = await WooCommerceOrder.aggregate([
+      { $match: webMatch },
+      { $unwind: '$coupon_lines' },
+      { $addFields: { couponCode: { $toUpper: '$coupon_lines.code' } } },
+      ...(codeFilter ? [{ $match: { couponCode: codeFilter } }] : []),
+      {
+        $group: {
+          _id: '$couponCode',
+          uses: { $sum: 1 },
+          discount: { $sum: { $ifNull: ['$coupon_lines.discount', 0] } },
+          lastUsed: { $max: '$date_created' }
+        }
+      }
+    ]);
+
+    const byCode = new Map();
+    const rowFor = (couponCode) => {
+      if (!byCode.has(couponCode)) {
+        byCode.set(couponCode, {
+          code: couponCode,
+          pos: { uses: 0, discount: 0, customers: 0 },
+          web: { uses: 0, discount: 0 },
+          totalUses: 0,
+          totalDiscount: 0,
+          lastUsed: null
+        });
+      }
+      return byCode.get(couponCode);
+    };
+
+    for (const posRow of posRows) {
+      const row = rowFor(posRow._id);
+      row.pos = {
+        uses: posRow.uses,
+        discount: posRow.discount,
+        customers: posRow.customers.filter(Boolean).length
+      };
+      row.lastUsed = posRow.lastUsed;
+    }
+
+    for (const webRow of webRows) {
+      const row = rowFor(webRow._id);
+      row.web = { uses: webRow.uses, discount: webRow.discount };
+      if (!row.lastUsed || (webRow.lastUsed && webRow.lastUsed > row.lastUsed)) {
+        row.lastUsed = webRow.lastUsed;
+      }
+    }
+
+    const coupons = [...byCode.values()]
+      .map(row => ({
+        ...row,
+        totalUses: row.pos.uses + row.web.uses,
+        totalDiscount: Math.round((row.pos.discount + row.web.discount) * 100) / 100
+      }))
+      .sort((a, b) => b.totalUses - a.totalUses);
+
+    const totals = coupons.reduce((sum, row) => ({
+      posUses: sum.posUses + row.pos.uses,
+      posDiscount: sum.posDiscount + row.pos.discount,
+      webUses: sum.webUses + row.web.uses,
+      webDiscount: sum.webDiscount + row.web.discount
+    }), { posUses: 0, posDiscount: 0, webUses: 0, webDiscount: 0 });
+
+    res.json({
+      success: true,
+      coupons,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Quantities ordered from suppliers but not yet received, per supplier.
+// Lines past their order's expected delivery date are flagged overdue.
+export const getOutstandingPurchaseOrdersReport = async (req, res) => {
+  try {
+    const { supplier } = req.query;
+    const now = new Date();
+
+    const match = { status: { $in: ['ordered', 'partially_received'] } };
+    if (supplier) {
+      match.supplier = new mongoose.Types.ObjectId(supplier);
+    }
+
+    const rows = await PurchaseOrder.aggregate([
+      { $match: match },
+      { $unwind: '$products' },
+      {
+        $addFields: {
+          outstanding: { $subtract: ['$products.quantity', { $ifNull: ['$products.receivedQuantity', 0] }] },
+          overdue: {
+            $and: [
+              { $ne: [{ $ifNull: ['$expectedDeliveryDate', null] }, null] },
+              { $lt: ['$expectedDeliveryDate', now] }
+            ]
+          }
+        }
+      },
+      { $match: { outstanding: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'products.product',
+          foreignField: '_id',
+          as: 'productDoc'
+        }
+      },
+      { $unwind: { path: '$productDoc', preserveNullAndEmptyArrays: true } },
+      { $sort: { expectedDeliveryDate: 1, date: 1 } },
+      {
+        $group: {
+          _id: '$supplier',
+          orders: { $addToSet: '$_id' },
+          outstandingQuantity: { $sum: '$outstanding' },
+          outstandingValue: { $sum: { $multiply: ['$outstanding', { $ifNull: ['$products.unitCost', 0] }] } },
+          overdueQuantity: { $sum: { $cond: ['$overdue', '$outstanding', 0] } },
+          lines: {
+            $push: {
+              purchaseOrder: '$_id',
+              orderNumber: '$orderNumber',
+              status: '$status',
+              expectedDeliveryDate: '$expectedDeliveryDate',
+              line: '$products._id',
+              product: '$products.product',
+              variation: '$products.variation',
+              name: '$productDoc.name',
+              sku: '$productDoc.sku',
+              combinations: '$productDoc.variationCombinations',
+              ordered: '$products.quantity',
+              received: { $ifNull: ['$products.receivedQuantity', 0] },
+              outstanding: '$outstanding',
+              unitCost: '$products.unitCost',
+              overdue: '$overdue'
+            }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'suppliers',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'supplier'
+        }
+      },
+      { $unwind: { path: '$supplier', preserveNullAndEmptyArrays: true } },
+      { $sort: { outstandingValue: -1 } }
+    ]);
+
+    const suppliers = rows.map(row => ({
+      supplierId: row._id,
+      name: row.supplier?.name,
+      openOrders: row.orders.length,
+      outstandingQuantity: row.outstandingQuantity,
+      outstandingValue: Math.round(row.outstandingValue * 100) / 100,
+      overdueQuantity: row.overdueQuantity,
+      lines: row.lines.map(({ combinations, ...line }) => {
+        const combination = line.variation
+          ? (combinations || []).find(c => c._id.toString() === line.variation.toString())
+          : null;
+        return {
+          ...line,
+          name: combination ? `${line.name} - ${combination.combinationName}` : line.name,
+          sku: combination?.sku || line.sku
+        };
+      })
+    }));
+
+    const totals = suppliers.reduce((sum, row) => ({
+      openOrders: sum.openOrders + row.openOrders,
+      outstandingQuantity: sum.outstandingQuantity + row.outstandingQuantity,
+      outstandingValue: Math.round((sum.outstandingValue + row.outstandingValue) * 100) / 100,
+      overdueQuantity: sum.overdueQuantity + row.overdueQuantity
+    }), { openOrders: 0, outstandingQuantity: 0, outstandingValue: 0, overdueQuantity: 0 });
+
+    res.json({
+      success: true,
+      asOf: now,
+      suppliers,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const GROSS_MARGIN_GROUPS = {
+  product: { product: '$items.product', variationCombinationId: '$items.variationCombinationId' },
+  category: '$productDoc.category',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }
+};
+
+// Gross margin on items sold, at each item's cost when it was sold. Items from
+// before costs were kept on sales use the cost history at the sale date, or
+// the current purchase price when there is none; their quantity is reported
+// as estimatedCostQuantity. Revenue is each line's share of what the sale
+// came to before tax (after coupon, cart discount and loyalty redemption, and
+// without gift cards sold), shared the way returns are refunded. Returned
+// units are left out of quantity, revenue and cost.
+export const getGrossMarginReport = async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy = 'product', category } = req.query;
+
+    if (!GROSS_MARGIN_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(GROSS_MARGIN_GROUPS).join(', ')}`
+      });
+    }
+
+    const match = { status: { $ne: 'refunded' } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const currentCost = {
+      $ifNull: [
+        {
+          $let: {
+            vars: {
+              combination: {
+                $first: {
+                  $filter: {
+                    input: { $ifNull: ['$productDoc.variationCombinations', []] },
+                    cond: { $eq: [{ $toString: '$$this._id' }, '$items.variationCombinationId'] }
+                  }
+                }
+              }
+            },
+            in: '$$combination.purchasePrice'
+          }
+        },
+        { $ifNull: ['$productDoc.purchasePrice', 0] }
+      ]
+    };
+
+    const lineAmount = item => ({ $subtract: [item + '.totalPrice', { $ifNull: [item + '.couponDiscount', 0] }] });
+
+    const rows = await Sale.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          saleLinesAmount: { $sum: { $map: { input: '$items', in: lineAmount('$$this') } } },
+          saleRevenue: {
+            $subtract: [
+              { $subtract: ['$total', { $ifNull: ['$tax', 0] }] },
+              { $sum: { $map: { input: { $ifNull: ['$giftCards', []] }, in: { $ifNull: ['$$this.amount', 0] } } } }
+            ]
+          }
+        }
+      },
+      { $unwind: '$items' },
+      {
+        $addFields: {
+          returnedQuantity: {
+            $sum: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ['$returnedItems', []] },
+                    cond: {
+                      $and: [
+                        { $eq: ['$$this.item.product', '$items.product'] },
+                        { $eq: [{ $ifNull: ['$$this.item.variationCombinationId', null] }, { $ifNull: ['$items.variationCombinationId', null] }] }
+                      ]
+                    }
+                  }
+                },
+                in: '$$this.item.quantity'
+              }
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          keptQuantity: { $max: [{ $subtract: ['$items.quantity', '$returnedQuantity'] }, 0] }
+        }
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'productDoc'
+        }
+      },
+      { $unwind: { path: '$productDoc', preserveNullAndEmptyArrays: true } },
+      ...(category ? [{ $match: { 'productDoc.category': category } }] : []),
+      {
+        $lookup: {
+          from: 'costhistories',
+          let: {
+            product: '$items.product',
+            combination: { $ifNull: ['$items.variationCombinationId', null] },
+            soldAt: '$createdAt',
+            known: '$items.unitCost'
+          },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $in: [{ $type: '$$known' }, ['missing', 'null']] },
+                    { $eq: ['$product', '$$product'] },
+                    { $eq: [{ $ifNull: ['$variationCombinationId', null] }, '$$combination'] },
+                    { $lte: ['$createdAt', '$$soldAt'] }
+                  ]
+                }
+              }
+            },
+            { $sort: { createdAt: -1 } },
+            { $limit: 1 },
+            { $project: { newCost: 1 } }
+          ],
+          as: 'costAtSale'
+        }
+      },
+      {
+        $addFields: {
+          costIsEstimated: { $in: [{ $type: '$items.unitCost' }, ['missing', 'null']] },
+          itemUnitCost: {
+            $ifNull: ['$items.unitCost', { $ifNull: [{ $first: '$costAtSale.newCost' }, currentCost] }]
+          },
+          itemRevenue: {
+            $cond: [
+              { $and: [{ $ne: ['$saleLinesAmount', 0] }, { $ne: ['$items.quantity', 0] }] },
+              {
+                $multiply: [
+                  '$saleRevenue',
+                  { $divide: [lineAmount('$items'), '$saleLinesAmount'] },
+                  { $divide: ['$keptQuantity', '$items.quantity'] }
+                ]
+              },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: GROSS_MARGIN_GROUPS[groupBy],
+          name: { $first: '$items.productName' },
+          sku: { $first: '$items.sku' },
+          quantity: { $sum: '$keptQuantity' },
+          revenue: { $sum: '$itemRevenue' },
+          cost: { $sum: { $multiply: ['$keptQuantity', '$itemUnitCost'] } },
+          estimatedCostQuantity: { $sum: { $cond: ['$costIsEstimated', '$keptQuantity', 0] } }
+        }
+      }
+    ]);
+
+    const withMargin = ({ quantity, revenue, cost, estimatedCostQuantity }) => {
+      const grossProfit = roundCurrency(revenue - cost);
+      return {
+        quantity,
+        revenue: roundCurrency(revenue),
+        cost: roundCurrency(cost),
+        grossProfit,
+        marginPercent: revenue ? Math.round((grossProfit / revenue) * 10000) / 100 : null,
+        estimatedCostQuantity
+      };
+    };
+
+    const margins = rows.map(row => ({
+      ...(groupBy === 'product'
+        ? { product: row._id.product, variationCombinationId: row._id.variationCombinationId, name: row.name, sku: row.sku }
+        : { [groupBy]: row._id }),
+      ...withMargin(row)
+    }));
+    if (groupBy === 'day' || groupBy === 'month') {
+      margins.sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])));
+    } else {
+      margins.sort((a, b) => b.grossProfit - a.grossProfit);
+    }
+
+    const totals = rows.reduce((sum, row) => ({
+      quantity: sum.quantity + row.quantity,
+      revenue: sum.revenue + row.revenue,
+      cost: sum.cost + row.cost,
+      estimatedCostQuantity: sum.estimatedCostQuantity + row.estimatedCostQuantity
+    }), { quantity: 0, revenue: 0, cost: 0, estimatedCostQuantity: 0 });
+
+    res.json({
+      success: true,
+      groupBy,
+      margins,
+      summary: withMargin(totals)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Accounts payable aging: unpaid goods receipts per supplier in 0-30, 31-60,
+// 61-90 and 90+ day buckets from the date received. Credits and adjustments
+// not tied to a receipt show as unallocated, so balance = totalOutstanding + unallocated.
+export const getPayablesAgingReport = async (req, res) => {
+  try {
+    const { supplier, asOf } = req.query;
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const match = { balanceDue: { $gt: 0 }, receivedAt: { $lte: asOfDate } };
+    if (supplier) {
+      match.supplier = new mongoose.Types.ObjectId(supplier);
+    }
+
+    const ageDays = { $floor: { $divide: [{ $subtract: [asOfDate, '$receivedAt'] }, dayMs] } };
+    const bucket = (min, max) => ({
+      $sum: {
+        $cond: [
+          {
+            $and: [
+              { $gte: ['$ageDays', min] },
+              max === null ? true : { $lte: ['$ageDays', max] }
+            ]
+          },
+          '$balanceDue',
+          0
+        ]
+      }
+    });
+
+    const rows = await GoodsReceipt.aggregate([
+      { $match: match },
+      { $addFields: { ageDays } },
+      {
+        $group: {
+          _id: '$supplier',
+          days0to30: bucket(0, 30),
+          days31to60: bucket(31, 60),
+          days61to90: bucket(61, 90),
+          days90plus: bucket(91, null),
+          totalOutstanding: { $sum: '$balanceDue' },
+          // Past the due date from the supplier's payment terms
+          overdue: { $sum: { $cond: [{ $lt: [{ $ifNull: ['$dueDate', '$receivedAt'] }, asOfDate] }, '$balanceDue', 0] } },
+          openReceipts: { $sum: 1 },
+          oldestReceiptDate: { $min: '$receivedAt' }
+        }
+      }
+    ]);
+
+    const supplierQuery = {
+      $or: [
+        { _id: { $in: rows.map(row => row._id) } },
+        { outstandingBalance: { $ne: 0 } }
+      ]
+    };
+    if (supplier) {
+      supplierQuery._id = supplier;
+    }
+    const suppliers = await Supplier.find(supplierQuery).select('name contactInfo outstandingBalance');
+    const rowsBySupplier = new Map(rows.map(row => [row._id.toString(), row]));
+
+    const payables = suppliers.map(doc => {
+      const row = rowsBySupplier.get(doc._id.toString()) || {
+        days0to30: 0, days31to60: 0, days61to90: 0, days90plus: 0, totalOutstanding: 0, overdue: 0, openReceipts: 0, oldestReceiptDate: null
+      };
+      return {
+        supplierId: doc._id,
+        name: doc.name,
+        contactInfo: doc.contactInfo,
+        days0to30: roundCurrency(row.days0to30),
+        days31to60: roundCurrency(row.days31to60),
+        days61to90: roundCurrency(row.days61to90),
+        days90plus: roundCurrency(row.days90plus),
+        totalOutstanding: roundCurrency(row.totalOutstanding),
+        overdue: roundCurrency(row.overdue),
+        unallocated: roundCurrency(doc.outstandingBalance - row.totalOutstanding),
+        balance: roundCurrency(doc.outstandingBalance),
+        openReceipts: row.openReceipts,
+        oldestReceiptDate: row.oldestReceiptDate
+      };
+    }).sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+
+    const totals = payables.reduce((sum, row) => ({
+      days0to30: roundCurrency(sum.days0to30 + row.days0to30),
+      days31to60: roundCurrency(sum.days31to60 + row.days31to60),
+      days61to90: roundCurrency(sum.days61to90 + row.days61to90),
+      days90plus: roundCurrency(sum.days90plus + row.days90plus),
+      totalOutstanding: roundCurrency(sum.totalOutstanding + row.totalOutstanding),
+      overdue: roundCurrency(sum.overdue + row.overdue),
+      unallocated: roundCurrency(sum.unallocated + row.unallocated),
+      balance: roundCurrency(sum.balance + row.balance)
+    }), { days0to30: 0, days31to60: 0, days61to90: 0, days90plus: 0, totalOutstanding: 0, overdue: 0, unallocated: 0, balance: 0 });
+
+    res.json({
+      success: true,
+      asOf: asOfDate,
+      suppliers: payables,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
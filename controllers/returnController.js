@@ -1,248 +1,470 @@
+import mongoose from 'mongoose';
 import Sale from '../models/Sale.js';
 import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import SupplierReturnCandidate from '../models/SupplierReturnCandidate.js';
+import Return, { RETURN_CONDITIONS, REFUND_METHODS } from '../models/Return.js';
 import { formatVariationDisplay } from './saleController.js';
+import { findOpenShift } from './shiftController.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { getNextCreditNoteNumber } from '../utils/invoiceNumberGenerator.js';
+import { roundCurrency, getItemsTotal, allocateToLines } from '../utils/saleCalculator.js';
+import { buildCreditNote, renderCreditNoteHtml } from '../utils/creditNote.js';
+import { issueVoucher } from '../utils/vouchers.js';
+import { refreshLoyaltyTier, postLoyaltyTransaction } from '../utils/loyalty.js';
+import { postCustomerTransaction } from '../utils/customerLedger.js';
+
+// Older tills send new/used for items that can go back on the shelf
+const LEGACY_CONDITIONS = { new: 'resellable', used: 'resellable' };
+
+const resolveCondition = (condition) => LEGACY_CONDITIONS[condition] || condition || 'resellable';
+
+// Match a return line to the sale line it came from (product + variation combination)
+const findOriginalItem = (sale, productId, variationCombinationId) => {
+  return sale.items.find(item => {
+    const productMatch = item.product.toString() === productId;
+
+    // If no variation combination, just match by product
+    if (!variationCombinationId) {
+      return productMatch && !item.variationCombinationId;
+    }
+
+    // If variation combination specified, match both product and combination
+    return productMatch && item.variationCombinationId === variationCombinationId;
+  });
+};
+
+/**
+ * Validate the lines being returned against the original sale and value each
+ * one at what the customer actually paid for it: its share of the sale total,
+ * so cart discounts, loyalty redemption and tax are refunded in proportion.
+ * All returns of a sale together never refund more than the sale's items came to. Throws an Error describing
+ * the first invalid line. Call it inside the transaction that records the
+ * return, with the sale read in that transaction, so returns recorded in the
+ * meantime are counted.
+ */
+export const prepareReturnLines = async (originalSale, items, session = null) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('At least one item is required for a return');
+  }
+
+  const returnLines = [];
+  const itemsTotal = getItemsTotal(originalSale);
+  const lineShares = allocateToLines(originalSale.items, itemsTotal);
+  let refundable = roundCurrency(itemsTotal - originalSale.returnedItems
+    .reduce((total, returned) => total + (returned.refundAmount || 0), 0));
+
+  for (const returnItem of items) {
+    const originalItem = findOriginalItem(originalSale, returnItem.productId, returnItem.variationCombinationId);
+
+    if (!originalItem) {
+      const variationText = returnItem.variationCombinationId ? ' with specified variation' : '';
+      throw new Error(`Product${variationText} not found in original sale`);
+    }
+
+    if (!Number.isInteger(returnItem.quantity) || returnItem.quantity <= 0) {
+      throw new Error(`Return quantity for ${formatVariationDisplay(originalItem)} must be a positive whole number`);
+    }
+
+    const condition = resolveCondition(returnItem.condition);
+    if (!RETURN_CONDITIONS.includes(condition)) {
+      throw new Error(`Invalid condition. Must be one of: ${RETURN_CONDITIONS.join(', ')}`);
+    }
+
+    // Check if return quantity is valid, counting earlier returns and earlier lines of this one
+    const alreadyReturned = originalSale.returnedItems.reduce((total, returned) => {
+      const productMatch = returned.item.product.toString() === returnItem.productId;
+
+      // Match variation combination if specified
+      if (returnItem.variationCombinationId) {
+        const variationMatch = returned.item.variationCombinationId === returnItem.variationCombinationId;
+        return (productMatch && variationMatch) ? total + returned.item.quantity : total;
+      }
+
+      // For standard products, match only by product and ensure no variation combination
+      return (productMatch && !returned.item.variationCombinationId) ? total + returned.item.quantity : total;
+    }, 0) + returnLines
+      .filter(line => line.originalItem === originalItem)
+      .reduce((total, line) => total + line.returnItem.quantity, 0);
+
+    if (alreadyReturned + returnItem.quantity > originalItem.quantity) {
+      // Create display name for better error messaging
+      const displayName = formatVariationDisplay(originalItem);
+      throw new Error(`Cannot return more than purchased quantity for ${displayName}. Available: ${originalItem.quantity - alreadyReturned}, Requested: ${returnItem.quantity}`);
+    }
+
+    // Validate that the product and variation combination still exist and are valid
+    const product = await Product.findById(returnItem.productId).session(session);
+    if (!product) {
+      throw new Error(`Product not found: ${returnItem.productId}`);
+    }
+
+    // If variation combination specified, validate it exists
+    if (returnItem.variationCombinationId) {
+      const combination = product.variationCombinations.id(returnItem.variationCombinationId);
+      if (!combination) {
+        throw new Error(`Variation combination not found: ${returnItem.variationCombinationId}`);
+      }
+    }
+
+    // Valued on the running returned quantity so returning a line in parts adds up to its share
+    const lineShare = lineShares[originalSale.items.indexOf(originalItem)];
+    const refundedBefore = roundCurrency(lineShare * alreadyReturned / originalItem.quantity);
+    const refundedAfter = roundCurrency(lineShare * (alreadyReturned + returnItem.quantity) / originalItem.quantity);
+    const refundAmount = roundCurrency(Math.max(0, Math.min(refundedAfter - refundedBefore, refundable)));
+    refundable = roundCurrency(refundable - refundAmount);
+
+    returnLines.push({
+      returnItem,
+      originalItem,
+      condition,
+      refundAmount
+    });
+  }
+
+  return returnLines;
+};
+
+/**
+ * Record prepared return lines inside a transaction: create the Return with
+ * its credit note number, route each line by condition, add the lines to the sale's
+ * return history and take the refunded value and the points it earned off the
+ * customer's record.
+ * On a credit sale the refund first clears what is still owed on the invoice,
+ * posted as a credit note on the customer's account (returnDoc.appliedToBalance).
+ * Paying out the rest of the refund is left to the caller.
+ */
+export const recordReturn = async ({
+  originalSale,
+  returnLines,
+  refundMethod,
+  returnReason,
+  approver,
+  user,
+  shift,
+  exchange,
+  notes,
+  settings = null,
+  session
+}) => {
+  const totalRefundAmount = roundCurrency(returnLines.reduce((sum, line) => sum + line.refundAmount, 0));
+  const returnNumber = await getNextCreditNoteNumber('CN', 3, session);
+  const appliedToBalance = originalSale.customer
+    ? roundCurrency(Math.min(originalSale.balanceDue || 0, totalRefundAmount))
+    : 0;
+
+  const [returnDoc] = await Return.create([{
+    returnNumber,
+    sale: originalSale._id,
+    invoiceNumber: originalSale.invoiceNumber,
+    customer: originalSale.customer,
+    customerInfo: originalSale.customerInfo,
+    items: returnLines.map(({ returnItem, originalItem, condition, refundAmount }) => ({
+      product: originalItem.product,
+      productName: originalItem.productName,
+      sku: originalItem.sku,
+      variationCombinationId: originalItem.variationCombinationId,
+      variations: originalItem.variations,
+      quantity: returnItem.quantity,
+      unitPrice: originalItem.unitPrice,
+      refundAmount,
+      reason: returnItem.reason || returnReason,
+      condition
+    })),
+    totalRefundAmount,
+    appliedToBalance,
+    refundMethod,
+    returnReason,
+    processedBy: user._id,
+    processedByName: user.fullName,
+    approvedBy: approver?._id,
+    approvedByName: approver?.fullName,
+    shift: shift?._id,
+    exchange,
+    notes
+  }], { session });
+
+  // Resellable items go back on the shelf, damaged items into damaged stock
+  // and defective items are held for return to the supplier
+  for (const { returnItem, originalItem, condition } of returnLines) {
+    if (condition === 'defective') {
+      const product = await Product.findById(originalItem.product).session(session);
+      const combination = originalItem.variationCombinationId
+        ? product?.variationCombinations.id(originalItem.variationCombinationId)
+        : null;
+      const lastOrder = await PurchaseOrder.findOne({
+        products: { $elemMatch: { product: originalItem.product, receivedQuantity: { $gt: 0 } } }
+      })
+        .sort({ date: -1 })
+        .session(session);
+
+      await SupplierReturnCandidate.create([{
+        product: originalItem.product,
+        productName: originalItem.productName,
+        sku: originalItem.sku,
+        variationCombinationId: originalItem.variationCombinationId,
+        variations: originalItem.variations,
+        quantity: returnItem.quantity,
+        unitCost: combination?.purchasePrice ?? product?.purchasePrice ?? 0,
+        supplier: lastOrder?.supplier,
+        return: returnDoc._id,
+        returnNumber,
+        sale: originalSale._id,
+        invoiceNumber: originalSale.invoiceNumber,
+        reason: returnItem.reason || returnReason
+      }], { session });
+      continue;
+    }
+
+    const restored = await applyStockChange({
+      productId: returnItem.productId,
+      variationCombinationId: returnItem.variationCombinationId,
+      delta: returnItem.quantity,
+      session,
+      field: condition === 'damaged' ? 'damagedStock' : 'stock',
+      movement: { type: 'return', sourceModel: 'Return', sourceId: returnDoc._id, reference: returnNumber, user }
+    });
+
+    if (!restored) {
+      throw new Error(`Could not restore stock for ${formatVariationDisplay(originalItem)}`);
+    }
+  }
+
+  // Keep the per-sale history so remaining returnable quantities can be checked
+  originalSale.returnedItems.push(...returnLines.map(({ returnItem, originalItem, condition, refundAmount }) => ({
+    item: {
+      product: originalItem.product,
+      productName: originalItem.productName,
+      sku: originalItem.sku,
+      quantity: returnItem.quantity,
+      unitPrice: originalItem.unitPrice,
+      totalPrice: refundAmount,
+      variationCombinationId: originalItem.variationCombinationId,
+      variations: originalItem.variations
+    },
+    returnDate: returnDoc.createdAt,
+    returnReason: returnItem.reason || returnReason,
+    condition,
+    processedBy: user.fullName,
+    refundAmount,
+    refundMethod,
+    returnDocument: returnDoc._id,
+    returnNumber
+  })));
+
+  // Update sale status if partially returned
+  const totalOriginalQuantity = originalSale.items.reduce((sum, item) => sum + item.quantity, 0);
+  const totalReturnedQuantity = originalSale.returnedItems.reduce((sum, returned) => sum + returned.item.quantity, 0);
+
+  if (totalReturnedQuantity >= totalOriginalQuantity) {
+    originalSale.status = 'refunded';
+  } else if (totalReturnedQuantity > 0) {
+    originalSale.status = 'partial';
+  }
+
+  if (appliedToBalance > 0) {
+    originalSale.balanceDue = roundCurrency(originalSale.balanceDue - appliedToBalance);
+    originalSale.paymentStatus = originalSale.balanceDue > 0
+      ? (originalSale.amountPaid > 0 ? 'partially_paid' : 'unpaid')
+      : 'paid';
+  }
+
+  await originalSale.save({ session });
+
+  if (appliedToBalance > 0) {
+    await postCustomerTransaction({
+      customer: originalSale.customer,
+      type: 'credit_note',
+      amount: -appliedToBalance,
+      sale: originalSale._id,
+      reference: returnNumber,
+      allocations: [{ sale: originalSale._id, invoiceNumber: originalSale.invoiceNumber, amount: appliedToBalance }],
+      notes: `Return against ${originalSale.invoiceNumber}`,
+      user,
+      session
+    });
+  }
+
+  // Take the returned value off the customer's record along with the points it earned
+  if (originalSale.customer) {
+    const customer = await Customer.findById(originalSale.customer).session(session);
+    if (customer) {
+      customer.totalPurchases = Math.max(0, customer.totalPurchases - totalRefundAmount);
+      refreshLoyaltyTier(customer, settings);
+      await customer.save({ session });
+
+      // Points already spent can't be taken back, so this stops at the current balance
+      const pointsToReverse = originalSale.total > 0
+        ? Math.floor((originalSale.loyaltyPointsEarned || 0) * totalRefundAmount / originalSale.total)
+        : 0;
+      await postLoyaltyTransaction({
+        customer: customer._id,
+        type: 'reverse',
+        points: -pointsToReverse,
+        sale: originalSale._id,
+        reference: returnNumber,
+        user,
+        settings,
+        session,
+        capAtBalance: true
+      });
+    }
+  }
+
+  return returnDoc;
+};
 
 export const createReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const {
       saleId,
       items, // Array of { productId, variationCombinationId, quantity, reason, condition }
       returnReason,
-      refundAmount,
-      refundMethod // 'cash', 'card', 'bank_transfer'
+      refundMethod, // 'cash', 'card', 'bank_transfer'
+      approvedBy,
+      notes
     } = req.body;
 
-    // Find the original sale
-    const originalSale = await Sale.findById(saleId);
-    if (!originalSale) {
-      return res.status(404).json({
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      return res.status(400).json({
         success: false,
-        message: 'Original sale not found'
+        message: `Invalid refund method. Must be one of: ${REFUND_METHODS.join(', ')}`
       });
     }
 
-    // Validate return items
-    for (const returnItem of items) {
-      // Find matching item in original sale
-      const originalItem = originalSale.items.find(item => {
-        const productMatch = item.product.toString() === returnItem.productId;
-        
-        // If no variation combination, just match by product
-        if (!returnItem.variationCombinationId) {
-          return productMatch && !item.variationCombinationId;
-        }
-        
-        // If variation combination specified, match both product and combination
-        return productMatch && item.variationCombinationId === returnItem.variationCombinationId;
-      });
-      
-      if (!originalItem) {
-        const variationText = returnItem.variationCombinationId ? ' with specified variation' : '';
+    // Returns are approved by an admin; an admin processing the return approves it themselves
+    let approver = null;
+    if (approvedBy) {
+      approver = await User.findById(approvedBy);
+      if (!approver || !approver.isActive || approver.role !== 'admin') {
         return res.status(400).json({
           success: false,
-          message: `Product${variationText} not found in original sale`
+          message: 'Returns can only be approved by an active admin'
         });
       }
+    } else if (req.currentUser.role === 'admin') {
+      approver = req.currentUser;
+    }
 
-      // Check if return quantity is valid
-      const alreadyReturned = originalSale.returnedItems.reduce((total, returned) => {
-        const productMatch = returned.item.product.toString() === returnItem.productId;
-        
-        // Match variation combination if specified
-        if (returnItem.variationCombinationId) {
-          const variationMatch = returned.item.variationCombinationId === returnItem.variationCombinationId;
-          return (productMatch && variationMatch) ? total + returned.item.quantity : total;
-        }
-        
-        // For standard products, match only by product and ensure no variation combination
-        return (productMatch && !returned.item.variationCombinationId) ? total + returned.item.quantity : total;
-      }, 0);
-
-      if (alreadyReturned + returnItem.quantity > originalItem.quantity) {
-        // Create display name for better error messaging
-        const displayName = formatVariationDisplay(originalItem);
-        
-        return res.status(400).json({
-          success: false,
-          message: `Cannot return more than purchased quantity for ${displayName}. Available: ${originalItem.quantity - alreadyReturned}, Requested: ${returnItem.quantity}`
-        });
-      }
+    const settings = await Settings.findOne({});
 
-      // Validate that the product and variation combination still exist and are valid
-      const product = await Product.findById(returnItem.productId);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product not found: ${returnItem.productId}`
-        });
+    let returnDoc;
+    let voucher = null;
+    await session.withTransaction(async () => {
+      // Read and check the sale in the transaction so a retry starts from the
+      // stored return history and concurrent returns are counted
+      const originalSale = await Sale.findById(saleId).session(session);
+      if (!originalSale) {
+        throw new Error('Original sale not found');
       }
+      const returnLines = await prepareReturnLines(originalSale, items, session);
 
-      // If variation combination specified, validate it exists
-      if (returnItem.variationCombinationId) {
-        const combination = product.variationCombinations.id(returnItem.variationCombinationId);
-        if (!combination) {
-          return res.status(400).json({
-            success: false,
-            message: `Variation combination not found: ${returnItem.variationCombinationId}`
-          });
-        }
-      }
-    }
+      const shift = await findOpenShift(req.currentUser._id, session);
 
-    // Process returns
-    const returnedItems = [];
-    let totalRefundAmount = 0;
-
-    for (const returnItem of items) {
-      // Find matching item in original sale (same logic as validation)
-      const originalItem = originalSale.items.find(item => {
-        const productMatch = item.product.toString() === returnItem.productId;
-        
-        if (!returnItem.variationCombinationId) {
-          return productMatch && !item.variationCombinationId;
-        }
-        
-        return productMatch && item.variationCombinationId === returnItem.variationCombinationId;
+      returnDoc = await recordReturn({
+        originalSale,
+        returnLines,
+        refundMethod,
+        returnReason,
+        approver,
+        user: req.currentUser,
+        shift,
+        notes,
+        settings,
+        session
       });
 
-      const refundPerUnit = originalItem.totalPrice / originalItem.quantity;
-      const itemRefundAmount = refundPerUnit * returnItem.quantity;
-      totalRefundAmount += itemRefundAmount;
-
-      // Create return item with proper variation details
-      const returnItemData = {
-        item: {
-          product: returnItem.productId,
-          productName: originalItem.productName,
-          sku: originalItem.sku,
-          quantity: returnItem.quantity,
-          unitPrice: originalItem.unitPrice,
-          totalPrice: itemRefundAmount,
-          variationCombinationId: originalItem.variationCombinationId,
-          variations: originalItem.variations
-        },
-        returnDate: new Date(),
-        returnReason: returnItem.reason || returnReason,
-        condition: returnItem.condition || 'used',
-        processedBy: req.currentUser?.fullName || 'System',
-        refundAmount: itemRefundAmount,
-        refundMethod: refundMethod
-      };
+      // Whatever went to the sale's unpaid balance is not paid out
+      const refundDue = roundCurrency(returnDoc.totalRefundAmount - returnDoc.appliedToBalance);
 
-      returnedItems.push(returnItemData);
-
-      // Restore stock to the appropriate location
-      const product = await Product.findById(returnItem.productId);
-      if (product) {
-        if (returnItem.variationCombinationId) {
-          // Restore variation combination stock
-          const combination = product.variationCombinations.id(returnItem.variationCombinationId);
-          if (combination) {
-            combination.stock += returnItem.quantity;
-            await product.save();
-            
-            console.log(`Restored ${returnItem.quantity} units to variation ${combination.combinationName} (${combination.sku}). New stock: ${combination.stock}`);
-          } else {
-            console.error(`Variation combination not found for restoration: ${returnItem.variationCombinationId}`);
-          }
-        } else {
-          // Restore standard product stock
-          await Product.findByIdAndUpdate(
-            returnItem.productId,
-            { $inc: { stock: returnItem.quantity } }
-          );
-          
-          console.log(`Restored ${returnItem.quantity} units to standard product ${product.name}. New stock: ${product.stock + returnItem.quantity}`);
-        }
-      } else {
-        console.error(`Product not found for stock restoration: ${returnItem.productId}`);
-      }
-    }
-
-    // Update original sale with returned items
-    originalSale.returnedItems.push(...returnedItems);
-    
-    // Update sale status if partially returned
-    const totalOriginalQuantity = originalSale.items.reduce((sum, item) => sum + item.quantity, 0);
-    const totalReturnedQuantity = originalSale.returnedItems.reduce((sum, returned) => sum + returned.item.quantity, 0);
-    
-    if (totalReturnedQuantity >= totalOriginalQuantity) {
-      originalSale.status = 'refunded';
-    } else if (totalReturnedQuantity > 0) {
-      originalSale.status = 'partial';
-    }
-
-    await originalSale.save();
-
-    // Update customer loyalty points if applicable
-    if (originalSale.customer) {
-      const customer = await Customer.findById(originalSale.customer);
-      if (customer) {
-        // Deduct loyalty points earned from returned items
-        const pointsToDeduct = Math.floor(totalRefundAmount / 100);
-        customer.loyaltyPoints = Math.max(0, customer.loyaltyPoints - pointsToDeduct);
-        customer.totalPurchases = Math.max(0, customer.totalPurchases - totalRefundAmount);
-        await customer.save();
+      if (refundMethod === 'store_credit' && refundDue > 0) {
+        // Store credit is issued as a voucher instead of leaving the drawer
+        voucher = await issueVoucher({
+          type: 'store_credit',
+          amount: refundDue,
+          customer: originalSale.customer,
+          source: 'return',
+          returnDoc,
+          reference: returnDoc.returnNumber,
+          user: req.currentUser,
+          settings,
+          session
+        });
+        returnDoc.voucher = voucher._id;
+        await returnDoc.save({ session });
+      } else if (shift && refundDue > 0) {
+        // Record the refund against the processing cashier's open shift
+        shift.refunds.push({
+          sale: originalSale._id,
+          invoiceNumber: originalSale.invoiceNumber,
+          return: returnDoc._id,
+          returnNumber: returnDoc.returnNumber,
+          method: refundMethod,
+          amount: refundDue
+        });
+        await shift.save({ session });
       }
-    }
-
-    // Enhanced response with variation details
-    const enhancedReturn = await enhanceReturnItemsWithVariationDetails(originalSale);
+    });
 
     res.status(201).json({
       success: true,
       message: 'Return processed successfully',
-      return: {
-        saleId,
-        returnedItems: enhancedReturn.returnedItems,
-        totalRefundAmount,
-        refundMethod,
-        processedBy: req.currentUser?.fullName || 'System',
-        processedAt: new Date()
-      }
+      return: enhanceReturnDocument(returnDoc),
+      voucher
     });
   } catch (error) {
     console.error('Error processing return:', error);
-    res.status(400).json({
+    res.status(error.message === 'Original sale not found' ? 404 : 400).json({
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
 export const getReturns = async (req, res) => {
   try {
-    const { page = 1, limit = 10, startDate, endDate } = req.query;
-    
-    const matchQuery = {
-      returnedItems: { $exists: true, $not: { $size: 0 } }
-    };
-    
+    const { page = 1, limit = 10, startDate, endDate, customer, sale, refundMethod } = req.query;
+
+    const matchQuery = {};
+
     if (startDate && endDate) {
       matchQuery.createdAt = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
-    
-    const returns = await Sale.find(matchQuery)
+
+    if (customer) {
+      matchQuery.customer = customer;
+    }
+
+    if (sale) {
+      matchQuery.sale = sale;
+    }
+
+    if (refundMethod) {
+      matchQuery.refundMethod = refundMethod;
+    }
+
+    const returns = await Return.find(matchQuery)
       .populate('customer', 'name phone email')
-      .populate('cashier', 'fullName username')
+      .populate('processedBy', 'fullName username')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
-    
-    // Enhance returns with detailed variation information
-    const enhancedReturns = await Promise.all(
-      returns.map(returnSale => enhanceReturnItemsWithVariationDetails(returnSale))
-    );
-    
-    const total = await Sale.countDocuments(matchQuery);
-    
+
+    const total = await Return.countDocuments(matchQuery);
+
     res.json({
       success: true,
-      returns: enhancedReturns,
+      returns: returns.map(enhanceReturnDocument),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -260,23 +482,53 @@ export const getReturns = async (req, res) => {
 
 export const getReturnDetails = async (req, res) => {
   try {
-    const sale = await Sale.findById(req.params.id)
+    const returnDoc = await Return.findById(req.params.id)
       .populate('customer', 'name phone email')
-      .populate('cashier', 'fullName username');
-    
-    if (!sale || !sale.returnedItems || sale.returnedItems.length === 0) {
+      .populate('processedBy', 'fullName username')
+      .populate('approvedBy', 'fullName username')
+      .populate('sale', 'invoiceNumber total createdAt status');
+
+    if (!returnDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      return: enhanceReturnDocument(returnDoc)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Printable credit note for a return; JSON by default, receipt HTML with ?format=html
+export const getCreditNote = async (req, res) => {
+  try {
+    const returnDoc = await Return.findById(req.params.id).populate('voucher', 'code expiresAt');
+
+    if (!returnDoc) {
       return res.status(404).json({
         success: false,
         message: 'Return not found'
       });
     }
-    
-    // Enhance return with detailed variation information
-    const enhancedReturn = await enhanceReturnItemsWithVariationDetails(sale);
-    
+
+    const settings = await Settings.findOne({});
+    const creditNote = buildCreditNote(returnDoc, settings);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderCreditNoteHtml(creditNote));
+    }
+
     res.json({
       success: true,
-      return: enhancedReturn
+      creditNote
     });
   } catch (error) {
     res.status(500).json({
@@ -289,45 +541,55 @@ export const getReturnDetails = async (req, res) => {
 export const getReturnSummary = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    
-    const matchQuery = {
-      returnedItems: { $exists: true, $not: { $size: 0 } }
-    };
-    
+
+    const matchQuery = {};
+
     if (startDate && endDate) {
       matchQuery.createdAt = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
-    
-    const summary = await Sale.aggregate([
+
+    const summary = await Return.aggregate([
       { $match: matchQuery },
-      { $unwind: '$returnedItems' },
       {
         $group: {
           _id: null,
           totalReturns: { $sum: 1 },
-          totalRefundAmount: { $sum: '$returnedItems.item.totalPrice' },
-          averageRefund: { $avg: '$returnedItems.item.totalPrice' }
+          totalRefundAmount: { $sum: '$totalRefundAmount' },
+          averageRefund: { $avg: '$totalRefundAmount' }
         }
       }
     ]);
-    
+
+    const refundMethodBreakdown = await Return.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: '$refundMethod',
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$totalRefundAmount' }
+        }
+      },
+      { $sort: { totalAmount: -1 } },
+      { $project: { _id: 0, method: '$_id', count: 1, totalAmount: 1 } }
+    ]);
+
     // Enhanced product returns aggregation with variation support
-    const productReturns = await Sale.aggregate([
+    const productReturns = await Return.aggregate([
       { $match: matchQuery },
-      { $unwind: '$returnedItems' },
+      { $unwind: '$items' },
       {
         $group: {
           _id: {
-            product: '$returnedItems.item.product',
-            variationCombinationId: '$returnedItems.item.variationCombinationId'
+            product: '$items.product',
+            variationCombinationId: '$items.variationCombinationId'
           },
-          productName: { $first: '$returnedItems.item.productName' },
-          variations: { $first: '$returnedItems.item.variations' },
-          returnCount: { $sum: '$returnedItems.item.quantity' },
-          refundAmount: { $sum: '$returnedItems.item.totalPrice' }
+          productName: { $first: '$items.productName' },
+          variations: { $first: '$items.variations' },
+          returnCount: { $sum: '$items.quantity' },
+          refundAmount: { $sum: '$items.refundAmount' }
         }
       },
       { $sort: { returnCount: -1 } },
@@ -343,7 +605,7 @@ export const getReturnSummary = async (req, res) => {
           refundAmount: 1,
           displayName: {
             $cond: {
-              if: { $ifNull: ['$variations', false] },
+              if: { $gt: [{ $size: { $objectToArray: { $ifNull: ['$variations', {}] } } }, 0] },
               then: {
                 $concat: [
                   '$productName',
@@ -376,10 +638,11 @@ export const getReturnSummary = async (req, res) => {
         }
       }
     ]);
-    
+
     res.json({
       success: true,
       summary: summary[0] || { totalReturns: 0, totalRefundAmount: 0, averageRefund: 0 },
+      refundMethodBreakdown,
       topReturnedProducts: productReturns
     });
   } catch (error) {
@@ -390,6 +653,20 @@ export const getReturnSummary = async (req, res) => {
   }
 };
 
+// Add display names to the lines of a Return document
+export const enhanceReturnDocument = (returnDoc) => {
+  const returnObj = returnDoc.toObject();
+
+  return {
+    ...returnObj,
+    items: returnObj.items.map(item => ({
+      ...item,
+      displayName: formatVariationDisplay(item),
+      hasVariations: !!(item.variationCombinationId && item.variations)
+    }))
+  };
+};
+
 // Helper function to enhance return items with detailed variation information
 export const enhanceReturnItemsWithVariationDetails = async (sale) => {
   const saleObj = sale.toObject();
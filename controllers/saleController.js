@@ -1,9 +1,30 @@
+import mongoose from 'mongoose';
 import Sale from '../models/Sale.js';
 import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
 import Settings from '../models/Settings.js';
+import HeldSale from '../models/HeldSale.js';
 import User from '../models/User.js';
+import Promotion from '../models/Promotion.js';
+import Shift from '../models/Shift.js';
 import { getNextInvoiceNumber, initializeCounter, previewNextInvoiceNumber } from '../utils/invoiceNumberGenerator.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { getUnitCost } from '../utils/costing.js';
+import { calculateSaleTotals, findTotalsMismatches } from '../utils/saleCalculator.js';
+import { settlePayments, getTenderBreakdown } from '../utils/tender.js';
+import { postCustomerTransaction } from '../utils/customerLedger.js';
+import { validateVoucherPayments, redeemVoucherPayments, issueVoucher } from '../utils/vouchers.js';
+import { findRunningPromotions } from '../utils/promotionEngine.js';
+import { findUsableCoupon, redeemCoupon } from '../utils/coupons.js';
+import { queueSaleReceipt, queueLowStockAlert } from '../utils/notifications.js';
+import {
+  calculatePointsEarned,
+  getLoyaltyTier,
+  refreshLoyaltyTier,
+  postLoyaltyTransaction,
+  expireLoyaltyPoints
+} from '../utils/loyalty.js';
+import { findOpenShift } from './shiftController.js';
 
 // Helper function to format variation display
 export const formatVariationDisplay = (item) => {
@@ -77,10 +98,78 @@ export const enhanceSaleItemsWithVariationDetails = async (sale) => {
   };
 };
 
+// Load the products referenced by a cart and check every variation combination exists.
+// allowEmpty is for sales that only contain gift cards.
+export const loadCartProducts = async (items, { allowEmpty = false } = {}) => {
+  if (!Array.isArray(items) || (items.length === 0 && !allowEmpty)) {
+    throw new Error('Sale must contain at least one item');
+  }
+
+  const productsById = new Map();
+  const itemLabels = [];
+
+  for (const item of items) {
+    const product = productsById.get(String(item.product)) || await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.productName} not found`);
+    }
+    productsById.set(String(product._id), product);
+
+    if (item.variationCombinationId) {
+      const combination = product.variationCombinations.id(item.variationCombinationId);
+      if (!combination) {
+        throw new Error(`Variation combination not found for ${item.productName}`);
+      }
+      itemLabels.push(`${item.productName} - ${combination.combinationName}`);
+    } else {
+      itemLabels.push(item.productName);
+    }
+  }
+
+  return { productsById, itemLabels };
+};
+
+// Price a cart without creating a sale, so the till can show server totals
+export const calculateSale = async (req, res) => {
+  try {
+    const { items = [], customer, discount, discountType, loyaltyPointsUsed, giftCards = [], couponCode } = req.body;
+
+    const settings = await Settings.findOne({});
+    const { productsById } = await loadCartProducts(items, { allowEmpty: giftCards.length > 0 });
+    const promotions = await findRunningPromotions();
+    const coupon = couponCode ? await findUsableCoupon(couponCode, customer) : null;
+    const calculation = calculateSaleTotals({
+      items,
+      productsById,
+      discount,
+      discountType,
+      loyaltyPointsUsed,
+      giftCards,
+      promotions,
+      coupon,
+      settings
+    });
+    const mismatches = findTotalsMismatches(req.body, calculation, settings?.priceVerification?.tolerance ?? 0.01);
+
+    res.json({
+      success: true,
+      calculation,
+      mismatches
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 export const createSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const {
-      items,
+      items = [],
       customer,
       customerInfo,
       subtotal,
@@ -91,6 +180,10 @@ export const createSale = async (req, res) => {
       total,
       payments,
       notes,
+      heldSale,
+      creditSale,
+      giftCards = [],
+      couponCode,
       cashier: selectedCashier
     } = req.body;
 
@@ -98,83 +191,57 @@ export const createSale = async (req, res) => {
     const settings = await Settings.findOne({});
     const overrideOutOfStock = settings?.overrideOutOfStock || false;
 
-    // Validate stock availability (unless override is enabled or quantity is negative)
-    if (!overrideOutOfStock) {
-      for (const item of items) {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          return res.status(400).json({
-            success: false,
-            message: `Product ${item.productName} not found`
-          });
-        }
-        
-        // Skip stock validation for negative quantities (returns/adjustments)
-        if (item.quantity < 0) {
-          // For negative quantities, just verify the product/variation exists
-          if (item.variationCombinationId) {
-            const combination = product.variationCombinations.id(item.variationCombinationId);
-            if (!combination) {
-              return res.status(400).json({
-                success: false,
-                message: `Variation combination not found for ${item.productName}`
-              });
-            }
-          }
-          continue; // Skip stock check for returns
-        }
-        
-        // Check if item has variations
-        if (item.variationCombinationId) {
-          // Find the specific variation combination
-          const combination = product.variationCombinations.id(item.variationCombinationId);
-          if (!combination) {
-            return res.status(400).json({
-              success: false,
-              message: `Variation combination not found for ${item.productName}`
-            });
-          }
-          
-          if (combination.stock < item.quantity) {
-            return res.status(400).json({
-              success: false,
-              message: `Insufficient stock for ${item.productName} - ${combination.combinationName}`
-            });
-          }
-        } else {
-          // Standard product without variations
-          if (product.stock < item.quantity) {
-            return res.status(400).json({
-              success: false,
-              message: `Insufficient stock for ${item.productName}`
-            });
-          }
-        }
-      }
-    } else {
-      // When override is enabled, just validate that products exist
-      for (const item of items) {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          return res.status(400).json({
-            success: false,
-            message: `Product ${item.productName} not found`
-          });
-        }
-        
-        // Check if variation combination exists for variation items
-        if (item.variationCombinationId) {
-          const combination = product.variationCombinations.id(item.variationCombinationId);
-          if (!combination) {
-            return res.status(400).json({
-              success: false,
-              message: `Variation combination not found for ${item.productName}`
-            });
-          }
-        }
-      }
+    // Validate that products and variation combinations exist.
+    // Stock availability is enforced atomically inside the transaction below.
+    const { productsById, itemLabels } = await loadCartProducts(items, { allowEmpty: giftCards.length > 0 });
+
+    // Recompute totals from catalogue prices and running promotions, and compare with what the client sent
+    const promotions = await findRunningPromotions();
+    const coupon = couponCode ? await findUsableCoupon(couponCode, customer) : null;
+    const calculation = calculateSaleTotals({
+      items,
+      productsById,
+      discount,
+      discountType,
+      loyaltyPointsUsed,
+      giftCards,
+      promotions,
+      coupon,
+      settings
+    });
+    const verificationConfig = settings?.priceVerification || {};
+    const mismatches = findTotalsMismatches(req.body, calculation, verificationConfig.tolerance ?? 0.01);
+
+    if (mismatches.length > 0 && verificationConfig.mode !== 'flag') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sale totals do not match the server calculation',
+        mismatches,
+        calculation
+      });
     }
 
+    // Verified sales are stored with the server values; flagged sales keep what the till charged
+    const isFlagged = mismatches.length > 0;
+    const saleItems = (isFlagged
+      ? items
+      : items.map((item, index) => ({
+        ...item,
+        unitPrice: calculation.lines[index].unitPrice,
+        promotionDiscount: calculation.lines[index].promotionDiscount,
+        couponDiscount: calculation.lines[index].couponDiscount,
+        totalPrice: calculation.lines[index].totalPrice
+      }))).map(item => ({
+        ...item,
+        unitCost: getUnitCost(productsById.get(String(item.product)), item.variationCombinationId)
+      }));
+    const appliedPromotions = isFlagged
+      ? []
+      : calculation.promotions.map(({ promotion, name, type, discountAmount }) => ({ promotion, name, type, discountAmount }));
+    const saleSubtotal = isFlagged ? subtotal : calculation.subtotal;
+    const saleTax = isFlagged ? tax : calculation.tax;
+    const saleTotal = isFlagged ? total : calculation.total;
+
     // Enforce cashier selection if commission feature is enabled
     const commissionConfig = settings?.commission || { enabled: false };
     let cashierUser = null;
@@ -191,18 +258,56 @@ export const createSale = async (req, res) => {
       cashierUser = req.currentUser;
     }
 
-    // Calculate loyalty points earned
-    const loyaltyPointsEarned = Math.floor(total / 100); // 1 point per 100 LKR
+    // Attach the sale to the open till session of whoever is taking the money;
+    // the selected cashier only decides who earns the commission
+    const openShift = await findOpenShift(req.currentUser._id);
+    if (!openShift && settings?.requireOpenShift) {
+      return res.status(400).json({ success: false, message: 'Open a shift before making sales' });
+    }
+
+    // Validate split tender and work out change for cash overpayment.
+    // Credit sales may be part paid; the rest goes on the customer's account.
+    const tender = settlePayments(payments, saleTotal, settings, { allowCredit: !!creditSale });
+    if (tender.balanceDue > 0 && !customer) {
+      return res.status(400).json({ success: false, message: 'A customer is required for credit sales' });
+    }
+
+    // Gift voucher and store credit tenders must reference a voucher that covers them
+    await validateVoucherPayments(tender.payments);
 
-    // Generate sequential invoice number using atomic counter
-    const invoiceNumber = await getNextInvoiceNumber();
+    // Points redeemed as a discount and as a tender both come off the customer's balance
+    const totalPointsRedeemed = (Number(loyaltyPointsUsed) || 0) + tender.loyaltyPoints;
+    if (!Number.isInteger(totalPointsRedeemed) || totalPointsRedeemed < 0) {
+      return res.status(400).json({ success: false, message: 'Loyalty points redeemed must be a positive whole number' });
+    }
+
+    // Expired points can't be spent, so clear them before checking the balance
+    if (customer && totalPointsRedeemed > 0) {
+      await expireLoyaltyPoints({ customer });
+    }
+    const saleCustomer = customer ? await Customer.findById(customer) : null;
+    if (totalPointsRedeemed > 0) {
+      if (!saleCustomer) {
+        return res.status(400).json({ success: false, message: 'A customer is required to redeem loyalty points' });
+      }
+      if (totalPointsRedeemed > saleCustomer.loyaltyPoints) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient loyalty points. Available: ${saleCustomer.loyaltyPoints}, Requested: ${totalPointsRedeemed}`
+        });
+      }
+    }
+
+    // Points are earned on what was spent on items, at the tier the customer was in before this sale
+    const loyaltyTier = getLoyaltyTier(saleCustomer?.totalPurchases, settings);
+    const loyaltyPointsEarned = calculatePointsEarned(saleTotal - calculation.giftCardTotal, saleCustomer, settings);
 
     // Compute commission amount (only when enabled and status is completed)
     // Status defaults to 'completed' in schema when not provided
     let commissionAmount = 0;
     if (commissionConfig.enabled) {
       if (commissionConfig.type === 'percentage') {
-        commissionAmount = (Number(commissionConfig.value || 0) / 100) * Number(total || 0);
+        commissionAmount = (Number(commissionConfig.value || 0) / 100) * Number(saleTotal || 0);
       } else if (commissionConfig.type === 'fixed') {
         commissionAmount = Number(commissionConfig.value || 0);
       }
@@ -211,68 +316,199 @@ export const createSale = async (req, res) => {
       if (commissionAmount < 0) commissionAmount = 0;
     }
 
-    // Create sale
-    const sale = new Sale({
-      invoiceNumber,
-      items,
-      customer,
-      customerInfo,
-      subtotal,
-      discount,
-      discountType,
-      tax,
-      loyaltyPointsUsed,
-      loyaltyPointsEarned,
-      total,
-      payments,
-      cashier: cashierUser._id,
-      cashierName: cashierUser.fullName,
-      notes,
-      commissionAmount
-    });
+    // Stock, invoice number, sale and customer updates commit or roll back together
+    let sale;
+    await session.withTransaction(async () => {
+      // Generate sequential invoice number using atomic counter
+      const invoiceNumber = await getNextInvoiceNumber('S', 3, session);
+      const saleId = new mongoose.Types.ObjectId();
 
-    await sale.save();
+      // Update product stock
+      // Note: Negative quantities will ADD stock back (returns/adjustments)
+      for (const [index, item] of items.entries()) {
+        const applied = await applyStockChange({
+          productId: item.product,
+          variationCombinationId: item.variationCombinationId,
+          delta: -item.quantity,
+          session,
+          enforceAvailability: !overrideOutOfStock,
+          movement: { type: 'sale', sourceModel: 'Sale', sourceId: saleId, reference: invoiceNumber, user: req.currentUser }
+        });
 
-    // Update product stock
-    // Note: Negative quantities will ADD stock back (returns/adjustments)
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      
-      if (item.variationCombinationId) {
-        // Update variation combination stock
-        const combination = product.variationCombinations.id(item.variationCombinationId);
-        combination.stock -= item.quantity; // Negative quantity will add stock back
-        await product.save();
-      } else {
-        // Update standard product stock
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { stock: -item.quantity } } // Negative quantity will add stock back
+        if (!applied) {
+          throw new Error(`Insufficient stock for ${itemLabels[index]}`);
+        }
+      }
+
+      // Create sale
+      sale = new Sale({
+        _id: saleId,
+        invoiceNumber,
+        items: saleItems,
+        customer,
+        customerInfo,
+        subtotal: saleSubtotal,
+        discount,
+        discountType,
+        tax: saleTax,
+        loyaltyPointsUsed: totalPointsRedeemed,
+        loyaltyPointsEarned,
+        total: saleTotal,
+        payments: tender.payments,
+        amountPaid: tender.amountPaid,
+        changeDue: tender.changeDue,
+        balanceDue: tender.balanceDue,
+        paymentStatus: tender.balanceDue === 0 ? 'paid' : (tender.amountPaid > 0 ? 'partially_paid' : 'unpaid'),
+        cashier: cashierUser._id,
+        cashierName: cashierUser.fullName,
+        shift: openShift?._id,
+        notes,
+        commissionAmount,
+        coupon: coupon
+          ? { coupon: coupon._id, code: coupon.code, discountAmount: calculation.couponDiscount }
+          : undefined,
+        appliedPromotions,
+        priceVerification: {
+          status: isFlagged ? 'flagged' : 'verified',
+          mismatches,
+          calculated: {
+            subtotal: calculation.subtotal,
+            promotionDiscount: calculation.promotionDiscount,
+            couponDiscount: calculation.couponDiscount,
+            discountAmount: calculation.discountAmount,
+            tax: calculation.tax,
+            loyaltyRedemption: calculation.loyaltyRedemption,
+            giftCardTotal: calculation.giftCardTotal,
+            total: calculation.total
+          }
+        }
+      });
+
+      // Take voucher tenders off their balances
+      await redeemVoucherPayments(sale.payments, {
+        sale: sale._id,
+        reference: invoiceNumber,
+        user: req.currentUser,
+        session
+      });
+
+      // Issue the gift cards sold on this sale
+      for (const giftCard of giftCards) {
+        const voucher = await issueVoucher({
+          type: 'gift_card',
+          amount: giftCard.amount,
+          customer,
+          source: 'sale',
+          sale: sale._id,
+          reference: invoiceNumber,
+          user: req.currentUser,
+          settings,
+          session
+        });
+        sale.giftCards.push({ voucher: voucher._id, code: voucher.code, amount: voucher.initialValue });
+      }
+
+      await sale.save({ session });
+
+      if (coupon) {
+        await redeemCoupon({
+          coupon,
+          sale,
+          discountAmount: calculation.couponDiscount,
+          user: req.currentUser,
+          session
+        });
+      }
+
+      if (appliedPromotions.length > 0) {
+        await Promotion.updateMany(
+          { _id: { $in: appliedPromotions.map(applied => applied.promotion) } },
+          { $inc: { timesUsed: 1 } },
+          { session }
         );
       }
-    }
 
-    // Update customer loyalty points and purchase history
-    if (customer) {
-      const customerDoc = await Customer.findById(customer);
-      if (customerDoc) {
-        customerDoc.loyaltyPoints = Math.max(0, customerDoc.loyaltyPoints - loyaltyPointsUsed + loyaltyPointsEarned);
-        customerDoc.totalPurchases += total;
-        customerDoc.lastPurchaseDate = new Date();
-        await customerDoc.save();
+      // Completing a resumed cart closes the held sale in the same transaction
+      if (heldSale) {
+        const heldResult = await HeldSale.updateOne(
+          { _id: heldSale, status: { $in: ['held', 'resumed'] } },
+          { status: 'completed', sale: sale._id, completedAt: new Date() },
+          { session }
+        );
+        if (heldResult.matchedCount === 0) {
+          throw new Error('Held sale is no longer available');
+        }
+      }
+
+      // Update customer purchase history and loyalty points
+      if (customer) {
+        const customerDoc = await Customer.findById(customer).session(session);
+        if (customerDoc) {
+          customerDoc.totalPurchases += saleTotal;
+          customerDoc.lastPurchaseDate = new Date();
+          refreshLoyaltyTier(customerDoc, settings);
+          await customerDoc.save({ session });
+        }
+
+        await postLoyaltyTransaction({
+          customer,
+          type: 'redeem',
+          points: -totalPointsRedeemed,
+          sale: sale._id,
+          reference: invoiceNumber,
+          user: req.currentUser,
+          settings,
+          session
+        });
+        await postLoyaltyTransaction({
+          customer,
+          type: 'earn',
+          points: loyaltyPointsEarned,
+          sale: sale._id,
+          reference: invoiceNumber,
+          tier: loyaltyTier?.name,
+          user: req.currentUser,
+          settings,
+          session
+        });
       }
+
+      // Put the unpaid part of a credit sale on the customer's account
+      if (tender.balanceDue > 0) {
+        await postCustomerTransaction({
+          customer,
+          type: 'invoice',
+          amount: tender.balanceDue,
+          sale: sale._id,
+          reference: invoiceNumber,
+          user: req.currentUser,
+          session,
+          enforceCreditLimit: true
+        });
+      }
+    });
+
+    // Receipts and stock alerts go out through the outbox; they must never fail the sale
+    try {
+      await queueSaleReceipt(sale, { settings, customer: saleCustomer, user: req.currentUser });
+      await queueLowStockAlert(items, settings);
+    } catch (error) {
+      console.error(`Could not queue notifications for ${sale.invoiceNumber}:`, error.message);
     }
 
     res.status(201).json({
       success: true,
-      message: 'Sale created successfully',
-      sale
+      message: isFlagged ? 'Sale created and flagged for price review' : 'Sale created successfully',
+      sale,
+      calculation
     });
   } catch (error) {
     res.status(400).json({
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -363,18 +599,30 @@ export const getSale = async (req, res) => {
   }
 };
 
+// Fields that don't touch totals, stock, ledgers or commission
+const EDITABLE_SALE_FIELDS = ['notes', 'customerInfo'];
+
+// Items, totals and payments are fixed once a sale is recorded; corrections go
+// through returns and exchanges so stock and the ledgers follow
 export const updateSale = async (req, res) => {
   try {
-    // Prevent updating cashier and commissionAmount via this endpoint
-    if (req.body) {
-      delete req.body.cashier;
-      delete req.body.cashierName;
-      delete req.body.commissionAmount;
+    const fields = Object.keys(req.body || {});
+    const rejected = fields.filter(field => !EDITABLE_SALE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${EDITABLE_SALE_FIELDS.join(' and ')} can be changed on a sale. Not allowed: ${rejected.join(', ')}`
+      });
+    }
+
+    const update = {};
+    for (const field of fields) {
+      update[field] = req.body[field];
     }
 
     const sale = await Sale.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
     
@@ -398,46 +646,88 @@ export const updateSale = async (req, res) => {
   }
 };
 
+// What a sale has posted beyond stock that deleting it would leave behind
+const getDeleteBlockers = async (sale, session) => {
+  const blockers = [];
+  if (sale.returnedItems?.length > 0 || sale.exchange) {
+    blockers.push('returns or an exchange');
+  }
+  if (sale.customer) {
+    blockers.push('a customer account (purchases, loyalty points or credit)');
+  }
+  if (sale.payments?.some(payment => ['gift_voucher', 'store_credit', 'loyalty_points'].includes(payment.method)) || sale.giftCards?.length > 0) {
+    blockers.push('vouchers or gift cards');
+  }
+  if (sale.coupon?.coupon) {
+    blockers.push('a redeemed coupon');
+  }
+  if (sale.shift) {
+    const shift = await Shift.findById(sale.shift).select('status').session(session);
+    if (shift && shift.status !== 'open') {
+      blockers.push('a closed shift');
+    }
+  }
+  return blockers;
+};
+
+// Deleting only suits a sale rung up by mistake on a still-open shift; anything
+// posted to customers, vouchers, coupons or a closed shift must be returned instead
 export const deleteSale = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const sale = await Sale.findByIdAndDelete(req.params.id);
-    
-    if (!sale) {
-      return res.status(404).json({
-        success: false,
-        message: 'Sale not found'
-      });
-    }
-    
-    // Restore product stock
-    for (const item of sale.items) {
-      const product = await Product.findById(item.product);
-      
-      if (item.variationCombinationId) {
-        // Restore variation combination stock
-        const combination = product.variationCombinations.id(item.variationCombinationId);
-        if (combination) {
-          combination.stock += item.quantity;
-          await product.save();
-        }
-      } else {
-        // Restore standard product stock
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { stock: item.quantity } }
+    let sale;
+    await session.withTransaction(async () => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      const blockers = await getDeleteBlockers(sale, session);
+      if (blockers.length > 0) {
+        throw new Error(`Sale ${sale.invoiceNumber} has ${blockers.join(', ')} recorded against it. Process a return instead`);
+      }
+
+      await sale.deleteOne({ session });
+
+      // Restore product stock; products or combinations removed since are skipped
+      for (const item of sale.items) {
+        await applyStockChange({
+          productId: item.product,
+          variationCombinationId: item.variationCombinationId,
+          delta: item.quantity,
+          session,
+          enforceAvailability: false,
+          movement: {
+            type: 'sale_deleted',
+            sourceModel: 'Sale',
+            sourceId: sale._id,
+            reference: sale.invoiceNumber,
+            user: req.currentUser
+          }
+        });
+      }
+
+      if (sale.appliedPromotions?.length > 0) {
+        await Promotion.updateMany(
+          { _id: { $in: sale.appliedPromotions.map(applied => applied.promotion) } },
+          { $inc: { timesUsed: -1 } },
+          { session }
         );
       }
-    }
+    });
     
     res.json({
       success: true,
       message: 'Sale deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.message === 'Sale not found' ? 404 : 400).json({
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -579,9 +869,14 @@ export const getDailySummary = async (req, res) => {
       }
     ]);
     
+    const tenderBreakdown = await getTenderBreakdown({
+      createdAt: { $gte: startDate, $lte: endDate }
+    });
+
     res.json({
       success: true,
-      summary: summary[0] || { totalSales: 0, totalOrders: 0, averageOrderValue: 0 }
+      summary: summary[0] || { totalSales: 0, totalOrders: 0, averageOrderValue: 0 },
+      tenderBreakdown
     });
   } catch (error) {
     res.status(500).json({
@@ -1,5 +1,6 @@
 import Settings from '../models/Settings.js';
 import { deleteFromCloudinary, getPublicIdFromUrl } from '../config/cloudinary.js';
+import { getTransportNames } from '../utils/notificationTransports.js';
 
 export const getSettings = async (req, res) => {
   try {
@@ -47,6 +48,34 @@ export const updateSettings = async (req, res) => {
       }
     }
 
+    // Validate price verification payload if present
+    if (req.body && req.body.priceVerification) {
+      const { mode, tolerance } = req.body.priceVerification;
+
+      if (typeof mode !== 'undefined' && !['reject', 'flag'].includes(mode)) {
+        return res.status(400).json({ success: false, message: "Invalid price verification mode. Must be 'reject' or 'flag'." });
+      }
+
+      if (typeof tolerance !== 'undefined') {
+        const toleranceNum = Number(tolerance);
+        if (Number.isNaN(toleranceNum) || toleranceNum < 0) {
+          return res.status(400).json({ success: false, message: 'Price verification tolerance must be a non-negative number.' });
+        }
+        req.body.priceVerification.tolerance = toleranceNum;
+      }
+    }
+
+    // Validate notification transports if present
+    if (req.body && req.body.notifications) {
+      const { emailTransport, smsTransport } = req.body.notifications;
+
+      for (const transport of [emailTransport, smsTransport]) {
+        if (typeof transport !== 'undefined' && !getTransportNames().includes(transport)) {
+          return res.status(400).json({ success: false, message: `Invalid notification transport '${transport}'. Must be one of: ${getTransportNames().join(', ')}.` });
+        }
+      }
+    }
+
     let settings = await Settings.findOne();
     
     if (!settings) {
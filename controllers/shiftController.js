@@ -0,0 +1,436 @@
+import Shift from '../models/Shift.js';
+import Sale from '../models/Sale.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+
+// Cashiers may only work with their own shifts; admins can see every till
+const canAccessShift = (shift, user) => {
+  return user.role === 'admin' || String(shift.cashier) === String(user._id);
+};
+
+// Find the open shift for a cashier, if any
+export const findOpenShift = async (cashierId, session = null) => {
+  return Shift.findOne({ cashier: cashierId, status: 'open' }).session(session);
+};
+
+// Build an X/Z report for a shift: sales and refunds per payment method,
+// cash movements and the expected drawer amount for each method
+export const buildShiftReport = async (shift, countedAmounts = null) => {
+  const salesSummary = await Sale.aggregate([
+    { $match: { shift: shift._id } },
+    {
+      $group: {
+        _id: null,
+        salesCount: { $sum: 1 },
+        salesTotal: { $sum: '$total' },
+        changeGiven: { $sum: '$changeDue' }
+      }
+    }
+  ]);
+
+  const paymentsByMethod = await Sale.aggregate([
+    { $match: { shift: shift._id } },
+    { $unwind: '$payments' },
+    {
+      $group: {
+        _id: '$payments.method',
+        amount: { $sum: '$payments.amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // Change handed back comes out of the cash drawer
+  const changeGiven = salesSummary[0]?.changeGiven || 0;
+
+  const refundsByMethod = {};
+  for (const refund of shift.refunds) {
+    refundsByMethod[refund.method] = (refundsByMethod[refund.method] || 0) + refund.amount;
+  }
+
+  // Customer account settlements taken at this till
+  const accountPaymentsByMethod = {};
+  for (const payment of shift.accountPayments) {
+    accountPaymentsByMethod[payment.method] = (accountPaymentsByMethod[payment.method] || 0) + payment.amount;
+  }
+
+  const cashIn = shift.cashMovements
+    .filter(movement => movement.type === 'cash_in')
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const cashOut = shift.cashMovements
+    .filter(movement => movement.type === 'cash_out')
+    .reduce((sum, movement) => sum + movement.amount, 0);
+
+  const methodNames = new Set(['cash']);
+  paymentsByMethod.forEach(payment => methodNames.add(payment._id));
+  Object.keys(refundsByMethod).forEach(method => methodNames.add(method));
+  Object.keys(accountPaymentsByMethod).forEach(method => methodNames.add(method));
+  if (countedAmounts) {
+    Object.keys(countedAmounts).forEach(method => methodNames.add(method));
+  }
+
+  let totalVariance = 0;
+  const methods = [...methodNames].map(method => {
+    const payment = paymentsByMethod.find(p => p._id === method);
+    const sales = payment?.amount || 0;
+    const refunds = refundsByMethod[method] || 0;
+    const accountPayments = accountPaymentsByMethod[method] || 0;
+
+    let expected = sales + accountPayments - refunds;
+    if (method === 'cash') {
+      expected += shift.openingFloat + cashIn - cashOut - changeGiven;
+    }
+
+    const row = {
+      method,
+      transactions: payment?.count || 0,
+      sales: roundCurrency(sales),
+      refunds: roundCurrency(refunds),
+      accountPayments: roundCurrency(accountPayments),
+      expected: roundCurrency(expected)
+    };
+
+    if (countedAmounts && countedAmounts[method] !== undefined) {
+      row.counted = roundCurrency(countedAmounts[method]);
+      row.variance = roundCurrency(row.counted - row.expected);
+      totalVariance += row.variance;
+    }
+
+    return row;
+  });
+
+  const refundsTotal = Object.values(refundsByMethod).reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    shiftId: shift._id,
+    cashier: shift.cashier,
+    cashierName: shift.cashierName,
+    status: shift.status,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    openingFloat: shift.openingFloat,
+    salesCount: salesSummary[0]?.salesCount || 0,
+    salesTotal: roundCurrency(salesSummary[0]?.salesTotal || 0),
+    refundsTotal: roundCurrency(refundsTotal),
+    changeGiven: roundCurrency(changeGiven),
+    cashIn: roundCurrency(cashIn),
+    cashOut: roundCurrency(cashOut),
+    methods,
+    totalVariance: countedAmounts ? roundCurrency(totalVariance) : undefined
+  };
+};
+
+export const openShift = async (req, res) => {
+  try {
+    const { openingFloat = 0, notes } = req.body;
+
+    const floatAmount = Number(openingFloat);
+    if (Number.isNaN(floatAmount) || floatAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening float must be a non-negative number'
+      });
+    }
+
+    const existingShift = await findOpenShift(req.currentUser._id);
+    if (existingShift) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open shift',
+        shift: existingShift
+      });
+    }
+
+    const shift = new Shift({
+      cashier: req.currentUser._id,
+      cashierName: req.currentUser.fullName,
+      openingFloat: floatAmount,
+      notes
+    });
+
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await findOpenShift(req.currentUser._id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open shift'
+      });
+    }
+
+    res.json({
+      success: true,
+      shift
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getShifts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, cashier, startDate, endDate } = req.query;
+
+    const query = {};
+
+    if (req.currentUser.role !== 'admin') {
+      query.cashier = req.currentUser._id;
+    } else if (cashier) {
+      query.cashier = cashier;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (startDate && endDate) {
+      query.openedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const shifts = await Shift.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ openedAt: -1 });
+
+    const total = await Shift.countDocuments(query);
+
+    res.json({
+      success: true,
+      shifts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift || !canAccessShift(shift, req.currentUser)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      shift
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const addCashMovement = async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    if (!['cash_in', 'cash_out'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid cash movement type. Must be 'cash_in' or 'cash_out'."
+      });
+    }
+
+    const movementAmount = Number(amount);
+    if (Number.isNaN(movementAmount) || movementAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift || !canAccessShift(shift, req.currentUser)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    shift.cashMovements.push({
+      type,
+      amount: movementAmount,
+      reason,
+      recordedBy: req.currentUser._id,
+      recordedByName: req.currentUser.fullName
+    });
+
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash movement recorded successfully',
+      shift
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// X report: running totals for a shift without closing it
+export const getShiftReport = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift || !canAccessShift(shift, req.currentUser)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    // Closed shifts return the Z report captured at closing time
+    if (shift.status === 'closed') {
+      return res.json({
+        success: true,
+        reportType: 'Z',
+        report: {
+          shiftId: shift._id,
+          cashier: shift.cashier,
+          cashierName: shift.cashierName,
+          status: shift.status,
+          openedAt: shift.openedAt,
+          closedAt: shift.closedAt,
+          openingFloat: shift.openingFloat,
+          ...shift.closingReport.toObject()
+        }
+      });
+    }
+
+    const report = await buildShiftReport(shift);
+
+    res.json({
+      success: true,
+      reportType: 'X',
+      report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Z report: close the shift with the counted drawer amounts per payment method
+export const closeShift = async (req, res) => {
+  try {
+    const { countedAmounts, closingNotes } = req.body;
+
+    if (!countedAmounts || typeof countedAmounts !== 'object' || countedAmounts.cash === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'countedAmounts with at least the counted cash is required'
+      });
+    }
+
+    for (const [method, value] of Object.entries(countedAmounts)) {
+      const counted = Number(value);
+      if (Number.isNaN(counted) || counted < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Counted amount for ${method} must be a non-negative number`
+        });
+      }
+      countedAmounts[method] = counted;
+    }
+
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift || !canAccessShift(shift, req.currentUser)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const report = await buildShiftReport(shift, countedAmounts);
+
+    shift.status = 'closed';
+    shift.closedAt = new Date();
+    shift.closedBy = req.currentUser._id;
+    shift.closingNotes = closingNotes;
+    shift.closingReport = {
+      salesCount: report.salesCount,
+      salesTotal: report.salesTotal,
+      refundsTotal: report.refundsTotal,
+      changeGiven: report.changeGiven,
+      cashIn: report.cashIn,
+      cashOut: report.cashOut,
+      methods: report.methods,
+      totalVariance: report.totalVariance
+    };
+
+    await shift.save();
+
+    res.json({
+      success: true,
+      message: 'Shift closed successfully',
+      reportType: 'Z',
+      report: {
+        ...report,
+        status: shift.status,
+        closedAt: shift.closedAt
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
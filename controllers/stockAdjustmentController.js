@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import StockAdjustment from '../models/StockAdjustment.js';
+import StockMovement from '../models/StockMovement.js';
+import { createStockAdjustment as recordStockAdjustment, postStockAdjustment } from '../utils/stockAdjustments.js';
+
+/**
+ * Request a stock adjustment. Items are { product, variationCombinationId,
+ * quantity, notes } with positive quantities adding stock and negative ones
+ * removing it. Adjustments wait for an admin to approve them; admins can send
+ * approve: true to post their own straight away.
+ */
+export const createStockAdjustment = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { items, reason, notes, approve } = req.body;
+    const approveNow = approve === true && req.currentUser.role === 'admin';
+
+    let adjustment;
+    await session.withTransaction(async () => {
+      adjustment = await recordStockAdjustment({
+        items,
+        reason,
+        notes,
+        user: req.currentUser,
+        approve: approveNow,
+        session
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: approveNow
+        ? `Stock adjustment ${adjustment.adjustmentNumber} posted`
+        : `Stock adjustment ${adjustment.adjustmentNumber} is waiting for approval`,
+      adjustment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const getStockAdjustments = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, reason, product, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (reason) {
+      query.reason = reason;
+    }
+    if (product) {
+      query['items.product'] = product;
+    }
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const adjustments = await StockAdjustment.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await StockAdjustment.countDocuments(query);
+
+    res.json({
+      success: true,
+      adjustments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// An adjustment with the stock movements it posted
+export const getStockAdjustment = async (req, res) => {
+  try {
+    const adjustment = await StockAdjustment.findById(req.params.id);
+
+    if (!adjustment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock adjustment not found'
+      });
+    }
+
+    const movements = await StockMovement.find({ sourceModel: 'StockAdjustment', sourceId: adjustment._id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      adjustment,
+      movements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Approve a pending adjustment and post it to stock
+export const approveStockAdjustment = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let adjustment;
+    await session.withTransaction(async () => {
+      adjustment = await StockAdjustment.findById(req.params.id).session(session);
+      if (!adjustment) {
+        throw new Error('Stock adjustment not found');
+      }
+      await postStockAdjustment({ adjustment, user: req.currentUser, session });
+    });
+
+    res.json({
+      success: true,
+      message: `Stock adjustment ${adjustment.adjustmentNumber} approved`,
+      adjustment
+    });
+  } catch (error) {
+    res.status(error.message === 'Stock adjustment not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Reject a pending adjustment; stock is left as it is
+export const rejectStockAdjustment = async (req, res) => {
+  try {
+    const adjustment = await StockAdjustment.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: 'rejected',
+        rejectedBy: req.currentUser._id,
+        rejectedByName: req.currentUser.fullName,
+        rejectedAt: new Date(),
+        rejectionReason: req.body.reason
+      },
+      { new: true }
+    );
+
+    if (!adjustment) {
+      const exists = await StockAdjustment.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only pending stock adjustments can be rejected' : 'Stock adjustment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Stock adjustment ${adjustment.adjustmentNumber} rejected`,
+      adjustment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,203 @@
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+const keyOf = variationCombinationId => variationCombinationId || null;
+
+// The stock movement journal, newest first
+export const getStockMovements = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, product, variationCombinationId, type, field, sourceModel, sourceId, startDate, endDate } = req.query;
+
+    const query = {};
+    if (product) {
+      query.product = product;
+    }
+    if (variationCombinationId) {
+      query.variationCombinationId = variationCombinationId;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (field) {
+      query.field = field;
+    }
+    if (sourceModel) {
+      query.sourceModel = sourceModel;
+    }
+    if (sourceId) {
+      query.sourceId = sourceId;
+    }
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('product', 'name sku')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1, _id: -1 });
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Stock card for a product: for the product itself and each of its variation
+ * combinations, the opening balance, every movement in the period with its
+ * source document, and the running balance. Balances are worked back from
+ * current stock, so stock from before movements were recorded shows up in
+ * the opening balance.
+ */
+export const getStockCard = async (req, res) => {
+  try {
+    const { startDate, endDate, variationCombinationId, field = 'stock' } = req.query;
+
+    if (!['stock', 'damagedStock'].includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: 'field must be stock or damagedStock'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select(`name sku ${field} variationCombinations`);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    if (variationCombinationId && !product.variationCombinations.id(variationCombinationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variation combination not found'
+      });
+    }
+
+    const rangeStart = startDate ? new Date(startDate) : null;
+    const rangeEnd = endDate ? new Date(endDate) : new Date();
+
+    const query = { product: product._id, field };
+    if (variationCombinationId) {
+      query.variationCombinationId = variationCombinationId;
+    }
+
+    const inRange = { ...query, createdAt: { $lte: rangeEnd } };
+    if (rangeStart) {
+      inRange.createdAt.$gte = rangeStart;
+    }
+
+    const [movements, laterTotals] = await Promise.all([
+      StockMovement.find(inRange).sort({ createdAt: 1, _id: 1 }),
+      StockMovement.aggregate([
+        { $match: { ...query, createdAt: { $gt: rangeEnd } } },
+        { $group: { _id: '$variationCombinationId', quantity: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    // One card for the product itself and one per combination, including
+    // combinations since removed that moved in the period
+    const cards = new Map();
+    const addCard = (key, combination, currentLevel) => {
+      cards.set(key, {
+        variationCombinationId: key,
+        combinationName: key ? (combination?.combinationName ?? 'Removed combination') : null,
+        sku: key ? combination?.sku : product.sku,
+        currentLevel,
+        movements: []
+      });
+    };
+
+    if (!variationCombinationId) {
+      addCard(null, null, product[field] ?? 0);
+    }
+    for (const combination of product.variationCombinations) {
+      if (variationCombinationId && combination._id.toString() !== variationCombinationId) continue;
+      addCard(combination._id.toString(), combination, combination[field] ?? 0);
+    }
+    for (const movement of movements) {
+      const key = keyOf(movement.variationCombinationId);
+      if (!cards.has(key)) addCard(key, null, 0);
+      cards.get(key).movements.push(movement);
+    }
+
+    const later = new Map(laterTotals.map(row => [keyOf(row._id), row.quantity]));
+
+    const result = [];
+    for (const card of cards.values()) {
+      const movedInRange = card.movements.reduce((sum, movement) => sum + movement.quantity, 0);
+      const openingBalance = card.currentLevel - (later.get(card.variationCombinationId) || 0) - movedInRange;
+
+      // The product's own line is left out for products with combinations unless it holds or moved stock
+      if (card.variationCombinationId === null && product.variationCombinations.length > 0 &&
+        card.movements.length === 0 && openingBalance === 0 && card.currentLevel === 0) {
+        continue;
+      }
+
+      let balance = openingBalance;
+      let totalIn = 0;
+      let totalOut = 0;
+      const lines = card.movements.map(movement => {
+        balance += movement.quantity;
+        if (movement.quantity > 0) totalIn += movement.quantity;
+        else totalOut -= movement.quantity;
+        return {
+          _id: movement._id,
+          date: movement.createdAt,
+          type: movement.type,
+          reference: movement.reference,
+          sourceModel: movement.sourceModel,
+          sourceId: movement.sourceId,
+          in: movement.quantity > 0 ? movement.quantity : 0,
+          out: movement.quantity < 0 ? -movement.quantity : 0,
+          balance,
+          userName: movement.userName,
+          notes: movement.notes
+        };
+      });
+
+      result.push({
+        variationCombinationId: card.variationCombinationId,
+        combinationName: card.combinationName,
+        sku: card.sku,
+        openingBalance,
+        totalIn,
+        totalOut,
+        closingBalance: balance,
+        movements: lines
+      });
+    }
+
+    res.json({
+      success: true,
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      field,
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      cards: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
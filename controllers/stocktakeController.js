@@ -0,0 +1,462 @@
+import mongoose from 'mongoose';
+import Stocktake from '../models/Stocktake.js';
+import StocktakeCount from '../models/StocktakeCount.js';
+import { getNextStocktakeNumber } from '../utils/invoiceNumberGenerator.js';
+import { findProductByBarcode } from '../utils/barcodeLookup.js';
+import { createStockAdjustment } from '../utils/stockAdjustments.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+import {
+  stocktakeItemKey,
+  buildStocktakeItem,
+  snapshotStocktakeItems,
+  getCountedQuantities,
+  getMovementsSinceSnapshot,
+  calculateVariances
+} from '../utils/stocktake.js';
+
+// Variance lines and totals of a stocktake: live counts while counting, the
+// figures fixed on approval afterwards
+const getVariances = async (stocktake, uncountedAsZero = stocktake.uncountedAsZero) => {
+  const items = stocktake.toObject().items;
+
+  if (stocktake.status === 'approved') {
+    return calculateVariances(
+      items,
+      new Map(items
+        .filter(item => item.countedQuantity !== undefined && item.countedQuantity !== null)
+        .map(item => [stocktakeItemKey(item.product, item.variationCombinationId), { quantity: item.countedQuantity }])),
+      uncountedAsZero,
+      new Map(items.map(item => [stocktakeItemKey(item.product, item.variationCombinationId), item.movedQuantity || 0]))
+    );
+  }
+
+  const counted = await getCountedQuantities(stocktake._id);
+  const moved = await getMovementsSinceSnapshot(items, counted, { startedAt: stocktake.createdAt });
+  return calculateVariances(items, counted, uncountedAsZero, moved);
+};
+
+/**
+ * Start a stocktake by snapshotting expected stock per product and variation
+ * combination, for every active product or one category.
+ */
+export const createStocktake = async (req, res) => {
+  try {
+    const { name, category, notes } = req.body;
+
+    const items = await snapshotStocktakeItems({ category });
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: category ? `No active products in ${category}` : 'No active products to count'
+      });
+    }
+
+    const stocktake = await Stocktake.create({
+      stocktakeNumber: await getNextStocktakeNumber(),
+      name,
+      category,
+      items,
+      notes,
+      startedBy: req.currentUser._id,
+      startedByName: req.currentUser.fullName
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} started with ${items.length} items`,
+      stocktake
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getStocktakes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    const stocktakes = await Stocktake.find(query)
+      .select('-items')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Stocktake.countDocuments(query);
+
+    res.json({
+      success: true,
+      stocktakes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// A stocktake with each item's expected and counted quantity and variance
+export const getStocktake = async (req, res) => {
+  try {
+    const { onlyVariances, uncountedAsZero } = req.query;
+
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    const { lines, totals } = await getVariances(
+      stocktake,
+      uncountedAsZero === undefined ? stocktake.uncountedAsZero : uncountedAsZero === 'true'
+    );
+
+    const { items, ...summary } = stocktake.toObject();
+    res.json({
+      success: true,
+      stocktake: summary,
+      items: onlyVariances === 'true' ? lines.filter(line => line.variance !== 0) : lines,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Record scanned counts: { counts: [{ barcode, quantity }], device } or a
+ * single { barcode, quantity, device }. Quantities default to 1 per scan and
+ * add to what other devices have counted. Items that were not in the snapshot
+ * are added with their current stock as expected. Unknown barcodes are
+ * returned rather than failing the batch.
+ */
+export const recordStocktakeCounts = async (req, res) => {
+  try {
+    const { device } = req.body;
+    const counts = Array.isArray(req.body.counts)
+      ? req.body.counts
+      : [{ barcode: req.body.barcode, quantity: req.body.quantity }];
+
+    for (const count of counts) {
+      const quantity = Number(count.quantity ?? 1);
+      if (!count.barcode || !Number.isInteger(quantity) || quantity === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each count needs a barcode and a whole, non-zero quantity'
+        });
+      }
+    }
+
+    const stocktake = await Stocktake.findById(req.params.id).select('status stocktakeNumber');
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        message: `Stocktake ${stocktake.stocktakeNumber} is ${stocktake.status}`
+      });
+    }
+
+    const recorded = [];
+    const unknown = [];
+    for (const count of counts) {
+      const found = await findProductByBarcode(count.barcode);
+      if (!found) {
+        unknown.push(count.barcode);
+        continue;
+      }
+
+      const { product, combination } = found;
+      const variationCombinationId = combination ? String(combination._id) : null;
+
+      // Add items the snapshot missed, unless another device just did
+      await Stocktake.updateOne(
+        {
+          _id: stocktake._id,
+          items: { $not: { $elemMatch: { product: product._id, variationCombinationId } } }
+        },
+        { $push: { items: buildStocktakeItem(product, combination) } }
+      );
+
+      recorded.push(await StocktakeCount.create({
+        stocktake: stocktake._id,
+        product: product._id,
+        variationCombinationId,
+        barcode: count.barcode,
+        quantity: Number(count.quantity ?? 1),
+        device,
+        countedBy: req.currentUser._id,
+        countedByName: req.currentUser.fullName
+      }));
+    }
+
+    // Running totals for the items just scanned
+    const counted = await getCountedQuantities(stocktake._id);
+    const totals = [...new Set(recorded.map(count => stocktakeItemKey(count.product, count.variationCombinationId)))]
+      .map(key => {
+        const row = counted.get(key);
+        return { product: row._id.product, variationCombinationId: row._id.combination, countedQuantity: row.quantity, scans: row.scans };
+      });
+
+    res.status(201).json({
+      success: true,
+      message: `${recorded.length} count(s) recorded`,
+      counts: recorded,
+      totals,
+      unknown
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Individual scans, newest first
+export const getStocktakeCounts = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, device, product } = req.query;
+
+    const query = { stocktake: req.params.id };
+    if (device) {
+      query.device = device;
+    }
+    if (product) {
+      query.product = product;
+    }
+
+    const counts = await StocktakeCount.find(query)
+      .populate('product', 'name sku')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await StocktakeCount.countDocuments(query);
+
+    res.json({
+      success: true,
+      counts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve a stocktake: fix the counts and variances, and post the variances
+ * as one approved count correction. Variances are measured against the
+ * snapshot plus what the journal moved before each item was counted, so sales
+ * made while counting are neither undone nor deducted twice.
+ */
+export const approveStocktake = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const uncountedAsZero = req.body.uncountedAsZero === true;
+
+    let stocktake;
+    await session.withTransaction(async () => {
+      stocktake = await Stocktake.findById(req.params.id).session(session);
+      if (!stocktake) {
+        throw new Error('Stocktake not found');
+      }
+      if (stocktake.status !== 'counting') {
+        throw new Error(`Stocktake ${stocktake.stocktakeNumber} is already ${stocktake.status}`);
+      }
+
+      const items = stocktake.toObject().items;
+      const counted = await getCountedQuantities(stocktake._id);
+      const moved = await getMovementsSinceSnapshot(items, counted, { startedAt: stocktake.createdAt, session });
+      const { lines, totals } = calculateVariances(items, counted, uncountedAsZero, moved);
+
+      const changes = lines.filter(line => line.variance !== 0);
+      if (changes.length > 0) {
+        const adjustment = await createStockAdjustment({
+          items: changes.map(line => ({
+            product: line.product,
+            variationCombinationId: line.variationCombinationId,
+            quantity: line.variance,
+            notes: `Expected ${line.expectedQuantity + line.movedQuantity}, counted ${line.countedQuantity}`
+          })),
+          reason: 'count_correction',
+          notes: `Stocktake ${stocktake.stocktakeNumber}`,
+          stocktake: stocktake._id,
+          user: req.currentUser,
+          approve: true,
+          session
+        });
+        stocktake.adjustment = adjustment._id;
+      }
+
+      lines.forEach((line, index) => {
+        const item = stocktake.items[index];
+        item.countedQuantity = line.countedQuantity ?? undefined;
+        item.movedQuantity = line.movedQuantity;
+        item.variance = line.variance;
+        item.varianceValue = line.varianceValue;
+      });
+      Object.assign(stocktake, {
+        status: 'approved',
+        uncountedAsZero,
+        gainQuantity: totals.gainQuantity,
+        gainValue: totals.gainValue,
+        lossQuantity: totals.lossQuantity,
+        lossValue: totals.lossValue,
+        netValue: totals.netValue,
+        approvedBy: req.currentUser._id,
+        approvedByName: req.currentUser.fullName,
+        approvedAt: new Date()
+      });
+      await stocktake.save({ session });
+    });
+
+    res.json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} approved`,
+      stocktake
+    });
+  } catch (error) {
+    res.status(error.message === 'Stocktake not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, status: 'counting' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    ).select('-items');
+
+    if (!stocktake) {
+      const exists = await Stocktake.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only stocktakes still counting can be cancelled' : 'Stocktake not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Stocktake ${stocktake.stocktakeNumber} cancelled`,
+      stocktake
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Variance valuation: gains and losses at purchase price, by category, with
+ * the lines that differ. Live while counting, final once approved.
+ */
+export const getStocktakeVarianceReport = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    const { lines, totals } = await getVariances(
+      stocktake,
+      req.query.uncountedAsZero === undefined ? stocktake.uncountedAsZero : req.query.uncountedAsZero === 'true'
+    );
+
+    const byCategory = new Map();
+    for (const line of lines) {
+      const category = line.category || 'Uncategorised';
+      if (!byCategory.has(category)) {
+        byCategory.set(category, {
+          category,
+          expectedValue: 0,
+          countedValue: 0,
+          gainQuantity: 0,
+          gainValue: 0,
+          lossQuantity: 0,
+          lossValue: 0,
+          netValue: 0
+        });
+      }
+      const row = byCategory.get(category);
+      const unitCost = line.unitCost || 0;
+      const expectedQuantity = line.expectedQuantity + line.movedQuantity;
+      row.expectedValue = roundCurrency(row.expectedValue + expectedQuantity * unitCost);
+      row.countedValue = roundCurrency(row.countedValue + (line.countedQuantity ?? expectedQuantity) * unitCost);
+      if (line.variance > 0) {
+        row.gainQuantity += line.variance;
+        row.gainValue = roundCurrency(row.gainValue + line.varianceValue);
+      } else if (line.variance < 0) {
+        row.lossQuantity -= line.variance;
+        row.lossValue = roundCurrency(row.lossValue - line.varianceValue);
+      }
+      row.netValue = roundCurrency(row.gainValue - row.lossValue);
+    }
+
+    res.json({
+      success: true,
+      stocktake: {
+        _id: stocktake._id,
+        stocktakeNumber: stocktake.stocktakeNumber,
+        name: stocktake.name,
+        status: stocktake.status,
+        createdAt: stocktake.createdAt,
+        approvedAt: stocktake.approvedAt,
+        adjustment: stocktake.adjustment
+      },
+      categories: [...byCategory.values()].sort((a, b) => a.netValue - b.netValue),
+      lines: lines
+        .filter(line => line.variance !== 0)
+        .sort((a, b) => a.varianceValue - b.varianceValue),
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,211 @@
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+
+// Fields buyers maintain by hand; prices and last lead times come from purchase orders
+const EDITABLE_FIELDS = ['supplierItemCode', 'supplierItemName', 'leadTimeDays', 'notes'];
+
+const validateLeadTime = (leadTimeDays) =>
+  leadTimeDays === undefined || leadTimeDays === null || (Number.isInteger(Number(leadTimeDays)) && Number(leadTimeDays) >= 0);
+
+// Add product and combination names to catalogue entries
+const describeEntries = (entries) => entries.map(entry => {
+  const item = entry.toObject();
+  const product = entry.product;
+  const combination = entry.variationCombinationId && product?.variationCombinations
+    ? product.variationCombinations.id(entry.variationCombinationId)
+    : null;
+  return {
+    ...item,
+    product: product ? { _id: product._id, name: product.name, sku: product.sku } : item.product,
+    name: product ? (combination ? `${product.name} - ${combination.combinationName}` : product.name) : undefined,
+    sku: combination?.sku || product?.sku
+  };
+});
+
+// Items a supplier sells us, with their codes, last prices and lead times
+export const getSupplierCatalogue = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id).select('name leadTimeDays');
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const entries = await SupplierProduct.find({ supplier: supplier._id })
+      .populate('product', 'name sku variationCombinations')
+      .populate('lastPurchaseOrder', 'orderNumber')
+      .sort({ lastPurchasedAt: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      supplier,
+      items: describeEntries(entries)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Add an item to a supplier's catalogue, or update it if it is already there
+export const upsertSupplierCatalogueItem = async (req, res) => {
+  try {
+    const { product: productId, variationCombinationId } = req.body;
+
+    if (!validateLeadTime(req.body.leadTimeDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'leadTimeDays must be a whole number of days'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id).select('_id');
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const product = await Product.findById(productId).select('variationCombinations');
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    if (variationCombinationId && !product.variationCombinations.id(variationCombinationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variation combination not found'
+      });
+    }
+
+    const set = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) set[field] = req.body[field];
+    }
+
+    const item = await SupplierProduct.findOneAndUpdate(
+      { supplier: supplier._id, product: product._id, variationCombinationId: variationCombinationId || null },
+      { $set: set },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Catalogue item saved',
+      item
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const updateSupplierCatalogueItem = async (req, res) => {
+  try {
+    if (!validateLeadTime(req.body.leadTimeDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'leadTimeDays must be a whole number of days'
+      });
+    }
+
+    const item = await SupplierProduct.findOne({ _id: req.params.itemId, supplier: req.params.id });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue item not found'
+      });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    }
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Catalogue item updated',
+      item
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const deleteSupplierCatalogueItem = async (req, res) => {
+  try {
+    const item = await SupplierProduct.findOneAndDelete({ _id: req.params.itemId, supplier: req.params.id });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Catalogue item deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Suppliers of a product, cheapest last price first
+export const getProductSuppliers = async (req, res) => {
+  try {
+    const { variationCombinationId } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name sku');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const query = { product: product._id };
+    if (variationCombinationId) {
+      query.variationCombinationId = variationCombinationId;
+    }
+
+    const entries = await SupplierProduct.find(query)
+      .populate('supplier', 'name contacts leadTimeDays paymentTermsDays')
+      .populate('lastPurchaseOrder', 'orderNumber');
+
+    // Entries never bought from have no price and go last
+    const price = entry => entry.lastPurchasePrice ?? Infinity;
+    entries.sort((a, b) => price(a) - price(b));
+
+    res.json({
+      success: true,
+      product,
+      suppliers: entries.map(entry => ({
+        ...entry.toObject(),
+        leadTimeDays: entry.leadTimeDays ?? entry.supplier?.leadTimeDays
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
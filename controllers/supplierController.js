@@ -1,24 +1,85 @@
 import Supplier from '../models/Supplier.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Profile fields that can be set directly on create and update
+const PROFILE_FIELDS = ['name', 'contactInfo', 'address', 'taxNumber', 'registrationNumber', 'notes'];
+
+// Check structured contacts and tidy their phone numbers and emails
+function normaliseContacts(contacts) {
+  if (!Array.isArray(contacts)) {
+    throw new Error('Contacts must be a list.');
+  }
+  if (contacts.filter(contact => contact?.isPrimary).length > 1) {
+    throw new Error('Only one contact can be primary.');
+  }
+  return contacts.map(contact => {
+    if (!contact || !contact.name) {
+      throw new Error('Each contact needs a name.');
+    }
+    const phones = (contact.phones || []).map(phone => String(phone).trim()).filter(Boolean);
+    const emails = (contact.emails || []).map(email => String(email).trim().toLowerCase()).filter(Boolean);
+    const invalidEmail = emails.find(email => !EMAIL_PATTERN.test(email));
+    if (invalidEmail) {
+      throw new Error(`Invalid email for ${contact.name}: ${invalidEmail}`);
+    }
+    return { ...(contact._id && { _id: contact._id }), name: contact.name, role: contact.role, phones, emails, isPrimary: !!contact.isPrimary };
+  });
+}
+
+// Copy profile fields from a request body onto a supplier
+function applyProfile(supplier, body) {
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) supplier[field] = body[field];
+  }
+  for (const field of ['paymentTermsDays', 'leadTimeDays']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null && field === 'leadTimeDays') {
+      supplier[field] = undefined;
+      continue;
+    }
+    const days = Number(body[field]);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`${field} must be a whole number of days.`);
+    }
+    supplier[field] = days;
+  }
+  if (body.contacts !== undefined) {
+    supplier.contacts = normaliseContacts(body.contacts);
+  }
+}
 
 // CREATE
 const createSupplier = async (req, res) => {
   try {
-    const { name, contactInfo, address } = req.body;
-    if (!name) {
+    if (!req.body.name) {
       return res.status(400).json({ message: 'Supplier name is required.' });
     }
-    const supplier = new Supplier({ name, contactInfo, address });
+    const supplier = new Supplier();
+    applyProfile(supplier, req.body);
     await supplier.save();
     res.status(201).json(supplier);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(400).json({ message: err.message });
   }
 };
 
 // READ ALL
 const getAllSuppliers = async (req, res) => {
   try {
-    const suppliers = await Supplier.find();
+    const { search } = req.query;
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { name: pattern },
+        { 'contacts.name': pattern },
+        { 'contacts.emails': pattern },
+        { 'contacts.phones': pattern },
+        { taxNumber: pattern }
+      ];
+    }
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
     res.json(suppliers);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -39,16 +100,16 @@ const getSupplierById = async (req, res) => {
 // UPDATE
 const updateSupplier = async (req, res) => {
   try {
-    const { name, contactInfo, address } = req.body;
     const supplier = await Supplier.findById(req.params.id);
     if (!supplier) return res.status(404).json({ message: 'Supplier not found.' });
-    if (name !== undefined) supplier.name = name;
-    if (contactInfo !== undefined) supplier.contactInfo = contactInfo;
-    if (address !== undefined) supplier.address = address;
+    if (req.body.name !== undefined && !req.body.name) {
+      return res.status(400).json({ message: 'Supplier name is required.' });
+    }
+    applyProfile(supplier, req.body);
     await supplier.save();
     res.json(supplier);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(400).json({ message: err.message });
   }
 };
 
@@ -57,7 +118,11 @@ const deleteSupplier = async (req, res) => {
   try {
     const supplier = await Supplier.findById(req.params.id);
     if (!supplier) return res.status(404).json({ message: 'Supplier not found.' });
+    if (supplier.outstandingBalance) {
+      return res.status(400).json({ message: 'Supplier has an outstanding balance and can\'t be deleted.' });
+    }
     await supplier.deleteOne();
+    await SupplierProduct.deleteMany({ supplier: supplier._id });
     res.json({ message: 'Supplier deleted.' });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -70,4 +135,4 @@ export {
   getSupplierById,
   updateSupplier,
   deleteSupplier
-}; 
\ No newline at end of file
+};
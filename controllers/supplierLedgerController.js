@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import SupplierTransaction, { SUPPLIER_PAYMENT_METHODS } from '../models/SupplierTransaction.js';
+import GoodsReceipt from '../models/GoodsReceipt.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+import { postSupplierTransaction, settleGoodsReceipts } from '../utils/supplierLedger.js';
+
+// Goods received, payments, debit notes and adjustments, with the receipts still unpaid
+export const getSupplierLedger = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const query = { supplier: supplier._id };
+
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const transactions = await SupplierTransaction.find(query)
+      .populate('goodsReceipt', 'receiptNumber receivedAt value')
+      .populate('purchaseOrder', 'orderNumber')
+      .populate('supplierReturn', 'debitNoteNumber totalValue')
+      .sort({ createdAt: 1 });
+
+    const openReceipts = await GoodsReceipt.find({ supplier: supplier._id, balanceDue: { $gt: 0 } })
+      .populate('purchaseOrder', 'orderNumber')
+      .sort({ receivedAt: 1 })
+      .select('receiptNumber purchaseOrder supplierReference receivedAt dueDate value balanceDue paymentStatus');
+
+    res.json({
+      success: true,
+      supplier: {
+        _id: supplier._id,
+        name: supplier.name,
+        outstandingBalance: supplier.outstandingBalance
+      },
+      transactions,
+      openReceipts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Record a payment made to a supplier. Allocations to specific goods receipts
+// are optional; otherwise the oldest open receipts are settled first.
+export const recordSupplierPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { amount, method, reference, notes, allocations } = req.body;
+
+    const paymentAmount = roundCurrency(amount);
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be a positive number'
+      });
+    }
+
+    if (!SUPPLIER_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid payment method. Must be one of: ${SUPPLIER_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    if (paymentAmount > roundCurrency(supplier.outstandingBalance)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds outstanding balance of ${roundCurrency(supplier.outstandingBalance)}`
+      });
+    }
+
+    if (Array.isArray(allocations) && allocations.length > 0) {
+      const allocatedTotal = roundCurrency(allocations.reduce((sum, allocation) => sum + roundCurrency(allocation.amount), 0));
+      if (allocatedTotal !== paymentAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Allocations (${allocatedTotal}) must add up to the payment amount (${paymentAmount})`
+        });
+      }
+    }
+
+    let transaction;
+    await session.withTransaction(async () => {
+      const settled = await settleGoodsReceipts({
+        supplier: supplier._id,
+        amount: paymentAmount,
+        allocations,
+        session
+      });
+
+      transaction = await postSupplierTransaction({
+        supplier: supplier._id,
+        type: 'payment',
+        amount: -paymentAmount,
+        method,
+        reference,
+        allocations: settled.allocations,
+        notes,
+        user: req.currentUser,
+        session
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      transaction
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Correct a supplier's balance or enter an opening balance. Adjustments
+// aren't tied to goods receipts, so they show as unallocated in aging.
+export const recordSupplierAdjustment = async (req, res) => {
+  try {
+    const { amount, notes } = req.body;
+
+    const adjustment = roundCurrency(amount);
+    if (!adjustment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment amount must be a non-zero number'
+      });
+    }
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notes explaining the adjustment are required'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const transaction = await postSupplierTransaction({
+      supplier: supplier._id,
+      type: 'adjustment',
+      amount: adjustment,
+      notes,
+      user: req.currentUser
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment recorded successfully',
+      transaction
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import SupplierReturn from '../models/SupplierReturn.js';
+import SupplierReturnCandidate from '../models/SupplierReturnCandidate.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { getUnitCost } from '../utils/costing.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+import { getNextDebitNoteNumber } from '../utils/invoiceNumberGenerator.js';
+import { postSupplierTransaction, settleGoodsReceipts } from '../utils/supplierLedger.js';
+
+// Build a return line for a pending defective item held for the supplier
+const takeCandidate = async ({ item, supplier, user, session }) => {
+  const candidate = await SupplierReturnCandidate.findOne({ _id: item.supplierReturnCandidate, status: 'pending' }).session(session);
+  if (!candidate) {
+    throw new Error(`Supplier return candidate ${item.supplierReturnCandidate} not found or already resolved`);
+  }
+  if (candidate.supplier && candidate.supplier.toString() !== supplier.toString()) {
+    throw new Error(`${candidate.productName} is held for a different supplier`);
+  }
+
+  candidate.status = 'returned';
+  candidate.supplier = supplier;
+  candidate.resolvedAt = new Date();
+  candidate.resolvedBy = user._id;
+  candidate.resolvedByName = user.fullName;
+  await candidate.save({ session });
+
+  const unitCost = item.unitCost ?? candidate.unitCost;
+  return {
+    product: candidate.product,
+    productName: candidate.productName,
+    sku: candidate.sku,
+    variationCombinationId: candidate.variationCombinationId,
+    quantity: candidate.quantity,
+    unitCost,
+    value: roundCurrency(candidate.quantity * unitCost),
+    source: 'candidate',
+    supplierReturnCandidate: candidate._id,
+    reason: item.reason || candidate.reason
+  };
+};
+
+// Build a return line for units taken off the shelf or out of damaged stock
+const takeStock = async ({ item, movement, session }) => {
+  const quantity = Number(item.quantity);
+  const source = item.source || 'stock';
+  const product = await Product.findById(item.product).session(session);
+  if (!product) {
+    throw new Error(`Product ${item.product} not found`);
+  }
+  const combination = item.variationCombinationId ? product.variationCombinations.id(item.variationCombinationId) : null;
+  if (item.variationCombinationId && !combination) {
+    throw new Error(`Variation combination not found for ${product.name}`);
+  }
+  const productName = combination ? `${product.name} - ${combination.combinationName}` : product.name;
+
+  const applied = await applyStockChange({
+    productId: product._id,
+    variationCombinationId: item.variationCombinationId,
+    delta: -quantity,
+    session,
+    field: source === 'damaged' ? 'damagedStock' : 'stock',
+    movement
+  });
+  if (!applied) {
+    const holder = combination || product;
+    const available = source === 'damaged' ? holder.damagedStock : holder.stock;
+    throw new Error(`Not enough ${source === 'damaged' ? 'damaged stock' : 'stock'} of ${productName} to return. Available: ${available}, Requested: ${quantity}`);
+  }
+
+  const unitCost = item.unitCost ?? getUnitCost(product, item.variationCombinationId);
+  return {
+    product: product._id,
+    productName,
+    sku: combination?.sku || product.sku,
+    variationCombinationId: item.variationCombinationId,
+    quantity,
+    unitCost,
+    value: roundCurrency(quantity * unitCost),
+    source,
+    reason: item.reason
+  };
+};
+
+/**
+ * Send goods back to a supplier. Items are units from stock or damaged stock
+ * ({ product, variationCombinationId, quantity, source }) or pending defective
+ * customer returns ({ supplierReturnCandidate }). Unit costs default to the
+ * current cost. The return is numbered as a debit note and its value comes
+ * off what is owed to the supplier, settling the purchase order's goods
+ * receipts first when one is given.
+ */
+export const createSupplierReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { supplier: supplierId, purchaseOrder, items, reason, notes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items to return are required'
+      });
+    }
+
+    for (const item of items) {
+      if (item.supplierReturnCandidate) continue;
+      const quantity = Number(item.quantity);
+      if (!item.product || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a product and a whole quantity of at least 1, or a supplierReturnCandidate'
+        });
+      }
+      if (item.source && !['stock', 'damaged'].includes(item.source)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item source must be stock or damaged'
+        });
+      }
+      if (item.unitCost !== undefined && !(Number(item.unitCost) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unit cost must be zero or more'
+        });
+      }
+    }
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    if (purchaseOrder && !(await PurchaseOrder.exists({ _id: purchaseOrder, supplier: supplier._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order not found for this supplier'
+      });
+    }
+
+    let supplierReturn;
+    let transaction = null;
+    await session.withTransaction(async () => {
+      const supplierReturnId = new mongoose.Types.ObjectId();
+      const debitNoteNumber = await getNextDebitNoteNumber('DN', 3, session);
+      const movement = {
+        type: 'supplier_return',
+        sourceModel: 'SupplierReturn',
+        sourceId: supplierReturnId,
+        reference: debitNoteNumber,
+        user: req.currentUser
+      };
+
+      const returnItems = [];
+      for (const item of items) {
+        const normalised = { ...item, unitCost: item.unitCost !== undefined ? Number(item.unitCost) : undefined };
+        returnItems.push(item.supplierReturnCandidate
+          ? await takeCandidate({ item: normalised, supplier: supplier._id, user: req.currentUser, session })
+          : await takeStock({ item: normalised, movement, session }));
+      }
+
+      const totalValue = roundCurrency(returnItems.reduce((sum, item) => sum + item.value, 0));
+
+      [supplierReturn] = await SupplierReturn.create([{
+        _id: supplierReturnId,
+        debitNoteNumber,
+        supplier: supplier._id,
+        purchaseOrder,
+        items: returnItems,
+        totalValue,
+        reason,
+        notes,
+        returnedBy: req.currentUser._id,
+        returnedByName: req.currentUser.fullName
+      }], { session });
+
+      if (totalValue > 0) {
+        // Whatever isn't settled against receipts stays on the account as a credit
+        const { allocations } = await settleGoodsReceipts({
+          supplier: supplier._id,
+          amount: totalValue,
+          purchaseOrder,
+          session
+        });
+
+        transaction = await postSupplierTransaction({
+          supplier: supplier._id,
+          type: 'debit_note',
+          amount: -totalValue,
+          purchaseOrder,
+          supplierReturn: supplierReturn._id,
+          reference: debitNoteNumber,
+          allocations,
+          notes: reason,
+          user: req.currentUser,
+          session
+        });
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Debit note ${supplierReturn.debitNoteNumber} created`,
+      supplierReturn,
+      transaction
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export const getSupplierReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, supplier, startDate, endDate } = req.query;
+
+    const query = {};
+    if (supplier) {
+      query.supplier = supplier;
+    }
+    if (startDate && endDate) {
+      query.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const supplierReturns = await SupplierReturn.find(query)
+      .populate('supplier', 'name contactInfo')
+      .populate('purchaseOrder', 'orderNumber')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await SupplierReturn.countDocuments(query);
+
+    res.json({
+      success: true,
+      supplierReturns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getSupplierReturn = async (req, res) => {
+  try {
+    const supplierReturn = await SupplierReturn.findById(req.params.id)
+      .populate('supplier', 'name contactInfo address')
+      .populate('purchaseOrder', 'orderNumber date')
+      .populate('returnedBy', 'username fullName');
+
+    if (!supplierReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      supplierReturn
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
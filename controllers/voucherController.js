@@ -0,0 +1,215 @@
+import Voucher, { VOUCHER_TYPES } from '../models/Voucher.js';
+import Customer from '../models/Customer.js';
+import Settings from '../models/Settings.js';
+import { issueVoucher, isVoucherUsable } from '../utils/vouchers.js';
+
+// Balance check for the till before a voucher is tendered
+export const lookupVoucher = async (req, res) => {
+  try {
+    const voucher = await Voucher.findOne({ code: String(req.params.code).trim().toUpperCase() })
+      .populate('customer', 'name phone');
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      voucher: {
+        code: voucher.code,
+        type: voucher.type,
+        balance: voucher.balance,
+        initialValue: voucher.initialValue,
+        status: voucher.status,
+        expiresAt: voucher.expiresAt,
+        isExpired: !!voucher.expiresAt && voucher.expiresAt <= new Date(),
+        usable: isVoucherUsable(voucher),
+        customer: voucher.customer
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getVouchers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, status, customer, search } = req.query;
+
+    const query = {};
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (customer) {
+      query.customer = customer;
+    }
+
+    if (search) {
+      query.code = { $regex: search.trim().toUpperCase(), $options: 'i' };
+    }
+
+    const vouchers = await Voucher.find(query)
+      .select('-transactions')
+      .populate('customer', 'name phone')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Voucher.countDocuments(query);
+
+    res.json({
+      success: true,
+      vouchers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const getVoucher = async (req, res) => {
+  try {
+    const voucher = await Voucher.findById(req.params.id)
+      .populate('customer', 'name phone email');
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      voucher
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Issue a voucher outside a sale or return, e.g. goodwill credit for a receiptless return
+export const createVoucher = async (req, res) => {
+  try {
+    const { type = 'store_credit', amount, customer, expiresAt, notes } = req.body;
+
+    if (!VOUCHER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid voucher type. Must be one of: ${VOUCHER_TYPES.join(', ')}`
+      });
+    }
+
+    if (customer && !(await Customer.exists({ _id: customer }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const settings = await Settings.findOne({});
+    const voucher = await issueVoucher({
+      type,
+      amount,
+      customer,
+      source: 'manual',
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      notes,
+      user: req.currentUser,
+      settings
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Voucher issued successfully',
+      voucher
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const cancelVoucher = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const voucher = await Voucher.findById(req.params.id);
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    if (voucher.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Voucher is already ${voucher.status}`
+      });
+    }
+
+    // Only cancel the balance we read, so a redemption in between is not lost
+    const cancelled = await Voucher.findOneAndUpdate(
+      { _id: voucher._id, status: 'active', balance: voucher.balance },
+      {
+        $set: { balance: 0, status: 'cancelled' },
+        $push: {
+          transactions: {
+            type: 'cancel',
+            amount: -voucher.balance,
+            balanceAfter: 0,
+            reference: reason,
+            recordedBy: req.currentUser._id,
+            recordedByName: req.currentUser.fullName
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voucher was used while cancelling. Please try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Voucher cancelled successfully',
+      voucher: cancelled
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
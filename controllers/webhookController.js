@@ -1,6 +1,9 @@
 import WooCommerceOrder from '../models/WooCommerceOrder.js';
 import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
+import StockMovement from '../models/StockMovement.js';
+import { applyStockChange } from '../utils/stockOperations.js';
+import { normalizeEmail } from '../utils/customerMatching.js';
 
 /**
  * Receive order webhook from WooCommerce
@@ -226,6 +229,26 @@ async function handleOrderStatusChanged(order) {
   }
 }
 
+/**
+ * Find the product, or the variation combination, a WooCommerce line item's SKU belongs to
+ */
+async function findStockItemBySku(sku) {
+  const product = await Product.findOne({ sku });
+  if (product) {
+    return { product, combination: null };
+  }
+
+  const withCombination = await Product.findOne({ 'variationCombinations.sku': sku });
+  if (withCombination) {
+    return {
+      product: withCombination,
+      combination: withCombination.variationCombinations.find(combination => combination.sku === sku)
+    };
+  }
+
+  return null;
+}
+
 /**
  * Update inventory based on order items
  */
@@ -236,23 +259,31 @@ async function updateInventoryFromOrder(order) {
     if (!item.sku) continue;
     
     try {
-      // Find product by SKU
-      const product = await Product.findOne({ sku: item.sku });
+      const found = await findStockItemBySku(item.sku);
       
-      if (product) {
-        // Reduce stock by quantity ordered
-        const newStock = Math.max(0, product.stock - item.quantity);
-        product.stock = newStock;
-        
-        // Update stock status
-        if (newStock === 0) {
-          product.stockStatus = 'out-of-stock';
-        } else if (newStock < product.lowStockThreshold) {
-          product.stockStatus = 'low-stock';
+      if (found) {
+        const { product, combination } = found;
+        const holder = combination || product;
+
+        // Reduce stock by quantity ordered, without going below zero
+        const quantity = Math.min(item.quantity, holder.stock);
+        if (quantity > 0) {
+          await applyStockChange({
+            productId: product._id,
+            variationCombinationId: combination?._id,
+            delta: -quantity,
+            enforceAvailability: false,
+            movement: {
+              type: 'woocommerce_order',
+              sourceModel: 'WooCommerceOrder',
+              sourceId: order._id,
+              reference: order.order_number,
+              notes: item.sku
+            }
+          });
         }
-        
-        await product.save();
-        console.log(`Updated stock for ${product.name} (SKU: ${item.sku}): ${newStock} remaining`);
+
+        console.log(`Updated stock for ${product.name} (SKU: ${item.sku}): ${holder.stock - quantity} remaining`);
       } else {
         console.warn(`Product not found with SKU: ${item.sku}`);
       }
@@ -263,35 +294,77 @@ async function updateInventoryFromOrder(order) {
 }
 
 /**
- * Restore inventory when order is cancelled
+ * Restore inventory when order is cancelled.
+ * Puts back what the order took off stock and has not been restored yet, so an
+ * order that is cancelled and then refunded is only restored once. Lines are
+ * grouped by product and variation combination first, since the journal nets
+ * them that way. Orders received before stock movements were recorded restore
+ * their line quantities.
  */
 async function handleOrderCancelled(order) {
   console.log('Restoring inventory for cancelled order...');
-  
+
+  const movements = await StockMovement.find({
+    sourceModel: 'WooCommerceOrder',
+    sourceId: order._id,
+    type: { $in: ['woocommerce_order', 'woocommerce_cancellation'] }
+  });
+  // An order with no movements of its own may just have found nothing in stock
+  const firstMovement = movements.length > 0
+    ? null
+    : await StockMovement.findOne().sort({ createdAt: 1 }).select('createdAt');
+  const predatesJournal = movements.length === 0 && (!firstMovement || order.createdAt < firstMovement.createdAt);
+
+  const stockItems = new Map();
   for (const item of order.line_items) {
     if (!item.sku) continue;
-    
+
     try {
-      const product = await Product.findOne({ sku: item.sku });
-      
-      if (product) {
-        // Restore stock
-        product.stock += item.quantity;
-        
-        // Update stock status
-        if (product.stock > product.lowStockThreshold) {
-          product.stockStatus = 'in-stock';
-        } else if (product.stock > 0) {
-          product.stockStatus = 'low-stock';
-        }
-        
-        await product.save();
-        console.log(`Restored stock for ${product.name} (SKU: ${item.sku}): ${product.stock} available`);
-      }
+      const found = await findStockItemBySku(item.sku);
+      if (!found) continue;
+
+      const { product, combination } = found;
+      const combinationId = combination ? String(combination._id) : null;
+      const key = `${product._id}:${combinationId}`;
+      const entry = stockItems.get(key) || { product, combination, combinationId, ordered: 0, skus: [] };
+      entry.ordered += item.quantity;
+      entry.skus.push(item.sku);
+      stockItems.set(key, entry);
     } catch (error) {
       console.error(`Error restoring inventory for SKU ${item.sku}:`, error);
     }
   }
+
+  for (const { product, combination, combinationId, ordered, skus } of stockItems.values()) {
+    try {
+      // Net quantity still taken off for this item (order movements are negative)
+      const quantity = predatesJournal
+        ? ordered
+        : -movements
+          .filter(movement => movement.product.equals(product._id) && movement.variationCombinationId === combinationId)
+          .reduce((sum, movement) => sum + movement.quantity, 0);
+
+      if (quantity > 0) {
+        await applyStockChange({
+          productId: product._id,
+          variationCombinationId: combination?._id,
+          delta: quantity,
+          enforceAvailability: false,
+          movement: {
+            type: 'woocommerce_cancellation',
+            sourceModel: 'WooCommerceOrder',
+            sourceId: order._id,
+            reference: order.order_number,
+            notes: `${skus.join(', ')} (${order.status})`
+          }
+        });
+      }
+
+      console.log(`Restored ${Math.max(0, quantity)} of ${product.name} (SKU: ${skus.join(', ')})`);
+    } catch (error) {
+      console.error(`Error restoring inventory for SKU ${skus.join(', ')}:`, error);
+    }
+  }
 }
 
 /**
@@ -321,8 +394,12 @@ async function syncCustomerFromOrder(order) {
   }
   
   try {
-    // Check if customer exists
-    let customer = await Customer.findOne({ email: order.billing.email });
+    // Check if customer exists; merged duplicates point at the customer they were merged into
+    let customer = await Customer.findOne({ email: normalizeEmail(order.billing.email) });
+    
+    if (customer?.mergedInto) {
+      customer = await Customer.findById(customer.mergedInto);
+    }
     
     if (!customer) {
       // Create new customer
@@ -344,6 +421,9 @@ async function syncCustomerFromOrder(order) {
     } else {
       console.log(`Customer already exists: ${customer.name} (${customer.email})`);
     }
+    
+    // Saved with the order by the caller
+    order.customer = customer._id;
   } catch (error) {
     console.error('Error syncing customer:', error);
   }
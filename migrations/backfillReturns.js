@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Sale from '../models/Sale.js';
+import Return from '../models/Return.js';
+import { getNextCreditNoteNumber } from '../utils/invoiceNumberGenerator.js';
+import { roundCurrency } from '../utils/saleCalculator.js';
+
+dotenv.config();
+
+/**
+ * Migration script to create Return documents for returns that were only
+ * recorded as returnedItems on the original sale.
+ *
+ * Entries sharing a returnDate were processed together and become one Return.
+ * Older entries never stored who processed them or how the refund was paid,
+ * so the sale's cashier and a cash refund are assumed.
+ *
+ * Run with: node migrations/backfillReturns.js
+ */
+
+const runMigration = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pos-system');
+    console.log('Connected to MongoDB');
+
+    const sales = await Sale.find({
+      returnedItems: { $elemMatch: { returnDocument: { $exists: false } } }
+    }).sort({ createdAt: 1 });
+
+    let created = 0;
+
+    for (const sale of sales) {
+      const groups = new Map();
+      for (const returned of sale.returnedItems) {
+        if (returned.returnDocument) continue;
+        const key = new Date(returned.returnDate).getTime();
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(returned);
+      }
+
+      for (const entries of groups.values()) {
+        const returnNumber = await getNextCreditNoteNumber();
+        const items = entries.map(returned => ({
+          product: returned.item.product,
+          productName: returned.item.productName,
+          sku: returned.item.sku,
+          variationCombinationId: returned.item.variationCombinationId,
+          variations: returned.item.variations,
+          quantity: returned.item.quantity,
+          unitPrice: returned.item.unitPrice,
+          refundAmount: roundCurrency(returned.refundAmount ?? returned.item.totalPrice),
+          reason: returned.returnReason,
+          condition: ['damaged', 'defective'].includes(returned.condition) ? returned.condition : 'resellable'
+        }));
+
+        const returnDoc = await Return.create({
+          returnNumber,
+          sale: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          customer: sale.customer,
+          customerInfo: sale.customerInfo,
+          items,
+          totalRefundAmount: roundCurrency(items.reduce((sum, item) => sum + item.refundAmount, 0)),
+          refundMethod: entries[0].refundMethod || 'cash',
+          returnReason: entries[0].returnReason,
+          processedBy: sale.cashier,
+          processedByName: entries[0].processedBy || sale.cashierName || 'System',
+          notes: 'Backfilled from sale return history'
+        });
+
+        // Keep the original return date on the document
+        await Return.collection.updateOne(
+          { _id: returnDoc._id },
+          { $set: { createdAt: entries[0].returnDate } }
+        );
+
+        for (const returned of entries) {
+          returned.returnDocument = returnDoc._id;
+          returned.returnNumber = returnNumber;
+        }
+        created += 1;
+      }
+
+      await sale.save();
+    }
+
+    console.log(`Created ${created} return documents from ${sales.length} sales`);
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+runMigration();
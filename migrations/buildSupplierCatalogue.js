@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { recordCatalogueLines, daysBetween } from '../utils/supplierCatalogue.js';
+
+dotenv.config();
+
+/**
+ * Migration script for the supplier catalogue.
+ *
+ * Builds catalogue entries from purchase orders placed before the catalogue
+ * existed, oldest first, so each entry ends up with the unit cost of the
+ * latest order as its last purchase price. Orders that were received also
+ * record how long delivery took. Drafts are skipped since they were never
+ * sent to the supplier. Safe to run more than once.
+ *
+ * Run with: node migrations/buildSupplierCatalogue.js
+ */
+
+const runMigration = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pos-system');
+    console.log('Connected to MongoDB');
+
+    const orders = await PurchaseOrder.find({ status: { $ne: 'draft' } })
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    let lines = 0;
+
+    for (const order of orders) {
+      const purchasedAt = order.orderedAt || order.date;
+      const leadTimeDays = order.receivedAt ? daysBetween(purchasedAt, order.receivedAt) : null;
+
+      await recordCatalogueLines({
+        supplier: order.supplier,
+        lines: order.products || [],
+        purchaseOrder: order._id,
+        purchasedAt,
+        leadTimeDays
+      });
+      lines += (order.products || []).length;
+    }
+
+    console.log(`Recorded ${lines} lines from ${orders.length} purchase orders in the supplier catalogue`);
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+runMigration();
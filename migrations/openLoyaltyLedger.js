@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import Settings from '../models/Settings.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import { getLoyaltyTier } from '../utils/loyalty.js';
+
+dotenv.config();
+
+/**
+ * Migration script to start the loyalty ledger for existing customers.
+ *
+ * Customers with a points balance but no ledger entries get an opening
+ * adjust entry for that balance, so the ledger adds up to Customer.loyaltyPoints.
+ * Opening balances don't expire. Every customer's loyaltyTier is set from
+ * their lifetime spend.
+ *
+ * Run with: node migrations/openLoyaltyLedger.js
+ */
+
+const runMigration = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pos-system');
+    console.log('Connected to MongoDB');
+
+    const settings = await Settings.findOne({});
+    const customers = await Customer.find({});
+
+    let opened = 0;
+
+    for (const customer of customers) {
+      if (customer.loyaltyPoints > 0 && !(await LoyaltyTransaction.exists({ customer: customer._id }))) {
+        await LoyaltyTransaction.create({
+          customer: customer._id,
+          type: 'adjust',
+          points: customer.loyaltyPoints,
+          balanceAfter: customer.loyaltyPoints,
+          remainingPoints: customer.loyaltyPoints,
+          notes: 'Opening balance'
+        });
+        opened += 1;
+      }
+
+      await Customer.updateOne(
+        { _id: customer._id },
+        { $set: { loyaltyTier: getLoyaltyTier(customer.totalPurchases, settings)?.name } }
+      );
+    }
+
+    console.log(`Opened loyalty ledgers for ${opened} of ${customers.length} customers`);
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+runMigration();
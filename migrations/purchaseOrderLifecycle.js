@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { getNextPurchaseOrderNumber } from '../utils/invoiceNumberGenerator.js';
+
+dotenv.config();
+
+/**
+ * Migration script for the purchase order lifecycle.
+ *
+ * Purchase orders saved before goods receipts existed added their stock when
+ * they were created. Those without a status, or marked received, become
+ * received orders with every line fully received, so nothing is received
+ * (and added to stock) twice. Drafts stay drafts. Orders without an order
+ * number are numbered oldest first.
+ *
+ * Run with: node migrations/purchaseOrderLifecycle.js
+ */
+
+const runMigration = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pos-system');
+    console.log('Connected to MongoDB');
+
+    // Read raw documents so schema defaults don't hide a missing status
+    const orders = await PurchaseOrder.collection
+      .find({})
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+
+    let received = 0;
+    let numbered = 0;
+
+    for (const order of orders) {
+      const set = {};
+
+      if (!order.status || order.status === 'received') {
+        set.status = 'received';
+        set.receivedAt = order.receivedAt || order.createdAt || order.date;
+        set.products = (order.products || []).map(line => ({
+          ...line,
+          receivedQuantity: line.quantity
+        }));
+        received += 1;
+      }
+
+      if (!order.orderNumber) {
+        set.orderNumber = await getNextPurchaseOrderNumber();
+        numbered += 1;
+      }
+
+      if (Object.keys(set).length > 0) {
+        await PurchaseOrder.collection.updateOne({ _id: order._id }, { $set: set });
+      }
+    }
+
+    console.log(`Marked ${received} of ${orders.length} purchase orders as fully received`);
+    console.log(`Assigned order numbers to ${numbered} purchase orders`);
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+runMigration();
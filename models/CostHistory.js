@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// goods_receipt: weighted average after receiving stock; manual: purchase price edited by hand
+const COST_SOURCES = ['goods_receipt', 'manual'];
+
+// Every change to the unit cost (purchasePrice) of a product or variation combination
+const costHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variationCombinationId: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: COST_SOURCES,
+    required: true
+  },
+  previousCost: {
+    type: Number
+  },
+  newCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Receipts only: what came in, at what cost, on top of how much stock
+  quantity: {
+    type: Number
+  },
+  unitCost: {
+    type: Number
+  },
+  landedCost: {
+    type: Number
+  },
+  stockBefore: {
+    type: Number
+  },
+  goodsReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceipt'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+costHistorySchema.index({ product: 1, variationCombinationId: 1, createdAt: -1 });
+
+export { COST_SOURCES };
+
+export default mongoose.model('CostHistory', costHistorySchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// percentage: value% off the eligible items, optionally capped at maxDiscount
+// fixed: value off the eligible items
+// free_item: up to freeItem.quantity units of freeItem.product free when it is in the cart
+const COUPON_TYPES = ['percentage', 'fixed', 'free_item'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  freeItem: {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variationCombinationId: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  },
+  // Cart subtotal (after promotions and item discounts) needed to use the coupon
+  minSpend: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Limit the discount to items in these categories; empty means the whole cart
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  // Total redemptions allowed; empty means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  // Redemptions allowed per customer; coupons with a limit need a customer on the sale
+  perCustomerLimit: {
+    type: Number,
+    min: 1
+  },
+  timesUsed: {
+    type: Number,
+    default: 0
+  },
+  startDate: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (!(this.value > 0) || this.value > 100)) {
+    return next(new Error('Percentage coupons need a value between 0 and 100'));
+  }
+  if (this.type === 'fixed' && !(this.value > 0)) {
+    return next(new Error('Fixed coupons need a value greater than 0'));
+  }
+  if (this.type === 'free_item' && !this.freeItem?.product) {
+    return next(new Error('Free item coupons need freeItem.product'));
+  }
+  if (this.startDate && this.expiresAt && this.expiresAt < this.startDate) {
+    return next(new Error('Expiry date must be after start date'));
+  }
+  next();
+});
+
+export { COUPON_TYPES };
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One row per sale a coupon was used on
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  invoiceNumber: {
+    type: String
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedByName: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+couponRedemptionSchema.index({ coupon: 1, customer: 1 });
+couponRedemptionSchema.index({ createdAt: -1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -24,11 +24,16 @@ const customerSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  // Maintained by the loyalty ledger, never edited directly
   loyaltyPoints: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Tier name from Settings.loyaltySettings.tiers; empty below the first tier
+  loyaltyTier: {
+    type: String
+  },
   totalPurchases: {
     type: Number,
     default: 0
@@ -36,6 +41,25 @@ const customerSchema = new mongoose.Schema({
   lastPurchaseDate: {
     type: Date
   },
+  // Maximum amount the customer may owe on account; 0 means no credit sales
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Maintained by the customer ledger, never edited directly
+  outstandingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Customer agreed to receive marketing; segment exports only include these customers
+  marketingOptIn: {
+    type: Boolean,
+    default: false
+  },
+  marketingOptInUpdatedAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -43,9 +67,19 @@ const customerSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
+  },
+  // Set when this customer was a duplicate merged into another; the record is kept inactive
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  mergedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+customerSchema.index({ phone: 1 });
+
 export default mongoose.model('Customer', customerSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Saved customer filter for marketing. A customer is in the segment when they
+// match every rule that is set; empty rules match everyone.
+const customerSegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  rules: {
+    // Lifetime spend (Customer.totalPurchases) of at least this amount
+    minTotalSpent: {
+      type: Number,
+      min: 0
+    },
+    // No purchases in the last N days
+    inactiveDays: {
+      type: Number,
+      min: 1
+    },
+    // Bought at least one item from any of these categories (names)
+    categories: [{
+      type: String,
+      trim: true
+    }],
+    // ...within the last N days; empty for ever
+    categoryWithinDays: {
+      type: Number,
+      min: 1
+    },
+    // Any of these loyalty tiers; "none" matches customers below the first tier
+    loyaltyTiers: [{
+      type: String,
+      trim: true
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('CustomerSegment', customerSegmentSchema);
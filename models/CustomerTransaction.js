@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const allocationSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  invoiceNumber: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Accounts receivable ledger entry. Positive amounts increase what the
+// customer owes (credit invoices), negative amounts reduce it (payments).
+const customerTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'payment', 'credit_note', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'bank_transfer', 'mobile_wallet', 'cheque']
+  },
+  allocations: [allocationSchema],
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+customerTransactionSchema.index({ customer: 1, createdAt: 1 });
+customerTransactionSchema.index({ sale: 1 });
+
+export default mongoose.model('CustomerTransaction', customerTransactionSchema);
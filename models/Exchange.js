@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { REFUND_METHODS } from './Return.js';
+
+// An exchange links the return of items from a sale to the replacement sale.
+// The difference is collected from the customer or refunded to them.
+const exchangeSchema = new mongoose.Schema({
+  exchangeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalSale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  originalInvoiceNumber: {
+    type: String
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  returnNumber: {
+    type: String
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  invoiceNumber: {
+    type: String
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  returnedTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part of returnedTotal that cleared the original credit sale's unpaid balance
+  appliedToBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  newItemsTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // newItemsTotal - (returnedTotal - appliedToBalance): positive is collected,
+  // negative is refunded
+  difference: {
+    type: Number,
+    required: true
+  },
+  settlement: {
+    type: String,
+    enum: ['collect', 'refund', 'even'],
+    required: true
+  },
+  amountCollected: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: REFUND_METHODS
+  },
+  // Store credit voucher issued for the refund
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  processedByName: {
+    type: String,
+    required: true
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+exchangeSchema.index({ createdAt: -1 });
+exchangeSchema.index({ originalSale: 1 });
+exchangeSchema.index({ customer: 1 });
+
+export default mongoose.model('Exchange', exchangeSchema);
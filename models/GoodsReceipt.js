@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+const goodsReceiptLineSchema = new mongoose.Schema({
+  // PurchaseOrder.products._id of the line being received
+  line: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variation: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number
+  },
+  // This line's share of the receipt charges, per unit
+  landedCost: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Freight, duty and other costs of getting the delivery in, spread over its lines
+const goodsReceiptChargeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['freight', 'duty', 'insurance', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Goods received against a purchase order. Each receipt adds its quantities
+// to stock and folds their landed cost into the weighted-average cost; a
+// purchase order can be received in several deliveries.
+const goodsReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lines: [goodsReceiptLineSchema],
+  charges: [goodsReceiptChargeSchema],
+  // Charges are shared by line value (quantity × unit cost) or by quantity
+  allocationMethod: {
+    type: String,
+    enum: ['value', 'quantity'],
+    default: 'value'
+  },
+  // Supplier's delivery note or invoice number
+  supplierReference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Value of the lines at their unit cost; charges are usually billed by others
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // receivedAt plus the supplier's payment terms
+  dueDate: {
+    type: Date
+  },
+  // Still owed to the supplier for this delivery, after payments and debit notes
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid'],
+    default: 'unpaid'
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedByName: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+goodsReceiptSchema.index({ purchaseOrder: 1, receivedAt: 1 });
+goodsReceiptSchema.index({ supplier: 1, receivedAt: -1 });
+goodsReceiptSchema.index({ supplier: 1, balanceDue: 1 });
+
+export default mongoose.model('GoodsReceipt', goodsReceiptSchema);
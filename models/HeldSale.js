@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { saleItemSchema } from './Sale.js';
+
+// A parked cart. Held sales never touch stock or consume an invoice number;
+// they become a real Sale only when resumed and completed through createSale.
+const heldSaleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true
+  },
+  items: [saleItemSchema],
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerInfo: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discountType: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    default: 'fixed'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['held', 'resumed', 'completed', 'cancelled'],
+    default: 'held'
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cashierName: {
+    type: String,
+    required: true
+  },
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resumedAt: {
+    type: Date
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+heldSaleSchema.index({ cashier: 1, status: 1, createdAt: -1 });
+heldSaleSchema.index({ status: 1 });
+
+export default mongoose.model('HeldSale', heldSaleSchema);
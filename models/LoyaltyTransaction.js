@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// earn: points from a sale; redeem: points spent as a discount or tender;
+// reverse: points taken back for returned items; adjust: manual change;
+// expire: earned points that passed their expiry date
+const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'reverse', 'adjust', 'expire'];
+
+// Loyalty points ledger entry. Positive points are added to the customer's
+// balance, negative points are taken off it.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_TRANSACTION_TYPES,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Points added by this entry that have not been spent or expired yet.
+  // Spending takes from the oldest entries first so expiry removes only what is left.
+  remainingPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  tier: {
+    type: String
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyTransactionSchema.index({ customer: 1, createdAt: 1 });
+loyaltyTransactionSchema.index({ customer: 1, remainingPoints: 1, createdAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remainingPoints: 1 });
+loyaltyTransactionSchema.index({ sale: 1 });
+
+export { LOYALTY_TRANSACTION_TYPES };
+
+export default mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// pending: waiting to be sent (or retried at nextAttemptAt)
+// sending: picked up by the outbox worker
+// sent: accepted by the transport
+// failed: gave up after maxAttempts
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Outbox entry. Messages are rendered when queued and delivered by
+// processOutbox, so a slow or failing gateway never holds up a sale.
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Template the message was rendered from, e.g. sale_receipt
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  // Transport that delivered (or last tried to deliver) the message
+  transport: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ sale: 1 });
+notificationSchema.index({ createdAt: -1 });
+
+export { NOTIFICATION_CHANNELS, NOTIFICATION_STATUSES };
+
+export default mongoose.model('Notification', notificationSchema);
@@ -34,6 +34,12 @@ const variationCombinationSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Returned units that cannot go back on the shelf
+  damagedStock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   minStock: {
     type: Number,
     default: 5
@@ -89,6 +95,12 @@ const productSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Returned units that cannot go back on the shelf
+  damagedStock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   minStock: {
     type: Number,
     default: 5
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+// percentage_off: value% off each targeted item
+// fixed_off: value off each targeted unit, never below zero
+// buy_x_get_y: for every buyQuantity units bought, getQuantity more units get
+//   getDiscountPercent off (cheapest units first)
+// bundle_price: every bundleQuantity targeted units sell for bundlePrice
+const PROMOTION_TYPES = ['percentage_off', 'fixed_off', 'buy_x_get_y', 'bundle_price'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  bundleQuantity: {
+    type: Number,
+    min: 2
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+  // Which cart lines the promotion applies to
+  appliesTo: {
+    allProducts: {
+      type: Boolean,
+      default: false
+    },
+    categories: [{
+      type: String,
+      trim: true
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    variationCombinations: [{
+      type: String
+    }]
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Optional recurring window, e.g. weekday happy hour
+  schedule: {
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    startTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    endTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    }
+  },
+  // Higher priority promotions are evaluated first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // A non-stackable promotion only applies to lines no other promotion has
+  // touched, and no further promotions apply to the lines it discounts
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  timesUsed: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    return next(new Error('Buy X get Y promotions need buyQuantity and getQuantity'));
+  }
+  if (this.type === 'bundle_price' && (!this.bundleQuantity || this.bundlePrice === undefined)) {
+    return next(new Error('Bundle promotions need bundleQuantity and bundlePrice'));
+  }
+  if (this.type === 'percentage_off' && this.value > 100) {
+    return next(new Error('Percentage must be between 0 and 100'));
+  }
+  const targets = this.appliesTo || {};
+  if (!targets.allProducts && !targets.categories?.length && !targets.products?.length && !targets.variationCombinations?.length) {
+    return next(new Error('Select the products, categories or variation combinations the promotion applies to'));
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+export { PROMOTION_TYPES };
+
+export default mongoose.model('Promotion', promotionSchema);
@@ -1,11 +1,18 @@
 import mongoose from "mongoose";
 
+// draft: being prepared, can be edited freely
+// ordered: sent to the supplier, waiting for goods
+// partially_received / received: goods receipts have covered some / all lines
+// cancelled: nothing more will be received; whatever was received stays in stock
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
 const purchaseOrderProductSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
+  // Variation combination (Product.variationCombinations._id) being ordered
   variation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProductVariation',
@@ -16,6 +23,12 @@ const purchaseOrderProductSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Added to by goods receipts; stock only goes up when goods are received
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   unitCost: {
     type: Number,
     required: false
@@ -23,6 +36,11 @@ const purchaseOrderProductSchema = new mongoose.Schema({
 });
 
 const purchaseOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier',
@@ -32,7 +50,24 @@ const purchaseOrderSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  expectedDeliveryDate: {
+    type: Date
+  },
   products: [purchaseOrderProductSchema],
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+  orderedAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
   notes: {
     type: String,
     trim: true
@@ -44,4 +79,9 @@ const purchaseOrderSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-export default mongoose.model('PurchaseOrder', purchaseOrderSchema); 
\ No newline at end of file
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, expectedDeliveryDate: 1 });
+
+export { PURCHASE_ORDER_STATUSES };
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+
+// resellable items go back on the shelf, damaged items to damaged stock and
+// defective items are held for return to the supplier
+const RETURN_CONDITIONS = ['resellable', 'damaged', 'defective'];
+const REFUND_METHODS = ['cash', 'card', 'bank_transfer', 'store_credit'];
+// Exchanges apply the returned value to the replacement sale instead of paying it out
+const RETURN_REFUND_METHODS = [...REFUND_METHODS, 'exchange'];
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String
+  },
+  variations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: RETURN_CONDITIONS,
+    default: 'resellable'
+  }
+});
+
+// A return document doubles as the customer's credit note
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  invoiceNumber: {
+    type: String
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerInfo: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  items: [returnItemSchema],
+  totalRefundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part of the refund that cleared the sale's unpaid balance (credit sales)
+  // instead of being paid out
+  appliedToBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: RETURN_REFUND_METHODS,
+    required: true
+  },
+  returnReason: {
+    type: String,
+    trim: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  processedByName: {
+    type: String,
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedByName: {
+    type: String
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  exchange: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exchange'
+  },
+  // Store credit voucher issued when refundMethod is store_credit
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ createdAt: -1 });
+returnSchema.index({ sale: 1 });
+returnSchema.index({ customer: 1 });
+
+export { RETURN_CONDITIONS, REFUND_METHODS };
+
+export default mongoose.model('Return', returnSchema);
@@ -34,6 +34,16 @@ const saleItemSchema = new mongoose.Schema({
     enum: ['fixed', 'percentage'],
     default: 'fixed'
   },
+  // Taken off by automatic promotions before the manual discount
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // This item's share of the coupon discount; totalPrice is before it
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
   totalPrice: {
     type: Number,
     required: true
@@ -46,13 +56,30 @@ const saleItemSchema = new mongoose.Schema({
   },
   variationCombinationId: {
     type: String
+  },
+  // Unit cost (purchasePrice) when sold, so margins don't move when costs change later
+  unitCost: {
+    type: Number
   }
 });
 
+// Tender types accepted at the till. Only cash can be overpaid; the excess is returned as change.
+const PAYMENT_METHODS = [
+  'cash',
+  'card',
+  'bank_transfer',
+  'mobile_wallet',
+  'gift_voucher',
+  'store_credit',
+  'loyalty_points',
+  // Value of items returned in an exchange, applied by the server
+  'exchange_credit'
+];
+
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['cash', 'card', 'bank_transfer'],
+    enum: PAYMENT_METHODS,
     required: true
   },
   amount: {
@@ -60,9 +87,19 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Points redeemed when the method is loyalty_points
+  points: {
+    type: Number,
+    min: 0
+  },
   reference: {
     type: String,
     trim: true
+  },
+  // Voucher redeemed by gift_voucher and store_credit payments
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
   }
 });
 
@@ -118,6 +155,27 @@ const saleSchema = new mongoose.Schema({
     min: 0
   },
   payments: [paymentSchema],
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  changeDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Credit (on-account) sales leave a balance for the customer to settle later
+  paymentStatus: {
+    type: String,
+    enum: ['paid', 'partially_paid', 'unpaid'],
+    default: 'paid'
+  },
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   status: {
     type: String,
     enum: ['completed', 'partial', 'refunded'],
@@ -132,6 +190,15 @@ const saleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Set when the sale is the replacement side of an exchange
+  exchange: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exchange'
+  },
   notes: {
     type: String,
     trim: true
@@ -142,12 +209,76 @@ const saleSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    returnReason: String
+    returnReason: String,
+    condition: String,
+    processedBy: String,
+    refundAmount: Number,
+    refundMethod: String,
+    returnDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return'
+    },
+    returnNumber: String
+  }],
+  // Gift cards sold on this sale, charged at face value on top of the items
+  giftCards: [{
+    _id: false,
+    voucher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher'
+    },
+    code: String,
+    amount: Number
+  }],
+  // Coupon redeemed on this sale
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountAmount: Number
+  },
+  // Promotions that discounted this sale
+  appliedPromotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discountAmount: Number
   }],
   commissionAmount: {
     type: Number,
     default: 0,
     min: 0
+  },
+  priceVerification: {
+    status: {
+      type: String,
+      enum: ['verified', 'flagged'],
+      default: 'verified'
+    },
+    mismatches: [{
+      _id: false,
+      field: String,
+      clientValue: Number,
+      calculatedValue: Number
+    }],
+    calculated: {
+      subtotal: Number,
+      promotionDiscount: Number,
+      couponDiscount: Number,
+      discountAmount: Number,
+      tax: Number,
+      loyaltyRedemption: Number,
+      giftCardTotal: Number,
+      total: Number
+    }
   }
 }, {
   timestamps: true
@@ -159,5 +290,11 @@ saleSchema.index({ createdAt: -1 });
 saleSchema.index({ customer: 1 });
 saleSchema.index({ status: 1 });
 saleSchema.index({ cashier: 1, createdAt: -1 });
+saleSchema.index({ shift: 1 });
+saleSchema.index({ customer: 1, paymentStatus: 1, createdAt: 1 });
+saleSchema.index({ 'priceVerification.status': 1 });
+saleSchema.index({ 'appliedPromotions.promotion': 1 });
+
+export { saleItemSchema, PAYMENT_METHODS };
 
 export default mongoose.model('Sale', saleSchema);
\ No newline at end of file
@@ -33,18 +33,58 @@ const settingsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Customers earn pointsPerUnit points for every unitAmount spent, times their
+  // tier multiplier. Each point redeemed is worth redemptionRate.
   loyaltySettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
     pointsPerUnit: {
       type: Number,
-      default: 1
+      default: 1,
+      min: 0
     },
     unitAmount: {
       type: Number,
-      default: 100
+      default: 100,
+      min: 1
     },
     redemptionRate: {
       type: Number,
-      default: 1
+      default: 1,
+      min: 0
+    },
+    // Days earned points stay valid; 0 means they never expire
+    pointsExpiryDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Tiers are reached on lifetime spend (Customer.totalPurchases)
+    tiers: {
+      type: [{
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        minSpend: {
+          type: Number,
+          required: true,
+          min: 0
+        },
+        multiplier: {
+          type: Number,
+          default: 1,
+          min: 0
+        }
+      }],
+      default: () => [
+        { name: 'silver', minSpend: 50000, multiplier: 1.25 },
+        { name: 'gold', minSpend: 150000, multiplier: 1.5 }
+      ]
     }
   },
   receiptSettings: {
@@ -68,6 +108,42 @@ const settingsSchema = new mongoose.Schema({
     dailyReports: {
       type: Boolean,
       default: false
+    },
+    // Digital receipts to the customer after each sale
+    receipts: {
+      email: {
+        type: Boolean,
+        default: false
+      },
+      sms: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Staff who receive low stock alerts and daily reports
+    alertEmails: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    alertPhones: [{
+      type: String,
+      trim: true
+    }],
+    // Transport per channel: smtp / http (SMS gateway), or file / console for testing.
+    // SMTP and gateway credentials come from the environment.
+    emailTransport: {
+      type: String,
+      default: 'console'
+    },
+    smsTransport: {
+      type: String,
+      default: 'console'
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1
     }
   },
   overrideOutOfStock: {
@@ -78,6 +154,37 @@ const settingsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  requireOpenShift: {
+    type: Boolean,
+    default: false
+  },
+  // Days a voucher stays valid after it is issued; 0 means no expiry
+  voucherSettings: {
+    giftCardValidityDays: {
+      type: Number,
+      default: 365,
+      min: 0
+    },
+    storeCreditValidityDays: {
+      type: Number,
+      default: 365,
+      min: 0
+    }
+  },
+  priceVerification: {
+    // 'reject' refuses sales whose totals disagree with the server calculation,
+    // 'flag' records them with the client totals and marks them for review
+    mode: {
+      type: String,
+      enum: ['reject', 'flag'],
+      default: 'reject'
+    },
+    tolerance: {
+      type: Number,
+      default: 0.01,
+      min: 0
+    }
+  },
   commission: {
     enabled: {
       type: Boolean,
@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash_in', 'cash_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shiftRefundSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  invoiceNumber: {
+    type: String
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  returnNumber: {
+    type: String
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const accountPaymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerTransaction'
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const methodReportSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    required: true
+  },
+  transactions: {
+    type: Number,
+    default: 0
+  },
+  sales: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: Number,
+    default: 0
+  },
+  accountPayments: {
+    type: Number,
+    default: 0
+  },
+  expected: {
+    type: Number,
+    default: 0
+  },
+  counted: {
+    type: Number
+  },
+  variance: {
+    type: Number
+  }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cashierName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  cashMovements: [cashMovementSchema],
+  refunds: [shiftRefundSchema],
+  accountPayments: [accountPaymentSchema],
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Z-report snapshot taken when the shift is closed
+  closingReport: {
+    salesCount: Number,
+    salesTotal: Number,
+    refundsTotal: Number,
+    changeGiven: Number,
+    cashIn: Number,
+    cashOut: Number,
+    methods: [methodReportSchema],
+    totalVariance: Number
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  closingNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// A cashier can only have one open shift at a time
+shiftSchema.index(
+  { cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'one_open_shift_per_cashier' }
+);
+shiftSchema.index({ openedAt: -1 });
+shiftSchema.index({ status: 1 });
+
+export default mongoose.model('Shift', shiftSchema);
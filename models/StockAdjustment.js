@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+// count_correction: stock on the shelf differs from the system, either way
+// damage: moved out of sellable stock into damaged stock
+// theft, sample, gift: stock that left the shop without being sold
+const STOCK_ADJUSTMENT_REASONS = ['count_correction', 'damage', 'theft', 'sample', 'gift'];
+
+const stockAdjustmentItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String
+  },
+  // Positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Unit cost when posted (when requested until then)
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+// A request to change stock outside sales, returns and purchasing. Stock only
+// changes once the adjustment is approved; rejected adjustments leave it alone.
+const stockAdjustmentSchema = new mongoose.Schema({
+  adjustmentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reason: {
+    type: String,
+    enum: STOCK_ADJUSTMENT_REASONS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  items: [stockAdjustmentItemSchema],
+  // Net value of the items at their unit cost; negative when stock was lost
+  totalValue: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Stocktake whose variances this adjustment posts
+  stocktake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedByName: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedByName: {
+    type: String
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedByName: {
+    type: String
+  },
+  rejectedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+stockAdjustmentSchema.index({ status: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ 'items.product': 1 });
+
+export { STOCK_ADJUSTMENT_REASONS };
+
+export default mongoose.model('StockAdjustment', stockAdjustmentSchema);
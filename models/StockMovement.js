@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// sale / sale_deleted: sold at the till, or put back when a sale is deleted
+// return / exchange: customer returns and the new items taken in an exchange
+// goods_receipt / supplier_return: received from or sent back to a supplier
+// write_off: damaged stock written off
+// adjustment: an approved stock adjustment
+// woocommerce_order / woocommerce_cancellation: online orders and their cancellations or refunds
+// initial / manual_edit: stock entered on a product, or edited on it directly
+const STOCK_MOVEMENT_TYPES = [
+  'sale',
+  'sale_deleted',
+  'return',
+  'exchange',
+  'goods_receipt',
+  'supplier_return',
+  'write_off',
+  'adjustment',
+  'woocommerce_order',
+  'woocommerce_cancellation',
+  'initial',
+  'manual_edit'
+];
+
+// Documents a movement can point back to
+const STOCK_MOVEMENT_SOURCES = [
+  'Sale',
+  'Return',
+  'Exchange',
+  'GoodsReceipt',
+  'SupplierReturn',
+  'WriteOff',
+  'StockAdjustment',
+  'WooCommerceOrder',
+  'Product'
+];
+
+// Journal of every change to the stock of a product or variation combination.
+// Entries are written alongside the change and never edited or deleted;
+// mistakes are put right by a further movement.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variationCombinationId: {
+    type: String,
+    default: null
+  },
+  // Bucket that changed: sellable stock or damaged stock
+  field: {
+    type: String,
+    enum: ['stock', 'damagedStock'],
+    default: 'stock'
+  },
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: true
+  },
+  // Positive for stock in, negative for stock out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // The bucket's level straight after this movement
+  balanceAfter: {
+    type: Number
+  },
+  sourceModel: {
+    type: String,
+    enum: STOCK_MOVEMENT_SOURCES
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceModel'
+  },
+  // Number of the source document (invoice, GRN, adjustment number...)
+  reference: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userName: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, variationCombinationId: 1, createdAt: 1 });
+stockMovementSchema.index({ sourceModel: 1, sourceId: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error('Stock movements cannot be changed or deleted');
+};
+
+stockMovementSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+export { STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_SOURCES };
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+// What the system expected of one product or variation combination when the
+// count started. Counted quantities and variances are filled in on approval.
+const stocktakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  barcodeId: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String,
+    default: null
+  },
+  expectedQuantity: {
+    type: Number,
+    required: true
+  },
+  // Purchase price when the count started
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When expectedQuantity was read; items found while counting are snapshotted then
+  snapshotAt: {
+    type: Date
+  },
+  // Stock moved by sales, receipts and the like between the snapshot and the count
+  movedQuantity: {
+    type: Number
+  },
+  countedQuantity: {
+    type: Number
+  },
+  variance: {
+    type: Number
+  },
+  varianceValue: {
+    type: Number
+  }
+}, { _id: false });
+
+// A physical stock count. Expected stock is snapshotted when the stocktake
+// starts, counts are scanned in from any number of devices, and approving it
+// posts the differences as a stock adjustment.
+const stocktakeSchema = new mongoose.Schema({
+  stocktakeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Limits the count to one category; all products when empty
+  category: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['counting', 'approved', 'cancelled'],
+    default: 'counting'
+  },
+  items: [stocktakeItemSchema],
+  // Items nobody scanned are counted as zero rather than left as they are
+  uncountedAsZero: {
+    type: Boolean,
+    default: false
+  },
+  // Totals valued at unit cost, set on approval
+  gainQuantity: {
+    type: Number,
+    default: 0
+  },
+  gainValue: {
+    type: Number,
+    default: 0
+  },
+  lossQuantity: {
+    type: Number,
+    default: 0
+  },
+  lossValue: {
+    type: Number,
+    default: 0
+  },
+  netValue: {
+    type: Number,
+    default: 0
+  },
+  adjustment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockAdjustment'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedByName: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedByName: {
+    type: String
+  },
+  approvedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+stocktakeSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One scan during a stocktake. Scans are kept separately so several devices
+// can count at once; an item's count is the sum of its scans.
+const stocktakeCountSchema = new mongoose.Schema({
+  stocktake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variationCombinationId: {
+    type: String,
+    default: null
+  },
+  barcode: {
+    type: String
+  },
+  // Usually 1 per scan; negative to take back a scan
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Name or id of the scanner or till the count came from
+  device: {
+    type: String,
+    trim: true
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedByName: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+stocktakeCountSchema.index({ stocktake: 1, product: 1, variationCombinationId: 1 });
+
+export default mongoose.model('StocktakeCount', stocktakeCountSchema);
@@ -1,11 +1,37 @@
 import mongoose from "mongoose";
 
+const supplierContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    trim: true
+  },
+  phones: [{
+    type: String,
+    trim: true
+  }],
+  emails: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const supplierSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Free-text contact details from before structured contacts
   contactInfo: {
     type: String,
     trim: true
@@ -13,7 +39,36 @@ const supplierSchema = new mongoose.Schema({
   address: {
     type: String,
     trim: true
+  },
+  contacts: [supplierContactSchema],
+  taxNumber: {
+    type: String,
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  // Days after goods are received that payment is due; 0 is due on receipt
+  paymentTermsDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Usual days from ordering to delivery, unless the catalogue item says otherwise
+  leadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Accounts payable: goods received less payments and debit notes
+  outstandingBalance: {
+    type: Number,
+    default: 0
   }
 }, { timestamps: true });
 
-export default mongoose.model('Supplier', supplierSchema); 
\ No newline at end of file
+export default mongoose.model('Supplier', supplierSchema);
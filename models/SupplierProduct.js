@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A supplier's catalogue entry for one of our products or variation
+// combinations. Prices and lead times are filled in from purchase orders.
+const supplierProductSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variationCombinationId: {
+    type: String,
+    default: null
+  },
+  // The supplier's own code and description for the item
+  supplierItemCode: {
+    type: String,
+    trim: true
+  },
+  supplierItemName: {
+    type: String,
+    trim: true
+  },
+  lastPurchasePrice: {
+    type: Number,
+    min: 0
+  },
+  lastPurchasedAt: {
+    type: Date
+  },
+  lastPurchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // Agreed lead time; overrides the supplier's default
+  leadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  // Days from ordering to the last delivery of this item
+  lastLeadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierProductSchema.index({ supplier: 1, product: 1, variationCombinationId: 1 }, { unique: true });
+supplierProductSchema.index({ product: 1, variationCombinationId: 1 });
+
+export default mongoose.model('SupplierProduct', supplierProductSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+const supplierReturnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // stock: taken off the shelf; damaged: taken from damaged stock;
+  // candidate: a defective customer return, already out of stock
+  source: {
+    type: String,
+    enum: ['stock', 'damaged', 'candidate'],
+    default: 'stock'
+  },
+  supplierReturnCandidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierReturnCandidate'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+});
+
+// Goods sent back to a supplier. The return doubles as the debit note that
+// reduces what is owed to the supplier.
+const supplierReturnSchema = new mongoose.Schema({
+  debitNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  items: [supplierReturnItemSchema],
+  totalValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  returnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  returnedByName: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierReturnSchema.index({ supplier: 1, createdAt: -1 });
+
+export default mongoose.model('SupplierReturn', supplierReturnSchema);
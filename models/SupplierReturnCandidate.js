@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Defective units returned by customers, held until they are sent back to
+// the supplier or written off
+const supplierReturnCandidateSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String
+  },
+  variations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Supplier on the latest purchase order for the product, if any
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return',
+    required: true
+  },
+  returnNumber: {
+    type: String
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  invoiceNumber: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'returned', 'written_off'],
+    default: 'pending'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedByName: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierReturnCandidateSchema.index({ status: 1, supplier: 1 });
+supplierReturnCandidateSchema.index({ product: 1 });
+
+export default mongoose.model('SupplierReturnCandidate', supplierReturnCandidateSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Payment methods for paying suppliers
+const SUPPLIER_PAYMENT_METHODS = ['cash', 'bank_transfer', 'cheque', 'card', 'mobile_wallet'];
+
+const allocationSchema = new mongoose.Schema({
+  goodsReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceipt',
+    required: true
+  },
+  receiptNumber: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Accounts payable ledger entry. Positive amounts increase what is owed to
+// the supplier (goods received), negative amounts reduce it (payments, debit notes).
+const supplierTransactionSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['purchase', 'payment', 'debit_note', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  goodsReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoodsReceipt'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  supplierReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierReturn'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: SUPPLIER_PAYMENT_METHODS
+  },
+  // Goods receipts settled by a payment or debit note
+  allocations: [allocationSchema],
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierTransactionSchema.index({ supplier: 1, createdAt: 1 });
+supplierTransactionSchema.index({ goodsReceipt: 1 });
+
+export { SUPPLIER_PAYMENT_METHODS };
+
+export default mongoose.model('SupplierTransaction', supplierTransactionSchema);
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// gift_card vouchers are sold at the till; store_credit vouchers are issued
+// instead of a cash refund. Both are redeemed as payments by code.
+const VOUCHER_TYPES = ['gift_card', 'store_credit'];
+
+// Payment method used to redeem each voucher type
+const VOUCHER_PAYMENT_METHODS = {
+  gift_voucher: 'gift_card',
+  store_credit: 'store_credit'
+};
+
+const voucherTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'cancel'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  reference: {
+    type: String
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const voucherSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: VOUCHER_TYPES,
+    required: true
+  },
+  initialValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'cancelled'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Where the voucher came from
+  source: {
+    type: String,
+    enum: ['sale', 'return', 'exchange', 'manual'],
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  reference: {
+    type: String
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedByName: {
+    type: String
+  },
+  transactions: [voucherTransactionSchema],
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+voucherSchema.index({ customer: 1 });
+voucherSchema.index({ status: 1, expiresAt: 1 });
+
+export { VOUCHER_TYPES, VOUCHER_PAYMENT_METHODS };
+
+export default mongoose.model('Voucher', voucherSchema);
@@ -122,6 +122,11 @@ const wooCommerceOrderSchema = new mongoose.Schema({
   
   // Customer details
   customer_id: Number,
+  // POS customer matched on the billing email
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customer_ip_address: String,
   customer_user_agent: String,
   customer_note: String,
@@ -183,5 +188,6 @@ wooCommerceOrderSchema.index({ processed: 1 });
 wooCommerceOrderSchema.index({ event_type: 1 });
 wooCommerceOrderSchema.index({ createdAt: -1 });
 wooCommerceOrderSchema.index({ 'billing.email': 1 });
+wooCommerceOrderSchema.index({ customer: 1 });
 
 export default mongoose.model('WooCommerceOrder', wooCommerceOrderSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Units removed from the books because they cannot be sold or sent back
+const writeOffSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  variationCombinationId: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['damaged_stock', 'supplier_return_candidate'],
+    required: true
+  },
+  supplierReturnCandidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierReturnCandidate'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  writtenOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  writtenOffByName: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+writeOffSchema.index({ createdAt: -1 });
+writeOffSchema.index({ product: 1 });
+
+export default mongoose.model('WriteOff', writeOffSchema);
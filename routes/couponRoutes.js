@@ -0,0 +1,311 @@
+import express from 'express';
+import {
+  lookupCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions
+} from '../controllers/couponController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Coupon codes redeemed on sales
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "SUMMER10"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_item]
+ *         value:
+ *           type: number
+ *           description: Percentage for percentage coupons, amount for fixed coupons
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap on a percentage coupon's discount
+ *         freeItem:
+ *           type: object
+ *           properties:
+ *             product:
+ *               type: string
+ *             variationCombinationId:
+ *               type: string
+ *             quantity:
+ *               type: number
+ *               default: 1
+ *         minSpend:
+ *           type: number
+ *           description: Cart subtotal needed, after promotions and item discounts
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only discount items in these categories
+ *         usageLimit:
+ *           type: number
+ *           description: Total uses allowed (empty for unlimited)
+ *         perCustomerLimit:
+ *           type: number
+ *           description: Uses allowed per customer (empty for unlimited)
+ *         timesUsed:
+ *           type: number
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *     CouponRedemption:
+ *       type: object
+ *       properties:
+ *         coupon:
+ *           type: string
+ *         code:
+ *           type: string
+ *         sale:
+ *           type: string
+ *         invoiceNumber:
+ *           type: string
+ *         customer:
+ *           type: string
+ *         discountAmount:
+ *           type: number
+ *         redeemedByName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/coupons/lookup/{code}:
+ *   get:
+ *     summary: Check whether a coupon code can be used
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Customer on the sale, for per-customer limits
+ *     responses:
+ *       200:
+ *         description: Coupon terms, whether it can be used and why not
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/lookup/:code', authenticate, lookupCoupon);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed, free_item]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of a coupon code
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *                 pagination:
+ *                   type: object
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Invalid coupon or code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticate, authorize('admin'), getCoupons);
+router.post('/', authenticate, authorize('admin'), createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}/redemptions:
+ *   get:
+ *     summary: Redemption log for a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Redemptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 redemptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CouponRedemption'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id/redemptions', authenticate, authorize('admin'), getCouponRedemptions);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon found
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         description: Invalid coupon, or the code of a used coupon was changed
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete a coupon that has never been used
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       400:
+ *         description: Coupon has been used; deactivate it instead
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', authenticate, authorize('admin'), getCoupon);
+router.put('/:id', authenticate, authorize('admin'), updateCoupon);
+router.delete('/:id', authenticate, authorize('admin'), deleteCoupon);
+
+export default router;
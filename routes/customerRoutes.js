@@ -5,7 +5,15 @@ import {
   getCustomer,
   updateCustomer,
   deleteCustomer,
-  updateLoyaltyPoints
+  updateLoyaltyPoints,
+  getLoyaltyHistory,
+  expirePoints,
+  getCustomerHistory,
+  getCustomerInsights,
+  getDuplicateCustomers,
+  mergeCustomers,
+  getCustomerLedger,
+  recordCustomerPayment
 } from '../controllers/customerController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
@@ -51,6 +59,12 @@ const router = express.Router();
  *               loyaltyPoints:
  *                 type: number
  *                 description: Initial loyalty points
+ *               marketingOptIn:
+ *                 type: boolean
+ *                 description: Customer agreed to receive marketing
+ *               creditLimit:
+ *                 type: number
+ *                 description: Maximum amount the customer may owe on account (ignored unless the user is an admin)
  *     responses:
  *       201:
  *         description: Customer created successfully
@@ -141,6 +155,76 @@ router.post('/', authenticate, createCustomer);
  */
 router.get('/', authenticate, getCustomers);
 
+/**
+ * @swagger
+ * /api/customers/loyalty/expire:
+ *   post:
+ *     summary: Expire loyalty points past their expiry date
+ *     description: Runs for every customer. The same job runs nightly; points are also expired for a customer before they redeem.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Points expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 expiredPoints:
+ *                   type: number
+ */
+router.post('/loyalty/expire', authenticate, authorize('admin'), expirePoints);
+
+/**
+ * @swagger
+ * /api/customers/duplicates:
+ *   get:
+ *     summary: Find likely duplicate customers
+ *     description: Groups active customers with the same phone number (last 9 digits), the same email, or similar names.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only return the group this customer is in
+ *       - in: query
+ *         name: minNameSimilarity
+ *         schema:
+ *           type: number
+ *           default: 0.9
+ *         description: How alike two names must be to match, from 0 to 1
+ *     responses:
+ *       200:
+ *         description: Groups of likely duplicates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [phone, email, name]
+ *                       customers:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Customer'
+ *                 total:
+ *                   type: number
+ */
+router.get('/duplicates', authenticate, getDuplicateCustomers);
+
 /**
  * @swagger
  * /api/customers/{id}:
@@ -213,6 +297,12 @@ router.get('/:id', authenticate, getCustomer);
  *               address:
  *                 type: string
  *                 description: Customer address
+ *               marketingOptIn:
+ *                 type: boolean
+ *                 description: Customer agreed to receive marketing
+ *               creditLimit:
+ *                 type: number
+ *                 description: Maximum amount the customer may owe on account (ignored unless the user is an admin)
  *               isActive:
  *                 type: boolean
  *                 description: Whether customer is active
@@ -299,7 +389,8 @@ router.delete('/:id', authenticate, authorize('admin'), deleteCustomer);
  * @swagger
  * /api/customers/{id}/loyalty:
  *   put:
- *     summary: Update customer loyalty points
+ *     summary: Adjust customer loyalty points
+ *     description: Recorded as an adjust entry on the loyalty ledger. Subtracting more than the balance is rejected.
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
@@ -318,18 +409,18 @@ router.delete('/:id', authenticate, authorize('admin'), deleteCustomer);
  *             type: object
  *             required:
  *               - points
- *               - action
+ *               - operation
  *             properties:
  *               points:
  *                 type: number
- *                 description: Number of points to add or subtract
- *               action:
+ *                 description: Whole number of points to add, subtract or set the balance to
+ *               operation:
  *                 type: string
  *                 enum: [add, subtract, set]
- *                 description: Action to perform on loyalty points
+ *                 description: Action to perform on loyalty points (also accepted as `action`)
  *               reason:
  *                 type: string
- *                 description: Reason for the point adjustment
+ *                 description: Reason for the point adjustment, kept on the loyalty ledger
  *     responses:
  *       200:
  *         description: Loyalty points updated successfully
@@ -363,4 +454,449 @@ router.delete('/:id', authenticate, authorize('admin'), deleteCustomer);
  */
 router.put('/:id/loyalty', authenticate, updateLoyaltyPoints);
 
+/**
+ * @swagger
+ * /api/customers/{id}/loyalty:
+ *   get:
+ *     summary: Loyalty points ledger for a customer
+ *     description: Every earn, redeem, reverse, adjust and expire entry, newest first, with the customer's tier and points due to expire.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, redeem, reverse, adjust, expire]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Loyalty ledger
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer:
+ *                   type: object
+ *                   properties:
+ *                     loyaltyPoints:
+ *                       type: number
+ *                     loyaltyTier:
+ *                       type: string
+ *                     multiplier:
+ *                       type: number
+ *                     pointsValue:
+ *                       type: number
+ *                 expiringPoints:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       points:
+ *                         type: number
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       points:
+ *                         type: number
+ *                       balanceAfter:
+ *                         type: number
+ *                       reference:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/loyalty', authenticate, getLoyaltyHistory);
+
+/**
+ * @swagger
+ * /api/customers/{id}/history:
+ *   get:
+ *     summary: Customer purchase history
+ *     description: The customer's invoices, newest first, with totals over the same filter.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, partial, refunded]
+ *     responses:
+ *       200:
+ *         description: Purchase history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     invoiceCount:
+ *                       type: number
+ *                     totalSpent:
+ *                       type: number
+ *                     outstandingBalance:
+ *                       type: number
+ *                     firstPurchaseDate:
+ *                       type: string
+ *                       format: date-time
+ *                     lastPurchaseDate:
+ *                       type: string
+ *                       format: date-time
+ *                 sales:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Sale'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/history', authenticate, getCustomerHistory);
+
+/**
+ * @swagger
+ * /api/customers/{id}/insights:
+ *   get:
+ *     summary: Customer buying profile
+ *     description: Average basket, visit frequency, favourite categories and products, preferred variation values (e.g. size, colour) and return rate, from the customer's sales.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Customer insights
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 spend:
+ *                   type: object
+ *                   properties:
+ *                     visits:
+ *                       type: number
+ *                     totalSpent:
+ *                       type: number
+ *                     averageBasket:
+ *                       type: number
+ *                     largestBasket:
+ *                       type: number
+ *                     averageItemsPerVisit:
+ *                       type: number
+ *                 frequency:
+ *                   type: object
+ *                   properties:
+ *                     daysSinceLastVisit:
+ *                       type: number
+ *                     averageDaysBetweenVisits:
+ *                       type: number
+ *                     visitsPerMonth:
+ *                       type: number
+ *                 favouriteCategories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                       amount:
+ *                         type: number
+ *                       visits:
+ *                         type: number
+ *                 favouriteProducts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 preferredVariations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         example: Size
+ *                       preferred:
+ *                         type: string
+ *                         example: M
+ *                       values:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             value:
+ *                               type: string
+ *                             quantity:
+ *                               type: number
+ *                 returns:
+ *                   type: object
+ *                   properties:
+ *                     returnCount:
+ *                       type: number
+ *                     itemsReturned:
+ *                       type: number
+ *                     amountRefunded:
+ *                       type: number
+ *                     returnRate:
+ *                       type: number
+ *                       description: Percentage of items bought that were returned
+ *                     valueReturnRate:
+ *                       type: number
+ *                       description: Percentage of the value bought that was refunded
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/insights', authenticate, getCustomerInsights);
+
+/**
+ * @swagger
+ * /api/customers/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate customers into this customer
+ *     description: Moves the duplicates' sales, returns, exchanges, vouchers, coupon redemptions and WooCommerce orders to this customer, transfers their loyalty points, outstanding balance and lifetime spend, and deactivates them.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerIds
+ *             properties:
+ *               customerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Duplicates to merge in
+ *     responses:
+ *       200:
+ *         description: Customers merged
+ *       400:
+ *         description: Invalid merge, or a duplicate was already merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/merge', authenticate, authorize('admin'), mergeCustomers);
+
+/**
+ * @swagger
+ * /api/customers/{id}/ledger:
+ *   get:
+ *     summary: Get a customer's accounts receivable ledger
+ *     description: Credit invoices and payments received, with the running balance after each entry and the invoices still open.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Ledger retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer:
+ *                   type: object
+ *                   properties:
+ *                     creditLimit:
+ *                       type: number
+ *                     outstandingBalance:
+ *                       type: number
+ *                     availableCredit:
+ *                       type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [invoice, payment, credit_note, adjustment]
+ *                       amount:
+ *                         type: number
+ *                         description: Positive for charges, negative for payments and credits
+ *                       balanceAfter:
+ *                         type: number
+ *                       reference:
+ *                         type: string
+ *                       allocations:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 openInvoices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Customer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/ledger', authenticate, getCustomerLedger);
+
+/**
+ * @swagger
+ * /api/customers/{id}/payments:
+ *   post:
+ *     summary: Record a payment against a customer's account
+ *     description: Settles credit invoices in full or in part. Without allocations the oldest open invoices are settled first.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, bank_transfer, mobile_wallet, cheque]
+ *               reference:
+ *                 type: string
+ *                 description: Cheque number, transfer reference, etc.
+ *               notes:
+ *                 type: string
+ *               allocations:
+ *                 type: array
+ *                 description: Optional split across invoices; must add up to amount
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     sale:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Invalid amount, method or allocation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/payments', authenticate, recordCustomerPayment);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,311 @@
+import express from 'express';
+import {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  previewRules,
+  previewSegment,
+  exportSegment
+} from '../controllers/customerSegmentController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customer Segments
+ *   description: Saved customer groups for marketing and their exports
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SegmentRules:
+ *       type: object
+ *       description: A customer must match every rule that is set
+ *       properties:
+ *         minTotalSpent:
+ *           type: number
+ *           description: Lifetime spend of at least this amount
+ *           example: 50000
+ *         inactiveDays:
+ *           type: number
+ *           description: No purchases in the last N days
+ *           example: 90
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Bought from any of these categories (names)
+ *         categoryWithinDays:
+ *           type: number
+ *           description: Limit the categories rule to purchases in the last N days
+ *         loyaltyTiers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Any of these loyalty tiers; "none" for customers below the first tier
+ *           example: ["gold"]
+ *     CustomerSegment:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Lapsed gold customers"
+ *         description:
+ *           type: string
+ *         rules:
+ *           $ref: '#/components/schemas/SegmentRules'
+ */
+
+/**
+ * @swagger
+ * /api/customer-segments/preview:
+ *   post:
+ *     summary: Count the customers matching unsaved rules
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rules:
+ *                 $ref: '#/components/schemas/SegmentRules'
+ *     responses:
+ *       200:
+ *         description: Matching customers, and how many of them opted in to marketing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                 optedIn:
+ *                   type: number
+ */
+router.post('/preview', authenticate, authorize('admin'), previewRules);
+
+/**
+ * @swagger
+ * /api/customer-segments:
+ *   get:
+ *     summary: List saved segments
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Segments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 segments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerSegment'
+ *                 pagination:
+ *                   type: object
+ *   post:
+ *     summary: Save a segment
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerSegment'
+ *     responses:
+ *       201:
+ *         description: Segment created
+ *       400:
+ *         description: Invalid segment or name already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticate, authorize('admin'), getSegments);
+router.post('/', authenticate, authorize('admin'), createSegment);
+
+/**
+ * @swagger
+ * /api/customer-segments/{id}/preview:
+ *   get:
+ *     summary: Count and list the customers in a segment
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Customers in the segment, biggest spenders first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                 optedIn:
+ *                   type: number
+ *                 customers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Segment not found
+ */
+router.get('/:id/preview', authenticate, authorize('admin'), previewSegment);
+
+/**
+ * @swagger
+ * /api/customer-segments/{id}/export:
+ *   get:
+ *     summary: Export a segment's opted-in customers
+ *     description: Only customers with marketingOptIn set are included.
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, vcard]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
+ *       404:
+ *         description: Segment not found
+ */
+router.get('/:id/export', authenticate, authorize('admin'), exportSegment);
+
+/**
+ * @swagger
+ * /api/customer-segments/{id}:
+ *   get:
+ *     summary: Get a segment
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Segment found
+ *       404:
+ *         description: Segment not found
+ *   put:
+ *     summary: Update a segment
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerSegment'
+ *     responses:
+ *       200:
+ *         description: Segment updated
+ *       400:
+ *         description: Invalid segment or name already used
+ *       404:
+ *         description: Segment not found
+ *   delete:
+ *     summary: Delete a segment
+ *     tags: [Customer Segments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Segment deleted
+ *       404:
+ *         description: Segment not found
+ */
+router.get('/:id', authenticate, authorize('admin'), getSegment);
+router.put('/:id', authenticate, authorize('admin'), updateSegment);
+router.delete('/:id', authenticate, authorize('admin'), deleteSegment);
+
+export default router;
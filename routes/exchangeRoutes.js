@@ -0,0 +1,272 @@
+import express from 'express';
+import {
+  createExchange,
+  getExchanges,
+  getExchange
+} from '../controllers/exchangeController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchanges
+ *   description: Exchange returned items for replacements in one transaction
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Exchange:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Exchange ID
+ *         exchangeNumber:
+ *           type: string
+ *           example: "EX-001"
+ *         originalSale:
+ *           type: string
+ *           description: Sale the items were returned from
+ *         originalInvoiceNumber:
+ *           type: string
+ *         return:
+ *           type: string
+ *           description: Return document for the returned items
+ *         returnNumber:
+ *           type: string
+ *         sale:
+ *           type: string
+ *           description: Replacement sale
+ *         invoiceNumber:
+ *           type: string
+ *           description: Invoice number of the replacement sale
+ *         customer:
+ *           type: string
+ *         returnedTotal:
+ *           type: number
+ *           description: Value of the returned items
+ *         appliedToBalance:
+ *           type: number
+ *           description: Part of returnedTotal that cleared the unpaid balance of the original credit sale
+ *         newItemsTotal:
+ *           type: number
+ *           description: Total of the replacement sale
+ *         difference:
+ *           type: number
+ *           description: newItemsTotal minus the returned value left after appliedToBalance
+ *         settlement:
+ *           type: string
+ *           enum: [collect, refund, even]
+ *         amountCollected:
+ *           type: number
+ *         refundAmount:
+ *           type: number
+ *         refundMethod:
+ *           type: string
+ *           enum: [cash, card, bank_transfer, store_credit]
+ *         processedByName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/exchanges:
+ *   post:
+ *     summary: Exchange items from a sale for new items
+ *     description: |
+ *       Returns the given lines from the original sale, restores their stock and
+ *       sells the new lines at catalogue prices. The returned value is applied to
+ *       the new sale as exchange credit. If the new items cost more, the difference
+ *       must be covered by payments; if they cost less, the difference is refunded
+ *       with refundMethod. When the original sale was on credit, the returned value
+ *       first clears what is still owed on it and only the rest counts as exchange credit.
+ *     tags: [Exchanges]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - saleId
+ *               - returnItems
+ *               - newItems
+ *             properties:
+ *               saleId:
+ *                 type: string
+ *                 description: Original sale ID
+ *               returnItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     reason:
+ *                       type: string
+ *                     condition:
+ *                       type: string
+ *                       enum: [resellable, damaged, defective]
+ *               newItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     productName:
+ *                       type: string
+ *                     sku:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     variationCombinationId:
+ *                       type: string
+ *                     variations:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *               payments:
+ *                 type: array
+ *                 description: Tenders covering the difference when the new items cost more
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     reference:
+ *                       type: string
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, card, bank_transfer, store_credit]
+ *                 description: Required when the new items cost less
+ *               returnReason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exchange processed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 exchange:
+ *                   $ref: '#/components/schemas/Exchange'
+ *                 return:
+ *                   $ref: '#/components/schemas/Return'
+ *                 sale:
+ *                   $ref: '#/components/schemas/Sale'
+ *                 changeDue:
+ *                   type: number
+ *       400:
+ *         description: Invalid items, insufficient stock or payments not covering the difference
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Original sale not found
+ */
+router.post('/', authenticate, createExchange);
+
+/**
+ * @swagger
+ * /api/exchanges:
+ *   get:
+ *     summary: List exchanges
+ *     tags: [Exchanges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: settlement
+ *         schema:
+ *           type: string
+ *           enum: [collect, refund, even]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Exchanges retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exchanges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Exchange'
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', authenticate, getExchanges);
+
+/**
+ * @swagger
+ * /api/exchanges/{id}:
+ *   get:
+ *     summary: Get an exchange with its return and replacement sale
+ *     tags: [Exchanges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange found
+ *       404:
+ *         description: Exchange not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', authenticate, getExchange);
+
+export default router;
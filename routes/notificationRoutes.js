@@ -0,0 +1,292 @@
+import express from 'express';
+import {
+  getNotifications,
+  getNotification,
+  retryNotification,
+  processNotifications,
+  sendTestNotification,
+  sendSaleReceipt,
+  sendDailyReport
+} from '../controllers/notificationController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Outbox of receipts, stock alerts and reports sent by email and SMS
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channel:
+ *           type: string
+ *           enum: [email, sms]
+ *         to:
+ *           type: string
+ *         template:
+ *           type: string
+ *           enum: [sale_receipt, low_stock, daily_report, test]
+ *         subject:
+ *           type: string
+ *         body:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         attempts:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         transport:
+ *           type: string
+ *           description: smtp, http, file, console or a registered custom transport
+ *         providerMessageId:
+ *           type: string
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         sale:
+ *           type: string
+ *         customer:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List outbox messages
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sale
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Messages, newest first, without their bodies, plus a count per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 summary:
+ *                   type: object
+ *                   example: { "sent": 120, "pending": 2, "failed": 1 }
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', authenticate, authorize('admin'), getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/process:
+ *   post:
+ *     summary: Deliver due messages now
+ *     description: The outbox is also processed every minute.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Delivery results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sent:
+ *                   type: number
+ *                 retrying:
+ *                   type: number
+ *                 failed:
+ *                   type: number
+ */
+router.post('/process', authenticate, authorize('admin'), processNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/test:
+ *   post:
+ *     summary: Send a test message through a channel's transport
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - to
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms]
+ *               to:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The test message, with its delivery status and any error
+ *       400:
+ *         description: Missing channel or recipient
+ */
+router.post('/test', authenticate, authorize('admin'), sendTestNotification);
+
+/**
+ * @swagger
+ * /api/notifications/receipts:
+ *   post:
+ *     summary: Send or resend a sale's digital receipt
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sale
+ *             properties:
+ *               sale:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms]
+ *                 default: email
+ *               to:
+ *                 type: string
+ *                 description: Email or phone to send to; defaults to the sale's customer
+ *     responses:
+ *       201:
+ *         description: Receipt queued
+ *       400:
+ *         description: No address to send to
+ *       404:
+ *         description: Sale not found
+ */
+router.post('/receipts', authenticate, sendSaleReceipt);
+
+/**
+ * @swagger
+ * /api/notifications/daily-report:
+ *   post:
+ *     summary: Send the daily report now
+ *     description: Goes to the alert recipients in notification settings, even when scheduled daily reports are off.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2024-01-15"
+ *                 description: Day to report on; defaults to today
+ *     responses:
+ *       201:
+ *         description: Report queued
+ *       400:
+ *         description: Invalid date or no recipients
+ */
+router.post('/daily-report', authenticate, authorize('admin'), sendDailyReport);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   get:
+ *     summary: Get a message with its body
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification found
+ *       404:
+ *         description: Notification not found
+ */
+router.get('/:id', authenticate, authorize('admin'), getNotification);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/retry:
+ *   post:
+ *     summary: Retry a failed message
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message queued again with a fresh set of attempts
+ *       400:
+ *         description: Message has not failed
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/retry', authenticate, authorize('admin'), retryNotification);
+
+export default router;
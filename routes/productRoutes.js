@@ -14,8 +14,11 @@ import {
   updateProductImage,
   uploadVariationCombinationImage,
   updateVariationCombination,
-  getActiveVariations
+  getActiveVariations,
+  getCostHistory
 } from '../controllers/productController.js';
+import { getProductSuppliers } from '../controllers/supplierCatalogueController.js';
+import { getStockCard } from '../controllers/stockMovementController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { upload, optionalUpload } from '../config/cloudinary.js';
 
@@ -65,7 +68,7 @@ const router = express.Router();
  *               purchasePrice:
  *                 type: number
  *                 minimum: 0
- *                 description: Product purchase price
+ *                 description: Unit cost. Updated to the weighted average when goods are received against a purchase order
  *               sellingPrice:
  *                 type: number
  *                 minimum: 0
@@ -451,7 +454,7 @@ router.get('/:id', authenticate, getProduct);
  *               purchasePrice:
  *                 type: number
  *                 minimum: 0
- *                 description: Product purchase price
+ *                 description: Unit cost. Updated to the weighted average when goods are received against a purchase order
  *               sellingPrice:
  *                 type: number
  *                 minimum: 0
@@ -614,7 +617,9 @@ router.delete('/:id', authenticate, authorize('admin'), deleteProduct);
  * @swagger
  * /api/products/stock/update:
  *   put:
- *     summary: Update product stock
+ *     summary: Deduct product stock
+ *     description: Kept for older clients. The deduction is recorded as a stock adjustment, posted at once for admins and left pending approval for other staff, like /api/stock-adjustments. Nothing is deducted if a line would take stock below zero.
+ *     deprecated: true
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -625,23 +630,33 @@ router.delete('/:id', authenticate, authorize('admin'), deleteProduct);
  *           schema:
  *             type: object
  *             required:
- *               - productId
- *               - quantity
- *               - type
+ *               - products
  *             properties:
- *               productId:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - quantity
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Product ID
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       description: Quantity to deduct (negative adds stock)
+ *               reason:
  *                 type: string
- *                 description: Product ID
- *               quantity:
- *                 type: number
- *                 description: Quantity to add or subtract
- *               type:
+ *                 enum: [count_correction, damage, theft, sample, gift]
+ *                 default: count_correction
+ *               notes:
  *                 type: string
- *                 enum: [add, subtract]
- *                 description: Operation type
  *     responses:
  *       200:
- *         description: Stock updated successfully
+ *         description: Stock deducted and the approved adjustment returned (admins)
  *         content:
  *           application/json:
  *             schema:
@@ -649,8 +664,19 @@ router.delete('/:id', authenticate, authorize('admin'), deleteProduct);
  *               properties:
  *                 message:
  *                   type: string
- *                 product:
- *                   $ref: '#/components/schemas/Product'
+ *                 adjustment:
+ *                   $ref: '#/components/schemas/StockAdjustment'
+ *       202:
+ *         description: Adjustment recorded and waiting for an admin to approve it; stock is unchanged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 adjustment:
+ *                   $ref: '#/components/schemas/StockAdjustment'
  *       400:
  *         description: Bad request
  *         content:
@@ -948,4 +974,215 @@ router.put('/:id/image', authenticate, authorize('admin'), upload.single('image'
 router.post('/:id/combinations/:combinationIndex/image', authenticate, authorize('admin'), upload.single('image'), uploadVariationCombinationImage);
 router.put('/:id/combinations/:combinationIndex', authenticate, authorize('admin'), updateVariationCombination);
 
+/**
+ * @swagger
+ * /api/products/{id}/cost-history:
+ *   get:
+ *     summary: Unit cost history of a product
+ *     description: Every change to the purchase price of the product and its variation combinations, newest first. Goods receipts move it to the weighted average of stock on hand and the received landed cost; manual entries are edits to purchasePrice.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variationCombinationId
+ *         schema:
+ *           type: string
+ *         description: Only changes for this variation combination
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Cost history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       variationCombinationId:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [goods_receipt, manual]
+ *                       previousCost:
+ *                         type: number
+ *                       newCost:
+ *                         type: number
+ *                       quantity:
+ *                         type: number
+ *                       unitCost:
+ *                         type: number
+ *                       landedCost:
+ *                         type: number
+ *                         description: Share of receipt charges per unit
+ *                       stockBefore:
+ *                         type: number
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/cost-history', authenticate, authorize('admin'), getCostHistory);
+
+/**
+ * @swagger
+ * /api/products/{id}/suppliers:
+ *   get:
+ *     summary: Suppliers of a product
+ *     description: Supplier catalogue entries for the product, cheapest last purchase price first, with each supplier's item code and lead time.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variationCombinationId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suppliers with their catalogue entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suppliers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SupplierCatalogueItem'
+ *       404:
+ *         description: Product not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/suppliers', authenticate, authorize('admin'), getProductSuppliers);
+
+/**
+ * @swagger
+ * /api/products/{id}/stock-card:
+ *   get:
+ *     summary: Stock card
+ *     description: For the product and each variation combination, the opening balance, every stock movement in the period with its source document, and the running balance. Balances are worked back from current stock.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period (defaults to the first movement)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period (defaults to now)
+ *       - in: query
+ *         name: variationCombinationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [stock, damagedStock]
+ *           default: stock
+ *     responses:
+ *       200:
+ *         description: Stock cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cards:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       variationCombinationId:
+ *                         type: string
+ *                         nullable: true
+ *                       combinationName:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       openingBalance:
+ *                         type: integer
+ *                       totalIn:
+ *                         type: integer
+ *                       totalOut:
+ *                         type: integer
+ *                       closingBalance:
+ *                         type: integer
+ *                       movements:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             date:
+ *                               type: string
+ *                               format: date-time
+ *                             type:
+ *                               type: string
+ *                             reference:
+ *                               type: string
+ *                             sourceModel:
+ *                               type: string
+ *                             sourceId:
+ *                               type: string
+ *                             in:
+ *                               type: integer
+ *                             out:
+ *                               type: integer
+ *                             balance:
+ *                               type: integer
+ *                             userName:
+ *                               type: string
+ *                             notes:
+ *                               type: string
+ *       400:
+ *         description: Invalid field
+ *       404:
+ *         description: Product or variation combination not found
+ */
+router.get('/:id/stock-card', authenticate, authorize('admin'), getStockCard);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,324 @@
+import express from 'express';
+import {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  evaluatePromotions
+} from '../controllers/promotionController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Automatic discount rules applied to sales
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Buy 2 get 1 free on T-shirts"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage_off, fixed_off, buy_x_get_y, bundle_price]
+ *         value:
+ *           type: number
+ *           description: Percentage for percentage_off, amount per unit for fixed_off
+ *         buyQuantity:
+ *           type: number
+ *           description: Units to buy (buy_x_get_y)
+ *         getQuantity:
+ *           type: number
+ *           description: Units discounted for each buyQuantity bought (buy_x_get_y)
+ *         getDiscountPercent:
+ *           type: number
+ *           default: 100
+ *           description: Discount on the "get" units; 100 makes them free
+ *         bundleQuantity:
+ *           type: number
+ *           description: Units in a bundle (bundle_price)
+ *         bundlePrice:
+ *           type: number
+ *           description: Price of a full bundle (bundle_price)
+ *         appliesTo:
+ *           type: object
+ *           properties:
+ *             allProducts:
+ *               type: boolean
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Category names
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             variationCombinations:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         schedule:
+ *           type: object
+ *           description: Optional recurring window such as a weekday happy hour
+ *           properties:
+ *             daysOfWeek:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: 0 = Sunday ... 6 = Saturday
+ *             startTime:
+ *               type: string
+ *               example: "16:00"
+ *             endTime:
+ *               type: string
+ *               example: "18:00"
+ *         priority:
+ *           type: number
+ *           description: Higher priority promotions are applied first
+ *         stackable:
+ *           type: boolean
+ *           description: Whether the promotion combines with others on the same line
+ *         isActive:
+ *           type: boolean
+ *         timesUsed:
+ *           type: number
+ *     AppliedPromotion:
+ *       type: object
+ *       properties:
+ *         promotion:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *         discountAmount:
+ *           type: number
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: Indexes of the cart items the promotion discounted
+ */
+
+/**
+ * @swagger
+ * /api/promotions/evaluate:
+ *   post:
+ *     summary: Work out which running promotions apply to a cart
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     productName:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     discount:
+ *                       type: number
+ *                     discountType:
+ *                       type: string
+ *                       enum: [fixed, percentage]
+ *     responses:
+ *       200:
+ *         description: Promotions applied to the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 promotions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AppliedPromotion'
+ *                 promotionDiscount:
+ *                   type: number
+ *                 calculation:
+ *                   type: object
+ *                   description: Line and cart totals after promotions
+ *       400:
+ *         description: Invalid cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/evaluate', authenticate, evaluatePromotions);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage_off, fixed_off, buy_x_get_y, bundle_price]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 promotions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *                 pagination:
+ *                   type: object
+ *   post:
+ *     summary: Create a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Missing or invalid rule fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticate, getPromotions);
+router.post('/', authenticate, authorize('admin'), createPromotion);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion found, with whether it is running right now
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Missing or invalid rule fields
+ *       404:
+ *         description: Promotion not found
+ *   delete:
+ *     summary: Delete a promotion that has never been used
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       400:
+ *         description: Promotion has been used on sales; deactivate it instead
+ *       404:
+ *         description: Promotion not found
+ */
+router.get('/:id', authenticate, getPromotion);
+router.put('/:id', authenticate, authorize('admin'), updatePromotion);
+router.delete('/:id', authenticate, authorize('admin'), deletePromotion);
+
+export default router;
@@ -5,7 +5,12 @@ import {
   getPurchaseOrderById,
   updatePurchaseOrder,
   deletePurchaseOrder,
+  markPurchaseOrderOrdered,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getPurchaseOrderReceipts,
 } from "../controllers/purchaseOrderController.js";
+import { getReorderSuggestions, createReorderDrafts } from "../controllers/reorderController.js";
 // Uncomment if you have authentication middleware
 import { authenticate, authorize } from "../middleware/auth.js";
 
@@ -25,6 +30,9 @@ const router = express.Router();
  *     PurchaseOrderProduct:
  *       type: object
  *       properties:
+ *         _id:
+ *           type: string
+ *           description: Line ID, used when receiving goods
  *         product:
  *           type: string
  *           description: Product ID
@@ -33,7 +41,10 @@ const router = express.Router();
  *           description: Product variation ID (optional)
  *         quantity:
  *           type: number
- *           description: Quantity purchased
+ *           description: Quantity ordered
+ *         receivedQuantity:
+ *           type: number
+ *           description: Quantity received so far (read only)
  *         unitCost:
  *           type: number
  *           description: Cost per unit (optional)
@@ -43,6 +54,9 @@ const router = express.Router();
  *         _id:
  *           type: string
  *           description: Purchase order ID
+ *         orderNumber:
+ *           type: string
+ *           example: PO-001
  *         supplier:
  *           type: string
  *           description: Supplier ID
@@ -50,6 +64,9 @@ const router = express.Router();
  *           type: string
  *           format: date
  *           description: Date of purchase
+ *         expectedDeliveryDate:
+ *           type: string
+ *           format: date
  *         products:
  *           type: array
  *           items:
@@ -57,6 +74,20 @@ const router = express.Router();
  *         notes:
  *           type: string
  *           description: Additional notes
+ *         status:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *           description: Stock only changes when goods are received against the order
+ *         orderedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last outstanding line was received
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
  *         createdBy:
  *           type: string
  *           description: User who created the purchase order
@@ -66,6 +97,79 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     GoodsReceipt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         receiptNumber:
+ *           type: string
+ *           example: GRN-001
+ *         purchaseOrder:
+ *           type: string
+ *         supplier:
+ *           type: string
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: string
+ *                 description: Purchase order line ID
+ *               product:
+ *                 type: string
+ *               variation:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitCost:
+ *                 type: number
+ *               landedCost:
+ *                 type: number
+ *                 description: Share of the receipt charges per unit
+ *         charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GoodsReceiptCharge'
+ *         allocationMethod:
+ *           type: string
+ *           enum: [value, quantity]
+ *         value:
+ *           type: number
+ *           description: Lines at their unit cost, owed to the supplier
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           description: Date received plus the supplier's payment terms
+ *         balanceDue:
+ *           type: number
+ *           description: Still owed after payments and debit notes
+ *         paymentStatus:
+ *           type: string
+ *           enum: [unpaid, partially_paid, paid]
+ *         supplierReference:
+ *           type: string
+ *           description: Supplier's delivery note or invoice number
+ *         notes:
+ *           type: string
+ *         receivedByName:
+ *           type: string
+ *     GoodsReceiptCharge:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [freight, duty, insurance, other]
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
  */
 
 /**
@@ -73,6 +177,7 @@ const router = express.Router();
  * /api/purchase-orders:
  *   post:
  *     summary: Create a new purchase order
+ *     description: Creates a draft (or an order already sent to the supplier). Stock is not changed until goods are received.
  *     tags: [Purchase Orders]
  *     security:
  *       - bearerAuth: []
@@ -94,6 +199,9 @@ const router = express.Router();
  *                 type: string
  *                 format: date
  *                 description: Date of purchase
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
  *               products:
  *                 type: array
  *                 items:
@@ -101,6 +209,10 @@ const router = express.Router();
  *               notes:
  *                 type: string
  *                 description: Additional notes
+ *               status:
+ *                 type: string
+ *                 enum: [draft, ordered]
+ *                 default: draft
  *     responses:
  *       201:
  *         description: Purchase order created successfully
@@ -136,6 +248,16 @@ const router = express.Router();
  *     tags: [Purchase Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Purchase orders retrieved successfully
@@ -194,6 +316,7 @@ const router = express.Router();
  * /api/purchase-orders/{id}:
  *   put:
  *     summary: Update purchase order
+ *     description: Supplier and products can only be changed on draft and ordered purchase orders. Use the order, receive and cancel actions to change the status.
  *     tags: [Purchase Orders]
  *     security:
  *       - bearerAuth: []
@@ -218,6 +341,9 @@ const router = express.Router();
  *                 type: string
  *                 format: date
  *                 description: Date of purchase
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
  *               products:
  *                 type: array
  *                 items:
@@ -257,6 +383,7 @@ const router = express.Router();
  * /api/purchase-orders/{id}:
  *   delete:
  *     summary: Delete purchase order
+ *     description: Only draft and ordered purchase orders with nothing received can be deleted; cancel the others.
  *     tags: [Purchase Orders]
  *     security:
  *       - bearerAuth: []
@@ -277,6 +404,12 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Goods have already been received against the purchase order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -291,6 +424,322 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/purchase-orders/reorder-suggestions:
+ *   get:
+ *     summary: Reorder suggestions for low stock items
+ *     description: Products and variation combinations at or below minStock, with a quantity that restores minStock plus coverDays of sales at the recent sales rate, less what is already on order (drafts and placed orders not yet received). Items already covered are left out. Grouped by the supplier of each item's latest purchase order.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days of sales used for the sales rate
+ *       - in: query
+ *         name: coverDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Days of sales the order should cover
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggestions by supplier; items never purchased are in a group with a null supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalItems:
+ *                   type: number
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       supplier:
+ *                         type: object
+ *                       estimatedCost:
+ *                         type: number
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             product:
+ *                               type: string
+ *                             variationCombinationId:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             sku:
+ *                               type: string
+ *                             stock:
+ *                               type: number
+ *                             minStock:
+ *                               type: number
+ *                             onOrder:
+ *                               type: number
+ *                               description: Units on drafts and placed orders still to be received
+ *                             unitsSold:
+ *                               type: number
+ *                             dailyVelocity:
+ *                               type: number
+ *                             daysOfStockLeft:
+ *                               type: number
+ *                             suggestedQuantity:
+ *                               type: number
+ *                             unitCost:
+ *                               type: number
+ *                             estimatedCost:
+ *                               type: number
+ *                             supplier:
+ *                               type: string
+ *       400:
+ *         description: Invalid days or coverDays
+ */
+router.get("/reorder-suggestions", authenticate, authorize("admin"), getReorderSuggestions);
+
+/**
+ * @swagger
+ * /api/purchase-orders/reorder-drafts:
+ *   post:
+ *     summary: Create draft purchase orders from reorder suggestions
+ *     description: One draft per supplier. Items are added to the supplier's latest open draft when there is one, otherwise a new draft is created. Send edited suggestions as items, or leave items out to use the current suggestions. Items without a supplier are skipped and returned.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product
+ *                     - supplier
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     supplier:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     unitCost:
+ *                       type: number
+ *               days:
+ *                 type: integer
+ *                 default: 30
+ *               coverDays:
+ *                 type: integer
+ *                 default: 30
+ *               supplier:
+ *                 type: string
+ *                 description: Only draft orders for this supplier (when items are not sent)
+ *     responses:
+ *       201:
+ *         description: Draft purchase orders created or added to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PurchaseOrder'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid items or unknown supplier
+ */
+router.post("/reorder-drafts", authenticate, authorize("admin"), createReorderDrafts);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/order:
+ *   post:
+ *     summary: Mark a draft purchase order as ordered
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Purchase order marked as ordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Purchase order is not a draft
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post("/:id/order", authenticate, authorize("admin"), markPurchaseOrderOrdered);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order
+ *     description: Nothing more will be received. Stock already received against the order is kept.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Purchase order is already received or cancelled
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post("/:id/cancel", authenticate, authorize("admin"), cancelPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receipts:
+ *   post:
+ *     summary: Receive goods against a purchase order
+ *     description: Records a goods receipt and adds the received quantities to stock. Lines can be received in several deliveries, but never more than was ordered. The order becomes partially_received or, once every line is in, received. Each line with a unit cost updates the weighted-average purchase price of its product or variation combination, including its share of any charges.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lines
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - line
+ *                     - quantity
+ *                   properties:
+ *                     line:
+ *                       type: string
+ *                       description: Purchase order line ID
+ *                     quantity:
+ *                       type: integer
+ *                     unitCost:
+ *                       type: number
+ *                       description: Actual cost if it differs from the order line
+ *               charges:
+ *                 type: array
+ *                 description: Freight, duty and other costs of this delivery, added to the landed cost of the lines
+ *                 items:
+ *                   $ref: '#/components/schemas/GoodsReceiptCharge'
+ *               allocationMethod:
+ *                 type: string
+ *                 enum: [value, quantity]
+ *                 default: value
+ *                 description: Share charges by line value (quantity × unit cost) or by quantity
+ *               supplierReference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Goods received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrder:
+ *                   $ref: '#/components/schemas/PurchaseOrder'
+ *                 receipt:
+ *                   $ref: '#/components/schemas/GoodsReceipt'
+ *       400:
+ *         description: Order not open for receiving, unknown line, or more than is outstanding
+ *       404:
+ *         description: Purchase order not found
+ *   get:
+ *     summary: Goods receipts recorded against a purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Goods receipts, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GoodsReceipt'
+ *       404:
+ *         description: Purchase order not found
+ */
+router.post("/:id/receipts", authenticate, authorize("admin"), receivePurchaseOrder);
+router.get("/:id/receipts", authenticate, authorize("admin"), getPurchaseOrderReceipts);
+
 // CREATE
 router.post("/", authenticate, authorize("admin"), createPurchaseOrder);
 // READ ALL
@@ -5,7 +5,12 @@ import {
   getCustomerReport,
   getExpenseReport,
   getDashboardStats,
-  getStaffCommissionsReport
+  getStaffCommissionsReport,
+  getReceivablesAgingReport,
+  getCouponUsageReport,
+  getOutstandingPurchaseOrdersReport,
+  getGrossMarginReport,
+  getPayablesAgingReport
 } from '../controllers/reportController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
@@ -144,7 +149,7 @@ router.get('/sales', authenticate, getSalesReport);
  *         name: lowStock
  *         schema:
  *           type: boolean
- *         description: Show only low stock items
+ *         description: Show only low stock items (variation products when any combination is at or below its minimum)
  *       - in: query
  *         name: outOfStock
  *         schema:
@@ -473,4 +478,348 @@ router.get('/dashboard', authenticate, getDashboardStats);
 // Staff commissions report (Admin only)
 router.get('/staffCommissions', authenticate, authorize('admin'), getStaffCommissionsReport);
 
+/**
+ * @swagger
+ * /api/reports/receivables-aging:
+ *   get:
+ *     summary: Accounts receivable aging report
+ *     description: Outstanding credit sale balances per customer in 0-30, 31-60, 61-90 and 90+ day buckets from the invoice date.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Limit to one customer
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Age invoices as of this date (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Aging report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       customerId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       days0to30:
+ *                         type: number
+ *                       days31to60:
+ *                         type: number
+ *                       days61to90:
+ *                         type: number
+ *                       days90plus:
+ *                         type: number
+ *                       totalOutstanding:
+ *                         type: number
+ *                       openInvoices:
+ *                         type: number
+ *                 totals:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/receivables-aging', authenticate, authorize('admin'), getReceivablesAgingReport);
+
+/**
+ * @swagger
+ * /api/reports/payables-aging:
+ *   get:
+ *     summary: Accounts payable aging report
+ *     description: Unpaid goods receipts per supplier in 0-30, 31-60, 61-90 and 90+ day buckets from the date received. Debit notes and adjustments not settled against a receipt show as unallocated, so balance = totalOutstanding + unallocated.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Limit to one supplier
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Age receipts as of this date (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Aging report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suppliers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       supplierId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       days0to30:
+ *                         type: number
+ *                       days31to60:
+ *                         type: number
+ *                       days61to90:
+ *                         type: number
+ *                       days90plus:
+ *                         type: number
+ *                       totalOutstanding:
+ *                         type: number
+ *                       overdue:
+ *                         type: number
+ *                         description: Outstanding on receipts past their due date (payment terms)
+ *                       unallocated:
+ *                         type: number
+ *                       balance:
+ *                         type: number
+ *                       openReceipts:
+ *                         type: number
+ *                 totals:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/payables-aging', authenticate, authorize('admin'), getPayablesAgingReport);
+
+/**
+ * @swagger
+ * /api/reports/coupons:
+ *   get:
+ *     summary: Coupon usage report
+ *     description: Coupon redemptions at the till alongside coupon lines on WooCommerce orders, grouped by code. Cancelled, failed and refunded web orders are left out.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *         description: Limit to one coupon code
+ *     responses:
+ *       200:
+ *         description: Coupon usage per code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                       pos:
+ *                         type: object
+ *                         properties:
+ *                           uses:
+ *                             type: number
+ *                           discount:
+ *                             type: number
+ *                           customers:
+ *                             type: number
+ *                       web:
+ *                         type: object
+ *                         properties:
+ *                           uses:
+ *                             type: number
+ *                           discount:
+ *                             type: number
+ *                       totalUses:
+ *                         type: number
+ *                       totalDiscount:
+ *                         type: number
+ *                 totals:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/coupons', authenticate, authorize('admin'), getCouponUsageReport);
+
+/**
+ * @swagger
+ * /api/reports/purchase-orders/outstanding:
+ *   get:
+ *     summary: Outstanding purchase order quantities
+ *     description: Quantities on ordered and partially received purchase orders that haven't been received yet, grouped by supplier. Lines past the order's expected delivery date are marked overdue.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Limit to one supplier
+ *     responses:
+ *       200:
+ *         description: Outstanding quantities per supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suppliers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       supplierId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       openOrders:
+ *                         type: number
+ *                       outstandingQuantity:
+ *                         type: number
+ *                       outstandingValue:
+ *                         type: number
+ *                       overdueQuantity:
+ *                         type: number
+ *                       lines:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             orderNumber:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             ordered:
+ *                               type: number
+ *                             received:
+ *                               type: number
+ *                             outstanding:
+ *                               type: number
+ *                             expectedDeliveryDate:
+ *                               type: string
+ *                               format: date-time
+ *                             overdue:
+ *                               type: boolean
+ *                 totals:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/purchase-orders/outstanding', authenticate, authorize('admin'), getOutstandingPurchaseOrdersReport);
+
+/**
+ * @swagger
+ * /api/reports/gross-margin:
+ *   get:
+ *     summary: Gross margin report
+ *     description: Revenue, cost and gross profit on items sold, using each item's unit cost when it was sold. Refunded sales and returned units are left out. Items sold before costs were kept on sales use the cost history at the sale date, or the current purchase price; their quantity is shown as estimatedCostQuantity. Revenue is each line's share of the sale before tax, after coupon, cart discount and loyalty redemption, and without gift cards sold.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, category, day, month]
+ *           default: product
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Limit to one category
+ *     responses:
+ *       200:
+ *         description: Gross margin per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 margins:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       quantity:
+ *                         type: number
+ *                       revenue:
+ *                         type: number
+ *                       cost:
+ *                         type: number
+ *                       grossProfit:
+ *                         type: number
+ *                       marginPercent:
+ *                         type: number
+ *                       estimatedCostQuantity:
+ *                         type: number
+ *                 summary:
+ *                   type: object
+ *       400:
+ *         description: Invalid groupBy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/gross-margin', authenticate, authorize('admin'), getGrossMarginReport);
+
 export default router;
\ No newline at end of file
@@ -3,8 +3,15 @@ import {
   createReturn,
   getReturns,
   getReturnDetails,
-  getReturnSummary
+  getReturnSummary,
+  getCreditNote
 } from '../controllers/returnController.js';
+import {
+  getDamagedStockReport,
+  writeOffDamagedStock,
+  getSupplierReturnCandidates,
+  writeOffSupplierReturnCandidate
+} from '../controllers/damagedStockController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -28,10 +35,14 @@ const router = express.Router();
  *           description: Return ID
  *         returnNumber:
  *           type: string
- *           description: Unique return number
- *         originalSale:
+ *           description: Sequential credit note number
+ *           example: "CN-001"
+ *         sale:
  *           type: string
  *           description: Original sale ID
+ *         invoiceNumber:
+ *           type: string
+ *           description: Invoice number of the original sale
  *         customer:
  *           type: string
  *           description: Customer ID
@@ -55,9 +66,6 @@ const router = express.Router();
  *               unitPrice:
  *                 type: number
  *                 description: Unit price
- *               totalPrice:
- *                 type: number
- *                 description: Total refund amount for this item
  *               variationCombinationId:
  *                 type: string
  *                 description: Variation combination ID (for products with variations)
@@ -74,25 +82,36 @@ const router = express.Router();
  *                 description: Reason for return
  *               condition:
  *                 type: string
- *                 enum: [new, used, damaged]
+ *                 enum: [resellable, damaged, defective]
  *                 description: Product condition
  *               refundAmount:
  *                 type: number
  *                 description: Refund amount for this item
- *         totalRefund:
+ *         totalRefundAmount:
  *           type: number
  *           description: Total refund amount
+ *         appliedToBalance:
+ *           type: number
+ *           description: Part of the refund taken off the unpaid balance of a credit sale; only the rest is paid out
  *         refundMethod:
  *           type: string
- *           enum: [cash, card, store_credit]
+ *           enum: [cash, card, bank_transfer, store_credit]
  *           description: Refund method
- *         status:
+ *         returnReason:
  *           type: string
- *           enum: [pending, approved, rejected, completed]
- *           description: Return status
  *         processedBy:
  *           type: string
- *           description: Staff member who processed the return
+ *           description: User who processed the return
+ *         processedByName:
+ *           type: string
+ *         approvedBy:
+ *           type: string
+ *           description: Admin who approved the return
+ *         approvedByName:
+ *           type: string
+ *         shift:
+ *           type: string
+ *           description: Shift the refund was paid out from
  *         notes:
  *           type: string
  *           description: Additional notes
@@ -119,16 +138,13 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - originalSale
+ *               - saleId
  *               - items
  *               - refundMethod
  *             properties:
- *               originalSale:
+ *               saleId:
  *                 type: string
  *                 description: Original sale ID
- *               customer:
- *                 type: string
- *                 description: Customer ID
  *               items:
  *                 type: array
  *                 items:
@@ -148,12 +164,17 @@ const router = express.Router();
  *                       description: Variation combination ID (required for products with variations)
  *                     condition:
  *                       type: string
- *                       enum: [new, used, damaged]
+ *                       enum: [resellable, damaged, defective]
  *                       description: Product condition
+ *               returnReason:
+ *                 type: string
  *               refundMethod:
  *                 type: string
- *                 enum: [cash, card, store_credit]
+ *                 enum: [cash, card, bank_transfer, store_credit]
  *                 description: Refund method
+ *               approvedBy:
+ *                 type: string
+ *                 description: Approving admin's user ID (defaults to the current user when they are an admin)
  *               notes:
  *                 type: string
  *                 description: Additional notes
@@ -212,11 +233,16 @@ router.post('/', authenticate, createReturn);
  *           default: 10
  *         description: Items per page
  *       - in: query
- *         name: status
+ *         name: refundMethod
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, completed]
- *         description: Filter by status
+ *           enum: [cash, card, bank_transfer, store_credit]
+ *         description: Filter by refund method
+ *       - in: query
+ *         name: sale
+ *         schema:
+ *           type: string
+ *         description: Filter by original sale ID
  *       - in: query
  *         name: customer
  *         schema:
@@ -276,13 +302,6 @@ router.get('/', authenticate, getReturns);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [today, week, month, quarter, year]
- *           default: month
- *         description: Period for summary
- *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -302,58 +321,30 @@ router.get('/', authenticate, getReturns);
  *             schema:
  *               type: object
  *               properties:
- *                 period:
- *                   type: object
- *                   properties:
- *                     start:
- *                       type: string
- *                       format: date
- *                     end:
- *                       type: string
- *                       format: date
  *                 summary:
  *                   type: object
  *                   properties:
  *                     totalReturns:
  *                       type: number
- *                     totalRefunded:
+ *                     totalRefundAmount:
  *                       type: number
  *                     averageRefund:
  *                       type: number
- *                     returnRate:
- *                       type: number
- *                       description: Return rate as percentage
- *                 statusBreakdown:
- *                   type: object
- *                   properties:
- *                     pending:
- *                       type: number
- *                     approved:
- *                       type: number
- *                     rejected:
- *                       type: number
- *                     completed:
- *                       type: number
  *                 refundMethodBreakdown:
- *                   type: object
- *                   properties:
- *                     cash:
- *                       type: number
- *                     card:
- *                       type: number
- *                     store_credit:
- *                       type: number
- *                 topReturnReasons:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       reason:
+ *                       method:
  *                         type: string
  *                       count:
  *                         type: number
- *                       percentage:
+ *                       totalAmount:
  *                         type: number
+ *                 topReturnedProducts:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *       401:
  *         description: Unauthorized
  *         content:
@@ -363,6 +354,199 @@ router.get('/', authenticate, getReturns);
  */
 router.get('/summary', authenticate, getReturnSummary);
 
+/**
+ * @swagger
+ * /api/returns/damaged-stock:
+ *   get:
+ *     summary: Damaged stock report
+ *     description: Damaged stock on hand per product and variation combination valued at purchase price, returned quantities by condition and pending supplier returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period for returnsByCondition
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period for returnsByCondition
+ *     responses:
+ *       200:
+ *         description: Damaged stock report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: string
+ *                       productName:
+ *                         type: string
+ *                       variationCombinationId:
+ *                         type: string
+ *                       combinationName:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       damagedStock:
+ *                         type: number
+ *                       unitCost:
+ *                         type: number
+ *                       value:
+ *                         type: number
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     damagedStock:
+ *                       type: number
+ *                     value:
+ *                       type: number
+ *                 returnsByCondition:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       condition:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                       refundAmount:
+ *                         type: number
+ *                 pendingSupplierReturns:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: number
+ *                     quantity:
+ *                       type: number
+ *                     value:
+ *                       type: number
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/damaged-stock', authenticate, authorize('admin'), getDamagedStockReport);
+
+/**
+ * @swagger
+ * /api/returns/damaged-stock/write-off:
+ *   post:
+ *     summary: Write off units from damaged stock
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variationCombinationId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Damaged stock written off
+ *       400:
+ *         description: Invalid quantity or not enough damaged stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Product or variation combination not found
+ */
+router.post('/damaged-stock/write-off', authenticate, authorize('admin'), writeOffDamagedStock);
+
+/**
+ * @swagger
+ * /api/returns/supplier-return-candidates:
+ *   get:
+ *     summary: List defective returned items to send back to suppliers
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, returned, written_off, all]
+ *           default: pending
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Supplier return candidates
+ */
+router.get('/supplier-return-candidates', authenticate, getSupplierReturnCandidates);
+
+/**
+ * @swagger
+ * /api/returns/supplier-return-candidates/{id}/write-off:
+ *   post:
+ *     summary: Write off a defective item instead of returning it to the supplier
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item written off
+ *       400:
+ *         description: Candidate not found or already resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/supplier-return-candidates/:id/write-off', authenticate, authorize('admin'), writeOffSupplierReturnCandidate);
+
 /**
  * @swagger
  * /api/returns/{id}:
@@ -400,4 +584,50 @@ router.get('/summary', authenticate, getReturnSummary);
  */
 router.get('/:id', authenticate, getReturnDetails);
 
+/**
+ * @swagger
+ * /api/returns/{id}/credit-note:
+ *   get:
+ *     summary: Get the printable credit note for a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *         description: Use html for a receipt-sized printable page
+ *     responses:
+ *       200:
+ *         description: Credit note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 creditNote:
+ *                   type: object
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Return not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/credit-note', authenticate, getCreditNote);
+
 export default router;
\ No newline at end of file
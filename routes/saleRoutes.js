@@ -1,5 +1,6 @@
 import express from 'express';
 import {
+  calculateSale,
   createSale,
   getSales,
   getSale,
@@ -11,6 +12,14 @@ import {
   initInvoiceCounter,
   getInvoiceCounterStatus
 } from '../controllers/saleController.js';
+import {
+  holdSale,
+  getHeldSales,
+  getHeldSale,
+  updateHeldSale,
+  resumeHeldSale,
+  cancelHeldSale
+} from '../controllers/heldSaleController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -38,7 +47,7 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - items
- *               - paymentMethod
+ *               - payments
  *             properties:
  *               customer:
  *                 type: string
@@ -74,16 +83,47 @@ const router = express.Router();
  *                       description: 'Variation details (e.g., {"Color": "Red", "Size": "Large"})'
  *                       additionalProperties:
  *                         type: string
- *               paymentMethod:
- *                 type: string
- *                 enum: [cash, card, mobile]
- *                 description: Payment method
+ *               payments:
+ *                 type: array
+ *                 description: Split tender. Payments must cover the total; only cash may exceed it and the excess is returned as changeDue.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card, bank_transfer, mobile_wallet, gift_voucher, store_credit, loyalty_points]
+ *                     amount:
+ *                       type: number
+ *                       description: Amount tendered (ignored for loyalty_points)
+ *                     points:
+ *                       type: number
+ *                       description: Points redeemed for loyalty_points tenders
+ *                     reference:
+ *                       type: string
+ *                       description: Card slip, wallet transaction or voucher code (required for gift_voucher and store_credit; the voucher balance must cover the amount)
  *               discount:
  *                 type: number
  *                 description: Discount amount
  *               tax:
  *                 type: number
  *                 description: Tax amount
+ *               heldSale:
+ *                 type: string
+ *                 description: Held sale ID when completing a resumed cart
+ *               creditSale:
+ *                 type: boolean
+ *                 description: Allow payments below the total; the balance is charged to the customer's account within their credit limit
+ *               giftCards:
+ *                 type: array
+ *                 description: Gift cards sold with this sale. Their face value is added to the total and a voucher code is issued for each.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon to redeem. Its discount comes off the subtotal before the cart discount and the use is logged against the coupon.
  *     responses:
  *       201:
  *         description: Sale created successfully
@@ -111,6 +151,358 @@ const router = express.Router();
  */
 router.post('/', authenticate, createSale);
 
+/**
+ * @swagger
+ * /api/sales/calculate:
+ *   post:
+ *     summary: Calculate sale totals from catalogue prices without creating a sale
+ *     description: |
+ *       Recomputes line totals from product or variation combination selling prices,
+ *       applies line and cart discounts, product or store tax rates and loyalty redemption.
+ *       Any client totals sent in the body are compared and differences are returned as mismatches.
+ *       The same calculation runs inside POST /api/sales; depending on the
+ *       priceVerification setting, mismatching sales are rejected or flagged.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     discount:
+ *                       type: number
+ *                     discountType:
+ *                       type: string
+ *                       enum: [fixed, percentage]
+ *                     unitPrice:
+ *                       type: number
+ *                     totalPrice:
+ *                       type: number
+ *               discount:
+ *                 type: number
+ *               discountType:
+ *                 type: string
+ *                 enum: [fixed, percentage]
+ *               loyaltyPointsUsed:
+ *                 type: number
+ *               giftCards:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *               couponCode:
+ *                 type: string
+ *               customer:
+ *                 type: string
+ *                 description: Needed for coupons with a per-customer limit
+ *               subtotal:
+ *                 type: number
+ *               tax:
+ *                 type: number
+ *               total:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Calculated totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 calculation:
+ *                   type: object
+ *                   properties:
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     subtotal:
+ *                       type: number
+ *                     discountAmount:
+ *                       type: number
+ *                     tax:
+ *                       type: number
+ *                     loyaltyRedemption:
+ *                       type: number
+ *                     giftCardTotal:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                 mismatches:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                       clientValue:
+ *                         type: number
+ *                       calculatedValue:
+ *                         type: number
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/calculate', authenticate, calculateSale);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HeldSale:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *           description: Short name to find the cart again (e.g. customer name)
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *         customer:
+ *           type: string
+ *         customerInfo:
+ *           type: object
+ *         discount:
+ *           type: number
+ *         discountType:
+ *           type: string
+ *           enum: [fixed, percentage]
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [held, resumed, completed, cancelled]
+ *         cashier:
+ *           type: string
+ *         cashierName:
+ *           type: string
+ *         sale:
+ *           type: string
+ *           description: Sale created from this cart once completed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/sales/held:
+ *   post:
+ *     summary: Park a cart without touching stock or invoice numbers
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               label:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               customer:
+ *                 type: string
+ *               customerInfo:
+ *                 type: object
+ *               discount:
+ *                 type: number
+ *               discountType:
+ *                 type: string
+ *                 enum: [fixed, percentage]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sale held successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 heldSale:
+ *                   $ref: '#/components/schemas/HeldSale'
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List held carts (the logged-in cashier's by default)
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cashier
+ *         schema:
+ *           type: string
+ *         description: Filter by cashier ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, all]
+ *           default: mine
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [held, resumed, completed, cancelled]
+ *         description: Defaults to held and resumed carts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Held sales retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 heldSales:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HeldSale'
+ *                 pagination:
+ *                   type: object
+ */
+router.post('/held', authenticate, holdSale);
+router.get('/held', authenticate, getHeldSales);
+
+/**
+ * @swagger
+ * /api/sales/held/{id}:
+ *   get:
+ *     summary: Get a held cart
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Held sale found
+ *       404:
+ *         description: Held sale not found
+ *   put:
+ *     summary: Update a held cart and park it again
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HeldSale'
+ *     responses:
+ *       200:
+ *         description: Held sale updated successfully
+ *       404:
+ *         description: Held sale not found
+ *   delete:
+ *     summary: Cancel a held cart
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Held sale cancelled successfully
+ *       404:
+ *         description: Held sale not found
+ */
+router.get('/held/:id', authenticate, getHeldSale);
+router.put('/held/:id', authenticate, updateHeldSale);
+router.delete('/held/:id', authenticate, cancelHeldSale);
+
+/**
+ * @swagger
+ * /api/sales/held/{id}/resume:
+ *   post:
+ *     summary: Resume a held cart for checkout
+ *     description: Locks the cart so only one till can resume it. Complete it by sending its ID as heldSale to POST /api/sales.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Held sale resumed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 heldSale:
+ *                   $ref: '#/components/schemas/HeldSale'
+ *       404:
+ *         description: Held sale not found or already resumed
+ */
+router.post('/held/:id/resume', authenticate, resumeHeldSale);
+
 /**
  * @swagger
  * /api/sales:
@@ -219,15 +611,18 @@ router.get('/', authenticate, getSales);
  *                   type: number
  *                 averageOrderValue:
  *                   type: number
- *                 paymentMethods:
- *                   type: object
- *                   properties:
- *                     cash:
- *                       type: number
- *                     card:
- *                       type: number
- *                     mobile:
- *                       type: number
+ *                 tenderBreakdown:
+ *                   type: array
+ *                   description: Takings per tender type (cash is net of change given)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       method:
+ *                         type: string
+ *                       count:
+ *                         type: number
+ *                       totalAmount:
+ *                         type: number
  *       401:
  *         description: Unauthorized
  *         content:
@@ -404,6 +799,7 @@ router.get('/:id', authenticate, getSale);
  * /api/sales/{id}:
  *   put:
  *     summary: Update sale
+ *     description: Only notes and customerInfo can be changed. Items, totals and payments are fixed once a sale is recorded; correct them with a return or an exchange.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -421,33 +817,17 @@ router.get('/:id', authenticate, getSale);
  *           schema:
  *             type: object
  *             properties:
- *               customer:
- *                 type: string
- *                 description: Customer ID
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     product:
- *                       type: string
- *                       description: Product ID
- *                     quantity:
- *                       type: number
- *                       description: Quantity sold
- *                     price:
- *                       type: number
- *                       description: Price per unit
- *               paymentMethod:
+ *               notes:
  *                 type: string
- *                 enum: [cash, card, mobile]
- *                 description: Payment method
- *               discount:
- *                 type: number
- *                 description: Discount amount
- *               tax:
- *                 type: number
- *                 description: Tax amount
+ *               customerInfo:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   email:
+ *                     type: string
  *     responses:
  *       200:
  *         description: Sale updated successfully
@@ -461,7 +841,7 @@ router.get('/:id', authenticate, getSale);
  *                 sale:
  *                   $ref: '#/components/schemas/Sale'
  *       400:
- *         description: Bad request
+ *         description: A field other than notes or customerInfo was sent
  *         content:
  *           application/json:
  *             schema:
@@ -492,6 +872,7 @@ router.put('/:id', authenticate, authorize('admin'), updateSale);
  * /api/sales/{id}:
  *   delete:
  *     summary: Delete sale
+ *     description: For sales rung up by mistake. The sale is removed and its stock put back. Sales with returns, a customer, vouchers or gift cards, a coupon, or on a closed shift can't be deleted; process a return instead.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -512,6 +893,12 @@ router.put('/:id', authenticate, authorize('admin'), updateSale);
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         description: The sale has customer, voucher, coupon, return or closed shift records and can't be deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
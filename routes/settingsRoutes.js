@@ -72,19 +72,61 @@ const router = express.Router();
  *                   properties:
  *                     lowStockAlert:
  *                       type: boolean
- *                     dailyReportEmail:
+ *                     dailyReports:
  *                       type: boolean
- *                     backupReminder:
- *                       type: boolean
- *                 loyaltyProgram:
+ *                     receipts:
+ *                       type: object
+ *                       properties:
+ *                         email:
+ *                           type: boolean
+ *                         sms:
+ *                           type: boolean
+ *                     alertEmails:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     alertPhones:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     emailTransport:
+ *                       type: string
+ *                       enum: [smtp, file, console]
+ *                     smsTransport:
+ *                       type: string
+ *                       enum: [http, file, console]
+ *                     maxAttempts:
+ *                       type: number
+ *                 loyaltySettings:
  *                   type: object
  *                   properties:
  *                     enabled:
  *                       type: boolean
- *                     pointsPerDollar:
+ *                     pointsPerUnit:
  *                       type: number
- *                     rewardThreshold:
+ *                       description: Points earned for every unitAmount spent
+ *                     unitAmount:
  *                       type: number
+ *                     redemptionRate:
+ *                       type: number
+ *                       description: Value of one point when redeemed
+ *                     pointsExpiryDays:
+ *                       type: number
+ *                       description: Days earned points stay valid (0 for no expiry)
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: gold
+ *                           minSpend:
+ *                             type: number
+ *                             description: Lifetime spend needed to reach the tier
+ *                           multiplier:
+ *                             type: number
+ *                             description: Points multiplier for the tier
  *                 overrideOutOfStock:
  *                   type: boolean
  *                   description: Allow selling products even when out of stock
@@ -153,19 +195,61 @@ router.get('/', authenticate, getSettings);
  *                 properties:
  *                   lowStockAlert:
  *                     type: boolean
- *                   dailyReportEmail:
- *                     type: boolean
- *                   backupReminder:
+ *                   dailyReports:
  *                     type: boolean
- *               loyaltyProgram:
+ *                   receipts:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: boolean
+ *                       sms:
+ *                         type: boolean
+ *                   alertEmails:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   alertPhones:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   emailTransport:
+ *                     type: string
+ *                     enum: [smtp, file, console]
+ *                   smsTransport:
+ *                     type: string
+ *                     enum: [http, file, console]
+ *                   maxAttempts:
+ *                     type: number
+ *               loyaltySettings:
  *                 type: object
  *                 properties:
  *                   enabled:
  *                     type: boolean
- *                   pointsPerDollar:
+ *                   pointsPerUnit:
+ *                     type: number
+ *                     description: Points earned for every unitAmount spent
+ *                   unitAmount:
+ *                     type: number
+ *                   redemptionRate:
  *                     type: number
- *                   rewardThreshold:
+ *                     description: Value of one point when redeemed
+ *                   pointsExpiryDays:
  *                     type: number
+ *                     description: Days earned points stay valid (0 for no expiry)
+ *                   tiers:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           example: gold
+ *                         minSpend:
+ *                           type: number
+ *                           description: Lifetime spend needed to reach the tier
+ *                         multiplier:
+ *                           type: number
+ *                           description: Points multiplier for the tier
  *               overrideOutOfStock:
  *                 type: boolean
  *                 description: Allow selling products even when out of stock
@@ -0,0 +1,408 @@
+import express from 'express';
+import {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShift,
+  addCashMovement,
+  getShiftReport,
+  closeShift
+} from '../controllers/shiftController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shifts
+ *   description: Cash drawer shifts, cash movements and X/Z reports
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shift:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Shift ID
+ *         cashier:
+ *           type: string
+ *           description: Cashier user ID
+ *         cashierName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *         openingFloat:
+ *           type: number
+ *           description: Cash placed in the drawer when the shift opened
+ *         cashMovements:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [cash_in, cash_out]
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               recordedByName:
+ *                 type: string
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *         refunds:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sale:
+ *                 type: string
+ *               invoiceNumber:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         closingReport:
+ *           $ref: '#/components/schemas/ShiftReport'
+ *     ShiftReport:
+ *       type: object
+ *       properties:
+ *         salesCount:
+ *           type: number
+ *         salesTotal:
+ *           type: number
+ *         refundsTotal:
+ *           type: number
+ *         changeGiven:
+ *           type: number
+ *           description: Change returned on cash overpayments
+ *         cashIn:
+ *           type: number
+ *         cashOut:
+ *           type: number
+ *         methods:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *               transactions:
+ *                 type: number
+ *               sales:
+ *                 type: number
+ *               refunds:
+ *                 type: number
+ *               expected:
+ *                 type: number
+ *                 description: Expected amount (cash includes opening float and cash movements)
+ *               counted:
+ *                 type: number
+ *               variance:
+ *                 type: number
+ *                 description: Counted minus expected
+ *         totalVariance:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/shifts/open:
+ *   post:
+ *     summary: Open a shift for the logged-in cashier
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               openingFloat:
+ *                 type: number
+ *                 description: Cash in the drawer at the start of the shift
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shift opened successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 shift:
+ *                   $ref: '#/components/schemas/Shift'
+ *       400:
+ *         description: Invalid float or a shift is already open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/open', authenticate, openShift);
+
+/**
+ * @swagger
+ * /api/shifts/current:
+ *   get:
+ *     summary: Get the logged-in cashier's open shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open shift
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 shift:
+ *                   $ref: '#/components/schemas/Shift'
+ *       404:
+ *         description: No open shift
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/current', authenticate, getCurrentShift);
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: List shifts (cashiers only see their own)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: cashier
+ *         schema:
+ *           type: string
+ *         description: Cashier ID (admin only)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Shifts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shifts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shift'
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', authenticate, getShifts);
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   get:
+ *     summary: Get shift by ID
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift found
+ *       404:
+ *         description: Shift not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', authenticate, getShift);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/cash-movements:
+ *   post:
+ *     summary: Record a cash-in or cash-out event on an open shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - amount
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [cash_in, cash_out]
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cash movement recorded
+ *       400:
+ *         description: Invalid movement or shift closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Shift not found
+ */
+router.post('/:id/cash-movements', authenticate, addCashMovement);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/report:
+ *   get:
+ *     summary: Get the X report for an open shift or the Z report for a closed one
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reportType:
+ *                   type: string
+ *                   enum: [X, Z]
+ *                 report:
+ *                   $ref: '#/components/schemas/ShiftReport'
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id/report', authenticate, getShiftReport);
+
+/**
+ * @swagger
+ * /api/shifts/{id}/close:
+ *   post:
+ *     summary: Close a shift with counted amounts and produce the Z report
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - countedAmounts
+ *             properties:
+ *               countedAmounts:
+ *                 type: object
+ *                 description: Counted amount per payment method; cash is required
+ *                 additionalProperties:
+ *                   type: number
+ *                 example:
+ *                   cash: 15250
+ *                   card: 8200
+ *               closingNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shift closed and Z report produced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reportType:
+ *                   type: string
+ *                   enum: [Z]
+ *                 report:
+ *                   $ref: '#/components/schemas/ShiftReport'
+ *       400:
+ *         description: Missing counts or shift already closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Shift not found
+ */
+router.post('/:id/close', authenticate, closeShift);
+
+export default router;
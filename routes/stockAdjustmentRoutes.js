@@ -0,0 +1,269 @@
+import express from 'express';
+import {
+  createStockAdjustment,
+  getStockAdjustments,
+  getStockAdjustment,
+  approveStockAdjustment,
+  rejectStockAdjustment
+} from '../controllers/stockAdjustmentController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Adjustments
+ *   description: Stock changes outside sales, returns and purchasing, with reasons and approval
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockAdjustment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         adjustmentNumber:
+ *           type: string
+ *           example: ADJ-001
+ *         reason:
+ *           type: string
+ *           enum: [count_correction, damage, theft, sample, gift]
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               productName:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               variationCombinationId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 description: Positive adds stock, negative removes it
+ *               unitCost:
+ *                 type: number
+ *               value:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *         totalValue:
+ *           type: number
+ *           description: Net value at unit cost; negative when stock was lost
+ *         notes:
+ *           type: string
+ *         stocktake:
+ *           type: string
+ *           description: Stocktake whose variances the adjustment posts
+ *         requestedByName:
+ *           type: string
+ *         approvedByName:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectedByName:
+ *           type: string
+ *         rejectionReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/stock-adjustments:
+ *   post:
+ *     summary: Request a stock adjustment
+ *     description: Adjusts the stock of products or variation combinations. Stock changes once an admin approves the adjustment; admins can send approve=true to post it straight away. Damage, theft, sample and gift can only remove stock, and damage moves the units into damaged stock.
+ *     tags: [Stock Adjustments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - items
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [count_correction, damage, theft, sample, gift]
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product
+ *                     - quantity
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       example: -2
+ *                     notes:
+ *                       type: string
+ *               notes:
+ *                 type: string
+ *               approve:
+ *                 type: boolean
+ *                 description: Post at once (admins only)
+ *     responses:
+ *       201:
+ *         description: Stock adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 adjustment:
+ *                   $ref: '#/components/schemas/StockAdjustment'
+ *       400:
+ *         description: Invalid reason or items, or not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List stock adjustments
+ *     tags: [Stock Adjustments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Stock adjustments, newest first
+ */
+router.post('/', authenticate, createStockAdjustment);
+router.get('/', authenticate, getStockAdjustments);
+
+/**
+ * @swagger
+ * /api/stock-adjustments/{id}:
+ *   get:
+ *     summary: Get a stock adjustment with the movements it posted
+ *     tags: [Stock Adjustments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock adjustment and its stock movements
+ *       404:
+ *         description: Stock adjustment not found
+ */
+router.get('/:id', authenticate, getStockAdjustment);
+
+/**
+ * @swagger
+ * /api/stock-adjustments/{id}/approve:
+ *   post:
+ *     summary: Approve a stock adjustment
+ *     description: Posts the adjustment to stock at today's unit costs and writes its stock movements. Fails without changing anything if a line would take stock below zero.
+ *     tags: [Stock Adjustments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock adjustment approved
+ *       400:
+ *         description: Not pending, or not enough stock
+ *       404:
+ *         description: Stock adjustment not found
+ */
+router.post('/:id/approve', authenticate, authorize('admin'), approveStockAdjustment);
+
+/**
+ * @swagger
+ * /api/stock-adjustments/{id}/reject:
+ *   post:
+ *     summary: Reject a stock adjustment
+ *     tags: [Stock Adjustments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock adjustment rejected
+ *       400:
+ *         description: Not pending
+ *       404:
+ *         description: Stock adjustment not found
+ */
+router.post('/:id/reject', authenticate, authorize('admin'), rejectStockAdjustment);
+
+export default router;
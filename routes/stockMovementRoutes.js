@@ -0,0 +1,127 @@
+import express from 'express';
+import { getStockMovements } from '../controllers/stockMovementController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Movements
+ *   description: Journal of every change to stock
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variationCombinationId:
+ *           type: string
+ *           nullable: true
+ *         field:
+ *           type: string
+ *           enum: [stock, damagedStock]
+ *         type:
+ *           type: string
+ *           enum: [sale, sale_deleted, return, exchange, goods_receipt, supplier_return, write_off, adjustment, woocommerce_order, woocommerce_cancellation, initial, manual_edit]
+ *         quantity:
+ *           type: integer
+ *           description: Positive for stock in, negative for stock out
+ *         balanceAfter:
+ *           type: integer
+ *         sourceModel:
+ *           type: string
+ *           enum: [Sale, Return, Exchange, GoodsReceipt, SupplierReturn, WriteOff, StockAdjustment, WooCommerceOrder, Product]
+ *         sourceId:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           description: Number of the source document
+ *           example: S-001
+ *         notes:
+ *           type: string
+ *         userName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/stock-movements:
+ *   get:
+ *     summary: List stock movements
+ *     description: Every change to stock or damaged stock, written by sales, returns, exchanges, goods receipts, supplier returns, write-offs, stock adjustments, WooCommerce orders and direct product edits. Movements are never changed or deleted.
+ *     tags: [Stock Movements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variationCombinationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [stock, damagedStock]
+ *       - in: query
+ *         name: sourceModel
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ */
+router.get('/', authenticate, authorize('admin'), getStockMovements);
+
+export default router;
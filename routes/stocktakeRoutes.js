@@ -0,0 +1,419 @@
+import express from 'express';
+import {
+  createStocktake,
+  getStocktakes,
+  getStocktake,
+  recordStocktakeCounts,
+  getStocktakeCounts,
+  approveStocktake,
+  cancelStocktake,
+  getStocktakeVarianceReport
+} from '../controllers/stocktakeController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stocktakes
+ *   description: Physical stock counts by product and variation combination
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stocktake:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         stocktakeNumber:
+ *           type: string
+ *           example: ST-001
+ *         name:
+ *           type: string
+ *           example: October count
+ *         category:
+ *           type: string
+ *           description: Category counted; all products when empty
+ *         status:
+ *           type: string
+ *           enum: [counting, approved, cancelled]
+ *         uncountedAsZero:
+ *           type: boolean
+ *         gainQuantity:
+ *           type: integer
+ *         gainValue:
+ *           type: number
+ *         lossQuantity:
+ *           type: integer
+ *         lossValue:
+ *           type: number
+ *         netValue:
+ *           type: number
+ *         adjustment:
+ *           type: string
+ *           description: Stock adjustment that posted the variances
+ *         startedByName:
+ *           type: string
+ *         approvedByName:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     StocktakeLine:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         productName:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         barcodeId:
+ *           type: string
+ *         category:
+ *           type: string
+ *         variationCombinationId:
+ *           type: string
+ *           nullable: true
+ *         expectedQuantity:
+ *           type: integer
+ *           description: Stock when the stocktake started
+ *         movedQuantity:
+ *           type: integer
+ *           description: Stock moved by sales, receipts and other postings between the snapshot and the item's last scan
+ *         counted:
+ *           type: boolean
+ *         scans:
+ *           type: integer
+ *         countedQuantity:
+ *           type: integer
+ *           nullable: true
+ *         variance:
+ *           type: integer
+ *           description: Counted minus expected plus moved
+ *         unitCost:
+ *           type: number
+ *           description: Purchase price when the stocktake started
+ *         varianceValue:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   post:
+ *     summary: Start a stocktake
+ *     description: Snapshots the expected stock of every active product and variation combination, or of one category.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stocktake started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stocktake:
+ *                   $ref: '#/components/schemas/Stocktake'
+ *       400:
+ *         description: No products to count
+ *   get:
+ *     summary: List stocktakes
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [counting, approved, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Stocktakes without their items, newest first
+ */
+router.post('/', authenticate, authorize('admin'), createStocktake);
+router.get('/', authenticate, getStocktakes);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}:
+ *   get:
+ *     summary: Get a stocktake with its variances
+ *     description: Expected and counted quantities and the variance of each item. Counts are live while the stocktake is counting.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: onlyVariances
+ *         schema:
+ *           type: boolean
+ *         description: Only items whose count differs from expected
+ *       - in: query
+ *         name: uncountedAsZero
+ *         schema:
+ *           type: boolean
+ *         description: Preview uncounted items as counted at zero
+ *     responses:
+ *       200:
+ *         description: Stocktake, items and totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stocktake:
+ *                   $ref: '#/components/schemas/Stocktake'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StocktakeLine'
+ *                 totals:
+ *                   type: object
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id', authenticate, getStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts:
+ *   post:
+ *     summary: Record scanned counts
+ *     description: Looks each barcode up like the product barcode lookup and adds its quantity (1 per scan by default) to the item's count. Several devices can count at once. Items that were not in the snapshot are added with their current stock as expected. Unknown barcodes are returned in unknown.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 description: A single scan
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Negative to take back scans
+ *               counts:
+ *                 type: array
+ *                 description: A batch of scans instead of barcode and quantity
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     barcode:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               device:
+ *                 type: string
+ *                 example: scanner-2
+ *     responses:
+ *       201:
+ *         description: Counts recorded, with running totals for the items scanned
+ *       400:
+ *         description: Invalid counts, or the stocktake is not counting
+ *       404:
+ *         description: Stocktake not found
+ *   get:
+ *     summary: List scans
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Scans, newest first
+ */
+router.post('/:id/counts', authenticate, recordStocktakeCounts);
+router.get('/:id/counts', authenticate, getStocktakeCounts);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/variance-report:
+ *   get:
+ *     summary: Stocktake variance valuation
+ *     description: Gains and losses valued at purchase price, by category, with every line that differs (largest losses first).
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uncountedAsZero
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Variance valuation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                       expectedValue:
+ *                         type: number
+ *                       countedValue:
+ *                         type: number
+ *                       gainQuantity:
+ *                         type: integer
+ *                       gainValue:
+ *                         type: number
+ *                       lossQuantity:
+ *                         type: integer
+ *                       lossValue:
+ *                         type: number
+ *                       netValue:
+ *                         type: number
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StocktakeLine'
+ *                 totals:
+ *                   type: object
+ *       404:
+ *         description: Stocktake not found
+ */
+router.get('/:id/variance-report', authenticate, authorize('admin'), getStocktakeVarianceReport);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/approve:
+ *   post:
+ *     summary: Approve a stocktake
+ *     description: Fixes the counts and posts the variances as one approved count correction stock adjustment. Variances allow for the stock movements between the snapshot and each item's last scan, so sales made while counting are not deducted twice.
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               uncountedAsZero:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Count items nobody scanned as zero instead of leaving their stock alone
+ *     responses:
+ *       200:
+ *         description: Stocktake approved
+ *       400:
+ *         description: Not counting, or a variance would take stock below zero
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/approve', authenticate, authorize('admin'), approveStocktake);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/cancel:
+ *   post:
+ *     summary: Cancel a stocktake
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stocktake cancelled; stock is unchanged
+ *       400:
+ *         description: Not counting
+ *       404:
+ *         description: Stocktake not found
+ */
+router.post('/:id/cancel', authenticate, authorize('admin'), cancelStocktake);
+
+export default router;
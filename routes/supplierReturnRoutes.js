@@ -0,0 +1,214 @@
+import express from 'express';
+import {
+  createSupplierReturn,
+  getSupplierReturns,
+  getSupplierReturn
+} from '../controllers/supplierReturnController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Supplier Returns
+ *   description: Goods sent back to suppliers, with debit notes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SupplierReturn:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         debitNoteNumber:
+ *           type: string
+ *           example: DN-001
+ *         supplier:
+ *           type: string
+ *         purchaseOrder:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               productName:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               variationCombinationId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitCost:
+ *                 type: number
+ *               value:
+ *                 type: number
+ *               source:
+ *                 type: string
+ *                 enum: [stock, damaged, candidate]
+ *               supplierReturnCandidate:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         totalValue:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         returnedByName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/supplier-returns:
+ *   post:
+ *     summary: Return goods to a supplier
+ *     description: Deducts the items from stock (or damaged stock) per product or variation combination, or resolves pending defective customer returns as returned. The return gets a debit note number and its value comes off what is owed to the supplier, settling the given purchase order's goods receipts first, then the oldest.
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier
+ *               - items
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               purchaseOrder:
+ *                 type: string
+ *                 description: Purchase order the goods came in on (optional)
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variationCombinationId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     source:
+ *                       type: string
+ *                       enum: [stock, damaged]
+ *                       default: stock
+ *                     supplierReturnCandidate:
+ *                       type: string
+ *                       description: Send a pending defective customer return instead of a product and quantity
+ *                     unitCost:
+ *                       type: number
+ *                       description: Credit per unit; defaults to the current cost
+ *                     reason:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Supplier return and debit note created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 supplierReturn:
+ *                   $ref: '#/components/schemas/SupplierReturn'
+ *                 transaction:
+ *                   type: object
+ *       400:
+ *         description: Invalid items or not enough stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Supplier not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List supplier returns
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Supplier returns, newest first
+ */
+router.post('/', authenticate, authorize('admin'), createSupplierReturn);
+router.get('/', authenticate, authorize('admin'), getSupplierReturns);
+
+/**
+ * @swagger
+ * /api/supplier-returns/{id}:
+ *   get:
+ *     summary: Get a supplier return (debit note)
+ *     tags: [Supplier Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 supplierReturn:
+ *                   $ref: '#/components/schemas/SupplierReturn'
+ *       404:
+ *         description: Supplier return not found
+ */
+router.get('/:id', authenticate, authorize('admin'), getSupplierReturn);
+
+export default router;
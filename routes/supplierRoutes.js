@@ -6,6 +6,17 @@ import {
   updateSupplier,
   deleteSupplier
 } from "../controllers/supplierController.js";
+import {
+  getSupplierLedger,
+  recordSupplierPayment,
+  recordSupplierAdjustment
+} from "../controllers/supplierLedgerController.js";
+import {
+  getSupplierCatalogue,
+  upsertSupplierCatalogueItem,
+  updateSupplierCatalogueItem,
+  deleteSupplierCatalogueItem
+} from "../controllers/supplierCatalogueController.js";
 import { authenticate, authorize } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -36,12 +47,109 @@ const router = express.Router();
  *         address:
  *           type: string
  *           description: Supplier address
+ *         contacts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SupplierContact'
+ *         taxNumber:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *         paymentTermsDays:
+ *           type: integer
+ *           description: Days after goods are received that payment is due (0 is due on receipt)
+ *         leadTimeDays:
+ *           type: integer
+ *           description: Usual days from ordering to delivery
+ *         notes:
+ *           type: string
+ *         outstandingBalance:
+ *           type: number
+ *           description: Owed to the supplier for goods received, less payments and debit notes (read only)
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     SupplierContact:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           example: Sales rep
+ *         phones:
+ *           type: array
+ *           items:
+ *             type: string
+ *         emails:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isPrimary:
+ *           type: boolean
+ *     SupplierInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Supplier name (required when creating)
+ *         contactInfo:
+ *           type: string
+ *           description: Free-text contact information
+ *         address:
+ *           type: string
+ *         contacts:
+ *           type: array
+ *           description: Replaces all contacts when sent
+ *           items:
+ *             $ref: '#/components/schemas/SupplierContact'
+ *         taxNumber:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *         paymentTermsDays:
+ *           type: integer
+ *         leadTimeDays:
+ *           type: integer
+ *         notes:
+ *           type: string
+ *     SupplierCatalogueItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         supplier:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variationCombinationId:
+ *           type: string
+ *         supplierItemCode:
+ *           type: string
+ *           description: The supplier's own code for the item
+ *         supplierItemName:
+ *           type: string
+ *         lastPurchasePrice:
+ *           type: number
+ *           description: Unit cost on the latest purchase order (read only)
+ *         lastPurchasedAt:
+ *           type: string
+ *           format: date-time
+ *         lastPurchaseOrder:
+ *           type: string
+ *         leadTimeDays:
+ *           type: integer
+ *           description: Agreed lead time, overriding the supplier's default
+ *         lastLeadTimeDays:
+ *           type: integer
+ *           description: Days from ordering to the latest delivery (read only)
+ *         notes:
+ *           type: string
  */
 
 /**
@@ -57,19 +165,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *             properties:
- *               name:
- *                 type: string
- *                 description: Supplier name
- *               contactInfo:
- *                 type: string
- *                 description: Supplier contact information
- *               address:
- *                 type: string
- *                 description: Supplier address
+ *             $ref: '#/components/schemas/SupplierInput'
  *     responses:
  *       201:
  *         description: Supplier created successfully
@@ -105,6 +201,12 @@ const router = express.Router();
  *     tags: [Suppliers]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match name, contact names, phones, emails or tax number
  *     responses:
  *       200:
  *         description: Suppliers retrieved successfully
@@ -178,17 +280,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Supplier name
- *               contactInfo:
- *                 type: string
- *                 description: Supplier contact information
- *               address:
- *                 type: string
- *                 description: Supplier address
+ *             $ref: '#/components/schemas/SupplierInput'
  *     responses:
  *       200:
  *         description: Supplier updated successfully
@@ -255,6 +347,295 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/suppliers/{id}/ledger:
+ *   get:
+ *     summary: Supplier account ledger
+ *     description: Goods received, payments, debit notes and adjustments in date order, with the goods receipts still unpaid.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Ledger entries and open goods receipts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 supplier:
+ *                   type: object
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [purchase, payment, debit_note, adjustment]
+ *                       amount:
+ *                         type: number
+ *                         description: Positive increases what is owed, negative reduces it
+ *                       balanceAfter:
+ *                         type: number
+ *                       reference:
+ *                         type: string
+ *                 openReceipts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Supplier not found
+ */
+router.get("/:id/ledger", authenticate, authorize("admin"), getSupplierLedger);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/payments:
+ *   post:
+ *     summary: Record a payment to a supplier
+ *     description: Settles the given goods receipts, or the oldest open ones when no allocations are sent. Can't exceed the outstanding balance.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, cheque, card, mobile_wallet]
+ *               reference:
+ *                 type: string
+ *                 description: Cheque or transfer reference
+ *               notes:
+ *                 type: string
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     goodsReceipt:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invalid amount, method or allocations
+ *       404:
+ *         description: Supplier not found
+ */
+router.post("/:id/payments", authenticate, authorize("admin"), recordSupplierPayment);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/adjustments:
+ *   post:
+ *     summary: Adjust a supplier's balance
+ *     description: For opening balances and corrections. Positive amounts increase what is owed. Adjustments aren't tied to goods receipts.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - notes
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *       400:
+ *         description: Missing amount or notes
+ *       404:
+ *         description: Supplier not found
+ */
+router.post("/:id/adjustments", authenticate, authorize("admin"), recordSupplierAdjustment);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/catalogue:
+ *   get:
+ *     summary: Supplier catalogue
+ *     description: Our products and variation combinations this supplier sells, with their item codes, last purchase prices and lead times. Entries are added automatically when purchase orders are placed and received.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalogue items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SupplierCatalogueItem'
+ *       404:
+ *         description: Supplier not found
+ *   post:
+ *     summary: Add or update a catalogue item
+ *     description: Saves the supplier's code, name, lead time and notes for a product or variation combination. Prices are taken from purchase orders.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variationCombinationId:
+ *                 type: string
+ *               supplierItemCode:
+ *                 type: string
+ *               supplierItemName:
+ *                 type: string
+ *               leadTimeDays:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Catalogue item saved
+ *       400:
+ *         description: Unknown product or combination, or invalid lead time
+ *       404:
+ *         description: Supplier not found
+ */
+router.get("/:id/catalogue", authenticate, authorize("admin"), getSupplierCatalogue);
+router.post("/:id/catalogue", authenticate, authorize("admin"), upsertSupplierCatalogueItem);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/catalogue/{itemId}:
+ *   put:
+ *     summary: Update a catalogue item
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplierItemCode:
+ *                 type: string
+ *               supplierItemName:
+ *                 type: string
+ *               leadTimeDays:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Catalogue item updated
+ *       404:
+ *         description: Catalogue item not found
+ *   delete:
+ *     summary: Remove a catalogue item
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalogue item deleted
+ *       404:
+ *         description: Catalogue item not found
+ */
+router.put("/:id/catalogue/:itemId", authenticate, authorize("admin"), updateSupplierCatalogueItem);
+router.delete("/:id/catalogue/:itemId", authenticate, authorize("admin"), deleteSupplierCatalogueItem);
+
 // CREATE
 router.post("/", authenticate, authorize("admin"), createSupplier);
 // READ ALL
@@ -0,0 +1,300 @@
+import express from 'express';
+import {
+  lookupVoucher,
+  getVouchers,
+  getVoucher,
+  createVoucher,
+  cancelVoucher
+} from '../controllers/voucherController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Vouchers
+ *   description: Gift cards and store credit
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Voucher:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "SC-7KQ2-M9XD"
+ *         type:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *         initialValue:
+ *           type: number
+ *         balance:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [active, redeemed, cancelled]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         customer:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [sale, return, exchange, manual]
+ *         sale:
+ *           type: string
+ *           description: Sale the gift card was sold on
+ *         return:
+ *           type: string
+ *           description: Return the store credit was issued for
+ *         transactions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [issue, redeem, cancel]
+ *               amount:
+ *                 type: number
+ *               balanceAfter:
+ *                 type: number
+ *               sale:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/vouchers/lookup/{code}:
+ *   get:
+ *     summary: Look up a voucher balance by code
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voucher balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 voucher:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     balance:
+ *                       type: number
+ *                     initialValue:
+ *                       type: number
+ *                     status:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     isExpired:
+ *                       type: boolean
+ *                     usable:
+ *                       type: boolean
+ *       404:
+ *         description: Voucher not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/lookup/:code', authenticate, lookupVoucher);
+
+/**
+ * @swagger
+ * /api/vouchers:
+ *   get:
+ *     summary: List vouchers
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, redeemed, cancelled]
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of a voucher code
+ *     responses:
+ *       200:
+ *         description: Vouchers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 vouchers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Voucher'
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', authenticate, authorize('admin'), getVouchers);
+
+/**
+ * @swagger
+ * /api/vouchers:
+ *   post:
+ *     summary: Issue a voucher manually
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [gift_card, store_credit]
+ *                 default: store_credit
+ *               amount:
+ *                 type: number
+ *               customer:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the validity period in settings.voucherSettings
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Voucher issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 voucher:
+ *                   $ref: '#/components/schemas/Voucher'
+ *       400:
+ *         description: Invalid type or amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticate, authorize('admin'), createVoucher);
+
+/**
+ * @swagger
+ * /api/vouchers/{id}:
+ *   get:
+ *     summary: Get a voucher with its transaction history
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Voucher found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 voucher:
+ *                   $ref: '#/components/schemas/Voucher'
+ *       404:
+ *         description: Voucher not found
+ */
+router.get('/:id', authenticate, authorize('admin'), getVoucher);
+
+/**
+ * @swagger
+ * /api/vouchers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a voucher and zero its balance
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Voucher cancelled
+ *       400:
+ *         description: Voucher is not active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Voucher not found
+ */
+router.post('/:id/cancel', authenticate, authorize('admin'), cancelVoucher);
+
+export default router;
@@ -27,6 +27,19 @@ import purchaseOrderRoutes from './routes/purchaseOrderRoutes.js';
 import supplierRoutes from './routes/supplierRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
 import woocommerceSyncRoutes from './routes/woocommerceSyncRoutes.js';
+import shiftRoutes from './routes/shiftRoutes.js';
+import exchangeRoutes from './routes/exchangeRoutes.js';
+import voucherRoutes from './routes/voucherRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import customerSegmentRoutes from './routes/customerSegmentRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import supplierReturnRoutes from './routes/supplierReturnRoutes.js';
+import stockAdjustmentRoutes from './routes/stockAdjustmentRoutes.js';
+import stockMovementRoutes from './routes/stockMovementRoutes.js';
+import stocktakeRoutes from './routes/stocktakeRoutes.js';
+import { expireLoyaltyPoints } from './utils/loyalty.js';
+import { processOutbox, queueDailyReport } from './utils/notifications.js';
 
 dotenv.config();
 
@@ -79,6 +92,17 @@ app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/woocommerce', woocommerceSyncRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/exchanges', exchangeRoutes);
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/customer-segments', customerSegmentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/supplier-returns', supplierReturnRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/stock-movements', stockMovementRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
 
 // Welcome endpoint - no auth required
 /**
@@ -131,4 +155,36 @@ app.listen(PORT, () => {
   // });
   
   // console.log('Cron job scheduled: hitting / route every 14 minutes');
+
+  // Expire loyalty points that have passed their expiry date
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      const expiredPoints = await expireLoyaltyPoints();
+      console.log(`Loyalty expiry ran at ${new Date().toISOString()} - ${expiredPoints} points expired`);
+    } catch (error) {
+      console.error(`Loyalty expiry failed at ${new Date().toISOString()}:`, error.message);
+    }
+  });
+
+  // Deliver queued receipts and alerts, retrying failed sends
+  cron.schedule('* * * * *', async () => {
+    try {
+      const result = await processOutbox();
+      if (result.sent || result.failed || result.retrying) {
+        console.log(`Notification outbox: ${result.sent} sent, ${result.retrying} to retry, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error(`Notification outbox failed at ${new Date().toISOString()}:`, error.message);
+    }
+  });
+
+  // End-of-day report, when turned on in notification settings
+  cron.schedule('55 23 * * *', async () => {
+    try {
+      const notifications = await queueDailyReport();
+      console.log(`Daily report queued for ${notifications.length} recipient(s)`);
+    } catch (error) {
+      console.error(`Daily report failed at ${new Date().toISOString()}:`, error.message);
+    }
+  }, { timezone: 'Asia/Colombo' });
 });
@@ -0,0 +1,36 @@
+import Product from '../models/Product.js';
+
+/**
+ * Find the active product, or active variation combination, a scanned
+ * barcode belongs to. Returns { product, combination } with combination null
+ * for a product's own barcode, or null when nothing matches.
+ */
+export const findProductByBarcode = async (barcode, session = null) => {
+  // First try to find the product by main barcode
+  const product = await Product.findOne({
+    barcodeId: barcode,
+    isActive: true
+  }).session(session);
+
+  if (product) {
+    return { product, combination: null };
+  }
+
+  // If not found, try to find by variation combination barcode
+  const withCombination = await Product.findOne({
+    variationCombinations: { $elemMatch: { barcodeId: barcode, isActive: true } }
+  }).session(session);
+
+  if (!withCombination) {
+    return null;
+  }
+
+  return {
+    product: withCombination,
+    combination: withCombination.variationCombinations.find(
+      combo => combo.barcodeId === barcode && combo.isActive
+    )
+  };
+};
+
+export default { findProductByBarcode };
@@ -0,0 +1,129 @@
+import Product from '../models/Product.js';
+import CostHistory from '../models/CostHistory.js';
+import { roundCurrency } from './saleCalculator.js';
+
+// Current unit cost of a product, or of one of its variation combinations
+export const getUnitCost = (product, variationCombinationId) => {
+  const combination = variationCombinationId
+    ? product?.variationCombinations?.id(variationCombinationId)
+    : null;
+  return combination?.purchasePrice ?? product?.purchasePrice ?? 0;
+};
+
+/**
+ * Spread receipt charges (freight, duty...) over the received lines, by line
+ * value (quantity × unit cost) or by quantity. Returns the extra cost per unit
+ * for each line; lines without a unit cost get null and no share. The last
+ * costed line takes the rounding difference so the shares add up to the total.
+ */
+export const allocateLandedCosts = (lines, total, method = 'value') => {
+  const costed = lines
+    .map((line, index) => ({ index, quantity: line.quantity, unitCost: line.unitCost }))
+    .filter(line => line.unitCost !== undefined && line.unitCost !== null);
+  const shares = lines.map(() => null);
+  if (costed.length === 0) return shares;
+
+  const weightOf = line => (method === 'quantity' ? line.quantity : line.quantity * line.unitCost);
+  let totalWeight = costed.reduce((sum, line) => sum + weightOf(line), 0);
+  // Free goods have no value to share by; fall back to quantity
+  const byQuantity = totalWeight === 0;
+  if (byQuantity) {
+    totalWeight = costed.reduce((sum, line) => sum + line.quantity, 0);
+  }
+
+  let allocated = 0;
+  costed.forEach((line, position) => {
+    const weight = byQuantity ? line.quantity : weightOf(line);
+    const lineTotal = position === costed.length - 1
+      ? roundCurrency(total - allocated)
+      : roundCurrency(total * weight / totalWeight);
+    allocated = roundCurrency(allocated + lineTotal);
+    shares[line.index] = roundCurrency(lineTotal / line.quantity);
+  });
+  return shares;
+};
+
+/**
+ * Fold received stock into the moving weighted-average cost of a product or
+ * variation combination and record the change. Call before the quantity is
+ * added to stock. Stock at or below zero is valued at the incoming cost.
+ */
+export const applyReceiptCost = async ({
+  productId,
+  variationCombinationId,
+  quantity,
+  unitCost,
+  landedCost = 0,
+  goodsReceipt,
+  purchaseOrder,
+  user,
+  session = null
+}) => {
+  const product = await Product.findById(productId).select('stock purchasePrice variationCombinations').session(session);
+  if (!product) return null;
+  const combination = variationCombinationId ? product.variationCombinations.id(variationCombinationId) : null;
+  if (variationCombinationId && !combination) return null;
+
+  const holder = combination || product;
+  const stockBefore = Math.max(holder.stock || 0, 0);
+  const previousCost = holder.purchasePrice;
+  const incomingCost = roundCurrency(unitCost + landedCost);
+  const newCost = previousCost === undefined || previousCost === null || stockBefore === 0
+    ? incomingCost
+    : roundCurrency((stockBefore * previousCost + quantity * incomingCost) / (stockBefore + quantity));
+
+  if (combination) {
+    await Product.updateOne(
+      { _id: productId, 'variationCombinations._id': combination._id },
+      { $set: { 'variationCombinations.$.purchasePrice': newCost } },
+      { session }
+    );
+  } else {
+    await Product.updateOne({ _id: productId }, { $set: { purchasePrice: newCost } }, { session });
+  }
+
+  await CostHistory.create([{
+    product: productId,
+    variationCombinationId: combination ? String(combination._id) : undefined,
+    source: 'goods_receipt',
+    previousCost,
+    newCost,
+    quantity,
+    unitCost,
+    landedCost,
+    stockBefore,
+    goodsReceipt,
+    purchaseOrder,
+    user
+  }], { session });
+
+  return newCost;
+};
+
+// Record purchase prices changed by hand, comparing a product before and after an edit
+export const recordManualCostChanges = async (before, after, user) => {
+  const entries = [];
+  const changed = (previous, next) => next !== undefined && next !== null && next !== previous;
+
+  if (changed(before.purchasePrice, after.purchasePrice)) {
+    entries.push({ product: after._id, previousCost: before.purchasePrice, newCost: after.purchasePrice });
+  }
+  for (const combination of after.variationCombinations || []) {
+    const previous = before.variationCombinations?.id(combination._id);
+    if (changed(previous?.purchasePrice, combination.purchasePrice)) {
+      entries.push({
+        product: after._id,
+        variationCombinationId: String(combination._id),
+        previousCost: previous?.purchasePrice,
+        newCost: combination.purchasePrice
+      });
+    }
+  }
+
+  if (entries.length > 0) {
+    await CostHistory.insertMany(entries.map(entry => ({ ...entry, source: 'manual', user })));
+  }
+  return entries.length;
+};
+
+export default { getUnitCost, allocateLandedCosts, applyReceiptCost, recordManualCostChanges };
@@ -0,0 +1,90 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Why a coupon can't be used right now, or null when it can.
+// Cart rules (minimum spend, categories, free item) are checked by the sale calculator.
+export const getCouponProblem = async (coupon, customer = null, now = new Date()) => {
+  if (!coupon.isActive) {
+    return 'Coupon is not active';
+  }
+  if (coupon.startDate && coupon.startDate > now) {
+    return 'Coupon is not valid yet';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return 'Coupon has expired';
+  }
+  if (coupon.usageLimit && coupon.timesUsed >= coupon.usageLimit) {
+    return 'Coupon usage limit has been reached';
+  }
+  if (coupon.perCustomerLimit) {
+    if (!customer) {
+      return 'A customer is required to use this coupon';
+    }
+    const customerUses = await CouponRedemption.countDocuments({ coupon: coupon._id, customer });
+    if (customerUses >= coupon.perCustomerLimit) {
+      return 'Customer has already used this coupon the maximum number of times';
+    }
+  }
+  return null;
+};
+
+// Load a coupon by code for a sale, throwing when it can't be used
+export const findUsableCoupon = async (code, customer = null) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon) {
+    throw new Error(`Coupon ${normalizeCouponCode(code)} not found`);
+  }
+
+  const problem = await getCouponProblem(coupon, customer);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  return coupon;
+};
+
+/**
+ * Count a coupon use against its limits and log the redemption, inside the
+ * sale's transaction. The usage limit is checked in the update itself so two
+ * tills can't both take the last use.
+ */
+export const redeemCoupon = async ({ coupon, sale, discountAmount, user, session = null }) => {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    filter.timesUsed = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    filter,
+    { $inc: { timesUsed: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new Error(`Coupon ${coupon.code} is no longer available`);
+  }
+
+  if (coupon.perCustomerLimit) {
+    const customerUses = await CouponRedemption.countDocuments({ coupon: coupon._id, customer: sale.customer })
+      .session(session);
+    if (customerUses >= coupon.perCustomerLimit) {
+      throw new Error('Customer has already used this coupon the maximum number of times');
+    }
+  }
+
+  const [redemption] = await CouponRedemption.create([{
+    coupon: coupon._id,
+    code: coupon.code,
+    sale: sale._id,
+    invoiceNumber: sale.invoiceNumber,
+    customer: sale.customer,
+    discountAmount,
+    redeemedBy: user?._id,
+    redeemedByName: user?.fullName
+  }], { session });
+
+  return redemption;
+};
+
+export default { normalizeCouponCode, getCouponProblem, findUsableCoupon, redeemCoupon };
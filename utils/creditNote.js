@@ -0,0 +1,122 @@
+import { roundCurrency } from './saleCalculator.js';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatItemName = (item) => {
+  const variations = item.variations instanceof Map
+    ? Object.fromEntries(item.variations)
+    : (item.variations || {});
+  const variationText = Object.entries(variations)
+    .map(([type, value]) => `${type}: ${value}`)
+    .join(', ');
+  return variationText ? `${item.productName} - ${variationText}` : item.productName;
+};
+
+/**
+ * Build the printable credit note for a Return document using the store
+ * details and receipt header/footer from Settings.
+ */
+export const buildCreditNote = (returnDoc, settings = null) => {
+  const address = settings?.storeAddress || {};
+
+  return {
+    store: {
+      name: settings?.storeName || 'My Store',
+      address: [address.street, address.city, address.state, address.zipCode, address.country]
+        .filter(Boolean)
+        .join(', '),
+      phone: settings?.storePhone,
+      email: settings?.storeEmail,
+      logo: settings?.receiptSettings?.showLogo ? settings?.logo : undefined
+    },
+    header: settings?.receiptSettings?.header,
+    footer: settings?.receiptSettings?.footer,
+    paperSize: settings?.receiptSettings?.paperSize || '58mm',
+    currency: settings?.currency || 'LKR',
+    creditNoteNumber: returnDoc.returnNumber,
+    issuedAt: returnDoc.createdAt,
+    originalInvoiceNumber: returnDoc.invoiceNumber,
+    customer: returnDoc.customerInfo?.name ? returnDoc.customerInfo : undefined,
+    items: returnDoc.items.map(item => ({
+      description: formatItemName(item),
+      sku: item.sku,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: roundCurrency(item.refundAmount),
+      condition: item.condition,
+      reason: item.reason
+    })),
+    totalRefundAmount: roundCurrency(returnDoc.totalRefundAmount),
+    appliedToBalance: roundCurrency(returnDoc.appliedToBalance || 0),
+    refundMethod: returnDoc.refundMethod,
+    // Populated voucher when the refund was issued as store credit
+    storeCredit: returnDoc.voucher?.code
+      ? { code: returnDoc.voucher.code, expiresAt: returnDoc.voucher.expiresAt }
+      : undefined,
+    returnReason: returnDoc.returnReason,
+    processedBy: returnDoc.processedByName,
+    approvedBy: returnDoc.approvedByName
+  };
+};
+
+// Plain HTML sized for the receipt printer so the POS can print it directly
+export const renderCreditNoteHtml = (creditNote) => {
+  const width = creditNote.paperSize === '80mm' ? '80mm' : '58mm';
+  const money = (amount) => `${escapeHtml(creditNote.currency)} ${Number(amount || 0).toFixed(2)}`;
+
+  const itemRows = creditNote.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}<br><small>${item.quantity} x ${money(item.unitPrice)}</small></td>
+        <td class="amount">${money(item.amount)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Credit Note ${escapeHtml(creditNote.creditNoteNumber)}</title>
+  <style>
+    body { width: ${width}; margin: 0 auto; font-family: monospace; font-size: 12px; }
+    h1, h2, .center { text-align: center; margin: 4px 0; }
+    h1 { font-size: 16px; }
+    h2 { font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 2px 0; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { border-top: 1px dashed #000; font-weight: bold; }
+  </style>
+</head>
+<body>
+  ${creditNote.store.logo ? `<div class="center"><img src="${escapeHtml(creditNote.store.logo)}" alt="" style="max-width:100%"></div>` : ''}
+  <h1>${escapeHtml(creditNote.store.name)}</h1>
+  ${creditNote.store.address ? `<div class="center">${escapeHtml(creditNote.store.address)}</div>` : ''}
+  ${creditNote.store.phone ? `<div class="center">${escapeHtml(creditNote.store.phone)}</div>` : ''}
+  ${creditNote.header ? `<div class="center">${escapeHtml(creditNote.header)}</div>` : ''}
+  <h2>CREDIT NOTE</h2>
+  <div>No: ${escapeHtml(creditNote.creditNoteNumber)}</div>
+  <div>Date: ${escapeHtml(new Date(creditNote.issuedAt).toLocaleString())}</div>
+  ${creditNote.originalInvoiceNumber ? `<div>Invoice: ${escapeHtml(creditNote.originalInvoiceNumber)}</div>` : ''}
+  ${creditNote.customer ? `<div>Customer: ${escapeHtml(creditNote.customer.name)}</div>` : ''}
+  <table>${itemRows}
+    <tr class="total">
+      <td>Total refund</td>
+      <td class="amount">${money(creditNote.totalRefundAmount)}</td>
+    </tr>
+  </table>
+  ${creditNote.appliedToBalance > 0 ? `<div>Applied to invoice balance: ${money(creditNote.appliedToBalance)}</div>` : ''}
+  <div>Refund method: ${escapeHtml(creditNote.refundMethod)}</div>
+  ${creditNote.storeCredit ? `<div>Store credit code: <strong>${escapeHtml(creditNote.storeCredit.code)}</strong></div>` : ''}
+  ${creditNote.storeCredit?.expiresAt ? `<div>Valid until: ${escapeHtml(new Date(creditNote.storeCredit.expiresAt).toLocaleDateString())}</div>` : ''}
+  ${creditNote.returnReason ? `<div>Reason: ${escapeHtml(creditNote.returnReason)}</div>` : ''}
+  <div>Processed by: ${escapeHtml(creditNote.processedBy)}</div>
+  ${creditNote.approvedBy ? `<div>Approved by: ${escapeHtml(creditNote.approvedBy)}</div>` : ''}
+  ${creditNote.footer ? `<div class="center">${escapeHtml(creditNote.footer)}</div>` : ''}
+</body>
+</html>`;
+};
+
+export default { buildCreditNote, renderCreditNoteHtml };
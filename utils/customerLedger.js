@@ -0,0 +1,64 @@
+import Customer from '../models/Customer.js';
+import CustomerTransaction from '../models/CustomerTransaction.js';
+import { roundCurrency } from './saleCalculator.js';
+
+/**
+ * Post an entry to a customer's accounts receivable ledger and move their
+ * outstanding balance by the same amount. Positive amounts are charges,
+ * negative amounts are payments or credits.
+ * With enforceCreditLimit the charge only applies if it keeps the balance
+ * within Customer.creditLimit, checked atomically against the stored balance.
+ */
+export const postCustomerTransaction = async ({
+  customer,
+  type,
+  amount,
+  sale,
+  reference,
+  method,
+  allocations,
+  notes,
+  user,
+  session = null,
+  enforceCreditLimit = false
+}) => {
+  const delta = roundCurrency(amount);
+
+  const filter = { _id: customer };
+  if (enforceCreditLimit && delta > 0) {
+    filter.$expr = { $lte: [{ $add: ['$outstandingBalance', delta] }, '$creditLimit'] };
+  }
+
+  const updatedCustomer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { outstandingBalance: delta } },
+    { new: true, session }
+  );
+
+  if (!updatedCustomer) {
+    const existing = await Customer.findById(customer).session(session);
+    if (!existing) {
+      throw new Error('Customer not found');
+    }
+    const availableCredit = roundCurrency(Math.max(0, existing.creditLimit - existing.outstandingBalance));
+    throw new Error(`Credit limit exceeded for ${existing.name}. Available credit: ${availableCredit}`);
+  }
+
+  const [transaction] = await CustomerTransaction.create([{
+    customer,
+    type,
+    amount: delta,
+    balanceAfter: roundCurrency(updatedCustomer.outstandingBalance),
+    sale,
+    reference,
+    method,
+    allocations,
+    notes,
+    recordedBy: user?._id,
+    recordedByName: user?.fullName
+  }], { session });
+
+  return transaction;
+};
+
+export default { postCustomerTransaction };
@@ -0,0 +1,133 @@
+// Phone numbers are compared on their last 9 digits so that local (077...),
+// international (+9477...) and formatted (077 123-4567) forms match
+const PHONE_MATCH_DIGITS = 9;
+
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-PHONE_MATCH_DIGITS) : '';
+};
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Lower case, accents and punctuation removed, words sorted so "Silva, Nimal" matches "Nimal Silva"
+export const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// 1 for identical names, 0 for nothing in common
+export const nameSimilarity = (a, b) => {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) {
+    return 0;
+  }
+
+  return 1 - levenshtein(first, second) / Math.max(first.length, second.length);
+};
+
+/**
+ * Group customers that look like the same person: same phone number, same
+ * email, or names at least minNameSimilarity alike. Names are only compared
+ * between customers whose names start with the same letters, which keeps the
+ * check fast on large customer lists.
+ * Returns groups of two or more customers with the reasons they matched.
+ */
+export const findDuplicateGroups = (customers, { minNameSimilarity = 0.9 } = {}) => {
+  const parent = customers.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const reasons = new Map();
+
+  const link = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+    }
+    for (const index of [a, b]) {
+      if (!reasons.has(index)) reasons.set(index, new Set());
+      reasons.get(index).add(reason);
+    }
+  };
+
+  const linkByKey = (keyOf, reason) => {
+    const firstWithKey = new Map();
+    customers.forEach((customer, index) => {
+      const key = keyOf(customer);
+      if (!key) return;
+      if (firstWithKey.has(key)) {
+        link(firstWithKey.get(key), index, reason);
+      } else {
+        firstWithKey.set(key, index);
+      }
+    });
+  };
+
+  linkByKey(customer => normalizePhone(customer.phone), 'phone');
+  linkByKey(customer => normalizeEmail(customer.email), 'email');
+
+  const nameBlocks = new Map();
+  customers.forEach((customer, index) => {
+    const block = normalizeName(customer.name).slice(0, 2);
+    if (!block) return;
+    if (!nameBlocks.has(block)) nameBlocks.set(block, []);
+    nameBlocks.get(block).push(index);
+  });
+
+  for (const indexes of nameBlocks.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = indexes[i];
+        const b = indexes[j];
+        if (nameSimilarity(customers[a].name, customers[b].name) >= minNameSimilarity) {
+          link(a, b, 'name');
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  customers.forEach((customer, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return [...groups.values()]
+    .filter(indexes => indexes.length > 1)
+    .map(indexes => ({
+      reasons: [...new Set(indexes.flatMap(index => [...(reasons.get(index) || [])]))],
+      customers: indexes.map(index => customers[index])
+    }));
+};
+
+export default {
+  normalizePhone,
+  normalizeEmail,
+  normalizeName,
+  nameSimilarity,
+  findDuplicateGroups
+};
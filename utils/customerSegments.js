@@ -0,0 +1,137 @@
+import Sale from '../models/Sale.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Sales that count as purchases; refunded sales don't
+const PURCHASE_STATUSES = ['completed', 'partial'];
+
+/**
+ * Customer query for a segment's rules. Rules over sales (inactivity and
+ * categories bought) are resolved to customer ids with an aggregation first.
+ */
+export const buildSegmentQuery = async (rules = {}, now = new Date()) => {
+  const query = { isActive: true };
+  const conditions = [];
+
+  if (rules.minTotalSpent > 0) {
+    query.totalPurchases = { $gte: rules.minTotalSpent };
+  }
+
+  if (rules.loyaltyTiers?.length > 0) {
+    const tiers = rules.loyaltyTiers.filter(tier => tier !== 'none');
+    const tierConditions = [{ loyaltyTier: { $in: tiers } }];
+    if (tiers.length < rules.loyaltyTiers.length) {
+      tierConditions.push({ loyaltyTier: { $in: [null, ''] } });
+    }
+    conditions.push({ $or: tierConditions });
+  }
+
+  if (rules.inactiveDays > 0) {
+    const cutoff = new Date(now.getTime() - rules.inactiveDays * dayMs);
+    const recentBuyers = await Sale.distinct('customer', {
+      customer: { $ne: null },
+      status: { $in: PURCHASE_STATUSES },
+      createdAt: { $gte: cutoff }
+    });
+    // Customers added inside the window haven't had the chance to lapse yet
+    conditions.push({ _id: { $nin: recentBuyers } }, { createdAt: { $lt: cutoff } });
+  }
+
+  if (rules.categories?.length > 0) {
+    const match = {
+      customer: { $ne: null },
+      status: { $in: PURCHASE_STATUSES }
+    };
+    if (rules.categoryWithinDays > 0) {
+      match.createdAt = { $gte: new Date(now.getTime() - rules.categoryWithinDays * dayMs) };
+    }
+
+    const buyers = await Sale.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $match: { 'product.category': { $in: rules.categories } } },
+      { $group: { _id: '$customer' } }
+    ]);
+    conditions.push({ _id: { $in: buyers.map(buyer => buyer._id) } });
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+// International numbers such as +94771234567 aren't formulas and must round-trip
+const PHONE_PATTERN = /^\+[\d\s-]+$/;
+
+// allowPhone lets a valid phone number through unescaped
+const csvValue = (value, { allowPhone = false } = {}) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from running text such as =HYPERLINK(...) as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !(allowPhone && PHONE_PATTERN.test(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['name', customer => customer.name],
+  ['phone', customer => customer.phone, { allowPhone: true }],
+  ['email', customer => customer.email],
+  ['city', customer => customer.address?.city],
+  ['loyaltyTier', customer => customer.loyaltyTier],
+  ['loyaltyPoints', customer => customer.loyaltyPoints],
+  ['totalPurchases', customer => customer.totalPurchases],
+  ['customerSince', customer => customer.createdAt]
+];
+
+export const customersToCsv = (customers) => [
+  CSV_COLUMNS.map(([header]) => header).join(','),
+  ...customers.map(customer => CSV_COLUMNS.map(([, value, options]) => csvValue(value(customer), options)).join(','))
+].join('\n');
+
+const vCardValue = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// vCard 3.0, one card per customer, for importing into phones and messaging tools
+export const customersToVCard = (customers) => customers.map(customer => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vCardValue(customer.name)}`,
+    `N:${vCardValue(customer.name)};;;;`,
+    `TEL;TYPE=CELL:${vCardValue(customer.phone)}`
+  ];
+  if (customer.email) {
+    lines.push(`EMAIL;TYPE=INTERNET:${vCardValue(customer.email)}`);
+  }
+  const address = customer.address || {};
+  if (address.street || address.city) {
+    lines.push(`ADR;TYPE=HOME:;;${[address.street, address.city, address.state, address.zipCode, address.country].map(vCardValue).join(';')}`);
+  }
+  if (customer.loyaltyTier) {
+    lines.push(`NOTE:${vCardValue(`Loyalty tier: ${customer.loyaltyTier}`)}`);
+  }
+  lines.push('END:VCARD');
+  return lines.join('\r\n');
+}).join('\r\n');
+
+export default {
+  buildSegmentQuery,
+  customersToCsv,
+  customersToVCard
+};
@@ -8,21 +8,90 @@ const counterSchema = new mongoose.Schema({
 
 const Counter = mongoose.model('Counter', counterSchema);
 
+// Function to get the next number from a named counter atomically
+// Pass a session to take the number inside a transaction so it is released on rollback
+export const getNextSequenceNumber = async (counterId, prefix, digits = 3, session = null) => {
+  const counter = await Counter.findByIdAndUpdate(
+    counterId,
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}-${String(counter.sequence).padStart(digits, '0')}`;
+};
+
 // Function to get next sequence number atomically
-export const getNextInvoiceNumber = async (prefix = 'S', digits = 3) => {
+export const getNextInvoiceNumber = async (prefix = 'S', digits = 3, session = null) => {
   try {
-    const counter = await Counter.findByIdAndUpdate(
-      'invoiceNumber',
-      { $inc: { sequence: 1 } },
-      { new: true, upsert: true }
-    );
-    
-    return `${prefix}-${String(counter.sequence).padStart(digits, '0')}`;
+    return await getNextSequenceNumber('invoiceNumber', prefix, digits, session);
   } catch (error) {
     throw new Error('Failed to generate invoice number: ' + error.message);
   }
 };
 
+// Function to get the next credit note number for returns
+export const getNextCreditNoteNumber = async (prefix = 'CN', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('creditNoteNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate credit note number: ' + error.message);
+  }
+};
+
+// Function to get the next exchange number
+export const getNextExchangeNumber = async (prefix = 'EX', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('exchangeNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate exchange number: ' + error.message);
+  }
+};
+
+// Function to get the next purchase order number
+export const getNextPurchaseOrderNumber = async (prefix = 'PO', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('purchaseOrderNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate purchase order number: ' + error.message);
+  }
+};
+
+// Function to get the next goods received note number
+export const getNextGoodsReceiptNumber = async (prefix = 'GRN', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('goodsReceiptNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate goods receipt number: ' + error.message);
+  }
+};
+
+// Function to get the next debit note number for supplier returns
+export const getNextDebitNoteNumber = async (prefix = 'DN', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('debitNoteNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate debit note number: ' + error.message);
+  }
+};
+
+// Function to get the next stock adjustment number
+export const getNextStockAdjustmentNumber = async (prefix = 'ADJ', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('stockAdjustmentNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate stock adjustment number: ' + error.message);
+  }
+};
+
+// Function to get the next stocktake number
+export const getNextStocktakeNumber = async (prefix = 'ST', digits = 3, session = null) => {
+  try {
+    return await getNextSequenceNumber('stocktakeNumber', prefix, digits, session);
+  } catch (error) {
+    throw new Error('Failed to generate stocktake number: ' + error.message);
+  }
+};
+
 // Function to preview next invoice number without incrementing
 export const previewNextInvoiceNumber = async (prefix = 'S', digits = 3) => {
   try {
@@ -77,4 +146,4 @@ export const initializeCounter = async () => {
   }
 };
 
-export default { getNextInvoiceNumber, previewNextInvoiceNumber, initializeCounter };
+export default { getNextSequenceNumber, getNextInvoiceNumber, getNextCreditNoteNumber, getNextExchangeNumber, getNextPurchaseOrderNumber, getNextGoodsReceiptNumber, getNextDebitNoteNumber, getNextStockAdjustmentNumber, getNextStocktakeNumber, previewNextInvoiceNumber, initializeCounter };
@@ -0,0 +1,182 @@
+import Customer from '../models/Customer.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+
+// Highest tier whose minimum lifetime spend the customer has reached
+export const getLoyaltyTier = (totalPurchases, settings = null) => {
+  const tiers = settings?.loyaltySettings?.tiers || [];
+  return [...tiers]
+    .sort((a, b) => b.minSpend - a.minSpend)
+    .find(tier => (Number(totalPurchases) || 0) >= tier.minSpend) || null;
+};
+
+// Keep the stored tier in step with lifetime spend; call before saving the customer
+export const refreshLoyaltyTier = (customer, settings = null) => {
+  customer.loyaltyTier = getLoyaltyTier(customer.totalPurchases, settings)?.name;
+  return customer;
+};
+
+/**
+ * Points earned on a spend: pointsPerUnit for every full unitAmount, times
+ * the multiplier of the tier the customer was in before the sale.
+ */
+export const calculatePointsEarned = (amount, customer, settings = null) => {
+  const loyaltySettings = settings?.loyaltySettings || {};
+  if (loyaltySettings.enabled === false || !customer || !(amount > 0)) {
+    return 0;
+  }
+
+  const unitAmount = Number(loyaltySettings.unitAmount) || 100;
+  const pointsPerUnit = Number(loyaltySettings.pointsPerUnit ?? 1);
+  const multiplier = getLoyaltyTier(customer.totalPurchases, settings)?.multiplier ?? 1;
+
+  return Math.floor(Math.floor(amount / unitAmount) * pointsPerUnit * multiplier);
+};
+
+// Expiry date for points added now; undefined when points never expire
+export const getPointsExpiry = (settings = null) => {
+  const days = Number(settings?.loyaltySettings?.pointsExpiryDays) || 0;
+  if (!days) {
+    return undefined;
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return expiresAt;
+};
+
+// Take spent points off the oldest unspent entries first
+const consumePoints = async (customer, points, session) => {
+  let remaining = points;
+  const entries = await LoyaltyTransaction.find({ customer, remainingPoints: { $gt: 0 } })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  for (const entry of entries) {
+    if (remaining <= 0) break;
+    const used = Math.min(entry.remainingPoints, remaining);
+    entry.remainingPoints -= used;
+    remaining -= used;
+    await entry.save({ session });
+  }
+};
+
+/**
+ * Post an entry to a customer's loyalty ledger and move their points balance
+ * by the same amount. Negative entries only apply when the balance covers
+ * them, checked atomically; with capAtBalance they take whatever is left
+ * instead, which is what returns need once points have been spent.
+ * Positive entries expire per settings unless expiresAt is given (null for never).
+ */
+export const postLoyaltyTransaction = async ({
+  customer,
+  type,
+  points,
+  sale,
+  reference,
+  notes,
+  tier,
+  user,
+  settings = null,
+  expiresAt,
+  session = null,
+  capAtBalance = false
+}) => {
+  let delta = Math.trunc(Number(points) || 0);
+
+  if (delta < 0 && capAtBalance) {
+    const existing = await Customer.findById(customer).session(session);
+    if (!existing) {
+      throw new Error('Customer not found');
+    }
+    delta = -Math.min(-delta, existing.loyaltyPoints);
+  }
+
+  if (delta === 0) {
+    return null;
+  }
+
+  const filter = { _id: customer };
+  if (delta < 0) {
+    filter.loyaltyPoints = { $gte: -delta };
+  }
+
+  const updatedCustomer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: delta } },
+    { new: true, session }
+  );
+
+  if (!updatedCustomer) {
+    const existing = await Customer.findById(customer).session(session);
+    if (!existing) {
+      throw new Error('Customer not found');
+    }
+    throw new Error(`Insufficient loyalty points. Available: ${existing.loyaltyPoints}, Requested: ${-delta}`);
+  }
+
+  // Expired entries have already been cleared by expireLoyaltyPoints
+  if (delta < 0 && type !== 'expire') {
+    await consumePoints(updatedCustomer._id, -delta, session);
+  }
+
+  const [transaction] = await LoyaltyTransaction.create([{
+    customer: updatedCustomer._id,
+    type,
+    points: delta,
+    balanceAfter: updatedCustomer.loyaltyPoints,
+    remainingPoints: delta > 0 ? delta : 0,
+    expiresAt: delta > 0 ? (expiresAt !== undefined ? expiresAt : getPointsExpiry(settings)) : undefined,
+    tier,
+    sale,
+    reference,
+    notes,
+    recordedBy: user?._id,
+    recordedByName: user?.fullName
+  }], { session });
+
+  return transaction;
+};
+
+/**
+ * Expire points that have passed their expiry date, for one customer or for
+ * everyone. Returns the number of points taken off balances.
+ */
+export const expireLoyaltyPoints = async ({ customer, now = new Date(), session = null } = {}) => {
+  const query = { remainingPoints: { $gt: 0 }, expiresAt: { $lte: now } };
+  if (customer) {
+    query.customer = customer;
+  }
+
+  const entries = await LoyaltyTransaction.find(query)
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  let expiredPoints = 0;
+  for (const entry of entries) {
+    const points = entry.remainingPoints;
+    entry.remainingPoints = 0;
+    await entry.save({ session });
+
+    const transaction = await postLoyaltyTransaction({
+      customer: entry.customer,
+      type: 'expire',
+      points: -points,
+      reference: entry.reference,
+      notes: `Points earned ${entry.createdAt.toISOString().slice(0, 10)} expired`,
+      session,
+      capAtBalance: true
+    });
+    expiredPoints += transaction ? -transaction.points : 0;
+  }
+
+  return expiredPoints;
+};
+
+export default {
+  getLoyaltyTier,
+  refreshLoyaltyTier,
+  calculatePointsEarned,
+  getPointsExpiry,
+  postLoyaltyTransaction,
+  expireLoyaltyPoints
+};
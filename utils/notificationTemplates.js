@@ -0,0 +1,135 @@
+// Plain text message templates. Each template renders { subject, body } for a
+// channel; SMS bodies are kept short and have no subject.
+
+const money = (amount, settings) => `${settings?.currency || 'LKR'} ${(Number(amount) || 0).toFixed(2)}`;
+
+const itemLabel = (item) => {
+  const variations = item.variations instanceof Map
+    ? [...item.variations.values()]
+    : Object.values(item.variations || {});
+  return variations.length > 0 ? `${item.productName} (${variations.join(', ')})` : item.productName;
+};
+
+const templates = {
+  sale_receipt: ({ sale, settings }) => {
+    const storeName = settings?.storeName || 'our store';
+
+    const lines = [
+      `Thank you for shopping at ${storeName}!`,
+      '',
+      `Invoice: ${sale.invoiceNumber}`,
+      `Date: ${new Date(sale.createdAt).toLocaleString()}`,
+      '',
+      ...sale.items.map(item => `${itemLabel(item)} x${item.quantity}  ${money(item.totalPrice, settings)}`),
+      '',
+      `Subtotal: ${money(sale.subtotal, settings)}`
+    ];
+    if (sale.coupon?.discountAmount > 0) {
+      lines.push(`Coupon ${sale.coupon.code}: -${money(sale.coupon.discountAmount, settings)}`);
+    }
+    if (sale.discount > 0) {
+      lines.push(`Discount: -${money(sale.priceVerification?.calculated?.discountAmount ?? sale.discount, settings)}`);
+    }
+    if (sale.tax > 0) {
+      lines.push(`Tax: ${money(sale.tax, settings)}`);
+    }
+    lines.push(`Total: ${money(sale.total, settings)}`, '');
+    lines.push(...(sale.payments || []).map(payment => `Paid (${payment.method.replace(/_/g, ' ')}): ${money(payment.amount, settings)}`));
+    if (sale.balanceDue > 0) {
+      lines.push(`Balance due: ${money(sale.balanceDue, settings)}`);
+    }
+    if (sale.loyaltyPointsEarned > 0) {
+      lines.push('', `Loyalty points earned: ${sale.loyaltyPointsEarned}`);
+    }
+    if (settings?.receiptSettings?.footer) {
+      lines.push('', settings.receiptSettings.footer);
+    }
+
+    return {
+      email: {
+        subject: `Your receipt from ${storeName} - ${sale.invoiceNumber}`,
+        body: lines.join('\n')
+      },
+      sms: {
+        body: `${storeName}: thank you! Invoice ${sale.invoiceNumber}, total ${money(sale.total, settings)}`
+          + (sale.loyaltyPointsEarned > 0 ? `, ${sale.loyaltyPointsEarned} points earned.` : '.')
+      }
+    };
+  },
+
+  low_stock: ({ items, settings }) => {
+    const lines = items.map(item => `${item.name}${item.sku ? ` [${item.sku}]` : ''}: ${item.stock} left (minimum ${item.minStock})`);
+
+    return {
+      email: {
+        subject: `Low stock alert - ${items.length} item(s)`,
+        body: [
+          `These items at ${settings?.storeName || 'the store'} are at or below their minimum stock:`,
+          '',
+          ...lines
+        ].join('\n')
+      },
+      sms: {
+        body: `Low stock: ${lines.slice(0, 3).join('; ')}${items.length > 3 ? ` and ${items.length - 3} more` : ''}`
+      }
+    };
+  },
+
+  // date is the report day as YYYY-MM-DD
+  daily_report: ({ date, report, settings }) => {
+    const lines = [
+      `Daily report for ${settings?.storeName || 'the store'} - ${date}`,
+      '',
+      `Sales: ${report.salesCount}`,
+      `Revenue: ${money(report.revenue, settings)}`,
+      `Average sale: ${money(report.averageSale, settings)}`,
+      `Items sold: ${report.itemsSold}`,
+      `Refunds: ${money(report.refunds, settings)} (${report.returnsCount} returns)`,
+      `Expenses: ${money(report.expenses, settings)}`
+    ];
+    if (report.payments.length > 0) {
+      lines.push('', 'Payments:', ...report.payments.map(payment => `  ${payment.method.replace(/_/g, ' ')}: ${money(payment.amount, settings)}`));
+    }
+    if (report.topProducts.length > 0) {
+      lines.push('', 'Top products:', ...report.topProducts.map(product => `  ${product.name}: ${product.quantity} sold, ${money(product.revenue, settings)}`));
+    }
+    if (report.lowStockCount > 0) {
+      lines.push('', `${report.lowStockCount} product(s) at or below minimum stock`);
+    }
+
+    return {
+      email: {
+        subject: `Daily report - ${date}`,
+        body: lines.join('\n')
+      },
+      sms: {
+        body: `${date}: ${report.salesCount} sales, revenue ${money(report.revenue, settings)}, refunds ${money(report.refunds, settings)}`
+      }
+    };
+  },
+
+  test: ({ settings }) => ({
+    email: {
+      subject: `Test message from ${settings?.storeName || 'POS'}`,
+      body: 'Notifications are set up correctly.'
+    },
+    sms: {
+      body: `Test message from ${settings?.storeName || 'POS'}: notifications are set up correctly.`
+    }
+  })
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+export const renderTemplate = (template, channel, data) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+  const message = templates[template](data)[channel];
+  if (!message) {
+    throw new Error(`Template ${template} has no ${channel} version`);
+  }
+  return message;
+};
+
+export default { renderTemplate, TEMPLATE_NAMES };
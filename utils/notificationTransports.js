@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+/**
+ * Notification transports. Each one has a send(message) method taking
+ * { channel, to, subject, body } that resolves to { messageId } once the
+ * provider has accepted the message, and throws when it hasn't.
+ * Settings.notifications.emailTransport / smsTransport pick one by name;
+ * registerTransport adds more (e.g. a WhatsApp or push gateway).
+ */
+const transports = new Map();
+
+export const registerTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Transport ${name} must have a send function`);
+  }
+  transports.set(name, transport);
+};
+
+export const getTransport = (name) => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+  return transport;
+};
+
+export const getTransportNames = () => [...transports.keys()];
+
+// SMTP, configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM
+let smtpTransporter;
+const getSmtpTransporter = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return smtpTransporter;
+};
+
+registerTransport('smtp', {
+  send: async ({ to, subject, body }) => {
+    const info = await getSmtpTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text: body
+    });
+    return { messageId: info.messageId };
+  }
+});
+
+// Generic HTTP SMS gateway: POSTs { to, message, sender } as JSON to SMS_GATEWAY_URL,
+// with SMS_GATEWAY_API_KEY as a bearer token. Any 2xx response counts as accepted.
+registerTransport('http', {
+  send: async ({ to, body }) => {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS_GATEWAY_URL is not set');
+    }
+
+    const response = await axios.post(
+      process.env.SMS_GATEWAY_URL,
+      {
+        to,
+        message: body,
+        sender: process.env.SMS_GATEWAY_SENDER
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_GATEWAY_API_KEY && { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` })
+        },
+        timeout: 15000
+      }
+    );
+
+    const data = response.data || {};
+    return { messageId: String(data.messageId || data.message_id || data.id || '') || undefined };
+  }
+});
+
+// Appends each message as a JSON line to NOTIFICATION_LOG_FILE, for testing without a provider
+registerTransport('file', {
+  send: async (message) => {
+    const file = process.env.NOTIFICATION_LOG_FILE || path.join('logs', 'notifications.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    return { messageId: `file-${Date.now()}` };
+  }
+});
+
+registerTransport('console', {
+  send: async ({ channel, to, subject, body }) => {
+    console.log(`[Notification] ${channel} to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+export default {
+  registerTransport,
+  getTransport,
+  getTransportNames
+};
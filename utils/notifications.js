@@ -0,0 +1,308 @@
+import Notification from '../models/Notification.js';
+import Settings from '../models/Settings.js';
+import Sale from '../models/Sale.js';
+import Return from '../models/Return.js';
+import Expense from '../models/Expense.js';
+import Product from '../models/Product.js';
+import { getTransport } from './notificationTransports.js';
+import { renderTemplate } from './notificationTemplates.js';
+
+const minuteMs = 60 * 1000;
+
+// Messages stuck in 'sending' this long (e.g. the server restarted mid-send) are picked up again
+const STALE_LOCK_MS = 10 * minuteMs;
+
+// Report days follow Asia/Colombo, like the other reports
+const REPORT_OFFSET_MINUTES = 330;
+
+// Wait before retry n: 1, 2, 4, 8... minutes, at most an hour
+const retryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * minuteMs;
+
+const transportFor = (channel, settings) => (channel === 'sms'
+  ? settings?.notifications?.smsTransport
+  : settings?.notifications?.emailTransport) || 'console';
+
+/**
+ * Render a template and put the message in the outbox. Delivery happens in
+ * processOutbox, so this never waits on the provider.
+ */
+export const queueNotification = async ({
+  channel,
+  to,
+  template,
+  data = {},
+  sale,
+  customer,
+  user,
+  settings = null
+}) => {
+  const { subject, body } = renderTemplate(template, channel, { ...data, settings });
+
+  return Notification.create({
+    channel,
+    to,
+    template,
+    subject,
+    body,
+    maxAttempts: settings?.notifications?.maxAttempts || 5,
+    sale,
+    customer,
+    createdBy: user?._id
+  });
+};
+
+// Queue the same template to each staff alert recipient on the enabled channels
+const queueStaffAlert = async (template, data, settings) => {
+  const notifications = [];
+  for (const to of settings?.notifications?.alertEmails || []) {
+    notifications.push(await queueNotification({ channel: 'email', to, template, data, settings }));
+  }
+  for (const to of settings?.notifications?.alertPhones || []) {
+    notifications.push(await queueNotification({ channel: 'sms', to, template, data, settings }));
+  }
+  return notifications;
+};
+
+/**
+ * Queue a digital receipt for a sale on the channels turned on in settings,
+ * or on the channels given (for resending). Goes to `to` when given, else the
+ * contact details on the sale, else the customer's saved ones.
+ */
+export const queueSaleReceipt = async (sale, { settings = null, channels, to, customer, user } = {}) => {
+  const receipts = settings?.notifications?.receipts || {};
+  const wanted = channels || ['email', 'sms'].filter(channel => receipts[channel]);
+
+  const notifications = [];
+  for (const channel of wanted) {
+    const recipient = to || (channel === 'email'
+      ? sale.customerInfo?.email || customer?.email
+      : sale.customerInfo?.phone || customer?.phone);
+    if (!recipient) continue;
+
+    notifications.push(await queueNotification({
+      channel,
+      to: recipient,
+      template: 'sale_receipt',
+      data: { sale },
+      sale: sale._id,
+      customer: sale.customer,
+      user,
+      settings
+    }));
+  }
+  return notifications;
+};
+
+/**
+ * Alert staff about sold items that have just dropped to their minimum stock.
+ * Only items that crossed the line on this sale are reported, so a product
+ * that stays low doesn't raise an alert on every sale.
+ */
+export const queueLowStockAlert = async (items, settings = null) => {
+  if (settings?.notifications?.lowStockAlert === false) {
+    return [];
+  }
+
+  const soldByKey = new Map();
+  for (const item of items) {
+    const key = `${item.product}:${item.variationCombinationId || ''}`;
+    soldByKey.set(key, (soldByKey.get(key) || 0) + item.quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+  const lowItems = [];
+
+  for (const [key, quantity] of soldByKey) {
+    const [productId, combinationId] = key.split(':');
+    const product = products.find(candidate => candidate._id.toString() === productId);
+    if (!product) continue;
+
+    const stockHolder = combinationId ? product.variationCombinations.id(combinationId) : product;
+    if (!stockHolder) continue;
+
+    const minStock = stockHolder.minStock ?? 0;
+    if (stockHolder.stock <= minStock && stockHolder.stock + quantity > minStock) {
+      lowItems.push({
+        name: combinationId ? `${product.name} - ${stockHolder.combinationName}` : product.name,
+        sku: stockHolder.sku,
+        stock: stockHolder.stock,
+        minStock
+      });
+    }
+  }
+
+  if (lowItems.length === 0) {
+    return [];
+  }
+
+  return queueStaffAlert('low_stock', { items: lowItems }, settings);
+};
+
+// Sales, refunds, expenses and payment totals for one store day (YYYY-MM-DD)
+export const buildDailyReport = async (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - 1, day) - REPORT_OFFSET_MINUTES * minuteMs);
+  const end = new Date(start.getTime() + 24 * 60 * minuteMs);
+  const match = { createdAt: { $gte: start, $lt: end }, status: { $in: ['completed', 'partial'] } };
+
+  const [sales] = await Sale.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        salesCount: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        itemsSold: { $sum: { $sum: '$items.quantity' } }
+      }
+    }
+  ]);
+
+  const payments = await Sale.aggregate([
+    { $match: match },
+    { $unwind: '$payments' },
+    { $group: { _id: '$payments.method', amount: { $sum: '$payments.amount' } } },
+    { $sort: { amount: -1 } }
+  ]);
+
+  const topProducts = await Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.product',
+        name: { $first: '$items.productName' },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: '$items.totalPrice' }
+      }
+    },
+    { $sort: { quantity: -1 } },
+    { $limit: 5 }
+  ]);
+
+  const [returns] = await Return.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    { $group: { _id: null, returnsCount: { $sum: 1 }, refunds: { $sum: '$totalRefundAmount' } } }
+  ]);
+
+  const [expenses] = await Expense.aggregate([
+    { $match: { date: { $gte: start, $lt: end } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  const lowStockCount = await Product.countDocuments({ isActive: { $ne: false }, $expr: { $lte: ['$stock', '$minStock'] } });
+
+  const salesCount = sales?.salesCount || 0;
+  const revenue = sales?.revenue || 0;
+
+  return {
+    salesCount,
+    revenue,
+    averageSale: salesCount > 0 ? revenue / salesCount : 0,
+    itemsSold: sales?.itemsSold || 0,
+    payments: payments.map(payment => ({ method: payment._id, amount: payment.amount })),
+    topProducts: topProducts.map(({ name, quantity, revenue: productRevenue }) => ({ name, quantity, revenue: productRevenue })),
+    returnsCount: returns?.returnsCount || 0,
+    refunds: returns?.refunds || 0,
+    expenses: expenses?.amount || 0,
+    lowStockCount
+  };
+};
+
+// Today's date in the store's time zone, as YYYY-MM-DD
+export const getStoreDate = (now = new Date()) => new Date(now.getTime() + REPORT_OFFSET_MINUTES * minuteMs)
+  .toISOString()
+  .slice(0, 10);
+
+/**
+ * Queue the daily report to the staff alert recipients. Scheduled runs skip
+ * it unless dailyReports is on; pass force to send it anyway.
+ */
+export const queueDailyReport = async ({ date = getStoreDate(), force = false } = {}) => {
+  const settings = await Settings.findOne({});
+  if (!force && !settings?.notifications?.dailyReports) {
+    return [];
+  }
+
+  const report = await buildDailyReport(date);
+  return queueStaffAlert('daily_report', { date, report }, settings);
+};
+
+// Send one claimed message and record the outcome
+const deliverNotification = async (notification, settings) => {
+  const transportName = transportFor(notification.channel, settings);
+  notification.attempts += 1;
+  notification.transport = transportName;
+
+  try {
+    const { messageId } = await getTransport(transportName).send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.providerMessageId = messageId;
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.response?.data?.message || error.message;
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = 'failed';
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+    }
+  }
+
+  notification.lockedAt = undefined;
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Deliver messages that are due. Each message is claimed atomically before
+ * sending, so overlapping runs never send the same message twice.
+ * Returns how many were sent and how many failed this run.
+ */
+export const processOutbox = async ({ limit = 50 } = {}) => {
+  const settings = await Settings.findOne({});
+  const result = { sent: 0, failed: 0, retrying: 0 };
+
+  for (let processed = 0; processed < limit; processed++) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!notification) break;
+
+    const delivered = await deliverNotification(notification, settings);
+    if (delivered.status === 'sent') {
+      result.sent += 1;
+    } else if (delivered.status === 'failed') {
+      result.failed += 1;
+    } else {
+      result.retrying += 1;
+    }
+  }
+
+  return result;
+};
+
+export default {
+  queueNotification,
+  queueSaleReceipt,
+  queueLowStockAlert,
+  buildDailyReport,
+  getStoreDate,
+  queueDailyReport,
+  processOutbox
+};
@@ -0,0 +1,172 @@
+import Promotion from '../models/Promotion.js';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a promotion's date range and recurring schedule include the given time
+export const isPromotionRunning = (promotion, now = new Date()) => {
+  if (!promotion.isActive) return false;
+  if (promotion.startDate && promotion.startDate > now) return false;
+  if (promotion.endDate && promotion.endDate < now) return false;
+
+  const schedule = promotion.schedule || {};
+  if (schedule.daysOfWeek?.length && !schedule.daysOfWeek.includes(now.getDay())) {
+    return false;
+  }
+
+  if (schedule.startTime && schedule.endTime) {
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(schedule.startTime);
+    const end = toMinutes(schedule.endTime);
+    // Windows such as 22:00-02:00 run past midnight
+    const inWindow = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+// Promotions that apply right now, highest priority first
+export const findRunningPromotions = async (now = new Date()) => {
+  const promotions = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+    ]
+  }).sort({ priority: -1, createdAt: 1 });
+
+  return promotions.filter(promotion => isPromotionRunning(promotion, now));
+};
+
+const targetsLine = (promotion, line, product) => {
+  const targets = promotion.appliesTo || {};
+  if (targets.allProducts) return true;
+  if (line.variationCombinationId && targets.variationCombinations?.includes(String(line.variationCombinationId))) return true;
+  if (targets.products?.some(id => String(id) === String(line.product))) return true;
+  return !!product?.category && !!targets.categories?.includes(product.category);
+};
+
+// Split eligible lines into whole units priced at what is left after earlier promotions.
+// Fractional quantities (e.g. fabric by the metre) only count their whole units.
+const expandUnits = (lines) => {
+  const units = [];
+  for (const line of lines) {
+    const wholeUnits = Math.floor(line.quantity);
+    if (wholeUnits <= 0) continue;
+    const unitPrice = (line.grossAmount - line.promotionDiscount) / line.quantity;
+    for (let i = 0; i < wholeUnits; i++) {
+      units.push({ line, price: unitPrice });
+    }
+  }
+  // Most expensive first so the cheapest units are the ones given away
+  return units.sort((a, b) => b.price - a.price);
+};
+
+// Work out the discount a promotion gives each eligible line, keyed by line index
+const discountsForPromotion = (promotion, lines) => {
+  const discounts = new Map();
+  const add = (line, amount) => {
+    if (amount > 0) {
+      discounts.set(line.index, (discounts.get(line.index) || 0) + amount);
+    }
+  };
+
+  switch (promotion.type) {
+    case 'percentage_off':
+      for (const line of lines) {
+        add(line, (line.grossAmount - line.promotionDiscount) * Math.min(promotion.value, 100) / 100);
+      }
+      break;
+
+    case 'fixed_off':
+      for (const line of lines) {
+        const remaining = line.grossAmount - line.promotionDiscount;
+        add(line, Math.min(remaining, promotion.value * line.quantity));
+      }
+      break;
+
+    case 'buy_x_get_y': {
+      const units = expandUnits(lines);
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const fullGroups = Math.floor(units.length / groupSize);
+      for (let group = 0; group < fullGroups; group++) {
+        const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+        for (const unit of groupUnits.slice(promotion.buyQuantity)) {
+          add(unit.line, unit.price * promotion.getDiscountPercent / 100);
+        }
+      }
+      break;
+    }
+
+    case 'bundle_price': {
+      const units = expandUnits(lines);
+      const fullGroups = Math.floor(units.length / promotion.bundleQuantity);
+      for (let group = 0; group < fullGroups; group++) {
+        const groupUnits = units.slice(group * promotion.bundleQuantity, (group + 1) * promotion.bundleQuantity);
+        const groupTotal = groupUnits.reduce((sum, unit) => sum + unit.price, 0);
+        const saving = groupTotal - promotion.bundlePrice;
+        if (saving <= 0) continue;
+        // Share the saving across the bundle in proportion to each unit's price
+        for (const unit of groupUnits) {
+          add(unit.line, saving * unit.price / groupTotal);
+        }
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return discounts;
+};
+
+/**
+ * Apply promotions to priced cart lines. Each line needs index, product,
+ * variationCombinationId, quantity and grossAmount; promotionDiscount and
+ * promotions are filled in on the lines. Promotions are tried in the order
+ * given (highest priority first) and stacking rules decide which lines each
+ * one may touch. Amounts are left unrounded for the sale calculator to round.
+ */
+export const applyPromotions = (lines, promotions, productsById) => {
+  const lockedLines = new Set();
+
+  for (const line of lines) {
+    line.promotionDiscount = 0;
+    line.promotions = [];
+  }
+
+  for (const promotion of promotions) {
+    const eligibleLines = lines.filter(line => {
+      if (line.quantity <= 0 || lockedLines.has(line.index)) return false;
+      // Non-stackable promotions only take lines nothing else has discounted
+      if (!promotion.stackable && line.promotions.length > 0) return false;
+      return targetsLine(promotion, line, productsById.get(String(line.product)));
+    });
+
+    if (eligibleLines.length === 0) continue;
+
+    const discounts = discountsForPromotion(promotion, eligibleLines);
+
+    for (const line of eligibleLines) {
+      const amount = discounts.get(line.index);
+      if (!amount) continue;
+
+      line.promotionDiscount += amount;
+      line.promotions.push({ promotion: promotion._id, name: promotion.name, discountAmount: amount });
+
+      if (!promotion.stackable) {
+        lockedLines.add(line.index);
+      }
+    }
+  }
+
+  return lines;
+};
+
+export default { isPromotionRunning, findRunningPromotions, applyPromotions };
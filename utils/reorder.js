@@ -0,0 +1,180 @@
+import Product from '../models/Product.js';
+import Sale from '../models/Sale.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const stockKey = (productId, combinationId) => `${productId}:${combinationId || ''}`;
+
+// Units sold per product / variation combination since a date
+const getUnitsSold = async (since) => {
+  const rows = await Sale.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $in: ['completed', 'partial'] } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { product: '$items.product', combination: '$items.variationCombinationId' },
+        quantity: { $sum: '$items.quantity' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [stockKey(row._id.product, row._id.combination), row.quantity]));
+};
+
+// Supplier, cost and date of the latest purchase order line per product / variation combination.
+// Drafts and cancelled orders were never placed, so they don't count.
+const getLastPurchases = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $nin: ['draft', 'cancelled'] } } },
+    { $unwind: '$products' },
+    { $sort: { date: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: { product: '$products.product', variation: '$products.variation' },
+        supplier: { $first: '$supplier' },
+        unitCost: { $first: '$products.unitCost' },
+        date: { $first: '$date' }
+      }
+    }
+  ]);
+
+  const byKey = new Map();
+  for (const row of rows) {
+    byKey.set(stockKey(row._id.product, row._id.variation), row);
+    // Also remember the latest purchase of the product as a whole, for combinations never ordered on their own
+    const productKey = stockKey(row._id.product);
+    if (!byKey.has(productKey) || byKey.get(productKey).date < row.date) {
+      byKey.set(productKey, row);
+    }
+  }
+  return byKey;
+};
+
+// Units still to come per product / variation combination: what is left to
+// receive on placed orders, plus drafts that haven't been sent yet
+const getOnOrder = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: ['draft', 'ordered', 'partially_received'] } } },
+    { $unwind: '$products' },
+    {
+      $group: {
+        _id: { product: '$products.product', variation: '$products.variation' },
+        quantity: {
+          $sum: { $max: [{ $subtract: ['$products.quantity', { $ifNull: ['$products.receivedQuantity', 0] }] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [stockKey(row._id.product, row._id.variation), row.quantity]));
+};
+
+/**
+ * Reorder suggestions for products and variation combinations at or below
+ * their minStock. Each suggestion orders enough to get back above minStock and
+ * cover coverDays of sales at the rate of the last `days` days, less what is
+ * already on order (drafts included); items fully covered are left out.
+ * Suggestions are grouped by the supplier of the item's latest purchase order;
+ * items never bought go in a group with no supplier.
+ */
+export const buildReorderSuggestions = async ({ days = 30, coverDays = 30, supplier, category } = {}) => {
+  const since = new Date(Date.now() - days * dayMs);
+
+  const productQuery = { isActive: true };
+  if (category) {
+    productQuery.category = category;
+  }
+
+  const [products, unitsSold, lastPurchases, onOrderByKey] = await Promise.all([
+    Product.find(productQuery).select('name sku category stock minStock purchasePrice hasVariations variationCombinations'),
+    getUnitsSold(since),
+    getLastPurchases(),
+    getOnOrder()
+  ]);
+
+  const suggestions = [];
+
+  const consider = (product, combination) => {
+    const holder = combination || product;
+    const minStock = holder.minStock ?? 0;
+    if (holder.stock > minStock) return;
+
+    const key = stockKey(product._id, combination?._id);
+    const sold = unitsSold.get(key) || 0;
+    const dailyVelocity = sold / days;
+    const targetStock = minStock + Math.ceil(dailyVelocity * coverDays);
+    const lastPurchase = lastPurchases.get(key) || lastPurchases.get(stockKey(product._id));
+    const unitCost = lastPurchase?.unitCost ?? holder.purchasePrice ?? product.purchasePrice ?? 0;
+    const onOrder = onOrderByKey.get(key) || 0;
+    const suggestedQuantity = Math.max(targetStock - holder.stock, 1) - onOrder;
+    if (suggestedQuantity <= 0) return;
+
+    suggestions.push({
+      product: product._id,
+      variationCombinationId: combination?._id,
+      name: combination ? `${product.name} - ${combination.combinationName}` : product.name,
+      sku: holder.sku,
+      category: product.category,
+      stock: holder.stock,
+      minStock,
+      onOrder,
+      unitsSold: sold,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfStockLeft: dailyVelocity > 0 ? Math.floor(holder.stock / dailyVelocity) : null,
+      suggestedQuantity,
+      unitCost,
+      estimatedCost: Math.round(suggestedQuantity * unitCost * 100) / 100,
+      supplier: lastPurchase?.supplier || null,
+      lastPurchaseDate: lastPurchase?.date || null
+    });
+  };
+
+  for (const product of products) {
+    const combinations = (product.variationCombinations || []).filter(combination => combination.isActive !== false);
+    // Variation products are stocked per combination; the parent stock isn't sold from
+    if (product.hasVariations && combinations.length > 0) {
+      combinations.forEach(combination => consider(product, combination));
+    } else {
+      consider(product);
+    }
+  }
+
+  const filtered = supplier
+    ? suggestions.filter(suggestion => suggestion.supplier?.toString() === supplier)
+    : suggestions;
+
+  const supplierIds = [...new Set(filtered.filter(s => s.supplier).map(s => s.supplier.toString()))];
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } }).select('name contactInfo');
+  const suppliersById = new Map(suppliers.map(doc => [doc._id.toString(), doc]));
+
+  const groups = new Map();
+  for (const suggestion of filtered) {
+    const groupKey = suggestion.supplier?.toString() || '';
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        supplier: groupKey ? suppliersById.get(groupKey) || { _id: suggestion.supplier } : null,
+        items: [],
+        estimatedCost: 0
+      });
+    }
+    const group = groups.get(groupKey);
+    group.items.push(suggestion);
+    group.estimatedCost = Math.round((group.estimatedCost + suggestion.estimatedCost) * 100) / 100;
+  }
+
+  // Most urgent first: least stock left relative to the minimum
+  for (const group of groups.values()) {
+    group.items.sort((a, b) => (a.stock - a.minStock) - (b.stock - b.minStock));
+  }
+
+  return {
+    days,
+    coverDays,
+    totalItems: filtered.length,
+    groups: [...groups.values()].sort((a, b) => (a.supplier ? 0 : 1) - (b.supplier ? 0 : 1) || b.estimatedCost - a.estimatedCost)
+  };
+};
+
+export default { buildReorderSuggestions };
@@ -0,0 +1,276 @@
+// Server-side sale totals calculation.
+// Prices come from the product catalogue, not from the request body, so a
+// tampered or buggy client cannot record arbitrary totals.
+
+import { applyPromotions } from './promotionEngine.js';
+
+export const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Work out the discount amount for a line or cart.
+// Fixed discounts never exceed the amount they apply to and keep its sign,
+// so negative (return) lines are discounted symmetrically.
+export const calculateDiscountAmount = (amount, discount = 0, discountType = 'fixed') => {
+  const value = Number(discount) || 0;
+  if (value <= 0 || amount === 0) return 0;
+
+  if (discountType === 'percentage') {
+    return roundCurrency(amount * Math.min(value, 100) / 100);
+  }
+
+  return roundCurrency(Math.sign(amount) * Math.min(value, Math.abs(amount)));
+};
+
+// Catalogue selling price for a line: combination price first, then the parent product.
+// Falls back to the client price only when the catalogue has no price at all.
+const resolveUnitPrice = (item, product, combination) => {
+  if (combination && combination.sellingPrice !== undefined && combination.sellingPrice !== null) {
+    return { unitPrice: combination.sellingPrice, priceSource: 'combination' };
+  }
+  if (product.sellingPrice !== undefined && product.sellingPrice !== null) {
+    return { unitPrice: product.sellingPrice, priceSource: 'product' };
+  }
+  return { unitPrice: Number(item.unitPrice) || 0, priceSource: 'client' };
+};
+
+// Split a coupon across the cart lines it applies to, keyed by line index.
+// Throws when the cart doesn't meet the coupon's conditions.
+const calculateCouponDiscounts = (coupon, lines, productsById, subtotal) => {
+  if (subtotal < (coupon.minSpend || 0)) {
+    throw new Error(`Coupon ${coupon.code} needs a minimum spend of ${coupon.minSpend}`);
+  }
+
+  const discounts = new Map();
+
+  if (coupon.type === 'free_item') {
+    const freeLine = lines.find(line =>
+      line.quantity > 0 &&
+      String(line.product) === String(coupon.freeItem.product) &&
+      (!coupon.freeItem.variationCombinationId || line.variationCombinationId === coupon.freeItem.variationCombinationId)
+    );
+    if (!freeLine) {
+      throw new Error(`Add the free item to the cart to use coupon ${coupon.code}`);
+    }
+    const freeQuantity = Math.min(coupon.freeItem.quantity || 1, freeLine.quantity);
+    discounts.set(freeLine.index, roundCurrency(freeLine.totalPrice / freeLine.quantity * freeQuantity));
+    return discounts;
+  }
+
+  const eligibleLines = lines.filter(line => {
+    if (line.totalPrice <= 0) return false;
+    if (!coupon.categories?.length) return true;
+    return coupon.categories.includes(productsById.get(String(line.product))?.category);
+  });
+  const eligibleTotal = eligibleLines.reduce((sum, line) => sum + line.totalPrice, 0);
+  if (eligibleTotal <= 0) {
+    throw new Error(`No items in the cart qualify for coupon ${coupon.code}`);
+  }
+
+  let couponTotal = coupon.type === 'percentage'
+    ? eligibleTotal * Math.min(coupon.value, 100) / 100
+    : Math.min(coupon.value, eligibleTotal);
+  if (coupon.maxDiscount) {
+    couponTotal = Math.min(couponTotal, coupon.maxDiscount);
+  }
+  couponTotal = roundCurrency(couponTotal);
+
+  // Spread in proportion to line totals; the last line takes the rounding difference
+  let remaining = couponTotal;
+  eligibleLines.forEach((line, position) => {
+    const amount = position === eligibleLines.length - 1
+      ? remaining
+      : roundCurrency(couponTotal * line.totalPrice / eligibleTotal);
+    discounts.set(line.index, amount);
+    remaining = roundCurrency(remaining - amount);
+  });
+
+  return discounts;
+};
+
+/**
+ * Calculate line totals, cart discount, tax and grand total for a cart.
+ * productsById maps product id strings to Product documents.
+ * Tax uses Product.taxRate when set, otherwise Settings.taxRate, and is charged
+ * on each line after its share of the cart discount.
+ * Gift cards sold with the sale are added to the total at face value, untaxed
+ * and outside any discount.
+ * Running promotions are applied to catalogue prices first; a manual line
+ * discount then applies to what is left of the line. A coupon comes off the
+ * subtotal before the manual cart discount.
+ * Throws when redeemed loyalty points are worth more than the items come to.
+ */
+export const calculateSaleTotals = ({
+  items,
+  productsById,
+  discount = 0,
+  discountType = 'fixed',
+  loyaltyPointsUsed = 0,
+  giftCards = [],
+  promotions = [],
+  coupon = null,
+  settings = null
+}) => {
+  const defaultTaxRate = Number(settings?.taxRate) || 0;
+  const redemptionRate = Number(settings?.loyaltySettings?.redemptionRate ?? 1);
+
+  const lines = items.map((item, index) => {
+    const product = productsById.get(String(item.product));
+    if (!product) {
+      throw new Error(`Product ${item.productName} not found`);
+    }
+
+    const combination = item.variationCombinationId
+      ? product.variationCombinations.id(item.variationCombinationId)
+      : null;
+
+    const { unitPrice, priceSource } = resolveUnitPrice(item, product, combination);
+    const quantity = Number(item.quantity) || 0;
+    const grossAmount = roundCurrency(unitPrice * quantity);
+    const taxRate = product.taxRate > 0 ? product.taxRate : defaultTaxRate;
+
+    return {
+      index,
+      product: product._id,
+      variationCombinationId: item.variationCombinationId,
+      productName: item.productName || product.name,
+      quantity,
+      unitPrice,
+      priceSource,
+      grossAmount,
+      taxRate
+    };
+  });
+
+  applyPromotions(lines, promotions, productsById);
+
+  // Keyed in priority order so the applied list reads the way promotions were evaluated
+  const appliedPromotions = new Map();
+  for (const promotion of promotions) {
+    appliedPromotions.set(String(promotion._id), {
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discountAmount: 0,
+      lines: []
+    });
+  }
+  for (const line of lines) {
+    for (const entry of line.promotions) {
+      entry.discountAmount = roundCurrency(entry.discountAmount);
+      const applied = appliedPromotions.get(String(entry.promotion));
+      applied.discountAmount = roundCurrency(applied.discountAmount + entry.discountAmount);
+      applied.lines.push(line.index);
+    }
+    line.promotionDiscount = roundCurrency(line.promotions.reduce((sum, entry) => sum + entry.discountAmount, 0));
+
+    const item = items[line.index];
+    const discountedAmount = roundCurrency(line.grossAmount - line.promotionDiscount);
+    line.discountAmount = calculateDiscountAmount(discountedAmount, item.discount, item.discountType);
+    line.totalPrice = roundCurrency(discountedAmount - line.discountAmount);
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+
+  const couponDiscounts = coupon ? calculateCouponDiscounts(coupon, lines, productsById, subtotal) : new Map();
+  for (const line of lines) {
+    line.couponDiscount = couponDiscounts.get(line.index) || 0;
+  }
+  const couponDiscount = roundCurrency(lines.reduce((sum, line) => sum + line.couponDiscount, 0));
+
+  const discountableAmount = roundCurrency(subtotal - couponDiscount);
+  const discountAmount = calculateDiscountAmount(discountableAmount, discount, discountType);
+
+  // Spread the cart discount across lines before applying each line's tax rate
+  const discountRatio = discountableAmount !== 0 ? discountAmount / discountableAmount : 0;
+  for (const line of lines) {
+    const taxableAmount = (line.totalPrice - line.couponDiscount) * (1 - discountRatio);
+    line.taxAmount = roundCurrency(taxableAmount * line.taxRate / 100);
+  }
+
+  const tax = roundCurrency(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  const loyaltyRedemption = roundCurrency((Number(loyaltyPointsUsed) || 0) * redemptionRate);
+  // Points can pay for the items, never more; gift cards sold are bought with money
+  const itemsPayable = roundCurrency(subtotal - couponDiscount - discountAmount + tax);
+  if (loyaltyRedemption > itemsPayable) {
+    throw new Error(`Loyalty points redeemed (${loyaltyRedemption}) are worth more than the amount payable (${itemsPayable})`);
+  }
+  const giftCardTotal = roundCurrency(giftCards.reduce((sum, giftCard) => {
+    const amount = Number(giftCard.amount);
+    if (Number.isNaN(amount) || amount <= 0) {
+      throw new Error('Gift card amount must be a positive number');
+    }
+    return sum + amount;
+  }, 0));
+  const total = roundCurrency(subtotal - couponDiscount - discountAmount + tax - loyaltyRedemption + giftCardTotal);
+  const promotionDiscount = roundCurrency(lines.reduce((sum, line) => sum + line.promotionDiscount, 0));
+
+  return {
+    lines,
+    promotions: [...appliedPromotions.values()].filter(applied => applied.discountAmount > 0),
+    promotionDiscount,
+    subtotal,
+    couponDiscount,
+    discountAmount,
+    tax,
+    loyaltyRedemption,
+    giftCardTotal,
+    total
+  };
+};
+
+// What the customer paid for a sale's items: the total (after cart discount,
+// tax and loyalty redemption) less any gift cards sold with it.
+export const getItemsTotal = (sale) => roundCurrency(
+  (sale.total || 0) - (sale.giftCards || []).reduce((sum, giftCard) => sum + (giftCard.amount || 0), 0)
+);
+
+// Spread a sale-level amount over its items in proportion to what each line
+// came to after its coupon share; the last line takes the rounding difference.
+export const allocateToLines = (items, amount) => {
+  const weights = items.map(item => (item.totalPrice || 0) - (item.couponDiscount || 0));
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let remaining = roundCurrency(amount);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return remaining;
+    }
+    const share = weightTotal !== 0 ? roundCurrency(amount * weight / weightTotal) : 0;
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+// Compare client supplied totals against a calculation.
+// Only fields the client actually sent are compared.
+export const findTotalsMismatches = (clientSale, calculation, tolerance = 0.01) => {
+  const mismatches = [];
+  const differs = (clientValue, calculatedValue) =>
+    Math.abs(Number(clientValue) - calculatedValue) > tolerance;
+
+  calculation.lines.forEach((line) => {
+    const clientItem = clientSale.items[line.index];
+    if (clientItem.unitPrice !== undefined && differs(clientItem.unitPrice, line.unitPrice)) {
+      mismatches.push({ field: `items[${line.index}].unitPrice`, clientValue: Number(clientItem.unitPrice), calculatedValue: line.unitPrice });
+    }
+    if (clientItem.totalPrice !== undefined && differs(clientItem.totalPrice, line.totalPrice)) {
+      mismatches.push({ field: `items[${line.index}].totalPrice`, clientValue: Number(clientItem.totalPrice), calculatedValue: line.totalPrice });
+    }
+  });
+
+  for (const field of ['subtotal', 'tax', 'total']) {
+    if (clientSale[field] !== undefined && differs(clientSale[field], calculation[field])) {
+      mismatches.push({ field, clientValue: Number(clientSale[field]), calculatedValue: calculation[field] });
+    }
+  }
+
+  return mismatches;
+};
+
+export default {
+  roundCurrency,
+  calculateDiscountAmount,
+  calculateSaleTotals,
+  getItemsTotal,
+  allocateToLines,
+  findTotalsMismatches
+};
@@ -0,0 +1,140 @@
+import Product from '../models/Product.js';
+import StockAdjustment, { STOCK_ADJUSTMENT_REASONS } from '../models/StockAdjustment.js';
+import { applyStockChange } from './stockOperations.js';
+import { getUnitCost } from './costing.js';
+import { roundCurrency } from './saleCalculator.js';
+import { getNextStockAdjustmentNumber } from './invoiceNumberGenerator.js';
+
+// Reasons that can only take stock away
+const STOCK_OUT_REASONS = ['damage', 'theft', 'sample', 'gift'];
+
+const totalValueOf = items => roundCurrency(items.reduce((sum, item) => sum + item.value, 0));
+
+/**
+ * Check adjustment lines ({ product, variationCombinationId, quantity, notes })
+ * against the reason and resolve their names, SKUs and current unit costs.
+ * Throws when a line is invalid.
+ */
+export const buildAdjustmentItems = async (items, reason, session = null) => {
+  if (!STOCK_ADJUSTMENT_REASONS.includes(reason)) {
+    throw new Error(`Reason must be one of: ${STOCK_ADJUSTMENT_REASONS.join(', ')}`);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Items to adjust are required');
+  }
+
+  const built = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!item.product || !Number.isInteger(quantity) || quantity === 0) {
+      throw new Error('Each item needs a product and a whole, non-zero quantity');
+    }
+    if (STOCK_OUT_REASONS.includes(reason) && quantity > 0) {
+      throw new Error(`A ${reason} adjustment can only remove stock; use negative quantities`);
+    }
+
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+    const combination = item.variationCombinationId ? product.variationCombinations.id(item.variationCombinationId) : null;
+    if (item.variationCombinationId && !combination) {
+      throw new Error(`Variation combination not found for ${product.name}`);
+    }
+
+    const unitCost = getUnitCost(product, item.variationCombinationId);
+    built.push({
+      product: product._id,
+      productName: combination ? `${product.name} - ${combination.combinationName}` : product.name,
+      sku: combination?.sku || product.sku,
+      variationCombinationId: combination ? String(combination._id) : undefined,
+      quantity,
+      unitCost,
+      value: roundCurrency(quantity * unitCost),
+      notes: item.notes
+    });
+  }
+  return built;
+};
+
+/**
+ * Approve a pending adjustment: post each line to stock and the movement
+ * journal at today's unit cost. Damage moves the units into damaged stock.
+ * Throws, leaving stock alone, when a line would take stock below zero.
+ */
+export const postStockAdjustment = async ({ adjustment, user, session }) => {
+  if (adjustment.status !== 'pending') {
+    throw new Error(`Stock adjustment ${adjustment.adjustmentNumber} is already ${adjustment.status}`);
+  }
+
+  const movement = {
+    type: 'adjustment',
+    sourceModel: 'StockAdjustment',
+    sourceId: adjustment._id,
+    reference: adjustment.adjustmentNumber,
+    notes: adjustment.reason,
+    user
+  };
+
+  for (const item of adjustment.items) {
+    const product = await Product.findById(item.product).session(session);
+    item.unitCost = getUnitCost(product, item.variationCombinationId);
+    item.value = roundCurrency(item.quantity * item.unitCost);
+
+    const applied = await applyStockChange({
+      productId: item.product,
+      variationCombinationId: item.variationCombinationId,
+      delta: item.quantity,
+      session,
+      movement
+    });
+    if (!applied) {
+      throw new Error(`Not enough stock of ${item.productName} to remove ${-item.quantity}`);
+    }
+
+    if (adjustment.reason === 'damage') {
+      await applyStockChange({
+        productId: item.product,
+        variationCombinationId: item.variationCombinationId,
+        delta: -item.quantity,
+        session,
+        field: 'damagedStock',
+        movement
+      });
+    }
+  }
+
+  adjustment.totalValue = totalValueOf(adjustment.items);
+  adjustment.status = 'approved';
+  adjustment.approvedBy = user._id;
+  adjustment.approvedByName = user.fullName;
+  adjustment.approvedAt = new Date();
+  await adjustment.save({ session });
+  return adjustment;
+};
+
+/**
+ * Record a stock adjustment as pending, or post it straight away when
+ * approve is set (for admins).
+ */
+export const createStockAdjustment = async ({ items, reason, notes, stocktake, user, approve = false, session }) => {
+  const adjustmentItems = await buildAdjustmentItems(items, reason, session);
+
+  const [adjustment] = await StockAdjustment.create([{
+    adjustmentNumber: await getNextStockAdjustmentNumber('ADJ', 3, session),
+    reason,
+    items: adjustmentItems,
+    totalValue: totalValueOf(adjustmentItems),
+    notes,
+    stocktake,
+    requestedBy: user._id,
+    requestedByName: user.fullName
+  }], { session });
+
+  if (approve) {
+    await postStockAdjustment({ adjustment, user, session });
+  }
+  return adjustment;
+};
+
+export default { buildAdjustmentItems, postStockAdjustment, createStockAdjustment };
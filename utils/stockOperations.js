@@ -0,0 +1,138 @@
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Level of a bucket on a product, or on one of its combinations
+const readLevel = (product, variationCombinationId, field) => {
+  const holder = variationCombinationId
+    ? product.variationCombinations?.find(combination => combination._id.toString() === String(variationCombinationId))
+    : product;
+  return holder?.[field] ?? 0;
+};
+
+// Write a journal entry for a stock change that has already been made.
+// movement: { type, sourceModel, sourceId, reference, notes, user } where user
+// is the acting user document.
+export const recordStockMovement = async ({
+  productId,
+  variationCombinationId,
+  quantity,
+  balanceAfter,
+  field = 'stock',
+  movement,
+  session = null
+}) => {
+  const { user, ...details } = movement;
+  const [entry] = await StockMovement.create([{
+    ...details,
+    product: productId,
+    variationCombinationId: variationCombinationId ? String(variationCombinationId) : null,
+    field,
+    quantity,
+    balanceAfter,
+    user: user?._id,
+    userName: user?.fullName
+  }], { session });
+  return entry;
+};
+
+// Atomically apply a stock change to a product or one of its variation combinations.
+// A negative delta deducts stock. When enforceAvailability is set the update only
+// matches if enough stock is on hand, so two tills cannot both sell the last unit.
+// field selects the bucket to change: 'stock' (sellable) or 'damagedStock'.
+// movement describes why stock changed (see recordStockMovement); every change
+// is written to the stock movement journal with the level it left behind.
+// Returns true when the change was applied.
+export const applyStockChange = async ({
+  productId,
+  variationCombinationId,
+  delta,
+  session = null,
+  enforceAvailability = true,
+  field = 'stock',
+  movement
+}) => {
+  if (!movement?.type) {
+    throw new Error('A stock movement type is required to change stock');
+  }
+
+  const guardStock = enforceAvailability && delta < 0;
+
+  let filter;
+  let update;
+
+  if (variationCombinationId) {
+    const combinationMatch = { _id: variationCombinationId };
+    if (guardStock) {
+      combinationMatch[field] = { $gte: -delta };
+    }
+    filter = { _id: productId, variationCombinations: { $elemMatch: combinationMatch } };
+    update = { $inc: { [`variationCombinations.$.${field}`]: delta } };
+  } else {
+    filter = { _id: productId };
+    if (guardStock) {
+      filter[field] = { $gte: -delta };
+    }
+    update = { $inc: { [field]: delta } };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: { [field]: 1, 'variationCombinations._id': 1, [`variationCombinations.${field}`]: 1 }
+  });
+  if (!product) {
+    return false;
+  }
+
+  await recordStockMovement({
+    productId,
+    variationCombinationId,
+    quantity: delta,
+    balanceAfter: readLevel(product, variationCombinationId, field),
+    field,
+    movement,
+    session
+  });
+  return true;
+};
+
+// Journal stock that was set directly on a product (on creation or by editing
+// the stock field) by comparing it before and after. before is null for a new
+// product.
+export const recordManualStockChanges = async (before, after, user) => {
+  const type = before ? 'manual_edit' : 'initial';
+  const changes = [];
+
+  const previousStock = before ? before.stock ?? 0 : 0;
+  if ((after.stock ?? 0) !== previousStock) {
+    changes.push({ variationCombinationId: null, quantity: (after.stock ?? 0) - previousStock, balanceAfter: after.stock ?? 0 });
+  }
+  for (const combination of after.variationCombinations || []) {
+    const previous = before?.variationCombinations?.id(combination._id);
+    const previousLevel = previous?.stock ?? 0;
+    if ((combination.stock ?? 0) !== previousLevel) {
+      changes.push({
+        variationCombinationId: combination._id,
+        quantity: (combination.stock ?? 0) - previousLevel,
+        balanceAfter: combination.stock ?? 0
+      });
+    }
+  }
+  // Combinations removed from the product take their stock with them
+  for (const previous of before?.variationCombinations || []) {
+    if (previous.stock && !after.variationCombinations?.id(previous._id)) {
+      changes.push({ variationCombinationId: previous._id, quantity: -previous.stock, balanceAfter: 0 });
+    }
+  }
+
+  for (const change of changes) {
+    await recordStockMovement({
+      productId: after._id,
+      ...change,
+      movement: { type, sourceModel: 'Product', sourceId: after._id, reference: after.sku, user }
+    });
+  }
+  return changes.length;
+};
+
+export default { applyStockChange, recordStockMovement, recordManualStockChanges };
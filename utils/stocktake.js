@@ -0,0 +1,167 @@
+import Product from '../models/Product.js';
+import StocktakeCount from '../models/StocktakeCount.js';
+import StockMovement from '../models/StockMovement.js';
+import { getUnitCost } from './costing.js';
+import { roundCurrency } from './saleCalculator.js';
+
+export const stocktakeItemKey = (product, variationCombinationId) => `${product}:${variationCombinationId || ''}`;
+
+// Snapshot line for a product, or one of its variation combinations
+export const buildStocktakeItem = (product, combination) => ({
+  product: product._id,
+  productName: combination ? `${product.name} - ${combination.combinationName}` : product.name,
+  sku: combination?.sku || product.sku,
+  barcodeId: combination ? combination.barcodeId : product.barcodeId,
+  category: product.category,
+  variationCombinationId: combination ? String(combination._id) : null,
+  expectedQuantity: (combination || product).stock ?? 0,
+  unitCost: getUnitCost(product, combination?._id),
+  snapshotAt: new Date()
+});
+
+/**
+ * Expected stock of every active product and variation combination, or of
+ * one category. Products with combinations are counted per combination; their
+ * own line is only included when it holds stock.
+ */
+export const snapshotStocktakeItems = async ({ category } = {}) => {
+  const query = { isActive: true };
+  if (category) {
+    query.category = category;
+  }
+
+  const products = await Product.find(query)
+    .select('name sku barcodeId category purchasePrice stock variationCombinations')
+    .sort({ name: 1 });
+
+  const items = [];
+  for (const product of products) {
+    const combinations = (product.variationCombinations || []).filter(combination => combination.isActive);
+    if (combinations.length === 0 || product.stock) {
+      items.push(buildStocktakeItem(product, null));
+    }
+    for (const combination of combinations) {
+      items.push(buildStocktakeItem(product, combination));
+    }
+  }
+  return items;
+};
+
+// Quantity counted so far per item, summed over every device's scans
+export const getCountedQuantities = async (stocktakeId) => {
+  const rows = await StocktakeCount.aggregate([
+    { $match: { stocktake: stocktakeId } },
+    {
+      $group: {
+        _id: { product: '$product', combination: '$variationCombinationId' },
+        quantity: { $sum: '$quantity' },
+        scans: { $sum: 1 },
+        lastCountedAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [stocktakeItemKey(row._id.product, row._id.combination), row]));
+};
+
+/**
+ * Net stock each item gained or lost through the movement journal (sales,
+ * receipts, returns, ...) between its snapshot and its last scan, or until
+ * `until` for items not scanned. Those changes were already on the shelf
+ * when it was counted, so they are not variances. startedAt stands in for
+ * items snapshotted before snapshotAt was recorded.
+ */
+export const getMovementsSinceSnapshot = async (items, counted, { startedAt, until = new Date(), session = null }) => {
+  const moved = new Map();
+  if (items.length === 0) {
+    return moved;
+  }
+
+  const itemsByKey = new Map(items.map(item => [stocktakeItemKey(item.product, item.variationCombinationId), item]));
+  const earliest = items.reduce((min, item) => (item.snapshotAt && item.snapshotAt < min ? item.snapshotAt : min), startedAt);
+
+  const movements = await StockMovement.find({
+    product: { $in: [...new Set(items.map(item => String(item.product)))] },
+    field: 'stock',
+    createdAt: { $gt: earliest, $lte: until }
+  })
+    .select('product variationCombinationId quantity createdAt')
+    .session(session);
+
+  for (const movement of movements) {
+    const key = stocktakeItemKey(movement.product, movement.variationCombinationId);
+    const item = itemsByKey.get(key);
+    if (!item) continue;
+
+    const from = item.snapshotAt || startedAt;
+    const to = counted.get(key)?.lastCountedAt || until;
+    if (movement.createdAt > from && movement.createdAt <= to) {
+      moved.set(key, (moved.get(key) || 0) + movement.quantity);
+    }
+  }
+  return moved;
+};
+
+/**
+ * Counted quantity, variance and variance value (at the snapshot unit cost)
+ * of each stocktake item, with totals. Variances are measured against the
+ * snapshot plus what moved before the item was counted (see
+ * getMovementsSinceSnapshot). Items nobody scanned have no variance unless
+ * uncountedAsZero is set.
+ */
+export const calculateVariances = (items, counted, uncountedAsZero = false, moved = new Map()) => {
+  const totals = {
+    itemCount: items.length,
+    countedItems: 0,
+    uncountedItems: 0,
+    varianceItems: 0,
+    gainQuantity: 0,
+    gainValue: 0,
+    lossQuantity: 0,
+    lossValue: 0,
+    netValue: 0
+  };
+
+  const lines = items.map(item => {
+    const key = stocktakeItemKey(item.product, item.variationCombinationId);
+    const count = counted.get(key);
+    const isCounted = Boolean(count);
+    const countedQuantity = isCounted ? count.quantity : (uncountedAsZero ? 0 : null);
+    const movedQuantity = moved.get(key) || 0;
+    const variance = countedQuantity === null ? 0 : countedQuantity - (item.expectedQuantity + movedQuantity);
+    const varianceValue = roundCurrency(variance * (item.unitCost || 0));
+
+    if (isCounted) totals.countedItems += 1;
+    else totals.uncountedItems += 1;
+    if (variance !== 0) totals.varianceItems += 1;
+    if (variance > 0) {
+      totals.gainQuantity += variance;
+      totals.gainValue = roundCurrency(totals.gainValue + varianceValue);
+    } else if (variance < 0) {
+      totals.lossQuantity -= variance;
+      totals.lossValue = roundCurrency(totals.lossValue - varianceValue);
+    }
+
+    return {
+      ...item,
+      counted: isCounted,
+      scans: count?.scans || 0,
+      lastCountedAt: count?.lastCountedAt,
+      movedQuantity,
+      countedQuantity,
+      variance,
+      varianceValue
+    };
+  });
+
+  totals.netValue = roundCurrency(totals.gainValue - totals.lossValue);
+  return { lines, totals };
+};
+
+export default {
+  stocktakeItemKey,
+  buildStocktakeItem,
+  snapshotStocktakeItems,
+  getCountedQuantities,
+  getMovementsSinceSnapshot,
+  calculateVariances
+};
@@ -0,0 +1,66 @@
+import Supplier from '../models/Supplier.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const catalogueKey = (supplier, line) => ({
+  supplier,
+  product: line.product,
+  variationCombinationId: line.variation ? String(line.variation) : null
+});
+
+/**
+ * Add purchase order lines to the supplier's catalogue, creating entries as
+ * needed, and record their unit cost as the last purchase price. Entries
+ * already updated from a later order are left alone. leadTimeDays, when
+ * given, is how long this delivery took from ordering.
+ */
+export const recordCatalogueLines = async ({ supplier, lines, purchaseOrder, purchasedAt, leadTimeDays, session = null }) => {
+  for (const line of lines) {
+    const key = catalogueKey(supplier, line);
+    const existing = await SupplierProduct.findOne(key).select('lastPurchasedAt').session(session);
+    if (existing?.lastPurchasedAt && existing.lastPurchasedAt > purchasedAt) continue;
+
+    const set = { lastPurchaseOrder: purchaseOrder, lastPurchasedAt: purchasedAt };
+    if (line.unitCost !== undefined && line.unitCost !== null) {
+      set.lastPurchasePrice = line.unitCost;
+    }
+    if (leadTimeDays !== undefined && leadTimeDays !== null) {
+      set.lastLeadTimeDays = leadTimeDays;
+    }
+
+    await SupplierProduct.updateOne(key, { $set: set }, { upsert: true, session });
+  }
+};
+
+/**
+ * Expected delivery date for lines ordered from a supplier: the longest lead
+ * time among them, from the catalogue or the supplier's default. Null when
+ * no lead time is known.
+ */
+export const estimateDeliveryDate = async ({ supplier, lines, orderedAt = new Date() }) => {
+  const supplierDoc = await Supplier.findById(supplier).select('leadTimeDays');
+  const entries = await SupplierProduct.find({
+    supplier,
+    product: { $in: lines.map(line => line.product) }
+  }).select('product variationCombinationId leadTimeDays');
+
+  let longest = null;
+  for (const line of lines) {
+    const key = catalogueKey(supplier, line);
+    const entry = entries.find(candidate =>
+      candidate.product.toString() === key.product.toString() &&
+      (candidate.variationCombinationId || null) === key.variationCombinationId);
+    const leadTime = entry?.leadTimeDays ?? supplierDoc?.leadTimeDays;
+    if (leadTime !== undefined && leadTime !== null && (longest === null || leadTime > longest)) {
+      longest = leadTime;
+    }
+  }
+
+  return longest === null ? null : new Date(orderedAt.getTime() + longest * dayMs);
+};
+
+// Whole days between two dates
+export const daysBetween = (from, to) => Math.max(0, Math.round((to - from) / dayMs));
+
+export default { recordCatalogueLines, estimateDeliveryDate, daysBetween };
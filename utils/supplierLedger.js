@@ -0,0 +1,113 @@
+import Supplier from '../models/Supplier.js';
+import SupplierTransaction from '../models/SupplierTransaction.js';
+import GoodsReceipt from '../models/GoodsReceipt.js';
+import { roundCurrency } from './saleCalculator.js';
+
+/**
+ * Post an entry to a supplier's accounts payable ledger and move their
+ * outstanding balance by the same amount. Positive amounts are goods
+ * received on credit, negative amounts are payments or debit notes.
+ */
+export const postSupplierTransaction = async ({
+  supplier,
+  type,
+  amount,
+  goodsReceipt,
+  purchaseOrder,
+  supplierReturn,
+  reference,
+  method,
+  allocations,
+  notes,
+  user,
+  session = null
+}) => {
+  const delta = roundCurrency(amount);
+
+  const updatedSupplier = await Supplier.findOneAndUpdate(
+    { _id: supplier },
+    { $inc: { outstandingBalance: delta } },
+    { new: true, session }
+  );
+
+  if (!updatedSupplier) {
+    throw new Error('Supplier not found');
+  }
+
+  const [transaction] = await SupplierTransaction.create([{
+    supplier,
+    type,
+    amount: delta,
+    balanceAfter: roundCurrency(updatedSupplier.outstandingBalance),
+    goodsReceipt,
+    purchaseOrder,
+    supplierReturn,
+    reference,
+    method,
+    allocations,
+    notes,
+    recordedBy: user?._id,
+    recordedByName: user?.fullName
+  }], { session });
+
+  return transaction;
+};
+
+/**
+ * Take an amount off a supplier's open goods receipts. Uses the allocations
+ * given ([{ goodsReceipt, amount }]) or, without them, settles the oldest
+ * receipts first, with those of purchaseOrder ahead of the rest.
+ * Returns the allocations applied and any amount left unallocated.
+ */
+export const settleGoodsReceipts = async ({ supplier, amount, allocations, purchaseOrder, session = null }) => {
+  let planned;
+  if (Array.isArray(allocations) && allocations.length > 0) {
+    planned = allocations.map(allocation => ({
+      goodsReceipt: allocation.goodsReceipt,
+      amount: roundCurrency(allocation.amount)
+    }));
+  } else {
+    const openReceipts = await GoodsReceipt.find({ supplier, balanceDue: { $gt: 0 } })
+      .sort({ receivedAt: 1, createdAt: 1 })
+      .select('purchaseOrder balanceDue')
+      .session(session);
+    if (purchaseOrder) {
+      openReceipts.sort((a, b) => (String(b.purchaseOrder) === String(purchaseOrder)) - (String(a.purchaseOrder) === String(purchaseOrder)));
+    }
+
+    let remaining = roundCurrency(amount);
+    planned = [];
+    for (const receipt of openReceipts) {
+      if (remaining <= 0) break;
+      const allocationAmount = roundCurrency(Math.min(remaining, receipt.balanceDue));
+      planned.push({ goodsReceipt: receipt._id, amount: allocationAmount });
+      remaining = roundCurrency(remaining - allocationAmount);
+    }
+  }
+
+  const applied = [];
+  for (const allocation of planned) {
+    const receipt = await GoodsReceipt.findOne({ _id: allocation.goodsReceipt, supplier }).session(session);
+    if (!receipt) {
+      throw new Error(`Goods receipt ${allocation.goodsReceipt} not found for this supplier`);
+    }
+    if (!(allocation.amount > 0) || allocation.amount > roundCurrency(receipt.balanceDue)) {
+      throw new Error(`Invalid allocation for ${receipt.receiptNumber}. Balance due: ${roundCurrency(receipt.balanceDue)}`);
+    }
+
+    receipt.balanceDue = roundCurrency(receipt.balanceDue - allocation.amount);
+    receipt.paymentStatus = receipt.balanceDue > 0 ? 'partially_paid' : 'paid';
+    await receipt.save({ session });
+
+    applied.push({
+      goodsReceipt: receipt._id,
+      receiptNumber: receipt.receiptNumber,
+      amount: allocation.amount
+    });
+  }
+
+  const allocated = roundCurrency(applied.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return { allocations: applied, unallocated: roundCurrency(amount - allocated) };
+};
+
+export default { postSupplierTransaction, settleGoodsReceipts };
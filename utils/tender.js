@@ -0,0 +1,107 @@
+import Sale, { PAYMENT_METHODS } from '../models/Sale.js';
+import { roundCurrency } from './saleCalculator.js';
+
+// Methods that must carry a reference (voucher code, credit note, ...)
+const REFERENCE_REQUIRED_METHODS = ['gift_voucher', 'store_credit'];
+
+/**
+ * Validate split-tender payments against a sale total.
+ * Loyalty point tenders are valued from Settings.loyaltySettings.redemptionRate.
+ * Payments must cover the total unless allowCredit is set, in which case the
+ * shortfall is returned as balanceDue. Only cash may exceed the total and the
+ * excess is returned as changeDue. Throws an Error describing the first problem found.
+ */
+export const settlePayments = (payments = [], total, settings = null, { allowCredit = false } = {}) => {
+  if (!Array.isArray(payments)) {
+    throw new Error('Payments must be an array');
+  }
+
+  const redemptionRate = Number(settings?.loyaltySettings?.redemptionRate ?? 1);
+  let loyaltyPoints = 0;
+
+  const normalizedPayments = payments.map((payment) => {
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+      throw new Error(`Invalid payment method: ${payment.method}`);
+    }
+
+    if (payment.method === 'exchange_credit') {
+      throw new Error('Exchange credit is applied automatically and cannot be tendered');
+    }
+
+    if (REFERENCE_REQUIRED_METHODS.includes(payment.method) && !payment.reference) {
+      throw new Error(`A reference code is required for ${payment.method} payments`);
+    }
+
+    if (payment.method === 'loyalty_points') {
+      const points = Number(payment.points);
+      if (!Number.isInteger(points) || points <= 0) {
+        throw new Error('Loyalty point payments must specify a positive whole number of points');
+      }
+      loyaltyPoints += points;
+      return { ...payment, points, amount: roundCurrency(points * redemptionRate) };
+    }
+
+    const amount = Number(payment.amount);
+    if (Number.isNaN(amount) || amount <= 0) {
+      throw new Error(`Payment amount for ${payment.method} must be a positive number`);
+    }
+
+    return { ...payment, amount: roundCurrency(amount) };
+  });
+
+  const amountPaid = roundCurrency(normalizedPayments.reduce((sum, payment) => sum + payment.amount, 0));
+  const cashPaid = roundCurrency(normalizedPayments
+    .filter(payment => payment.method === 'cash')
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  const nonCashPaid = roundCurrency(amountPaid - cashPaid);
+  const saleTotal = roundCurrency(Math.max(0, Number(total) || 0));
+
+  if (amountPaid < saleTotal && !allowCredit) {
+    throw new Error(`Payments (${amountPaid}) do not cover the sale total (${saleTotal})`);
+  }
+
+  if (nonCashPaid > saleTotal) {
+    throw new Error('Only cash payments can exceed the sale total');
+  }
+
+  return {
+    payments: normalizedPayments,
+    amountPaid,
+    changeDue: roundCurrency(Math.max(0, amountPaid - saleTotal)),
+    balanceDue: roundCurrency(Math.max(0, saleTotal - amountPaid)),
+    loyaltyPoints
+  };
+};
+
+/**
+ * Sales broken down by tender type for a Sale match query.
+ * Cash is reported net of change handed back to customers.
+ */
+export const getTenderBreakdown = async (matchQuery) => {
+  const byMethod = await Sale.aggregate([
+    { $match: matchQuery },
+    { $unwind: '$payments' },
+    {
+      $group: {
+        _id: '$payments.method',
+        totalAmount: { $sum: '$payments.amount' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { totalAmount: -1 } }
+  ]);
+
+  const change = await Sale.aggregate([
+    { $match: matchQuery },
+    { $group: { _id: null, totalChange: { $sum: '$changeDue' } } }
+  ]);
+  const totalChange = change[0]?.totalChange || 0;
+
+  return byMethod.map(row => ({
+    method: row._id,
+    count: row.count,
+    totalAmount: roundCurrency(row._id === 'cash' ? row.totalAmount - totalChange : row.totalAmount)
+  }));
+};
+
+export default { settlePayments, getTenderBreakdown };
@@ -0,0 +1,63 @@
+// Checks for the sale calculator and how sale totals are spread back over lines for refunds.
+// Run with: node utils/testSaleCalculator.js
+import assert from 'node:assert/strict';
+import { calculateSaleTotals, getItemsTotal, allocateToLines, roundCurrency } from './saleCalculator.js';
+
+const productsById = new Map([
+  ['p1', { _id: 'p1', name: 'Taxed item', sellingPrice: 100, taxRate: 10 }],
+  ['p2', { _id: 'p2', name: 'Untaxed item', sellingPrice: 50 }]
+]);
+const settings = { taxRate: 0, loyaltySettings: { redemptionRate: 1 } };
+
+const check = (name, fn) => {
+  fn();
+  console.log(`✅ ${name}`);
+};
+
+check('cart discount and loyalty redemption are refunded in proportion', () => {
+  const calculation = calculateSaleTotals({
+    items: [{ product: 'p1', quantity: 1 }, { product: 'p2', quantity: 2 }],
+    productsById,
+    discount: 20,
+    loyaltyPointsUsed: 30,
+    settings
+  });
+  // 200 subtotal - 20 discount + 9 tax (10% of 90) - 30 loyalty
+  assert.equal(calculation.total, 159);
+
+  const sale = {
+    total: calculation.total,
+    giftCards: [],
+    items: calculation.lines.map(line => ({ quantity: line.quantity, totalPrice: line.totalPrice, couponDiscount: line.couponDiscount }))
+  };
+  const shares = allocateToLines(sale.items, getItemsTotal(sale));
+  assert.deepEqual(shares, [79.5, 79.5]);
+
+  // Returning the untaxed line one unit at a time adds up to its share, and all lines to the total
+  const firstUnit = roundCurrency(shares[1] * 1 / 2);
+  const secondUnit = roundCurrency(roundCurrency(shares[1] * 2 / 2) - firstUnit);
+  assert.equal(firstUnit, 39.75);
+  assert.equal(roundCurrency(firstUnit + secondUnit + shares[0]), calculation.total);
+});
+
+check('gift cards sold with a sale are not refunded with its items', () => {
+  const sale = { total: 150, giftCards: [{ amount: 50 }], items: [{ quantity: 1, totalPrice: 100, couponDiscount: 0 }] };
+  assert.equal(getItemsTotal(sale), 100);
+  assert.deepEqual(allocateToLines(sale.items, getItemsTotal(sale)), [100]);
+});
+
+check('loyalty points worth more than the cart are refused', () => {
+  const items = [{ product: 'p2', quantity: 1 }];
+  assert.throws(
+    () => calculateSaleTotals({ items, productsById, discount: 10, loyaltyPointsUsed: 41, settings }),
+    /worth more than the amount payable \(40\)/
+  );
+  // Gift cards sold on the same sale can't be paid for with points either
+  assert.throws(
+    () => calculateSaleTotals({ items, productsById, loyaltyPointsUsed: 60, giftCards: [{ amount: 20 }], settings }),
+    /worth more than the amount payable \(50\)/
+  );
+  assert.equal(calculateSaleTotals({ items, productsById, discount: 10, loyaltyPointsUsed: 40, settings }).total, 0);
+});
+
+console.log('\nSale calculator checks passed');
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import Voucher, { VOUCHER_PAYMENT_METHODS } from '../models/Voucher.js';
+import { roundCurrency } from './saleCalculator.js';
+
+// No 0/O or 1/I so codes can be read out over the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_PREFIXES = { gift_card: 'GC', store_credit: 'SC' };
+
+export const generateVoucherCode = (type) => {
+  const bytes = crypto.randomBytes(8);
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${CODE_PREFIXES[type]}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Expiry from Settings.voucherSettings; 0 days means the voucher never expires
+export const getVoucherExpiry = (type, settings = null) => {
+  const days = type === 'gift_card'
+    ? settings?.voucherSettings?.giftCardValidityDays
+    : settings?.voucherSettings?.storeCreditValidityDays;
+
+  if (!days) {
+    return undefined;
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + Number(days));
+  return expiresAt;
+};
+
+export const isVoucherUsable = (voucher) => {
+  return voucher.status === 'active' && (!voucher.expiresAt || voucher.expiresAt > new Date());
+};
+
+/**
+ * Issue a gift card or store credit voucher with a new unique code.
+ */
+export const issueVoucher = async ({
+  type,
+  amount,
+  customer,
+  source,
+  sale,
+  returnDoc,
+  reference,
+  expiresAt,
+  notes,
+  user,
+  settings = null,
+  session = null
+}) => {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw new Error('Voucher amount must be a positive number');
+  }
+
+  const [voucher] = await Voucher.create([{
+    code: generateVoucherCode(type),
+    type,
+    initialValue: value,
+    balance: value,
+    expiresAt: expiresAt ?? getVoucherExpiry(type, settings),
+    customer,
+    source,
+    sale,
+    return: returnDoc?._id,
+    reference,
+    issuedBy: user?._id,
+    issuedByName: user?.fullName,
+    notes,
+    transactions: [{
+      type: 'issue',
+      amount: value,
+      balanceAfter: value,
+      sale,
+      reference,
+      recordedBy: user?._id,
+      recordedByName: user?.fullName
+    }]
+  }], { session });
+
+  return voucher;
+};
+
+/**
+ * Check gift_voucher and store_credit payments against the vouchers they
+ * reference before a sale is written: the code must exist, match the payment
+ * method, be active and unexpired, and cover every payment made with it.
+ * Throws an Error describing the first problem found.
+ */
+export const validateVoucherPayments = async (payments) => {
+  const amountsByCode = new Map();
+
+  for (const payment of payments) {
+    const voucherType = VOUCHER_PAYMENT_METHODS[payment.method];
+    if (!voucherType) continue;
+
+    const code = String(payment.reference).trim().toUpperCase();
+    const voucher = await Voucher.findOne({ code });
+
+    if (!voucher || voucher.type !== voucherType) {
+      throw new Error(`Voucher ${code} not found`);
+    }
+    if (!isVoucherUsable(voucher)) {
+      throw new Error(`Voucher ${code} is ${voucher.status === 'active' ? 'expired' : voucher.status}`);
+    }
+
+    const requested = roundCurrency((amountsByCode.get(code) || 0) + payment.amount);
+    if (requested > voucher.balance) {
+      throw new Error(`Insufficient voucher balance for ${code}. Available: ${voucher.balance}, Requested: ${requested}`);
+    }
+    amountsByCode.set(code, requested);
+  }
+};
+
+/**
+ * Take an amount off a voucher balance. The balance check, expiry check and
+ * deduction happen in one atomic update so a voucher cannot be overspent by
+ * two tills at once. Returns the updated voucher.
+ */
+export const redeemVoucher = async ({ code, amount, sale, reference, user, session = null }) => {
+  const value = roundCurrency(amount);
+  const normalizedCode = String(code).trim().toUpperCase();
+  const now = new Date();
+
+  const voucher = await Voucher.findOneAndUpdate(
+    {
+      code: normalizedCode,
+      status: 'active',
+      balance: { $gte: value },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    },
+    { $inc: { balance: -value } },
+    { new: true, session }
+  );
+
+  if (!voucher) {
+    throw new Error(`Voucher ${normalizedCode} cannot cover ${value}`);
+  }
+
+  voucher.balance = roundCurrency(voucher.balance);
+  voucher.transactions.push({
+    type: 'redeem',
+    amount: -value,
+    balanceAfter: voucher.balance,
+    sale,
+    reference,
+    recordedBy: user?._id,
+    recordedByName: user?.fullName
+  });
+  if (voucher.balance === 0) {
+    voucher.status = 'redeemed';
+  }
+  await voucher.save({ session });
+
+  return voucher;
+};
+
+// Redeem every voucher tender on a sale and link each payment to its voucher
+export const redeemVoucherPayments = async (payments, { sale, reference, user, session = null }) => {
+  for (const payment of payments) {
+    if (!VOUCHER_PAYMENT_METHODS[payment.method]) continue;
+    const voucher = await redeemVoucher({
+      code: payment.reference,
+      amount: payment.amount,
+      sale,
+      reference,
+      user,
+      session
+    });
+    payment.voucher = voucher._id;
+  }
+};
+
+export default { generateVoucherCode, getVoucherExpiry, isVoucherUsable, issueVoucher, validateVoucherPayments, redeemVoucher, redeemVoucherPayments };